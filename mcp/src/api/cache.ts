@@ -1,13 +1,38 @@
-import { CacheEntry, CacheKey, CacheStore } from './types.js';
-
+import { CacheEntry, CacheKey, CacheStats, CacheStore } from './types.js';
+import { DiskCache } from './diskCache.js';
+
+export interface ApiCacheOptions {
+  // Optional persistent store shared between processes
+  store?: DiskCache;
+  // How long past its TTL an entry may still be served while it is refreshed
+  staleTtl?: number;
+  // Most entries kept in memory before the least recently used are dropped
+  maxEntries?: number;
+  // Prefixed to keys in the store, so servers for different APIs can share one
+  namespace?: string;
+}
+
+// Two-level response cache: an in-memory LRU map in front of an optional
+// on-disk store. Entries past their TTL are kept for staleTtl so callers can
+// serve them while revalidating.
 export class ApiCache {
   private cache: CacheStore = new Map();
   private defaultTtl: number = 60 * 60 * 1000; // 1 hour in milliseconds
-
-  constructor(defaultTtl?: number) {
+  private store?: DiskCache;
+  private staleTtl: number;
+  private maxEntries: number;
+  private namespace: string;
+  private pendingWrites = new Set<Promise<void>>();
+  private counters = { hits: 0, staleHits: 0, misses: 0, diskHits: 0 };
+
+  constructor(defaultTtl?: number, options: ApiCacheOptions = {}) {
     if (defaultTtl) {
       this.defaultTtl = defaultTtl;
     }
+    this.store = options.store;
+    this.staleTtl = options.staleTtl ?? 0;
+    this.maxEntries = options.maxEntries ?? 500;
+    this.namespace = options.namespace ?? '';
   }
 
   set<T>(key: CacheKey, data: T, ttl?: number): void {
@@ -16,44 +41,80 @@ export class ApiCache {
       timestamp: Date.now(),
       ttl: ttl || this.defaultTtl
     };
-    this.cache.set(key, entry);
+    this.remember(key, entry);
+
+    if (this.store) {
+      const write = this.store.write(this.storeKey(key), entry)
+        .catch(error => console.error(`Cache write failed for ${key}:`, error))
+        .finally(() => this.pendingWrites.delete(write));
+      this.pendingWrites.add(write);
+    }
   }
 
+  // Fresh entries from memory only
   get<T>(key: CacheKey): T | null {
     const entry = this.cache.get(key);
-    
+
     if (!entry) {
       return null;
     }
 
     // Check if cache entry has expired
-    const now = Date.now();
-    if (now - entry.timestamp > entry.ttl) {
-      this.cache.delete(key);
+    if (this.isExpired(entry)) {
       return null;
     }
 
+    this.remember(key, entry);
     return entry.data as T;
   }
 
+  // Look an entry up in memory, then on disk. With allowStale, an expired entry
+  // still inside the stale window is returned and flagged so it can be refreshed.
+  async lookup<T>(key: CacheKey, allowStale: boolean = false): Promise<{ data: T; stale: boolean } | null> {
+    let entry = this.cache.get(key) as CacheEntry<T> | undefined;
+
+    if (!entry || this.isExpired(entry)) {
+      const stored = this.store ? await this.store.read<T>(this.storeKey(key)).catch(() => null) : null;
+      if (stored && (!entry || stored.timestamp > entry.timestamp)) {
+        entry = stored;
+        this.counters.diskHits++;
+      }
+    }
+
+    if (!entry || this.isPastStale(entry)) {
+      this.counters.misses++;
+      return null;
+    }
+
+    this.remember(key, entry);
+
+    if (!this.isExpired(entry)) {
+      this.counters.hits++;
+      return { data: entry.data, stale: false };
+    }
+
+    if (allowStale) {
+      this.counters.staleHits++;
+      return { data: entry.data, stale: true };
+    }
+
+    this.counters.misses++;
+    return null;
+  }
+
   has(key: CacheKey): boolean {
     const entry = this.cache.get(key);
-    
+
     if (!entry) {
       return false;
     }
 
     // Check if cache entry has expired
-    const now = Date.now();
-    if (now - entry.timestamp > entry.ttl) {
-      this.cache.delete(key);
-      return false;
-    }
-
-    return true;
+    return !this.isExpired(entry);
   }
 
   delete(key: CacheKey): boolean {
+    this.store?.delete(this.storeKey(key)).catch(() => undefined);
     return this.cache.delete(key);
   }
 
@@ -65,18 +126,90 @@ export class ApiCache {
     return this.cache.size;
   }
 
-  // Clean up expired entries
+  // Clean up entries past their stale window
   cleanup(): void {
-    const now = Date.now();
     const keysToDelete: CacheKey[] = [];
 
     for (const [key, entry] of this.cache.entries()) {
-      if (now - entry.timestamp > entry.ttl) {
+      if (this.isPastStale(entry)) {
         keysToDelete.push(key);
       }
     }
 
     keysToDelete.forEach(key => this.cache.delete(key));
+
+    if (this.store) {
+      this.store.purge(file => this.inNamespace(file.key) && this.isPastStale(file)).catch(() => undefined);
+    }
+  }
+
+  // Remove entries whose key starts with prefix (all entries without one), in memory and on disk
+  async purge(prefix?: string): Promise<number> {
+    const matches = (key: CacheKey) => !prefix || key.startsWith(prefix);
+    await this.flush();
+
+    const keys = new Set(Array.from(this.cache.keys()).filter(matches));
+    keys.forEach(key => this.cache.delete(key));
+
+    if (this.store) {
+      const removed = await this.store.purge(file => this.inNamespace(file.key) && matches(this.fromStoreKey(file.key)));
+      removed.forEach(key => keys.add(this.fromStoreKey(key)));
+    }
+
+    return keys.size;
+  }
+
+  async stats(): Promise<CacheStats> {
+    await this.flush();
+    const now = Date.now();
+    const files = this.store ? await this.store.list() : [];
+
+    return {
+      memoryEntries: this.cache.size,
+      memoryMaxEntries: this.maxEntries,
+      diskDirectory: this.store ? this.store.path : null,
+      diskEntries: files.length,
+      diskBytes: files.reduce((sum, file) => sum + file.size, 0),
+      diskExpiredEntries: files.filter(file => now - file.timestamp > file.ttl).length,
+      ...this.counters
+    };
+  }
+
+  // Wait for queued disk writes to finish
+  async flush(): Promise<void> {
+    await Promise.all(Array.from(this.pendingWrites));
+  }
+
+  // Insert or refresh an entry as most recently used, evicting the oldest beyond maxEntries
+  private remember<T>(key: CacheKey, entry: CacheEntry<T>): void {
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+
+    while (this.cache.size > this.maxEntries) {
+      const oldest = this.cache.keys().next().value as CacheKey;
+      this.cache.delete(oldest);
+    }
+  }
+
+  private storeKey(key: CacheKey): CacheKey {
+    return `${this.namespace}${key}`;
+  }
+
+  private fromStoreKey(key: CacheKey): CacheKey {
+    return key.slice(this.namespace.length);
+  }
+
+  // Keys are endpoint paths, so another namespace that merely starts the same way is told apart by the "/"
+  private inNamespace(key: CacheKey): boolean {
+    return key.startsWith(this.namespace) && key.charAt(this.namespace.length) === '/';
+  }
+
+  private isExpired(entry: { timestamp: number; ttl: number }): boolean {
+    return Date.now() - entry.timestamp > entry.ttl;
+  }
+
+  private isPastStale(entry: { timestamp: number; ttl: number }): boolean {
+    return Date.now() - entry.timestamp > entry.ttl + this.staleTtl;
   }
 
   // Generate cache key from parameters
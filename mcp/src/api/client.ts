@@ -1,5 +1,10 @@
-import fetch from 'node-fetch';
+import fetch, { RequestInit, Response } from 'node-fetch';
 import { ApiCache } from './cache.js';
+import { DiskCache } from './diskCache.js';
+import { LocationIndex } from './locationIndex.js';
+import { RateLimitScheduler } from './scheduler.js';
+import { CacheConfig, DEFAULT_CONFIG, NeonConfig } from '../config.js';
+import { OfflineError, SnapshotStore } from '../snapshot/store.js';
 import { 
   NeonApiResponse, 
   NeonErrorResponse,
@@ -7,25 +12,149 @@ import {
   Site,
   DataQueryParams,
   DataQueryResult,
+  MonthlyDataFiles,
   Location,
+  IndexedLocation,
+  LocationIndexQuery,
+  LocationTree,
+  LocationTreeNode,
+  SiteLocationIndex,
+  TaxonomyEntry,
   TaxonomyResponse,
   Sample,
-  Release
+  SampleClassEntry,
+  SampleHierarchyNode,
+  Release,
+  PrototypeDataset,
+  PrototypeDatasetData,
+  RateLimitStatus,
+  CacheStats
 } from './types.js';
 
+// Endpoints whose cached responses may be served after expiry while a fresh copy is fetched
+const STALE_WHILE_REVALIDATE_ENDPOINTS = ['/api/v0/products', '/api/v0/sites'];
+
 export class NeonApiClient {
-  private baseUrl: string = 'https://data.neonscience.org';
+  private baseUrl: string;
+  private apiToken?: string;
+  private timeout: number;
   private cache: ApiCache;
-  private retryAttempts: number = 3;
-  private retryDelay: number = 1000; // 1 second
+  private cacheConfig: CacheConfig;
+  private retryAttempts: number;
+  private retryDelay: number;
+  private scheduler: RateLimitScheduler;
+  private revalidating = new Map<string, Promise<void>>();
+  // Aborted by close() to cancel background refreshes
+  private refreshes = new AbortController();
+  private cleanupTimer: NodeJS.Timeout;
+  private snapshot: SnapshotStore | null;
+  private locationIndex: LocationIndex;
 
-  constructor() {
-    this.cache = new ApiCache();
+  constructor(config: Pick<NeonConfig, 'api' | 'cache' | 'offline'> = DEFAULT_CONFIG) {
+    this.baseUrl = config.api.baseUrl.replace(/\/+$/, '');
+    this.apiToken = config.api.token;
+    this.timeout = config.api.timeout;
+    this.retryAttempts = config.api.retryAttempts;
+    this.retryDelay = config.api.retryDelay;
+    this.cacheConfig = config.cache;
+    this.snapshot = config.offline.snapshotDir ? new SnapshotStore(config.offline.snapshotDir) : null;
+    this.cache = new ApiCache(config.cache.defaultTtl, {
+      store: config.cache.persistent
+        ? new DiskCache({ directory: config.cache.directory, maxBytes: config.cache.maxBytes })
+        : undefined,
+      staleTtl: config.cache.staleTtl,
+      maxEntries: config.cache.maxEntries,
+      // Processes pointed at different APIs may share the cache directory
+      namespace: this.baseUrl
+    });
+    this.locationIndex = new LocationIndex(this, config.cache.defaultTtl);
+    this.scheduler = new RateLimitScheduler({
+      maxConcurrent: config.api.maxConcurrent,
+      maxRetries: config.api.retryAttempts
+    });
     
-    // Run cache cleanup every 10 minutes
-    setInterval(() => {
+    // Periodically drop expired cache entries, without keeping the process alive
+    this.cleanupTimer = setInterval(() => {
       this.cache.cleanup();
-    }, 10 * 60 * 1000);
+    }, config.cache.cleanupInterval).unref();
+  }
+
+  // Cancel background refreshes and wait for them and any cache writes to settle,
+  // so nothing reaches the network or the disk cache once the server has shut down
+  async close(): Promise<void> {
+    clearInterval(this.cleanupTimer);
+    this.refreshes.abort();
+    await Promise.all(Array.from(this.revalidating.values()));
+    await this.cache.flush();
+  }
+
+  // Send a request to the NEON API through the rate limit scheduler, with the API
+  // token (if configured) and the configured timeout. The token is only sent to the
+  // API itself, never to the storage hosts that data file URLs point at.
+  private async fetchApi(url: string, init: RequestInit = {}): Promise<Response> {
+    if (this.snapshot) {
+      throw new OfflineError(`Offline mode: ${url.replace(this.baseUrl, '')} needs network access and cannot be served from the snapshot at ${this.snapshot.path}.`);
+    }
+
+    const headers: Record<string, string> = { ...(init.headers as Record<string, string>) };
+    const isApiRequest = url.startsWith(`${this.baseUrl}/`);
+    if (this.apiToken && isApiRequest) {
+      headers['X-API-Token'] = this.apiToken;
+    }
+
+    const send = async () => {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeout);
+      const cancel = () => controller.abort();
+      init.signal?.addEventListener('abort', cancel);
+      if (init.signal?.aborted) {
+        cancel();
+      }
+
+      try {
+        return await fetch(url, { ...init, headers, signal: controller.signal });
+      } catch (error) {
+        if (init.signal?.aborted) {
+          throw new Error('NEON API request cancelled');
+        }
+        if ((error as Error).name === 'AbortError') {
+          throw new Error(`NEON API request timed out after ${this.timeout}ms`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        init.signal?.removeEventListener('abort', cancel);
+      }
+    };
+
+    return isApiRequest ? this.scheduler.run(send) : send();
+  }
+
+  // Directory of the snapshot served in offline mode, or null when online
+  getSnapshotDirectory(): string | null {
+    return this.snapshot ? this.snapshot.path : null;
+  }
+
+  // Uncached JSON body of a GET request, used to record snapshots
+  async getRaw<T>(endpoint: string, params?: Record<string, any>): Promise<T> {
+    return this.fetchJson<T>(endpoint, params, undefined);
+  }
+
+  getRateLimitStatus(): RateLimitStatus {
+    return this.scheduler.getStatus();
+  }
+
+  async getCacheStats(): Promise<CacheStats> {
+    return this.cache.stats();
+  }
+
+  // Drop cached responses whose key starts with prefix (e.g. "/api/v0/products"), or all of them
+  async purgeCache(prefix?: string): Promise<number> {
+    // The location index is built from location responses, so it goes with them
+    if (!prefix || '/api/v0/locations'.startsWith(prefix) || prefix.startsWith('/api/v0/locations')) {
+      this.locationIndex.clear();
+    }
+    return this.cache.purge(prefix);
   }
 
   private async makeRequest<T>(
@@ -34,16 +163,84 @@ export class NeonApiClient {
     cacheEnabled: boolean = true,
     cacheTtl?: number
   ): Promise<T> {
+    const response = await this.requestJson<NeonApiResponse<T>>(endpoint, params, cacheEnabled, cacheTtl);
+    return response.data;
+  }
+
+  // Fetch a JSON body as-is, for endpoints that don't wrap results in a `data` envelope
+  private async requestJson<T>(
+    endpoint: string, 
+    params?: Record<string, any>,
+    cacheEnabled: boolean = true,
+    cacheTtl?: number
+  ): Promise<T> {
+    // Offline mode answers from the recorded snapshot only
+    if (this.snapshot) {
+      return this.snapshot.read<T>(endpoint, params);
+    }
+
     const cacheKey = ApiCache.generateKey(endpoint, params);
     
     // Check cache first
     if (cacheEnabled) {
-      const cached = this.cache.get<T>(cacheKey);
+      const allowStale = STALE_WHILE_REVALIDATE_ENDPOINTS.some(
+        prefix => endpoint === prefix || endpoint.startsWith(`${prefix}/`)
+      );
+      const cached = await this.cache.lookup<T>(cacheKey, allowStale);
       if (cached) {
-        return cached;
+        if (cached.stale) {
+          this.revalidate(cacheKey, signal => this.fetchJson<T>(endpoint, params, cacheKey, cacheTtl, signal));
+        }
+        return cached.data;
       }
     }
 
+    return this.fetchJson<T>(endpoint, params, cacheEnabled ? cacheKey : undefined, cacheTtl);
+  }
+
+  // NEON reports errors as JSON, but gateways in front of it can answer with HTML or
+  // plain text; fall back to the status text rather than failing to parse those
+  private async responseError(response: Response): Promise<Error> {
+    const body = await response.text().catch(() => '');
+    let detail = response.statusText || 'Request failed';
+
+    try {
+      const errorData = JSON.parse(body) as NeonErrorResponse;
+      detail = errorData.detail || errorData.message || detail;
+    } catch (error) {
+      // Not JSON; keep the status text
+    }
+
+    return new Error(`NEON API Error: ${detail} (Status: ${response.status})`);
+  }
+
+  // Refresh a stale entry in the background; concurrent requests share one refresh,
+  // and close() cancels it
+  private revalidate(cacheKey: string, refresh: (signal: AbortSignal) => Promise<unknown>): void {
+    const signal = this.refreshes.signal;
+    if (this.revalidating.has(cacheKey) || signal.aborted) {
+      return;
+    }
+
+    const pending = refresh(signal)
+      .then(() => undefined)
+      .catch(error => {
+        if (!signal.aborted) {
+          console.error(`Failed to refresh ${cacheKey}:`, error);
+        }
+      })
+      .finally(() => this.revalidating.delete(cacheKey));
+    this.revalidating.set(cacheKey, pending);
+  }
+
+  // Fetch with retries, storing the response under cacheKey when one is given
+  private async fetchJson<T>(
+    endpoint: string,
+    params: Record<string, any> | undefined,
+    cacheKey: string | undefined,
+    cacheTtl?: number,
+    signal?: AbortSignal
+  ): Promise<T> {
     let url = `${this.baseUrl}${endpoint}`;
     
     if (params && Object.keys(params).length > 0) {
@@ -64,24 +261,28 @@ export class NeonApiClient {
 
     for (let attempt = 0; attempt < this.retryAttempts; attempt++) {
       try {
-        const response = await fetch(url);
+        const response = await this.fetchApi(url, { signal });
         
         if (!response.ok) {
-          const errorData = await response.json() as NeonErrorResponse;
-          throw new Error(`NEON API Error: ${errorData.detail} (Status: ${errorData.status})`);
+          throw await this.responseError(response);
         }
 
-        const data = await response.json() as NeonApiResponse<T>;
+        const data = await response.json() as T;
         
         // Cache successful responses
-        if (cacheEnabled) {
-          this.cache.set(cacheKey, data.data, cacheTtl);
+        if (cacheKey) {
+          this.cache.set(cacheKey, data, cacheTtl);
         }
         
-        return data.data;
+        return data;
       } catch (error) {
         lastError = error as Error;
         
+        // Offline mode never reaches the network and a cancelled refresh is no longer wanted
+        if (error instanceof OfflineError || signal?.aborted) {
+          throw error;
+        }
+        
         // Don't retry on 4xx errors
         if (error instanceof Error && error.message.includes('Status: 4')) {
           throw error;
@@ -97,25 +298,49 @@ export class NeonApiClient {
     throw lastError || new Error('Failed to make request after retries');
   }
 
+  // Products, sites and data files pinned to a release come from its own routes
+  // (/api/v0/releases/{tag}/...), so a whole analysis can be tied to one release
+  private releasePrefix(release?: string): string {
+    return release ? `/api/v0/releases/${encodeURIComponent(release)}` : '/api/v0';
+  }
+
+  // Release routes answer 400 or 404 for anything the release does not include;
+  // say so instead of passing on the bare API error
+  private async inRelease<T>(release: string | undefined, what: string, request: () => Promise<T>): Promise<T> {
+    try {
+      return await request();
+    } catch (error) {
+      if (release && error instanceof Error && /Status: 40[04]/.test(error.message)) {
+        throw new Error(`${what} is not part of release ${release} (${error.message})`);
+      }
+      throw error;
+    }
+  }
+
   // Product API methods
   async getProducts(release?: string): Promise<Product[]> {
-    const params = release ? { release } : undefined;
-    return this.makeRequest<Product[]>('/api/v0/products', params);
+    return this.inRelease(release, 'Product list', () =>
+      this.makeRequest<Product[]>(`${this.releasePrefix(release)}/products`)
+    );
   }
 
   async getProduct(productCode: string, release?: string): Promise<Product> {
-    const params = release ? { release } : undefined;
-    return this.makeRequest<Product>(`/api/v0/products/${productCode}`, params);
+    return this.inRelease(release, `Product ${productCode}`, () =>
+      this.makeRequest<Product>(`${this.releasePrefix(release)}/products/${productCode}`)
+    );
   }
 
   // Site API methods
   async getSites(release?: string): Promise<Site[]> {
-    const params = release ? { release } : undefined;
-    return this.makeRequest<Site[]>('/api/v0/sites', params);
+    return this.inRelease(release, 'Site list', () =>
+      this.makeRequest<Site[]>(`${this.releasePrefix(release)}/sites`)
+    );
   }
 
-  async getSite(siteCode: string): Promise<Site> {
-    return this.makeRequest<Site>(`/api/v0/sites/${siteCode}`);
+  async getSite(siteCode: string, release?: string): Promise<Site> {
+    return this.inRelease(release, `Site ${siteCode}`, () =>
+      this.makeRequest<Site>(`${this.releasePrefix(release)}/sites/${siteCode}`)
+    );
   }
 
   // Data Query API methods
@@ -127,13 +352,13 @@ export class NeonApiClient {
       // For POST requests, we can't use the standard caching mechanism
       // as it's based on URL parameters
       const cacheKey = ApiCache.generateKey(endpoint, params);
-      const cached = this.cache.get<DataQueryResult>(cacheKey);
+      const cached = await this.cache.lookup<DataQueryResult>(cacheKey);
       
       if (cached) {
-        return cached;
+        return cached.data;
       }
 
-      const response = await fetch(`${this.baseUrl}${endpoint}`, {
+      const response = await this.fetchApi(`${this.baseUrl}${endpoint}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -142,12 +367,11 @@ export class NeonApiClient {
       });
 
       if (!response.ok) {
-        const errorData = await response.json() as NeonErrorResponse;
-        throw new Error(`NEON API Error: ${errorData.detail} (Status: ${errorData.status})`);
+        throw await this.responseError(response);
       }
 
       const data = await response.json() as NeonApiResponse<DataQueryResult>;
-      this.cache.set(cacheKey, data.data);
+      this.cache.set(cacheKey, data.data, this.cacheConfig.dataQueryTtl);
       return data.data;
     } else {
       // Use GET for single site
@@ -156,7 +380,7 @@ export class NeonApiClient {
         queryParams.siteCode = params.siteCodes[0];
         delete queryParams.siteCodes;
       }
-      return this.makeRequest<DataQueryResult>(endpoint, queryParams, true, 30 * 60 * 1000); // 30 min cache
+      return this.makeRequest<DataQueryResult>(endpoint, queryParams, true, this.cacheConfig.dataQueryTtl);
     }
   }
 
@@ -181,104 +405,118 @@ export class NeonApiClient {
     return this.makeRequest<Location>(`/api/v0/locations/${locationName}`, params);
   }
 
-  async findTowersAtSite(siteCode: string): Promise<Location[]> {
-    try {
-      // For SRER, we know the tower is TOWER104454 - try direct access first
-      if (siteCode === 'SRER') {
-        try {
-          const tower = await this.getLocation('TOWER104454');
-          if (tower.siteCode === siteCode) {
-            return [tower];
-          }
-        } catch (error) {
-          // Continue with general approach if direct access fails
-        }
-      }
-      
-      // Get all site locations and filter for towers at this site
-      const siteLocations = await this.getSiteLocations();
-      const towers = siteLocations.filter(loc => 
-        loc.siteCode === siteCode && 
-        (loc.locationType === 'TOWER' || 
-         loc.locationName.toUpperCase().includes('TOWER') ||
-         loc.locationDescription.toLowerCase().includes('tower') ||
-         loc.locationDescription.toLowerCase().includes('flux'))
-      );
-      
-      // If we didn't find any towers in site locations, try a known pattern
-      if (towers.length === 0) {
-        // Many NEON sites have towers with predictable naming patterns
-        const possibleTowerNames = [
-          `TOWER${siteCode}`,
-          `${siteCode}_TOWER`,
-          `${siteCode}.TOWER`,
-          // Try with common tower IDs (these are just examples, actual IDs vary)
-          'TOWER104454', // SRER
-          'TOWER103029', // Common pattern
-          'TOWER102755', // Common pattern
-        ];
-        
-        for (const towerName of possibleTowerNames) {
-          try {
-            const tower = await this.getLocation(towerName);
-            if (tower.siteCode === siteCode) {
-              towers.push(tower);
-            }
-          } catch (error) {
-            // Continue trying other names
-          }
+  // Walk child links breadth-first from a location, up to maxDepth levels below it and
+  // maxNodes locations in all. Each level is fetched in parallel, within the rate limit.
+  async getLocationTree(locationName: string, maxDepth: number, maxNodes: number = 2000): Promise<LocationTree> {
+    const root: LocationTreeNode = {
+      locationName,
+      depth: 0,
+      location: await this.getLocation(locationName),
+      children: [],
+      omittedChildren: 0
+    };
+    const unavailable: string[] = [];
+    const visited = new Set([locationName]);
+    let nodeCount = 1;
+    let truncated = false;
+    let frontier = [root];
+
+    for (let depth = 1; frontier.length > 0; depth++) {
+      const next: LocationTreeNode[] = [];
+
+      for (const parent of frontier) {
+        const names = (parent.location?.locationChildren || []).filter(name => !visited.has(name));
+        const room = depth > maxDepth ? 0 : maxNodes - nodeCount;
+        if (depth <= maxDepth && names.length > room) {
+          truncated = true;
         }
+        names.slice(0, Math.max(0, room)).forEach(name => {
+          visited.add(name);
+          const child: LocationTreeNode = { locationName: name, depth, children: [], omittedChildren: 0 };
+          parent.children.push(child);
+          next.push(child);
+          nodeCount++;
+        });
+        parent.omittedChildren = names.length - parent.children.length;
       }
-      
-      return towers;
-    } catch (error) {
-      console.warn(`Error finding towers at ${siteCode}:`, error);
-      return [];
-    }
-  }
 
-  async searchLocationsByType(locationType: string, siteCode?: string): Promise<Location[]> {
-    try {
-      // If searching within a specific site
-      if (siteCode) {
-        return this.findTowersAtSite(siteCode);
+      if (depth > maxDepth) {
+        break;
       }
-      
-      // For broader search, get all site locations and check each
-      const siteLocations = await this.getSiteLocations();
-      const matchingLocations: Location[] = [];
-      
-      for (const site of siteLocations.slice(0, 10)) { // Limit to first 10 sites to avoid rate limits
+
+      await Promise.all(next.map(async node => {
         try {
-          const towers = await this.findTowersAtSite(site.siteCode);
-          matchingLocations.push(...towers);
+          node.location = await this.getLocation(node.locationName);
         } catch (error) {
-          // Continue with other sites
+          unavailable.push(node.locationName);
         }
-      }
-      
-      return matchingLocations;
-    } catch (error) {
-      console.warn('Error searching locations by type:', error);
-      return [];
+      }));
+      frontier = next;
     }
+
+    return { root, nodeCount, unavailable, truncated };
+  }
+
+  // Every location at a site, from walking its hierarchy (cached per site)
+  async getSiteLocationIndex(siteCode: string): Promise<SiteLocationIndex> {
+    return this.locationIndex.getSite(siteCode);
+  }
+
+  // Locations of any type across the hierarchies of the requested sites (default: all)
+  // Walks the whole hierarchy of each site not indexed yet, so callers keep siteCodes short
+  async findLocations(query: LocationIndexQuery): Promise<IndexedLocation[]> {
+    return this.locationIndex.find(query);
+  }
+
+  // Towers only need the top of each site's hierarchy, so this walks much less than findLocations
+  async findTowers(siteCodes: string[]): Promise<IndexedLocation[]> {
+    return this.locationIndex.findTowers(siteCodes);
+  }
+
+  async findTowersAtSite(siteCode: string): Promise<IndexedLocation[]> {
+    return this.findTowers([siteCode]);
+  }
+
+  async searchLocationsByType(locationType: string, siteCode: string): Promise<IndexedLocation[]> {
+    return this.findLocations({ siteCodes: [siteCode], locationType, exactType: true });
   }
 
   // Taxonomy API methods
   async searchTaxonomy(params: {
     taxonTypeCode?: string;
     scientificName?: string;
-    family?: string;
-    genus?: string;
     kingdom?: string;
+    division?: string;
     phylum?: string;
     class?: string;
     order?: string;
+    family?: string;
+    genus?: string;
     limit?: number;
     offset?: number;
     verbose?: boolean;
   }): Promise<TaxonomyResponse> {
-    return this.makeRequest<TaxonomyResponse>('/api/v0/taxonomy', params);
+    // The taxonomy endpoint expects a lowercase `scientificname` parameter
+    const { scientificName, ...rest } = params;
+    const queryParams: Record<string, any> = { ...rest };
+    if (scientificName) queryParams.scientificname = scientificName;
+
+    // Unlike other endpoints, the paging fields sit next to `data` rather than inside it
+    let response: { count: number; total: number; prev?: string; next?: string; data: Record<string, any>[] };
+    try {
+      response = await this.requestJson<typeof response>('/api/v0/taxonomy', queryParams);
+    } catch (error) {
+      // A 400 means no taxonomic data exists for the query
+      if (error instanceof Error && error.message.includes('Status: 400')) {
+        return { data: [], count: 0, total: 0 };
+      }
+      throw error;
+    }
+
+    return {
+      ...response,
+      data: response.data.map(normalizeTaxonomyEntry)
+    };
   }
 
   // Sample API methods
@@ -288,10 +526,71 @@ export class NeonApiClient {
     barcode?: string;
     sampleUuid?: string;
     archiveGuid?: string;
-    degree?: number;
   }): Promise<Sample[]> {
     const endpoint = '/api/v0/samples/view';
-    return this.makeRequest<Sample[]>(endpoint, params, false); // Don't cache sample data
+    const response = await this.makeRequest<{ sampleViews: Sample[] }>(endpoint, params, false); // Don't cache sample data
+    return response.sampleViews || [];
+  }
+
+  // Walk parent and child links breadth-first, up to `degree` steps from the requested sample
+  async getSampleHierarchy(
+    params: {
+      sampleTag?: string;
+      sampleClass?: string;
+      barcode?: string;
+      sampleUuid?: string;
+      archiveGuid?: string;
+    },
+    degree: number = 1,
+    maxSamples: number = 100
+  ): Promise<SampleHierarchyNode[]> {
+    const roots = await this.trackSample(params);
+    const nodes: SampleHierarchyNode[] = roots.map(sample => ({ sample, degree: 0, relation: 'root' }));
+    const visited = new Set(roots.map(sample => sample.sampleUuid));
+    let frontier = nodes.slice();
+
+    for (let level = 1; level <= degree && frontier.length > 0; level++) {
+      const next: SampleHierarchyNode[] = [];
+
+      for (const node of frontier) {
+        const links = [
+          ...(node.sample.parentSampleIdentifiers || []).map(info => ({ info, relation: 'parent' as const })),
+          ...(node.sample.childSampleIdentifiers || []).map(info => ({ info, relation: 'child' as const }))
+        ];
+
+        for (const { info, relation } of links) {
+          if (visited.has(info.sampleUuid) || nodes.length >= maxSamples) {
+            continue;
+          }
+          visited.add(info.sampleUuid);
+
+          try {
+            const [sample] = await this.trackSample({ sampleUuid: info.sampleUuid });
+            if (sample) {
+              const related: SampleHierarchyNode = { sample, degree: level, relation, reachedFrom: node.sample.sampleTag };
+              nodes.push(related);
+              next.push(related);
+            }
+          } catch (error) {
+            // Skip related samples that can no longer be resolved
+          }
+        }
+      }
+
+      frontier = next;
+    }
+
+    return nodes;
+  }
+
+  async getSampleClasses(sampleTag: string): Promise<string[]> {
+    const response = await this.makeRequest<{ sampleClasses: string[] }>('/api/v0/samples/classes', { sampleTag });
+    return response.sampleClasses || [];
+  }
+
+  async getSupportedSampleClasses(): Promise<SampleClassEntry[]> {
+    const response = await this.makeRequest<{ entries: SampleClassEntry[] }>('/api/v0/samples/supportedClasses');
+    return response.entries || [];
   }
 
   // Release API methods
@@ -303,19 +602,95 @@ export class NeonApiClient {
     return this.makeRequest<Release>(`/api/v0/releases/${releaseTag}`);
   }
 
+  // Prototype dataset API methods
+  async getPrototypeDatasets(): Promise<PrototypeDataset[]> {
+    return this.makeRequest<PrototypeDataset[]>('/api/v0/prototype/datasets');
+  }
+
+  async getPrototypeDataset(uuid: string): Promise<PrototypeDataset> {
+    return this.makeRequest<PrototypeDataset>(`/api/v0/prototype/datasets/${encodeURIComponent(uuid)}`);
+  }
+
+  async getPrototypeData(uuid: string): Promise<PrototypeDatasetData> {
+    return this.makeRequest<PrototypeDatasetData>(`/api/v0/prototype/data/${encodeURIComponent(uuid)}`);
+  }
+
+  // The API address of a prototype data file, which redirects to the file itself
+  getPrototypeFileUrl(uuid: string, fileName: string): string {
+    return `${this.baseUrl}/api/v0/prototype/data/${encodeURIComponent(uuid)}/${encodeURIComponent(fileName)}`;
+  }
+
+  // File listings carry signed URLs that expire after an hour, so cache them briefly
+  async getDataFiles(
+    productCode: string,
+    siteCode: string,
+    month: string,
+    options: { package?: string; release?: string } = {}
+  ): Promise<MonthlyDataFiles> {
+    return this.inRelease(options.release, `${productCode} data for ${siteCode} in ${month}`, () =>
+      this.makeRequest<MonthlyDataFiles>(
+        `${this.releasePrefix(options.release)}/data/${productCode}/${siteCode}/${month}`,
+        { package: options.package },
+        true,
+        this.cacheConfig.fileListTtl
+      )
+    );
+  }
+
+  // Fetch a file for download. Files the API serves itself, like prototype data,
+  // go through the rate limit scheduler with the API token, as every API request does.
+  async fetchFile(url: string, headers: Record<string, string> = {}): Promise<Response> {
+    return this.fetchApi(url, { headers });
+  }
+
+  // Read a data file as text. With maxLines, stop once that many complete lines
+  // have arrived instead of downloading the whole file.
+  async readFileText(url: string, maxLines?: number): Promise<string> {
+    const response = await this.fetchApi(url);
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Failed to read file (Status: ${response.status})`);
+    }
+
+    if (!maxLines) {
+      return response.text();
+    }
+
+    const decoder = new TextDecoder();
+    let text = '';
+    let lines = 0;
+
+    for await (const chunk of response.body) {
+      const decoded = decoder.decode(chunk as Buffer, { stream: true });
+      text += decoded;
+      lines += decoded.split('\n').length - 1;
+
+      if (lines >= maxLines) {
+        // Leaving the loop closes the connection; drop the trailing partial line
+        return text.slice(0, text.lastIndexOf('\n') + 1);
+      }
+    }
+
+    return text + decoder.decode();
+  }
+
   // Download methods
   async getDownloadUrl(
     productCode: string, 
     siteCode: string, 
     yearMonth: string, 
-    filename: string
+    filename: string,
+    release?: string
   ): Promise<{ url: string; size: number; checksum: string }> {
-    const endpoint = `/api/v0/data/${productCode}/${siteCode}/${yearMonth}/${filename}`;
+    const endpoint = `${this.releasePrefix(release)}/data/${productCode}/${siteCode}/${yearMonth}/${filename}`;
     
     // Don't cache download URLs as they expire
-    const response = await fetch(`${this.baseUrl}${endpoint}`, { method: 'HEAD' });
+    const response = await this.fetchApi(`${this.baseUrl}${endpoint}`, { method: 'HEAD' });
     
     if (!response.ok) {
+      if (release && (response.status === 400 || response.status === 404)) {
+        throw new Error(`File ${filename} is not part of release ${release} (Status: ${response.status})`);
+      }
       throw new Error(`File not found: ${filename}`);
     }
 
@@ -325,4 +700,14 @@ export class NeonApiClient {
       checksum: response.headers.get('etag') || ''
     };
   }
+}
+
+// Taxonomy records use Darwin Core / GBIF prefixed keys (e.g. "dwc:scientificName");
+// strip the namespace so they line up with TaxonomyEntry
+function normalizeTaxonomyEntry(raw: Record<string, any>): TaxonomyEntry {
+  const entry: Record<string, any> = {};
+  Object.entries(raw).forEach(([key, value]) => {
+    entry[key.replace(/^(dwc|gbif):/, '')] = value;
+  });
+  return entry as TaxonomyEntry;
 }
\ No newline at end of file
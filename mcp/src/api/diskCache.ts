@@ -0,0 +1,173 @@
+import { createHash } from 'crypto';
+import { mkdir, readdir, readFile, rename, rm, stat, utimes, writeFile } from 'fs/promises';
+import path from 'path';
+import { CacheEntry, CacheKey } from './types.js';
+
+export interface DiskCacheOptions {
+  directory: string;
+  maxBytes: number;
+}
+
+interface DiskCacheRecord<T> extends CacheEntry<T> {
+  key: CacheKey;
+}
+
+export interface DiskCacheFile {
+  key: CacheKey;
+  size: number;
+  timestamp: number;
+  ttl: number;
+  lastAccess: number;
+}
+
+// Cache entries stored as one JSON file each, so they survive restarts and are
+// shared by every server process pointed at the same directory. A file's mtime
+// records its last use; the least recently used files are evicted once the
+// directory grows past maxBytes.
+export class DiskCache {
+  private directory: string;
+  private maxBytes: number;
+  private ready: Promise<void> | null = null;
+  // Running estimate of the directory size; null until the first scan
+  private knownBytes: number | null = null;
+
+  constructor(options: DiskCacheOptions) {
+    this.directory = path.resolve(options.directory);
+    this.maxBytes = options.maxBytes;
+  }
+
+  get path(): string {
+    return this.directory;
+  }
+
+  async read<T>(key: CacheKey): Promise<CacheEntry<T> | null> {
+    const file = this.fileFor(key);
+
+    let record: DiskCacheRecord<T>;
+    try {
+      record = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      // Missing, or left half-written by a crashed process
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        await rm(file, { force: true });
+      }
+      return null;
+    }
+
+    // Hash collisions are vanishingly unlikely, but never return another key's data
+    if (record.key !== key) {
+      return null;
+    }
+
+    const now = new Date();
+    await utimes(file, now, now).catch(() => undefined);
+    return { data: record.data, timestamp: record.timestamp, ttl: record.ttl };
+  }
+
+  async write<T>(key: CacheKey, entry: CacheEntry<T>): Promise<void> {
+    await this.ensureDirectory();
+
+    const file = this.fileFor(key);
+    const body = JSON.stringify({ key, ...entry } as DiskCacheRecord<T>);
+
+    // Write to a temporary file and rename so readers never see a partial entry
+    const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(temp, body);
+    await rename(temp, file);
+
+    if (this.knownBytes === null) {
+      await this.evict();
+    } else {
+      this.knownBytes += Buffer.byteLength(body);
+      if (this.knownBytes > this.maxBytes) {
+        await this.evict();
+      }
+    }
+  }
+
+  async delete(key: CacheKey): Promise<void> {
+    await rm(this.fileFor(key), { force: true });
+  }
+
+  async list(): Promise<DiskCacheFile[]> {
+    const names = await readdir(this.directory).catch(() => [] as string[]);
+    const files: DiskCacheFile[] = [];
+
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      const file = path.join(this.directory, name);
+      try {
+        const [info, text] = await Promise.all([stat(file), readFile(file, 'utf8')]);
+        const record = JSON.parse(text) as DiskCacheRecord<unknown>;
+        files.push({
+          key: record.key,
+          size: info.size,
+          timestamp: record.timestamp,
+          ttl: record.ttl,
+          lastAccess: info.mtimeMs
+        });
+      } catch (error) {
+        // Removed by another process while listing, or unreadable
+      }
+    }
+
+    return files;
+  }
+
+  // Delete entries matching a predicate; returns the keys removed
+  async purge(predicate: (file: DiskCacheFile) => boolean): Promise<CacheKey[]> {
+    const files = (await this.list()).filter(predicate);
+    await Promise.all(files.map(file => this.delete(file.key)));
+    this.knownBytes = null;
+    return files.map(file => file.key);
+  }
+
+  // Remove least recently used files until the directory is back under 90% of maxBytes
+  async evict(): Promise<void> {
+    const names = await readdir(this.directory).catch(() => [] as string[]);
+    const files: { file: string; size: number; lastAccess: number }[] = [];
+
+    for (const name of names) {
+      const file = path.join(this.directory, name);
+      const info = await stat(file).catch(() => null);
+      if (!info) continue;
+
+      // Temporary files older than a minute were abandoned mid-write
+      if (name.endsWith('.tmp')) {
+        if (Date.now() - info.mtimeMs > 60 * 1000) {
+          await rm(file, { force: true });
+        }
+        continue;
+      }
+      files.push({ file, size: info.size, lastAccess: info.mtimeMs });
+    }
+
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+
+    if (total > this.maxBytes) {
+      const target = this.maxBytes * 0.9;
+      files.sort((a, b) => a.lastAccess - b.lastAccess);
+
+      for (const file of files) {
+        if (total <= target) break;
+        await rm(file.file, { force: true });
+        total -= file.size;
+      }
+    }
+
+    this.knownBytes = total;
+  }
+
+  private fileFor(key: CacheKey): string {
+    return path.join(this.directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  private ensureDirectory(): Promise<void> {
+    if (!this.ready) {
+      this.ready = mkdir(this.directory, { recursive: true }).then(() => undefined, error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+}
\ No newline at end of file
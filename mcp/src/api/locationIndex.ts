@@ -0,0 +1,164 @@
+import { IndexedLocation, Location, LocationIndexQuery, SiteLocationIndex } from './types.js';
+
+// Where the index reads locations from; the API client in practice
+export interface LocationSource {
+  getSiteLocations(): Promise<Location[]>;
+  getLocation(locationName: string): Promise<Location>;
+}
+
+// Stop walking a site after this many locations, in case of a runaway hierarchy
+const MAX_LOCATIONS_PER_SITE = 10000;
+
+// Towers hang off the site root, so a tower search looks only this far down and
+// never below a tower, instead of walking every plot and sensor at each site
+const TOWER_SEARCH_DEPTH = 1;
+
+// How far a walk goes: no deeper than maxDepth, and not below locations where descend is false
+interface WalkLimits {
+  maxDepth: number;
+  descend: (location: IndexedLocation) => boolean;
+}
+
+interface CachedWalk {
+  expires: number;
+  index: Promise<SiteLocationIndex>;
+}
+
+// Every location at each site, found by walking the child links down from the
+// site root one level at a time. Each site is walked once per ttl; the location
+// requests themselves go through the client's response cache as well.
+export class LocationIndex {
+  private sites = new Map<string, CachedWalk>();
+  // Shallow walks made to find towers, kept apart from the full indexes
+  private towerWalks = new Map<string, CachedWalk>();
+
+  constructor(private source: LocationSource, private ttl: number) {}
+
+  async getSite(siteCode: string): Promise<SiteLocationIndex> {
+    return this.cached(this.sites, siteCode, () => this.build(siteCode));
+  }
+
+  // Matching locations across the requested sites, one site at a time
+  async find(query: LocationIndexQuery): Promise<IndexedLocation[]> {
+    const matches: IndexedLocation[] = [];
+
+    for (const siteCode of query.siteCodes) {
+      const { locations } = await this.getSite(siteCode);
+      matches.push(...locations.filter(location => matchesQuery(location, query)));
+    }
+
+    return matches;
+  }
+
+  // Towers at the requested sites, from the full index of a site when it has one
+  // and otherwise from a walk of the top of its hierarchy
+  async findTowers(siteCodes: string[]): Promise<IndexedLocation[]> {
+    const towers: IndexedLocation[] = [];
+
+    for (const siteCode of siteCodes) {
+      const full = this.sites.get(siteCode);
+      const { locations } = full && full.expires > Date.now()
+        ? await full.index
+        : await this.cached(this.towerWalks, siteCode, () => this.build(siteCode, {
+          maxDepth: TOWER_SEARCH_DEPTH,
+          descend: location => location.locationType !== 'TOWER'
+        }));
+      towers.push(...locations.filter(location => location.locationType === 'TOWER'));
+    }
+
+    return towers;
+  }
+
+  clear(): void {
+    this.sites.clear();
+    this.towerWalks.clear();
+  }
+
+  private cached(walks: Map<string, CachedWalk>, siteCode: string, walk: () => Promise<SiteLocationIndex>): Promise<SiteLocationIndex> {
+    const cached = walks.get(siteCode);
+    if (cached && cached.expires > Date.now()) {
+      return cached.index;
+    }
+
+    const index = walk();
+    walks.set(siteCode, { expires: Date.now() + this.ttl, index });
+    // A failed walk is not kept, so the next call tries again
+    index.catch(() => walks.delete(siteCode));
+    return index;
+  }
+
+  private async build(siteCode: string, limits?: WalkLimits): Promise<SiteLocationIndex> {
+    const root = (await this.source.getSiteLocations()).find(site => site.siteCode === siteCode);
+    if (!root) {
+      throw new Error(`No NEON site root location for ${siteCode}`);
+    }
+
+    const locations: IndexedLocation[] = [{ ...root, depth: 0, ancestors: [], heightAboveBase: 0 }];
+    // Heights are measured from the nearest tower above a location, or else the site root
+    const bases = new Map([[root.locationName, locations[0]]]);
+    const unavailable: string[] = [];
+    const visited = new Set([root.locationName]);
+    let frontier = locations.slice();
+
+    while (frontier.length > 0 && locations.length < MAX_LOCATIONS_PER_SITE) {
+      const parents = limits
+        ? frontier.filter(parent => parent.depth < limits.maxDepth && limits.descend(parent))
+        : frontier;
+      const children = parents.flatMap(parent =>
+        (parent.locationChildren || [])
+          .filter(name => !visited.has(name))
+          .map(name => {
+            visited.add(name);
+            return { name, parent };
+          })
+      ).slice(0, MAX_LOCATIONS_PER_SITE - locations.length);
+
+      // The client's scheduler limits how many of these run at once
+      const fetched = await Promise.all(children.map(async ({ name, parent }) => {
+        try {
+          const base = parent.locationType === 'TOWER' ? parent : bases.get(parent.locationName)!;
+          const location = indexed(await this.source.getLocation(name), parent, base);
+          bases.set(name, base);
+          return location;
+        } catch (error) {
+          unavailable.push(name);
+          return null;
+        }
+      }));
+
+      frontier = fetched.filter((location): location is IndexedLocation => location !== null);
+      locations.push(...frontier);
+    }
+
+    return { siteCode, locations, unavailable, builtAt: new Date().toISOString() };
+  }
+}
+
+function indexed(location: Location, parent: IndexedLocation, base: IndexedLocation): IndexedLocation {
+  return {
+    ...location,
+    depth: parent.depth + 1,
+    ancestors: [...parent.ancestors, parent.locationName],
+    heightAboveBase: roundMeters(location.locationElevation - base.locationElevation)
+  };
+}
+
+function matchesQuery(location: IndexedLocation, query: LocationIndexQuery): boolean {
+  if (query.locationType) {
+    const type = location.locationType.toLowerCase();
+    const wanted = query.locationType.toLowerCase();
+    if (query.exactType ? type !== wanted : !type.includes(wanted)) {
+      return false;
+    }
+  }
+  const height = location.heightAboveBase;
+  const elevation = location.locationElevation;
+  return (query.minHeight === undefined || height >= query.minHeight) &&
+    (query.maxHeight === undefined || height <= query.maxHeight) &&
+    (query.minElevation === undefined || elevation >= query.minElevation) &&
+    (query.maxElevation === undefined || elevation <= query.maxElevation);
+}
+
+function roundMeters(value: number): number {
+  return Math.round(value * 100) / 100;
+}
\ No newline at end of file
@@ -0,0 +1,177 @@
+import { Response } from 'node-fetch';
+import { RateLimitStatus } from './types.js';
+
+export interface SchedulerOptions {
+  maxConcurrent: number;
+  // How many times a 429 response is retried after waiting
+  maxRetries: number;
+}
+
+interface QueuedRequest {
+  start: () => void;
+  enqueuedAt: number;
+}
+
+// When the API doesn't say how fast the burst recovers, pace at the public rate (2 requests/second)
+const DEFAULT_RECOVERY_INTERVAL = 500;
+
+// Queues requests to the NEON API so they stay within the rate limit reported in
+// the X-RateLimit-* headers: at most maxConcurrent run at once, and once the burst
+// is used up requests are paced at the rate it recovers. A 429 pauses the whole
+// queue for Retry-After seconds before the request is retried.
+export class RateLimitScheduler {
+  private queue: QueuedRequest[] = [];
+  private inFlight = 0;
+  private timer: NodeJS.Timeout | null = null;
+
+  private limit: number | null = null;
+  private remaining: number | null = null;
+  private resetAt: number | null = null;
+  private recoveryInterval = DEFAULT_RECOVERY_INTERVAL;
+  private blockedUntil = 0;
+  private nextSlotAt = 0;
+  private updatedAt: number | null = null;
+
+  private requests = 0;
+  private throttled = 0;
+  private waitedMs = 0;
+
+  constructor(private options: SchedulerOptions) {}
+
+  async run(send: () => Promise<Response>): Promise<Response> {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+
+      let response: Response;
+      try {
+        response = await send();
+        this.update(response);
+      } finally {
+        this.release();
+      }
+
+      if (response.status !== 429 || attempt >= this.options.maxRetries) {
+        return response;
+      }
+
+      // Free the connection before waiting to retry
+      await response.arrayBuffer().catch(() => undefined);
+    }
+  }
+
+  getStatus(): RateLimitStatus {
+    const now = Date.now();
+    return {
+      limit: this.limit,
+      remaining: this.remaining,
+      resetSeconds: this.resetAt !== null ? Math.max(0, Math.ceil((this.resetAt - now) / 1000)) : null,
+      blockedForMs: Math.max(0, this.blockedUntil - now),
+      queued: this.queue.length,
+      inFlight: this.inFlight,
+      requests: this.requests,
+      throttled: this.throttled,
+      waitedMs: this.waitedMs,
+      updatedAt: this.updatedAt !== null ? new Date(this.updatedAt).toISOString() : null
+    };
+  }
+
+  private acquire(): Promise<void> {
+    return new Promise(resolve => {
+      this.queue.push({ start: resolve, enqueuedAt: Date.now() });
+      this.pump();
+    });
+  }
+
+  private release(): void {
+    this.inFlight--;
+    this.pump();
+  }
+
+  // Start as many queued requests as the limit allows, or wait for the next slot
+  private pump(): void {
+    if (this.timer) return;
+
+    while (this.queue.length > 0 && this.inFlight < this.options.maxConcurrent) {
+      const now = Date.now();
+      const wait = this.delayBeforeNext(now);
+
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, wait);
+        return;
+      }
+
+      const request = this.queue.shift()!;
+      this.inFlight++;
+      this.requests++;
+      this.waitedMs += now - request.enqueuedAt;
+
+      // Count the request against the burst until the response reports the real value
+      if (this.remaining !== null) {
+        this.remaining = Math.max(0, this.remaining - 1);
+        if (this.remaining === 0) {
+          this.nextSlotAt = now + this.recoveryInterval;
+        }
+      }
+
+      request.start();
+    }
+  }
+
+  private delayBeforeNext(now: number): number {
+    if (this.blockedUntil > now) {
+      return this.blockedUntil - now;
+    }
+    if (this.remaining !== null && this.remaining <= 0 && this.nextSlotAt > now) {
+      return this.nextSlotAt - now;
+    }
+    return 0;
+  }
+
+  private update(response: Response): void {
+    const now = Date.now();
+    const limit = readHeaderNumber(response, 'x-ratelimit-limit');
+    const remaining = readHeaderNumber(response, 'x-ratelimit-remaining');
+    const reset = readHeaderNumber(response, 'x-ratelimit-reset');
+    // The rate limiting docs spell this header "RetryAfter"
+    const retryAfter = readHeaderNumber(response, 'retry-after') ?? readHeaderNumber(response, 'retryafter');
+
+    if (limit !== null) this.limit = limit;
+    if (remaining !== null) this.remaining = remaining;
+    if (reset !== null) {
+      this.resetAt = now + reset * 1000;
+
+      // The burst refills to the limit over `reset` seconds
+      const missing = (this.limit ?? 0) - (remaining ?? this.remaining ?? 0);
+      if (reset > 0 && missing > 0) {
+        this.recoveryInterval = (reset * 1000) / missing;
+      }
+    }
+    if (limit !== null || remaining !== null || reset !== null) {
+      this.updatedAt = now;
+    }
+    // An exhausted burst reported by the API paces the queue like one used up here
+    if (remaining !== null && remaining <= 0) {
+      this.nextSlotAt = Math.max(this.nextSlotAt, now + this.recoveryInterval);
+    }
+
+    if (response.status === 429) {
+      this.throttled++;
+      this.remaining = 0;
+      this.blockedUntil = Math.max(this.blockedUntil, now + (retryAfter ?? 1) * 1000);
+    } else if (retryAfter !== null) {
+      this.blockedUntil = Math.max(this.blockedUntil, now + retryAfter * 1000);
+    }
+  }
+}
+
+function readHeaderNumber(response: Response, name: string): number | null {
+  const value = response.headers.get(name);
+  if (value === null || value.trim() === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
\ No newline at end of file
@@ -7,6 +7,8 @@ export interface NeonApiResponse<T> {
 export interface NeonErrorResponse {
   detail: string;
   status: number;
+  // Rate limit (429) responses carry only a message
+  message?: string;
 }
 
 // Product Types
@@ -85,6 +87,32 @@ export interface DataQueryResult {
   }[];
 }
 
+// Files published for a single product/site/month
+export interface MonthlyDataFiles {
+  productCode: string;
+  siteCode: string;
+  month: string;
+  release: string;
+  packages: {
+    type: string;
+    url: string;
+  }[];
+  files: DataFile[];
+}
+
+// One row of a variables_*.csv file
+export interface VariableDefinition {
+  table: string;
+  fieldName: string;
+  description: string;
+  dataType: string;
+  units: string;
+  downloadPkg: string;
+  pubFormat: string;
+  primaryKey?: string;
+  categoricalCodeName?: string;
+}
+
 // Location Types
 export interface LocationHistory {
   current: boolean;
@@ -118,12 +146,61 @@ export interface Location {
   locationHistory?: LocationHistory[];
 }
 
+// A location and the part of the hierarchy below it, as walked by getLocationTree
+export interface LocationTreeNode {
+  locationName: string;
+  depth: number;
+  // Missing when the location could not be fetched
+  location?: Location;
+  children: LocationTreeNode[];
+  // Children not walked because they are below maxDepth or over the node limit
+  omittedChildren: number;
+}
+
+export interface LocationTree {
+  root: LocationTreeNode;
+  nodeCount: number;
+  unavailable: string[];
+  truncated: boolean;
+}
+
+// A location found by walking a site's hierarchy down from the site root
+export interface IndexedLocation extends Location {
+  depth: number;
+  // Names from the site root down to the parent
+  ancestors: string[];
+  // Meters above the nearest TOWER ancestor, or above the site root
+  heightAboveBase: number;
+}
+
+export interface SiteLocationIndex {
+  siteCode: string;
+  locations: IndexedLocation[];
+  // Children listed in the hierarchy that could not be fetched
+  unavailable: string[];
+  builtAt: string;
+}
+
+export interface LocationIndexQuery {
+  siteCodes: string[];
+  // Case-insensitive; matched as a substring unless exactType is set
+  locationType?: string;
+  exactType?: boolean;
+  minHeight?: number;
+  maxHeight?: number;
+  minElevation?: number;
+  maxElevation?: number;
+}
+
 // Taxonomy Types
 export interface TaxonomyEntry {
   taxonID: string;
+  acceptedTaxonID?: string;
   scientificName: string;
+  scientificNameAuthorship?: string;
   taxonRank: string;
   kingdom?: string;
+  division?: string;
   phylum?: string;
   class?: string;
   order?: string;
@@ -139,37 +216,225 @@ export interface TaxonomyResponse {
   data: TaxonomyEntry[];
   count: number;
   total: number;
+  prev?: string;
+  next?: string;
 }
 
 // Sample Types
+export interface SmsField {
+  smsKey: string;
+  smsValue: string;
+}
+
 export interface SampleEvent {
-  eventDate: string;
-  eventType: string;
-  eventLocation: string;
-  eventDescription: string;
-  eventPersonnel: string[];
+  ingestTableName: string;
+  smsFieldEntries: SmsField[];
 }
 
-export interface Sample {
+export interface SampleInfo {
   sampleUuid: string;
   sampleTag: string;
   sampleClass: string;
   barcode?: string;
   archiveGuid?: string;
-  parentSampleUuid?: string;
-  childSampleUuids?: string[];
-  events: SampleEvent[];
+}
+
+export interface Sample extends SampleInfo {
+  sampleEvents: SampleEvent[];
+  parentSampleIdentifiers: SampleInfo[];
+  childSampleIdentifiers: SampleInfo[];
+}
+
+export interface SampleHierarchyNode {
+  sample: Sample;
+  degree: number;
+  relation: 'root' | 'parent' | 'child';
+  reachedFrom?: string;
+}
+
+export interface SampleClassEntry {
+  key: string;
+  value: string;
 }
 
 // Release Types
+export interface ReleaseArtifact {
+  name: string;
+  type: string;
+  url: string;
+  size: number;
+  md5: string;
+}
+
+export interface ReleaseDataProduct {
+  productCode: string;
+  productName: string;
+  productDescription: string;
+  productDoi: string;
+}
+
 export interface Release {
-  releaseTag: string;
-  releaseUuid: string;
-  releaseGenerationDate: string;
-  releaseDescription: string;
-  releaseDOI: string;
-  associatedProducts: string[];
-  associatedSites: string[];
+  release: string;
+  uuid: string;
+  generationDate: string;
+  artifacts: ReleaseArtifact[];
+  dataProducts: ReleaseDataProduct[];
+}
+
+// Prototype Dataset Types
+export interface PrototypeDataFile {
+  name: string;
+  description: string;
+  // Bytes, as a string
+  fileSize: string;
+  fileName: string;
+  md5: string;
+  url: string;
+  type: {
+    name: string;
+    description: string;
+  };
+}
+
+export interface PrototypeDataLocation {
+  path: string;
+  description: string;
+  metadata: boolean;
+}
+
+export interface PrototypeLocation {
+  domain: string;
+  state: string;
+  siteCode: string;
+  siteName: string;
+  latitude: string;
+  longitude: string;
+}
+
+export interface PrototypeDataset {
+  uuid: string;
+  projectTitle: string;
+  projectDescription: string;
+  designDescription: string;
+  metadataDescription: string;
+  studyAreaDescription: string;
+  datasetAbstract: string;
+  startYear: number;
+  endYear: number;
+  dateUploaded: string;
+  isPublished: boolean;
+  version: string;
+  versionDescription: string;
+  doi?: {
+    url: string;
+    generationDate: string;
+  };
+  relatedVersions: {
+    datasetUuid: string;
+    datasetProjectTitle: string;
+    datasetVersion: string;
+  }[];
+  data?: {
+    url: string;
+    files: PrototypeDataFile[];
+    dataLocations: PrototypeDataLocation[];
+  };
+  dataThemes: string[];
+  fileTypes: {
+    name: string;
+    description: string;
+  }[];
+  keywords: string[];
+  locations: PrototypeLocation[];
+  publicationCitations: {
+    citation: string;
+    citationIdentifier: string;
+    citationIdentifierType: string;
+  }[];
+  relatedDataProducts: {
+    dataProductIdq: string;
+    dataProductCode: string;
+    dataProductName: string;
+    dataProductDescription: string;
+  }[];
+  scienceTeams: string[];
+}
+
+// The files of one prototype dataset, from /prototype/data/{uuid}
+export interface PrototypeDatasetData {
+  datasetUuid: string;
+  datasetProjectTitle: string;
+  files: PrototypeDataFile[];
+  dataLocations: PrototypeDataLocation[];
+}
+
+// Download Types
+// Files of a data query carry their site, month, release and package; files of a
+// prototype dataset carry the dataset UUID instead
+export interface DownloadManifestEntry {
+  siteCode?: string;
+  month?: string;
+  release?: string;
+  package?: string;
+  dataset?: string;
+  name: string;
+  path: string;
+  url: string;
+  size: number;
+  md5?: string;
+  crc32c?: string;
+  status: 'downloaded' | 'skipped' | 'failed';
+  checksumMethod?: 'md5' | 'crc32c' | 'none';
+  error?: string;
+  completedAt?: string;
+}
+
+export interface DownloadManifest {
+  createdAt: string;
+  updatedAt: string;
+  files: DownloadManifestEntry[];
+}
+
+export interface DownloadReport {
+  outputDir: string;
+  manifestPath: string;
+  downloaded: number;
+  skipped: number;
+  failed: number;
+  bytesDownloaded: number;
+  entries: DownloadManifestEntry[];
+}
+
+// Stacking Types
+export interface StackedTable {
+  table: string;
+  path: string;
+  columns: string[];
+  rows: number;
+  duplicatesDropped: number;
+  sourceFiles: number;
+}
+
+export interface StackReport {
+  outputDir: string;
+  format: 'csv' | 'ndjson';
+  tables: StackedTable[];
+  metadataFiles: string[];
+  failedFiles: { name: string; error: string }[];
+}
+
+// Rate limit state reported by the request scheduler
+export interface RateLimitStatus {
+  limit: number | null;
+  remaining: number | null;
+  resetSeconds: number | null;
+  blockedForMs: number;
+  queued: number;
+  inFlight: number;
+  requests: number;
+  throttled: number;
+  waitedMs: number;
+  updatedAt: string | null;
 }
 
 // Cache Types
@@ -180,4 +445,17 @@ export interface CacheEntry<T> {
 }
 
 export type CacheKey = string;
-export type CacheStore = Map<CacheKey, CacheEntry<any>>;
\ No newline at end of file
+export type CacheStore = Map<CacheKey, CacheEntry<any>>;
+
+export interface CacheStats {
+  memoryEntries: number;
+  memoryMaxEntries: number;
+  diskDirectory: string | null;
+  diskEntries: number;
+  diskBytes: number;
+  diskExpiredEntries: number;
+  hits: number;
+  staleHits: number;
+  misses: number;
+  diskHits: number;
+}
\ No newline at end of file
@@ -0,0 +1,183 @@
+import { existsSync, readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { z } from 'zod';
+
+// Looked for in the working directory when no config file is named
+export const DEFAULT_CONFIG_FILE = 'neon-mcp.config.json';
+
+const milliseconds = z.number().int().min(0);
+
+function defaultCacheDirectory(): string {
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'neon-mcp');
+}
+
+function defaultDownloadRoot(): string {
+  return path.join(os.homedir(), 'neon-data');
+}
+
+const ConfigSchema = z.object({
+  api: z.object({
+    baseUrl: z.string().url().default('https://data.neonscience.org'),
+    token: z.string().min(1).optional(),
+    timeout: milliseconds.min(1).default(30 * 1000),
+    retryAttempts: z.number().int().min(1).max(10).default(3),
+    retryDelay: milliseconds.default(1000),
+    maxConcurrent: z.number().int().min(1).max(32).default(4)
+  }).strict().default({}),
+  cache: z.object({
+    defaultTtl: milliseconds.default(60 * 60 * 1000),
+    dataQueryTtl: milliseconds.default(30 * 60 * 1000),
+    // File listings carry signed URLs that expire after an hour
+    fileListTtl: milliseconds.max(60 * 60 * 1000).default(10 * 60 * 1000),
+    cleanupInterval: milliseconds.min(1000).default(10 * 60 * 1000),
+    // Keep responses on disk so they survive restarts and are shared between processes
+    persistent: z.boolean().default(true),
+    directory: z.string().min(1).default(defaultCacheDirectory),
+    maxBytes: z.number().int().min(1024 * 1024).default(100 * 1024 * 1024),
+    maxEntries: z.number().int().min(1).default(500),
+    // How long expired /products and /sites responses may be served while refreshed
+    staleTtl: milliseconds.default(7 * 24 * 60 * 60 * 1000)
+  }).strict().default({}),
+  server: z.object({
+    transport: z.enum(['stdio', 'http']).default('stdio'),
+    host: z.string().min(1).default('127.0.0.1'),
+    port: z.number().int().min(0).max(65535).default(3000),
+    shutdownTimeout: milliseconds.default(30 * 1000),
+    // How often subscribed resources are checked for changes; 0 turns polling off
+    resourcePollInterval: milliseconds.default(10 * 60 * 1000)
+  }).strict().default({}),
+  offline: z.object({
+    // Serve API responses from this recorded snapshot instead of the network
+    snapshotDir: z.string().min(1).optional()
+  }).strict().default({}),
+  downloads: z.object({
+    // Tools only write and read local files below this directory; relative paths start here
+    root: z.string().min(1).default(defaultDownloadRoot)
+  }).strict().default({})
+}).strict();
+
+export type NeonConfig = z.infer<typeof ConfigSchema>;
+export type ApiConfig = NeonConfig['api'];
+export type CacheConfig = NeonConfig['cache'];
+export type ServerConfig = NeonConfig['server'];
+export type OfflineConfig = NeonConfig['offline'];
+export type DownloadsConfig = NeonConfig['downloads'];
+
+export const DEFAULT_CONFIG: NeonConfig = ConfigSchema.parse({});
+
+// Environment variables and the config setting each one overrides
+const ENV_SETTINGS: Record<string, { section: keyof NeonConfig; key: string; type?: 'number' | 'boolean' }> = {
+  NEON_API_BASE_URL: { section: 'api', key: 'baseUrl' },
+  NEON_API_TOKEN: { section: 'api', key: 'token' },
+  NEON_API_TIMEOUT: { section: 'api', key: 'timeout', type: 'number' },
+  NEON_API_RETRY_ATTEMPTS: { section: 'api', key: 'retryAttempts', type: 'number' },
+  NEON_API_RETRY_DELAY: { section: 'api', key: 'retryDelay', type: 'number' },
+  NEON_API_MAX_CONCURRENT: { section: 'api', key: 'maxConcurrent', type: 'number' },
+  NEON_CACHE_TTL: { section: 'cache', key: 'defaultTtl', type: 'number' },
+  NEON_CACHE_QUERY_TTL: { section: 'cache', key: 'dataQueryTtl', type: 'number' },
+  NEON_CACHE_FILE_LIST_TTL: { section: 'cache', key: 'fileListTtl', type: 'number' },
+  NEON_CACHE_PERSISTENT: { section: 'cache', key: 'persistent', type: 'boolean' },
+  NEON_CACHE_DIR: { section: 'cache', key: 'directory' },
+  NEON_CACHE_MAX_BYTES: { section: 'cache', key: 'maxBytes', type: 'number' },
+  NEON_CACHE_STALE_TTL: { section: 'cache', key: 'staleTtl', type: 'number' },
+  NEON_MCP_TRANSPORT: { section: 'server', key: 'transport' },
+  NEON_MCP_HOST: { section: 'server', key: 'host' },
+  NEON_MCP_PORT: { section: 'server', key: 'port', type: 'number' },
+  NEON_MCP_RESOURCE_POLL_INTERVAL: { section: 'server', key: 'resourcePollInterval', type: 'number' },
+  NEON_OFFLINE_SNAPSHOT: { section: 'offline', key: 'snapshotDir' },
+  NEON_DOWNLOAD_ROOT: { section: 'downloads', key: 'root' }
+};
+
+// Command line flags and the setting each one overrides
+const CLI_FLAGS: Record<string, { section: keyof NeonConfig; key: string; type?: 'number' | 'boolean' }> = {
+  transport: { section: 'server', key: 'transport' },
+  host: { section: 'server', key: 'host' },
+  port: { section: 'server', key: 'port', type: 'number' },
+  offline: { section: 'offline', key: 'snapshotDir' }
+};
+
+// Build the configuration from, in increasing precedence: defaults, the config
+// file (--config, NEON_MCP_CONFIG or ./neon-mcp.config.json), environment
+// variables and command line flags (--transport, --host, --port, --offline).
+// Throws if any setting is invalid.
+export function loadConfig(argv: string[], env: NodeJS.ProcessEnv, cwd: string = process.cwd()): NeonConfig {
+  const flags = parseFlags(argv);
+  const configPath = flags.get('config') || env.NEON_MCP_CONFIG;
+  const raw: Record<string, Record<string, unknown>> = { api: {}, cache: {}, server: {}, offline: {}, downloads: {} };
+
+  const filePath = configPath ? path.resolve(cwd, configPath) : path.join(cwd, DEFAULT_CONFIG_FILE);
+  if (configPath || existsSync(filePath)) {
+    const fromFile = readConfigFile(filePath);
+    Object.entries(fromFile).forEach(([section, values]) => {
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`Invalid config file ${filePath}: "${section}" must be an object`);
+      }
+      raw[section] = { ...(values as Record<string, unknown>) };
+    });
+  }
+
+  Object.entries(ENV_SETTINGS).forEach(([name, setting]) => {
+    const value = env[name];
+    if (value !== undefined && value !== '') {
+      raw[setting.section][setting.key] = convertSetting(value, setting.type);
+    }
+  });
+
+  Object.entries(CLI_FLAGS).forEach(([flag, setting]) => {
+    const value = flags.get(flag);
+    if (value !== undefined) {
+      raw[setting.section][setting.key] = convertSetting(value, setting.type);
+    }
+  });
+
+  const result = ConfigSchema.safeParse(raw);
+  if (!result.success) {
+    const issues = result.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+    throw new Error(`Invalid configuration: ${issues}`);
+  }
+  return result.data;
+}
+
+// Convert an environment or flag string; unrecognised values are left for validation to reject
+function convertSetting(value: string, type?: 'number' | 'boolean'): unknown {
+  if (type === 'number') {
+    return Number(value);
+  }
+  if (type === 'boolean') {
+    if (/^(true|1|yes)$/i.test(value)) return true;
+    if (/^(false|0|no)$/i.test(value)) return false;
+  }
+  return value;
+}
+
+function readConfigFile(filePath: string): Record<string, unknown> {
+  let text: string;
+  try {
+    text = readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read config file ${filePath}: ${(error as Error).message}`);
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object');
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid config file ${filePath}: ${(error as Error).message}`);
+  }
+}
+
+// Accepts both "--port 3000" and "--port=3000"
+function parseFlags(argv: string[]): Map<string, string> {
+  const flags = new Map<string, string>();
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(config|transport|port|host|offline)(?:=(.*))?$/);
+    if (match) {
+      flags.set(match[1], match[2] ?? argv[++i] ?? '');
+    }
+  }
+  return flags;
+}
\ No newline at end of file
@@ -0,0 +1,73 @@
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+
+// CRC-32C (Castagnoli) lookup table, reflected polynomial 0x82F63B78
+const CRC32C_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0x82F63B78 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function updateCrc32c(crc: number, chunk: Uint8Array): number {
+  let c = crc ^ 0xFFFFFFFF;
+  for (let i = 0; i < chunk.length; i++) {
+    c = CRC32C_TABLE[(c ^ chunk[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+export interface FileChecksums {
+  md5: string;
+  crc32c: string;
+  size: number;
+}
+
+// Compute MD5 and CRC-32C (both hex) of a file in a single pass
+export async function computeChecksums(filePath: string): Promise<FileChecksums> {
+  const md5 = createHash('md5');
+  let crc = 0;
+  let size = 0;
+
+  for await (const chunk of createReadStream(filePath)) {
+    const bytes = chunk as Buffer;
+    md5.update(bytes);
+    crc = updateCrc32c(crc, bytes);
+    size += bytes.length;
+  }
+
+  return {
+    md5: md5.digest('hex'),
+    crc32c: crc.toString(16).padStart(8, '0'),
+    size
+  };
+}
+
+// NEON reports CRC-32C as hex, but cloud storage tools use base64 of the
+// big-endian bytes; accept either form
+export function crc32cMatches(expected: string, actualHex: string): boolean {
+  const value = expected.trim();
+  if (/^(0x)?[0-9a-f]{1,8}$/i.test(value)) {
+    return parseInt(value.replace(/^0x/i, ''), 16) === parseInt(actualHex, 16);
+  }
+  return Buffer.from(actualHex, 'hex').toString('base64') === value;
+}
+
+// Verify a downloaded file against whichever checksums the API provided
+export function verifyChecksums(
+  expected: { md5?: string; crc32c?: string },
+  actual: FileChecksums
+): { verified: boolean; method: 'md5' | 'crc32c' | 'none' } {
+  if (expected.md5) {
+    return { verified: expected.md5.toLowerCase() === actual.md5, method: 'md5' };
+  }
+  if (expected.crc32c) {
+    return { verified: crc32cMatches(expected.crc32c, actual.crc32c), method: 'crc32c' };
+  }
+  return { verified: true, method: 'none' };
+}
\ No newline at end of file
@@ -0,0 +1,293 @@
+import fetch, { Response } from 'node-fetch';
+import { createWriteStream } from 'fs';
+import { mkdir, readFile, rename, rm, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import {
+  DataQueryResult,
+  DownloadManifest,
+  DownloadManifestEntry,
+  DownloadReport,
+  PrototypeDataFile,
+  PrototypeDatasetData
+} from '../api/types.js';
+import { computeChecksums, verifyChecksums } from './checksum.js';
+
+export const MANIFEST_FILENAME = 'manifest.json';
+
+export interface DownloadOptions {
+  outputDir: string;
+  concurrency?: number;
+  package?: 'basic' | 'expanded';
+  // Selects files by name
+  filePattern?: RegExp;
+  retryAttempts?: number;
+  retryDelay?: number;
+  // Sends the request for a file, e.g. through the API client for files the API
+  // itself serves. Defaults to a plain fetch.
+  fetchFile?: (url: string, headers: Record<string, string>) => Promise<Response>;
+}
+
+// Downloads every file in a data query result into
+// <outputDir>/<release>/<siteCode>/<month>/<filename> (or the files of a prototype
+// dataset into <outputDir>/<uuid>/<filename>), verifying checksums and
+// recording progress in a manifest so an interrupted run can be resumed
+export class DownloadManager {
+  private outputDir: string;
+  private concurrency: number;
+  private packageFilter?: string;
+  private filePattern?: RegExp;
+  private retryAttempts: number;
+  private retryDelay: number;
+  private send: (url: string, headers: Record<string, string>) => Promise<Response>;
+  private manifestPath: string;
+  private manifest: DownloadManifest | null = null;
+  private manifestWrite: Promise<void> = Promise.resolve();
+
+  constructor(options: DownloadOptions) {
+    this.outputDir = path.resolve(options.outputDir);
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.packageFilter = options.package;
+    this.filePattern = options.filePattern;
+    this.retryAttempts = options.retryAttempts || 3;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.send = options.fetchFile || ((url, headers) => fetch(url, { headers }));
+    this.manifestPath = path.join(this.outputDir, MANIFEST_FILENAME);
+  }
+
+  // List the files a query result would download, after package and name filters
+  planDownloads(result: DataQueryResult): DownloadManifestEntry[] {
+    const entries: DownloadManifestEntry[] = [];
+
+    result.siteCodes.forEach(siteData => {
+      siteData.availableMonths.forEach(monthData => {
+        monthData.availableDataUrls.forEach(release => {
+          release.packages.forEach(pkg => {
+            if (this.packageFilter && pkg.package !== this.packageFilter) return;
+
+            pkg.files.forEach(file => {
+              if (this.filePattern && !this.filePattern.test(file.name)) return;
+
+              entries.push({
+                siteCode: siteData.siteCode,
+                month: monthData.month,
+                release: release.release,
+                package: pkg.package,
+                name: file.name,
+                path: path.join(release.release, siteData.siteCode, monthData.month, file.name),
+                url: file.url,
+                size: file.size,
+                md5: file.md5 || undefined,
+                crc32c: file.crc32c || undefined,
+                status: 'failed'
+              });
+            });
+          });
+        });
+      });
+    });
+
+    // The same file can be listed under both packages; download it once
+    const unique = new Map(entries.map(entry => [entry.path, entry]));
+    return Array.from(unique.values());
+  }
+
+  // List the files of a prototype dataset to download into <outputDir>/<uuid>/<fileName>,
+  // after the name filter. fileUrl gives the address to fetch each file from.
+  planPrototypeDownloads(data: PrototypeDatasetData, fileUrl: (file: PrototypeDataFile) => string): DownloadManifestEntry[] {
+    return (data.files || [])
+      .filter(file => !this.filePattern || this.filePattern.test(file.fileName))
+      .map(file => ({
+        dataset: data.datasetUuid,
+        name: file.fileName,
+        path: path.join(data.datasetUuid, file.fileName),
+        url: fileUrl(file),
+        size: parseInt(file.fileSize, 10) || 0,
+        md5: file.md5 || undefined,
+        status: 'failed'
+      }));
+  }
+
+  async download(result: DataQueryResult): Promise<DownloadReport> {
+    return this.downloadEntries(this.planDownloads(result));
+  }
+
+  async downloadPrototype(data: PrototypeDatasetData, fileUrl: (file: PrototypeDataFile) => string): Promise<DownloadReport> {
+    return this.downloadEntries(this.planPrototypeDownloads(data, fileUrl));
+  }
+
+  private async downloadEntries(queue: DownloadManifestEntry[]): Promise<DownloadReport> {
+    await mkdir(this.outputDir, { recursive: true });
+    await this.loadManifest();
+
+    const entries: DownloadManifestEntry[] = [];
+    let bytesDownloaded = 0;
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const entry = queue.shift()!;
+        const { entry: finished, bytes } = await this.processEntry(entry);
+        bytesDownloaded += bytes;
+        entries.push(finished);
+        await this.recordEntry(finished);
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.concurrency, queue.length) }, worker);
+    await Promise.all(workers);
+    await this.manifestWrite;
+
+    entries.sort((a, b) => a.path.localeCompare(b.path));
+
+    return {
+      outputDir: this.outputDir,
+      manifestPath: this.manifestPath,
+      downloaded: entries.filter(e => e.status === 'downloaded').length,
+      skipped: entries.filter(e => e.status === 'skipped').length,
+      failed: entries.filter(e => e.status === 'failed').length,
+      bytesDownloaded,
+      entries
+    };
+  }
+
+  private async processEntry(entry: DownloadManifestEntry): Promise<{ entry: DownloadManifestEntry; bytes: number }> {
+    // File names come from the API; anything but a plain name could write elsewhere
+    if (!isPlainFileName(entry.name)) {
+      return { entry: { ...entry, status: 'failed', error: `Refusing to download ${JSON.stringify(entry.name)}: not a plain file name` }, bytes: 0 };
+    }
+
+    // So are the release, site and month directories; every target stays inside outputDir
+    const target = path.resolve(this.outputDir, entry.path);
+    if (!isWithin(this.outputDir, target) || target === this.manifestPath) {
+      return { entry: { ...entry, status: 'failed', error: `Refusing to download ${entry.path}: outside ${this.outputDir}` }, bytes: 0 };
+    }
+
+    // Files already on disk that pass verification are not fetched again
+    if (await this.isComplete(entry, target)) {
+      return { entry: { ...entry, status: 'skipped', error: undefined }, bytes: 0 };
+    }
+
+    let lastError: Error | null = null;
+
+    for (let attempt = 0; attempt < this.retryAttempts; attempt++) {
+      try {
+        const bytes = await this.fetchFile(entry, target);
+        const checksums = await computeChecksums(`${target}.part`);
+        const { verified, method } = verifyChecksums(entry, checksums);
+
+        if (!verified || (entry.size > 0 && checksums.size !== entry.size)) {
+          await rm(`${target}.part`, { force: true });
+          throw new Error(`Checksum mismatch for ${entry.name}`);
+        }
+
+        await rename(`${target}.part`, target);
+        return {
+          entry: {
+            ...entry,
+            status: 'downloaded',
+            checksumMethod: method,
+            error: undefined,
+            completedAt: new Date().toISOString()
+          },
+          bytes
+        };
+      } catch (error) {
+        lastError = error as Error;
+
+        if (attempt < this.retryAttempts - 1) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelay * (attempt + 1)));
+        }
+      }
+    }
+
+    return {
+      entry: { ...entry, status: 'failed', error: lastError?.message || 'Download failed' },
+      bytes: 0
+    };
+  }
+
+  private async isComplete(entry: DownloadManifestEntry, target: string): Promise<boolean> {
+    const existing = await stat(target).catch(() => null);
+    if (!existing) {
+      return false;
+    }
+
+    const checksums = await computeChecksums(target);
+    const { verified } = verifyChecksums(entry, checksums);
+    return verified && (entry.size === 0 || checksums.size === entry.size);
+  }
+
+  // Fetch into <target>.part, resuming from its current length with a Range request.
+  // Returns the number of bytes transferred.
+  private async fetchFile(entry: DownloadManifestEntry, target: string): Promise<number> {
+    const partPath = `${target}.part`;
+    await mkdir(path.dirname(target), { recursive: true });
+
+    const partial = await stat(partPath).catch(() => null);
+    let offset = partial ? partial.size : 0;
+
+    // A part file that already has every byte only needs verifying
+    if (entry.size > 0 && offset >= entry.size) {
+      if (offset === entry.size) {
+        return 0;
+      }
+      await rm(partPath, { force: true });
+      offset = 0;
+    }
+
+    const response = await this.send(entry.url, offset > 0 ? { Range: `bytes=${offset}-` } : {});
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Download failed for ${entry.name} (Status: ${response.status})`);
+    }
+
+    // Servers that ignore Range send the whole file again
+    const append = offset > 0 && response.status === 206;
+    let bytes = 0;
+    response.body.on('data', (chunk: Buffer) => {
+      bytes += chunk.length;
+    });
+
+    await pipeline(response.body, createWriteStream(partPath, { flags: append ? 'a' : 'w' }));
+    return bytes;
+  }
+
+  private async loadManifest(): Promise<void> {
+    try {
+      this.manifest = JSON.parse(await readFile(this.manifestPath, 'utf8')) as DownloadManifest;
+    } catch (error) {
+      const now = new Date().toISOString();
+      this.manifest = { createdAt: now, updatedAt: now, files: [] };
+    }
+  }
+
+  // Manifest writes are chained so concurrent workers never interleave them
+  private recordEntry(entry: DownloadManifestEntry): Promise<void> {
+    this.manifestWrite = this.manifestWrite.then(async () => {
+      const manifest = this.manifest!;
+      const index = manifest.files.findIndex(file => file.path === entry.path);
+
+      // A verified copy from an earlier run stays recorded as downloaded
+      const previous = index >= 0 ? manifest.files[index] : undefined;
+      const recorded = entry.status === 'skipped' && previous?.status === 'downloaded' ? previous : entry;
+
+      if (index >= 0) {
+        manifest.files[index] = recorded;
+      } else {
+        manifest.files.push(recorded);
+      }
+      manifest.updatedAt = new Date().toISOString();
+      await writeFile(this.manifestPath, JSON.stringify(manifest, null, 2));
+    });
+    return this.manifestWrite;
+  }
+}
+
+function isPlainFileName(name: string): boolean {
+  return name !== '' && name !== '.' && name !== '..' && !/[\\/\0]/.test(name);
+}
+
+function isWithin(directory: string, target: string): boolean {
+  const relative = path.relative(directory, target);
+  return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
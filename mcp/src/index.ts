@@ -1,26 +1,63 @@
 #!/usr/bin/env node
 
+import { AddressInfo } from 'net';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
   Tool,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { NeonApiClient } from './api/client.js';
+import { DEFAULT_CONFIG, NeonConfig, loadConfig } from './config.js';
 import { createProductTools, handleProductTool } from './tools/products.js';
 import { createSiteTools, handleSiteTool } from './tools/sites.js';
 import { createDataTools, handleDataTool } from './tools/data.js';
 import { createLocationTools, handleLocationTool } from './tools/locations.js';
+import { createTaxonomyTools, handleTaxonomyTool } from './tools/taxonomy.js';
+import { createSampleTools, handleSampleTool } from './tools/samples.js';
+import { createReleaseTools, handleReleaseTool } from './tools/releases.js';
+import { createPrototypeTools, handlePrototypeTool } from './tools/prototype.js';
+import { createTableTools, handleTableTool } from './tools/tables.js';
+import { createStatusTools, handleStatusTool } from './tools/status.js';
+import { createAvailabilityTools, handleAvailabilityTool } from './tools/availability.js';
+import { parseOutputFormat, ToolResponse, withOutputFormat } from './tools/output.js';
+import { listResources, readResource, RESOURCE_TEMPLATES } from './resources/catalog.js';
+import { ResourceWatcher } from './resources/watcher.js';
+import { getPrompt, PROMPTS } from './prompts/workflows.js';
+import { HttpTransportHost, MCP_PATH, SSE_PATH } from './transport/http.js';
 
-class NeonMcpServer {
-  private server: Server;
+export class NeonMcpServer {
+  private server: Server | null = null;
+  private httpHost: HttpTransportHost | null = null;
+  private httpAddress: AddressInfo | null = null;
   private client: NeonApiClient;
+  private resourceWatcher: ResourceWatcher;
   private tools: Tool[];
+  private activeCalls = new Set<Promise<unknown>>();
+  private shuttingDown = false;
+  private startedAt = Date.now();
 
-  constructor() {
-    this.server = new Server(
+  constructor(private config: NeonConfig = DEFAULT_CONFIG) {
+    this.client = new NeonApiClient(config);
+    this.resourceWatcher = new ResourceWatcher(this.client, config.server.resourcePollInterval);
+    this.tools = [];
+
+    this.setupTools();
+  }
+
+  // Each connection gets its own MCP Server; they all share the API client and its cache
+  private createServer(): Server {
+    const server = new Server(
       {
         name: 'neon-data-api',
         version: '1.0.0',
@@ -28,15 +65,19 @@ class NeonMcpServer {
       {
         capabilities: {
           tools: {},
+          resources: {
+            subscribe: true,
+            listChanged: true,
+          },
+          prompts: {},
         },
       }
     );
 
-    this.client = new NeonApiClient();
-    this.tools = [];
-
-    this.setupTools();
-    this.setupHandlers();
+    this.setupHandlers(server);
+    this.resourceWatcher.addServer(server);
+    server.onclose = () => this.resourceWatcher.removeServer(server);
+    return server;
   }
 
   private setupTools(): void {
@@ -45,94 +86,279 @@ class NeonMcpServer {
       ...createProductTools(this.client),
       ...createSiteTools(this.client),
       ...createDataTools(this.client),
+      ...createAvailabilityTools(this.client),
       ...createLocationTools(this.client),
-    ];
+      ...createTaxonomyTools(this.client),
+      ...createSampleTools(this.client),
+      ...createReleaseTools(this.client),
+      ...createPrototypeTools(this.client),
+      ...createTableTools(this.client),
+      ...createStatusTools(this.client),
+    ].map(withOutputFormat);
   }
 
-  private setupHandlers(): void {
+  private setupHandlers(server: Server): void {
     // Handle tool listing
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
         tools: this.tools,
       };
     });
 
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        // Route to appropriate tool handler based on tool name
-        if (name.startsWith('neon_list_products') || 
-            name.startsWith('neon_get_product') || 
-            name.startsWith('neon_search_products')) {
-          return await handleProductTool(name, args, this.client);
-        }
-        
-        if (name.startsWith('neon_list_sites') || 
-            name.startsWith('neon_get_site') || 
-            name.startsWith('neon_search_sites') ||
-            name.startsWith('neon_get_site_products')) {
-          return await handleSiteTool(name, args, this.client);
-        }
-        
-        if (name.startsWith('neon_query_data') || 
-            name.startsWith('neon_get_download_url') ||
-            name.startsWith('neon_summarize_data_availability')) {
-          return await handleDataTool(name, args, this.client);
-        }
-
-        if (name.startsWith('neon_get_location') || 
-            name.startsWith('neon_list_site_locations') ||
-            name.startsWith('neon_find_towers') ||
-            name.startsWith('neon_get_location_hierarchy') ||
-            name.startsWith('neon_search_locations')) {
-          return await handleLocationTool(name, args, this.client);
-        }
-
-        throw new Error(`Unknown tool: ${name}`);
-      } catch (error) {
-        const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+    // Handle tool calls, tracking them so shutdown can wait for them to finish
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      if (this.shuttingDown) {
         return {
           content: [
             {
               type: 'text',
-              text: `Error executing tool "${name}": ${errorMessage}`,
+              text: 'NEON MCP Server is shutting down; please retry shortly.',
             },
           ],
           isError: true,
         };
       }
+
+      const call = this.callTool(request.params.name, request.params.arguments);
+      this.activeCalls.add(call);
+      try {
+        return await call;
+      } finally {
+        this.activeCalls.delete(call);
+      }
+    });
+
+    // Products, sites, locations and releases as neon:// resources
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      return await listResources(this.client, request.params?.cursor);
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: RESOURCE_TEMPLATES,
+      };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return {
+        contents: [await readResource(this.client, request.params.uri)],
+      };
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      await this.resourceWatcher.subscribe(server, request.params.uri);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.resourceWatcher.unsubscribe(server, request.params.uri);
+      return {};
     });
+
+    // Prompt templates for common workflows
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: PROMPTS,
+      };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      return getPrompt(request.params.name, request.params.arguments);
+    });
+  }
+
+  private async callTool(name: string, args: any): Promise<ToolResponse> {
+    try {
+      parseOutputFormat(args);
+
+      // Route to appropriate tool handler based on tool name
+      if (name.startsWith('neon_list_products') || 
+          name.startsWith('neon_get_product') || 
+          name.startsWith('neon_search_products')) {
+        return await handleProductTool(name, args, this.client);
+      }
+      
+      if (name.startsWith('neon_list_sites') || 
+          name.startsWith('neon_get_site') || 
+          name.startsWith('neon_search_sites') ||
+          name.startsWith('neon_get_site_products')) {
+        return await handleSiteTool(name, args, this.client);
+      }
+      
+      if (name.startsWith('neon_query_data') || 
+          name.startsWith('neon_get_download_url') ||
+          name.startsWith('neon_cite_data') ||
+          name.startsWith('neon_download_data') ||
+          name.startsWith('neon_stack_data') ||
+          name.startsWith('neon_summarize_data_availability')) {
+        return await handleDataTool(name, args, this.client, this.config.downloads);
+      }
+
+      if (name.startsWith('neon_get_availability_matrix') ||
+          name.startsWith('neon_find_co_available_sites')) {
+        return await handleAvailabilityTool(name, args, this.client);
+      }
+
+      if (name.startsWith('neon_get_location') || 
+          name.startsWith('neon_list_site_locations') ||
+          name.startsWith('neon_find_towers') ||
+          name.startsWith('neon_find_locations') ||
+          name.startsWith('neon_detect_location_moves') ||
+          name.startsWith('neon_get_location_hierarchy') ||
+          name.startsWith('neon_search_locations')) {
+        return await handleLocationTool(name, args, this.client);
+      }
+
+      if (name.startsWith('neon_search_taxonomy') ||
+          name.startsWith('neon_resolve_taxon')) {
+        return await handleTaxonomyTool(name, args, this.client);
+      }
+
+      if (name.startsWith('neon_track_sample') ||
+          name.startsWith('neon_get_sample_classes') ||
+          name.startsWith('neon_list_sample_classes')) {
+        return await handleSampleTool(name, args, this.client);
+      }
+
+      if (name.startsWith('neon_list_releases') ||
+          name.startsWith('neon_get_release') ||
+          name.startsWith('neon_compare_releases')) {
+        return await handleReleaseTool(name, args, this.client);
+      }
+
+      if (name.startsWith('neon_search_prototype_datasets') ||
+          name.startsWith('neon_get_prototype_dataset') ||
+          name.startsWith('neon_list_prototype_files') ||
+          name.startsWith('neon_download_prototype_files')) {
+        return await handlePrototypeTool(name, args, this.client, this.config.downloads);
+      }
+
+      if (name.startsWith('neon_get_variables') ||
+          name.startsWith('neon_preview_table')) {
+        return await handleTableTool(name, args, this.client);
+      }
+
+      if (name.startsWith('neon_get_rate_limit_status') ||
+          name.startsWith('neon_get_cache_stats') ||
+          name.startsWith('neon_purge_cache')) {
+        return await handleStatusTool(name, args, this.client);
+      }
+
+      throw new Error(`Unknown tool: ${name}`);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error executing tool "${name}": ${errorMessage}`,
+          },
+        ],
+        isError: true,
+      };
+    }
   }
 
   async run(): Promise<void> {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    const options = this.config.server;
+
+    if (options.transport === 'http') {
+      this.httpHost = new HttpTransportHost(() => this.createServer(), {
+        host: options.host,
+        port: options.port,
+        getHealth: () => ({
+          activeCalls: this.activeCalls.size,
+          tools: this.tools.length,
+          uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+        })
+      });
+      const address = await this.httpHost.start();
+      this.httpAddress = address;
+      const origin = `http://${address.address}:${address.port}`;
+      console.error(`NEON MCP Server listening on ${origin}${MCP_PATH} (Streamable HTTP; legacy SSE clients use ${origin}${SSE_PATH})`);
+    } else {
+      this.server = await this.connect(new StdioServerTransport());
+    }
     
     // Log server startup
     console.error('NEON MCP Server started successfully');
+    if (this.config.offline.snapshotDir) {
+      console.error(`NEON API: offline, serving the snapshot at ${this.client.getSnapshotDirectory()}`);
+    } else {
+      console.error(`NEON API: ${this.config.api.baseUrl}${this.config.api.token ? ' (using API token)' : ''}`);
+    }
     console.error(`Available tools: ${this.tools.length}`);
     console.error('Tools:', this.tools.map(t => t.name).join(', '));
   }
+
+  // Where the HTTP transport listens once run() has started it, e.g. the port picked for port 0
+  getHttpAddress(): AddressInfo | null {
+    return this.httpAddress;
+  }
+
+  // Serve one MCP connection over the given transport, e.g. an in-memory pair in tests
+  async connect(transport: Transport): Promise<Server> {
+    const server = this.createServer();
+    await server.connect(transport);
+    return server;
+  }
+
+  // Stop taking new work, give in-flight tool calls time to finish, then close transports
+  // and cancel background cache refreshes
+  async shutdown(timeoutMs: number = this.config.server.shutdownTimeout): Promise<void> {
+    this.shuttingDown = true;
+    this.httpHost?.stopAccepting();
+    this.resourceWatcher.stop();
+
+    if (this.activeCalls.size > 0) {
+      console.error(`Waiting for ${this.activeCalls.size} in-flight tool call(s) to finish...`);
+      let timer: NodeJS.Timeout | undefined;
+      const timedOut = new Promise<void>(resolve => {
+        timer = setTimeout(() => {
+          console.error(`Gave up waiting after ${timeoutMs}ms`);
+          resolve();
+        }, timeoutMs);
+      });
+      await Promise.race([Promise.allSettled(Array.from(this.activeCalls)), timedOut]);
+      clearTimeout(timer);
+      // The SDK sends a call's result a few promise turns after the handler
+      // returns; let that happen before the transports close
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    await this.httpHost?.close();
+    await this.server?.close();
+    await this.client.close();
+  }
 }
 
 // Start the server
 async function main() {
-  const server = new NeonMcpServer();
-  await server.run();
-}
+  const config = loadConfig(process.argv.slice(2), process.env);
+  const server = new NeonMcpServer(config);
+
+  // Handle graceful shutdown; a second signal exits immediately
+  let stopping = false;
+  const stop = (signal: string) => {
+    if (stopping) {
+      console.error(`Received ${signal} again, exiting now`);
+      process.exit(1);
+    }
+    stopping = true;
+    console.error('Shutting down NEON MCP Server...');
+    server.shutdown()
+      .then(() => process.exit(0))
+      .catch((error) => {
+        console.error('Error during shutdown:', error);
+        process.exit(1);
+      });
+  };
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.error('Shutting down NEON MCP Server...');
-  process.exit(0);
-});
+  process.on('SIGINT', () => stop('SIGINT'));
+  process.on('SIGTERM', () => stop('SIGTERM'));
 
-process.on('SIGTERM', () => {
-  console.error('Shutting down NEON MCP Server...');
-  process.exit(0);
-});
+  await server.run();
+}
 
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch((error) => {
@@ -0,0 +1,105 @@
+import { ErrorCode, GetPromptResult, McpError, Prompt } from '@modelcontextprotocol/sdk/types.js';
+
+// Prompt templates for the questions users ask most often. Each one expands to
+// instructions that walk the model through the tools in the right order.
+
+interface Workflow {
+  prompt: Prompt;
+  // Arguments are validated against prompt.arguments before this is called
+  render(args: Record<string, string>): string;
+}
+
+const WORKFLOWS: Workflow[] = [
+  {
+    prompt: {
+      name: 'neon_find_data_near_me',
+      description: 'Find NEON field sites near a location that have data on a topic, and what months are available',
+      arguments: [
+        { name: 'latitude', description: 'Latitude of the location (e.g., "42.5")', required: true },
+        { name: 'longitude', description: 'Longitude of the location (e.g., "-72.2")', required: true },
+        { name: 'topic', description: 'What the data should be about (e.g., "birds", "soil temperature")', required: true },
+        { name: 'radius', description: 'Search radius in kilometers (default: 200)', required: false }
+      ]
+    },
+    render: ({ latitude, longitude, topic, radius }) => `I am at latitude ${latitude}, longitude ${longitude} and want NEON data about ${topic}. Work through these steps with the NEON tools:
+
+1. Call neon_search_sites with latitude=${latitude}, longitude=${longitude} and radius=${radius || '200'} to find the nearest field sites. If none are found, retry with a larger radius.
+2. Call neon_search_products with keyword="${topic}" (try related terms if nothing matches) to find the data products about ${topic}. Use verbosity="summary" to keep the list short.
+3. For the three nearest sites, call neon_get_site_products and note which of the matching products are collected there.
+4. For each product found at a nearby site, call neon_summarize_data_availability to see how many months exist and the date range.
+5. Answer with a short table of site, distance, product code, product name and date range. Offer to run neon_query_data for the best match, and mention that neon_cite_data gives the citation.`
+  },
+  {
+    prompt: {
+      name: 'neon_compare_sites',
+      description: 'Compare one kind of measurement (e.g., soil CO2) between two NEON sites over a date range',
+      arguments: [
+        { name: 'topic', description: 'Measurement to compare (e.g., "soil CO2 concentration"), or a product code', required: true },
+        { name: 'siteA', description: 'First site code (e.g., "HARV")', required: true },
+        { name: 'siteB', description: 'Second site code (e.g., "SRER")', required: true },
+        { name: 'startDateMonth', description: 'First month to compare, YYYY-MM', required: true },
+        { name: 'endDateMonth', description: 'Last month to compare, YYYY-MM', required: true }
+      ]
+    },
+    render: ({ topic, siteA, siteB, startDateMonth, endDateMonth }) => `Compare ${topic} at NEON sites ${siteA} and ${siteB} from ${startDateMonth} to ${endDateMonth}. Work through these steps with the NEON tools:
+
+1. ${/^DP\d\.\d{5}\.\d{3}$/.test(topic)
+    ? `Call neon_get_product with productCode="${topic}" to confirm what it measures.`
+    : `Call neon_search_products with keyword="${topic}" and pick the product that measures it most directly. Say which one you chose and why.`}
+2. Call neon_get_site for ${siteA} and ${siteB} to describe each site (ecosystem, location, domain) in one or two sentences.
+3. Call neon_get_site_products for both sites and check the product is available at each over ${startDateMonth} to ${endDateMonth}. If a site is missing months, say which.
+4. Call neon_query_data with siteCodes=["${siteA}", "${siteB}"], startDateMonth="${startDateMonth}" and endDateMonth="${endDateMonth}" to list the data files.
+5. Call neon_get_variables for one month at one site to find the table and field that hold the measurement and its units, then neon_preview_table to look at real values from each site.
+6. Summarize how the sites differ, with units, and note any gaps or provisional data. Suggest neon_stack_data to merge the months into one table for analysis.
+7. Finish with citations from neon_cite_data for the same query.`
+  },
+  {
+    prompt: {
+      name: 'neon_cite_dataset',
+      description: 'Produce the citation for NEON data used in a paper or report',
+      arguments: [
+        { name: 'productCode', description: 'NEON product code (e.g., "DP1.10003.001")', required: true },
+        { name: 'siteCodes', description: 'Comma-separated site codes the data came from (e.g., "HARV,SRER")', required: true },
+        { name: 'startDateMonth', description: 'First month used, YYYY-MM', required: true },
+        { name: 'endDateMonth', description: 'Last month used, YYYY-MM', required: true },
+        { name: 'format', description: 'Citation format: apa, bibtex, ris or all (default: all)', required: false }
+      ]
+    },
+    render: ({ productCode, siteCodes, startDateMonth, endDateMonth, format }) => {
+      const sites = siteCodes.split(',').map(site => `"${site.trim()}"`).join(', ');
+      return `I used NEON data product ${productCode} from sites ${siteCodes} for ${startDateMonth} to ${endDateMonth} and need to cite it. Work through these steps with the NEON tools:
+
+1. Call neon_get_product with productCode="${productCode}" to confirm the product name.
+2. Call neon_cite_data with productCode="${productCode}", siteCodes=[${sites}], startDateMonth="${startDateMonth}", endDateMonth="${endDateMonth}" and format="${format || 'all'}". Data from several releases needs one citation per release.
+3. If any data is provisional, say that it has no DOI and may change, and recommend citing a release instead.
+4. For each release cited, call neon_get_release to confirm the product's DOI in that release.
+5. Give the citations ready to paste, then one sentence on how to acknowledge NEON in the methods section.`;
+    }
+  }
+];
+
+export const PROMPTS: Prompt[] = WORKFLOWS.map(workflow => workflow.prompt);
+
+export function getPrompt(name: string, args: Record<string, string> = {}): GetPromptResult {
+  const workflow = WORKFLOWS.find(candidate => candidate.prompt.name === name);
+  if (!workflow) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  const missing = (workflow.prompt.arguments || [])
+    .filter(argument => argument.required && !args[argument.name]?.trim())
+    .map(argument => argument.name);
+  if (missing.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Missing required argument(s) for ${name}: ${missing.join(', ')}`);
+  }
+
+  return {
+    description: workflow.prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text: workflow.render(args) }
+      }
+    ]
+  };
+}
\ No newline at end of file
@@ -0,0 +1,155 @@
+import { ErrorCode, McpError, Resource, ResourceTemplate } from '@modelcontextprotocol/sdk/types.js';
+import { NeonApiClient } from '../api/client.js';
+import { decodeCursor, encodeCursor, queryFingerprint } from '../tools/pagination.js';
+
+export const RESOURCE_SCHEME = 'neon';
+export const RESOURCE_MIME_TYPE = 'application/json';
+
+// Resources per resources/list page
+const LIST_PAGE_SIZE = 100;
+
+export type ResourceKind = 'product' | 'site' | 'location' | 'release';
+
+export interface ResourceReference {
+  kind: ResourceKind;
+  id: string;
+}
+
+export interface ResourceContents {
+  uri: string;
+  mimeType: string;
+  text: string;
+}
+
+// Identifier rules for each kind, matching the tool input validation
+const RESOURCE_IDS: Record<ResourceKind, { pattern: RegExp; example: string }> = {
+  product: { pattern: /^DP\d\.\d{5}\.\d{3}$/, example: 'DP1.10003.001' },
+  site: { pattern: /^[A-Z]{4}$/, example: 'HARV' },
+  location: { pattern: /^\S+$/, example: 'TOWER104454' },
+  release: { pattern: /^\S+$/, example: 'RELEASE-2024' }
+};
+
+export const RESOURCE_TEMPLATES: ResourceTemplate[] = [
+  {
+    uriTemplate: 'neon://product/{productCode}',
+    name: 'NEON data product',
+    description: 'Metadata for a data product, including the months available at each site (e.g., neon://product/DP1.10003.001)',
+    mimeType: RESOURCE_MIME_TYPE
+  },
+  {
+    uriTemplate: 'neon://site/{siteCode}',
+    name: 'NEON field site',
+    description: 'A field site with its domain, coordinates and the data products collected there (e.g., neon://site/HARV)',
+    mimeType: RESOURCE_MIME_TYPE
+  },
+  {
+    uriTemplate: 'neon://location/{locationName}',
+    name: 'NEON location',
+    description: 'A named location such as a site, tower or plot, with coordinates, parent and children (e.g., neon://location/TOWER104454)',
+    mimeType: RESOURCE_MIME_TYPE
+  },
+  {
+    uriTemplate: 'neon://release/{releaseTag}',
+    name: 'NEON data release',
+    description: 'A data release with its generation date and the DOI of every included product (e.g., neon://release/RELEASE-2024)',
+    mimeType: RESOURCE_MIME_TYPE
+  }
+];
+
+export function resourceUri(kind: ResourceKind, id: string): string {
+  return `${RESOURCE_SCHEME}://${kind}/${encodeURIComponent(id)}`;
+}
+
+// Split a neon:// URI into the kind of entity and its identifier
+export function parseResourceUri(uri: string): ResourceReference {
+  const match = /^neon:\/\/([a-z]+)\/(.+)$/.exec(uri);
+  const kind = match?.[1] as ResourceKind | undefined;
+  if (!match || !kind || !(kind in RESOURCE_IDS)) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `Unknown resource URI "${uri}"; expected one of ${RESOURCE_TEMPLATES.map(t => t.uriTemplate).join(', ')}`);
+  }
+
+  const id = decodeURIComponent(match[2]);
+  const rule = RESOURCE_IDS[kind];
+  if (!rule.pattern.test(id)) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid ${kind} identifier "${id}" (e.g., ${resourceUri(kind, rule.example)})`);
+  }
+
+  return { kind, id };
+}
+
+// Fetch the entity a URI names. The JSON is the NEON API record, as the tools'
+// structured output uses.
+export async function readResource(client: NeonApiClient, uri: string): Promise<ResourceContents> {
+  const { kind, id } = parseResourceUri(uri);
+
+  let data: unknown;
+  switch (kind) {
+    case 'product':
+      data = await client.getProduct(id);
+      break;
+    case 'site':
+      data = await client.getSite(id);
+      break;
+    case 'location':
+      data = await client.getLocation(id);
+      break;
+    case 'release':
+      data = await client.getRelease(id);
+      break;
+  }
+
+  return { uri, mimeType: RESOURCE_MIME_TYPE, text: JSON.stringify(data, null, 2) };
+}
+
+// Every product, site and release, in that order. Locations are only reachable
+// through their template; there are far too many to list.
+export async function listAllResources(client: NeonApiClient): Promise<Resource[]> {
+  const [products, sites, releases] = await Promise.all([
+    client.getProducts(),
+    client.getSites(),
+    client.getReleases()
+  ]);
+
+  return [
+    ...products.map(product => ({
+      uri: resourceUri('product', product.productCode),
+      name: `${product.productCode}: ${product.productName}`,
+      description: `${product.productScienceTeam} data product`,
+      mimeType: RESOURCE_MIME_TYPE
+    })),
+    ...sites.map(site => ({
+      uri: resourceUri('site', site.siteCode),
+      name: `${site.siteCode}: ${site.siteName}`,
+      description: `${site.siteType} site in ${site.stateName}, ${site.domainCode} ${site.domainName}`,
+      mimeType: RESOURCE_MIME_TYPE
+    })),
+    ...releases.map(release => ({
+      uri: resourceUri('release', release.release),
+      name: release.release,
+      description: `Data release generated ${release.generationDate}`,
+      mimeType: RESOURCE_MIME_TYPE
+    }))
+  ];
+}
+
+// One resources/list page, with the cursor of the next page if there is one
+export async function listResources(client: NeonApiClient, cursor?: string): Promise<{ resources: Resource[]; nextCursor?: string }> {
+  const fingerprint = queryFingerprint({ list: 'resources' });
+  const offset = cursor ? decodeListCursor(cursor, fingerprint) : 0;
+  const resources = await listAllResources(client);
+  const end = offset + LIST_PAGE_SIZE;
+
+  return {
+    resources: resources.slice(offset, end),
+    ...(end < resources.length ? { nextCursor: encodeCursor(end, fingerprint) } : {})
+  };
+}
+
+function decodeListCursor(cursor: string, fingerprint: string): number {
+  try {
+    return decodeCursor(cursor, fingerprint);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error instanceof Error ? error.message : 'Invalid cursor');
+  }
+}
\ No newline at end of file
@@ -0,0 +1,130 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { createHash } from 'crypto';
+import { NeonApiClient } from '../api/client.js';
+import { listAllResources, readResource } from './catalog.js';
+
+// Polls the resources connections have subscribed to and notifies them when one
+// changes, and tells every connection when the set of listed resources changes.
+// Reads go through the API client, so a change is seen once its cached response
+// expires (cache.defaultTtl).
+export class ResourceWatcher {
+  private servers = new Set<Server>();
+  private subscriptions = new Map<Server, Set<string>>();
+  // Hash of the last content seen for each subscribed URI, and of the resource list
+  private versions = new Map<string, string>();
+  private listVersion: string | null = null;
+  private timer: NodeJS.Timeout | null = null;
+  private polling: Promise<void> | null = null;
+
+  constructor(private client: NeonApiClient, private interval: number) {}
+
+  addServer(server: Server): void {
+    this.servers.add(server);
+    if (!this.timer && this.interval > 0) {
+      this.timer = setInterval(() => {
+        this.poll().catch(error => console.error('Resource poll failed:', error));
+      }, this.interval);
+      this.timer.unref();
+    }
+  }
+
+  removeServer(server: Server): void {
+    this.servers.delete(server);
+    this.subscriptions.delete(server);
+    this.forgetUnwatched();
+  }
+
+  // Reads the resource first, so unknown URIs are rejected and later changes
+  // are measured against what the subscriber could have seen
+  async subscribe(server: Server, uri: string): Promise<void> {
+    const contents = await readResource(this.client, uri);
+    if (!this.versions.has(uri)) {
+      this.versions.set(uri, hash(contents.text));
+    }
+
+    const uris = this.subscriptions.get(server) || new Set<string>();
+    uris.add(uri);
+    this.subscriptions.set(server, uris);
+  }
+
+  unsubscribe(server: Server, uri: string): void {
+    this.subscriptions.get(server)?.delete(uri);
+    this.forgetUnwatched();
+  }
+
+  // Check for changes now; overlapping calls share one pass
+  poll(): Promise<void> {
+    if (!this.polling) {
+      this.polling = this.checkForChanges().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private async checkForChanges(): Promise<void> {
+    for (const uri of Array.from(this.versions.keys())) {
+      let version: string;
+      try {
+        version = hash((await readResource(this.client, uri)).text);
+      } catch {
+        // Try again next time; an outage is not a change
+        continue;
+      }
+
+      // Skip URIs unsubscribed while this one was being read
+      if (this.versions.has(uri) && this.versions.get(uri) !== version) {
+        this.versions.set(uri, version);
+        await this.notify(server => this.subscriptions.get(server)?.has(uri) === true,
+          server => server.sendResourceUpdated({ uri }));
+      }
+    }
+
+    if (this.servers.size === 0) {
+      return;
+    }
+
+    let listVersion: string;
+    try {
+      listVersion = hash((await listAllResources(this.client)).map(resource => resource.uri).join('\n'));
+    } catch {
+      return;
+    }
+    if (this.listVersion !== null && this.listVersion !== listVersion) {
+      await this.notify(() => true, server => server.sendResourceListChanged());
+    }
+    this.listVersion = listVersion;
+  }
+
+  // Send a notification to the matching connections, dropping any that have closed
+  private async notify(matches: (server: Server) => boolean, send: (server: Server) => Promise<void>): Promise<void> {
+    for (const server of Array.from(this.servers)) {
+      if (!matches(server)) {
+        continue;
+      }
+      try {
+        await send(server);
+      } catch {
+        this.removeServer(server);
+      }
+    }
+  }
+
+  private forgetUnwatched(): void {
+    const watched = new Set(Array.from(this.subscriptions.values()).flatMap(uris => Array.from(uris)));
+    Array.from(this.versions.keys())
+      .filter(uri => !watched.has(uri))
+      .forEach(uri => this.versions.delete(uri));
+  }
+}
+
+function hash(text: string): string {
+  return createHash('sha256').update(text).digest('hex');
+}
\ No newline at end of file
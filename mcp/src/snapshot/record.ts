@@ -0,0 +1,142 @@
+import { NeonApiClient } from '../api/client.js';
+import { Location, NeonApiResponse, Product, Release, Site } from '../api/types.js';
+import { loadConfig } from '../config.js';
+import { SNAPSHOT_MANIFEST, SnapshotFailure, SnapshotManifest, SnapshotStore } from './store.js';
+
+export interface RecordOptions {
+  // Sites whose locations are recorded; all sites when omitted
+  sites?: string[];
+  // How many levels of child locations to record below each site (0 records only the site)
+  locationDepth?: number;
+  onProgress?: (message: string) => void;
+}
+
+// Record the catalog endpoints that offline mode serves: products, sites,
+// releases and site locations, each in the exact shape the API returned. A request
+// that fails is skipped, along with whatever would have been found through it,
+// and listed in the manifest's failures.
+export async function recordSnapshot(
+  client: NeonApiClient,
+  store: SnapshotStore,
+  baseUrl: string,
+  options: RecordOptions = {}
+): Promise<SnapshotManifest> {
+  const progress = options.onProgress ?? (() => undefined);
+  const locationDepth = options.locationDepth ?? 0;
+  const failures: SnapshotFailure[] = [];
+  let responses = 0;
+
+  const record = async <T>(endpoint: string, params?: Record<string, any>): Promise<T | null> => {
+    let body: T;
+    try {
+      body = await client.getRaw<T>(endpoint, params);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      failures.push({ endpoint, ...(params ? { params } : {}), error: message });
+      progress(`Skipping ${endpoint}: ${message}`);
+      return null;
+    }
+    await store.write(endpoint, params, body);
+    responses++;
+    return body;
+  };
+
+  progress('Recording products');
+  const products = await record<NeonApiResponse<Product[]>>('/api/v0/products');
+  for (const product of products?.data ?? []) {
+    await store.write(`/api/v0/products/${product.productCode}`, undefined, { data: product });
+    responses++;
+  }
+
+  progress('Recording sites');
+  const sites = await record<NeonApiResponse<Site[]>>('/api/v0/sites');
+  for (const site of sites?.data ?? []) {
+    await store.write(`/api/v0/sites/${site.siteCode}`, undefined, { data: site });
+    responses++;
+  }
+
+  progress('Recording releases');
+  const releases = await record<NeonApiResponse<Release[]>>('/api/v0/releases');
+  for (const release of releases?.data ?? []) {
+    await record(`/api/v0/releases/${release.release}`);
+  }
+
+  progress('Recording site locations');
+  const siteLocations = await record<NeonApiResponse<Location[]>>('/api/v0/locations/sites');
+  const wanted = options.sites?.map(code => code.toUpperCase());
+  const locationSites = (siteLocations?.data ?? [])
+    .map(location => location.locationName)
+    .filter(name => !wanted || wanted.includes(name));
+
+  for (const siteCode of locationSites) {
+    progress(`Recording locations at ${siteCode}`);
+    await record(`/api/v0/locations/${siteCode}`, { hierarchy: true });
+
+    let level = [siteCode];
+    for (let depth = 0; depth <= locationDepth && level.length > 0; depth++) {
+      const next: string[] = [];
+      for (const name of level) {
+        const location = await record<NeonApiResponse<Location>>(`/api/v0/locations/${name}`);
+        next.push(...(location?.data.locationChildren || []));
+      }
+      level = next;
+    }
+  }
+
+  const manifest: SnapshotManifest = {
+    recordedAt: new Date().toISOString(),
+    baseUrl,
+    responses,
+    ...(wanted ? { sites: wanted } : {}),
+    locationDepth,
+    failures
+  };
+  await store.writeManifest(manifest);
+  return manifest;
+}
+
+// Command line: node build/snapshot/record.js --out <dir> [--sites HARV,SRER] [--location-depth 2]
+async function main() {
+  const argv = process.argv.slice(2);
+  const option = (name: string): string | undefined => {
+    const index = argv.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (index === -1) return undefined;
+    return argv[index].includes('=') ? argv[index].slice(argv[index].indexOf('=') + 1) : argv[index + 1];
+  };
+
+  const config = loadConfig(argv, process.env);
+  const directory = option('out') ?? config.offline.snapshotDir;
+  if (!directory) {
+    throw new Error('Specify the snapshot directory with --out <dir>');
+  }
+
+  const depthOption = option('location-depth');
+  const locationDepth = depthOption !== undefined ? Number(depthOption) : 0;
+  if (!Number.isInteger(locationDepth) || locationDepth < 0) {
+    throw new Error(`--location-depth must be a non-negative integer, got "${depthOption}"`);
+  }
+
+  const sites = option('sites')?.split(',').map(code => code.trim()).filter(Boolean);
+
+  // Recording always talks to the live API, even when the config points at a snapshot
+  const client = new NeonApiClient({ ...config, offline: {} });
+  const store = new SnapshotStore(directory);
+
+  const manifest = await recordSnapshot(client, store, config.api.baseUrl, {
+    sites,
+    locationDepth,
+    onProgress: message => console.error(message)
+  });
+  console.error(`Recorded ${manifest.responses} responses to ${store.path}`);
+  const failures = manifest.failures ?? [];
+  if (failures.length > 0) {
+    console.error(`${failures.length} request(s) failed and are missing from the snapshot; see ${SNAPSHOT_MANIFEST}`);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error('Failed to record snapshot:', error instanceof Error ? error.message : error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,105 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+
+export const SNAPSHOT_MANIFEST = 'snapshot.json';
+
+export interface SnapshotManifest {
+  recordedAt: string;
+  baseUrl: string;
+  responses: number;
+  sites?: string[];
+  locationDepth?: number;
+  // Requests that failed while recording; they are missing from the snapshot
+  failures?: SnapshotFailure[];
+}
+
+export interface SnapshotFailure {
+  endpoint: string;
+  params?: Record<string, any>;
+  error: string;
+}
+
+// Raised when offline mode is asked for something it cannot serve
+export class OfflineError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'OfflineError';
+  }
+}
+
+export class SnapshotMissError extends OfflineError {
+  constructor(public endpoint: string, directory: string) {
+    super(`Offline mode: ${endpoint} is not in the snapshot at ${directory}. Record it again with more coverage or run the server online.`);
+    this.name = 'SnapshotMissError';
+  }
+}
+
+// Recorded API responses, one JSON file per request, laid out like the API:
+//   <dir>/api/v0/products.json
+//   <dir>/api/v0/products/DP1.10003.001.json
+//   <dir>/api/v0/locations/HARV@hierarchy%3Dtrue.json
+export class SnapshotStore {
+  private directory: string;
+
+  constructor(directory: string) {
+    this.directory = path.resolve(directory);
+  }
+
+  get path(): string {
+    return this.directory;
+  }
+
+  async read<T>(endpoint: string, params?: Record<string, any>): Promise<T> {
+    try {
+      return JSON.parse(await readFile(this.fileFor(endpoint, params), 'utf8')) as T;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        throw new SnapshotMissError(SnapshotStore.describe(endpoint, params), this.directory);
+      }
+      throw error;
+    }
+  }
+
+  async write(endpoint: string, params: Record<string, any> | undefined, body: unknown): Promise<void> {
+    const file = this.fileFor(endpoint, params);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(`${file}.tmp`, JSON.stringify(body));
+    await rename(`${file}.tmp`, file);
+  }
+
+  async readManifest(): Promise<SnapshotManifest | null> {
+    try {
+      return JSON.parse(await readFile(path.join(this.directory, SNAPSHOT_MANIFEST), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeManifest(manifest: SnapshotManifest): Promise<void> {
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(path.join(this.directory, SNAPSHOT_MANIFEST), JSON.stringify(manifest, null, 2));
+  }
+
+  // Endpoint plus its non-empty parameters in a stable order, e.g. /api/v0/locations/HARV?hierarchy=true
+  static describe(endpoint: string, params?: Record<string, any>): string {
+    const query = SnapshotStore.query(params);
+    return query ? `${endpoint}?${query}` : endpoint;
+  }
+
+  private static query(params?: Record<string, any>): string {
+    if (!params) return '';
+
+    return Object.keys(params)
+      .filter(key => params[key] !== undefined && params[key] !== null)
+      .sort()
+      .map(key => `${key}=${params[key]}`)
+      .join('&');
+  }
+
+  private fileFor(endpoint: string, params?: Record<string, any>): string {
+    const segments = endpoint.split('/').filter(Boolean).map(segment => encodeURIComponent(segment));
+    const query = SnapshotStore.query(params);
+    const name = `${segments.pop()}${query ? `@${encodeURIComponent(query)}` : ''}.json`;
+    return path.join(this.directory, ...segments, name);
+  }
+}
\ No newline at end of file
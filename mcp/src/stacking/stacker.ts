@@ -0,0 +1,267 @@
+import fetch from 'node-fetch';
+import { createWriteStream } from 'fs';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { DataQueryResult, StackedTable, StackReport } from '../api/types.js';
+import { PROVISIONAL_RELEASE } from '../utils/citations.js';
+import { NeonFilename, parseNeonFilename } from '../utils/filenames.js';
+import { formatCsvRow, parseCsv } from './csv.js';
+
+export interface StackOptions {
+  outputDir: string;
+  format?: 'csv' | 'ndjson';
+  tables?: string[];
+  package?: 'basic' | 'expanded';
+  sourceDir?: string;
+  concurrency?: number;
+}
+
+interface SourceFile {
+  name: string;
+  url: string;
+  siteCode: string;
+  month: string;
+  release: string;
+  parsed: NeonFilename;
+}
+
+// Merges the per-site, per-month CSVs of a data query into one file per table,
+// in the spirit of neonUtilities::stackByTable. Adds siteCode, month and release
+// columns (plus sensor positions where present) and drops rows repeated across
+// releases. Variables, readme and other product-wide files are copied once.
+export class DataStacker {
+  private outputDir: string;
+  private format: 'csv' | 'ndjson';
+  private tables?: Set<string>;
+  private packageFilter?: string;
+  private sourceDir?: string;
+  private concurrency: number;
+
+  constructor(options: StackOptions) {
+    this.outputDir = path.resolve(options.outputDir);
+    this.format = options.format || 'csv';
+    this.tables = options.tables && options.tables.length > 0 ? new Set(options.tables) : undefined;
+    this.packageFilter = options.package;
+    this.sourceDir = options.sourceDir ? path.resolve(options.sourceDir) : undefined;
+    this.concurrency = Math.max(1, options.concurrency || 4);
+  }
+
+  async stack(result: DataQueryResult): Promise<StackReport> {
+    await mkdir(this.outputDir, { recursive: true });
+
+    const { dataFiles, metadataFiles } = this.collectFiles(result);
+    const report: StackReport = {
+      outputDir: this.outputDir,
+      format: this.format,
+      tables: [],
+      metadataFiles: [],
+      failedFiles: []
+    };
+
+    for (const table of Array.from(dataFiles.keys()).sort()) {
+      const stacked = await this.stackTable(table, dataFiles.get(table)!, report);
+      if (stacked) {
+        report.tables.push(stacked);
+      }
+    }
+
+    for (const file of metadataFiles) {
+      try {
+        const target = path.join(this.outputDir, metadataFilename(file.parsed));
+        await writeFile(target, await this.readSource(file));
+        report.metadataFiles.push(target);
+      } catch (error) {
+        report.failedFiles.push({ name: file.name, error: (error as Error).message });
+      }
+    }
+
+    return report;
+  }
+
+  // Group data files by table, and keep only the newest copy of each product-wide file
+  private collectFiles(result: DataQueryResult): { dataFiles: Map<string, SourceFile[]>; metadataFiles: SourceFile[] } {
+    const dataFiles = new Map<string, SourceFile[]>();
+    const latestMetadata = new Map<string, SourceFile>();
+
+    result.siteCodes.forEach(siteData => {
+      siteData.availableMonths.forEach(monthData => {
+        monthData.availableDataUrls.forEach(release => {
+          release.packages.forEach(pkg => {
+            if (this.packageFilter && pkg.package !== this.packageFilter) return;
+
+            pkg.files.forEach(file => {
+              const parsed = parseNeonFilename(file.name);
+              if (!parsed || parsed.kind === 'other') return;
+
+              const source: SourceFile = {
+                name: file.name,
+                url: file.url,
+                siteCode: siteData.siteCode,
+                month: monthData.month,
+                release: release.release,
+                parsed
+              };
+
+              if (parsed.kind === 'data') {
+                if (this.tables && !this.tables.has(parsed.table)) return;
+                const files = dataFiles.get(parsed.table) || [];
+                files.push(source);
+                dataFiles.set(parsed.table, files);
+                return;
+              }
+
+              const key = metadataFilename(parsed);
+              const current = latestMetadata.get(key);
+              if (!current || (parsed.timestamp || '') > (current.parsed.timestamp || '')) {
+                latestMetadata.set(key, source);
+              }
+            });
+          });
+        });
+      });
+    });
+
+    return { dataFiles, metadataFiles: Array.from(latestMetadata.values()) };
+  }
+
+  private async stackTable(table: string, files: SourceFile[], report: StackReport): Promise<StackedTable | null> {
+    // Rows from citable releases win over the same rows in provisional data,
+    // and newer releases win over older ones
+    const ordered = files.slice().sort((a, b) =>
+      releaseRank(a.release) - releaseRank(b.release) ||
+      b.release.localeCompare(a.release) ||
+      a.siteCode.localeCompare(b.siteCode) ||
+      a.month.localeCompare(b.month) ||
+      a.name.localeCompare(b.name)
+    );
+
+    const parsedFiles = await this.loadAll(ordered, report);
+    if (parsedFiles.length === 0) {
+      return null;
+    }
+
+    const hasPositions = parsedFiles.some(({ file }) => file.parsed.horizontalPosition);
+    const addedColumns = ['siteCode', 'month', 'release']
+      .concat(hasPositions ? ['horizontalPosition', 'verticalPosition'] : []);
+
+    // Unified header: added columns, then every source column in order of first appearance
+    const sourceColumns: string[] = [];
+    parsedFiles.forEach(({ rows }) => {
+      (rows[0] || []).forEach(column => {
+        if (!sourceColumns.includes(column) && !addedColumns.includes(column)) {
+          sourceColumns.push(column);
+        }
+      });
+    });
+    const columns = addedColumns.concat(sourceColumns);
+
+    const target = path.join(this.outputDir, `${table}.${this.format}`);
+    const out = createWriteStream(target);
+    const seen = new Set<string>();
+    let rowCount = 0;
+    let duplicates = 0;
+
+    if (this.format === 'csv') {
+      out.write(formatCsvRow(columns) + '\n');
+    }
+
+    for (const { file, rows } of parsedFiles) {
+      const header = rows[0] || [];
+      const indexes = sourceColumns.map(column => header.indexOf(column));
+
+      for (const row of rows.slice(1)) {
+        const sourceValues = indexes.map(index => (index >= 0 ? row[index] ?? '' : ''));
+        const added = [file.siteCode, file.month, file.release]
+          .concat(hasPositions ? [file.parsed.horizontalPosition || '', file.parsed.verticalPosition || ''] : []);
+
+        // Identity ignores the release column so re-published rows collapse
+        const key = [file.siteCode, file.month]
+          .concat(added.slice(3), sourceValues)
+          .join('\u0001');
+        if (seen.has(key)) {
+          duplicates++;
+          continue;
+        }
+        seen.add(key);
+
+        const values = added.concat(sourceValues);
+        out.write(this.formatRow(columns, values) + '\n');
+        rowCount++;
+      }
+    }
+
+    await new Promise<void>((resolve, reject) => {
+      out.on('error', reject);
+      out.end(resolve);
+    });
+
+    return {
+      table,
+      path: target,
+      columns,
+      rows: rowCount,
+      duplicatesDropped: duplicates,
+      sourceFiles: parsedFiles.length
+    };
+  }
+
+  private formatRow(columns: string[], values: string[]): string {
+    if (this.format === 'csv') {
+      return formatCsvRow(values);
+    }
+
+    const record: Record<string, string | null> = {};
+    columns.forEach((column, index) => {
+      record[column] = values[index] === '' ? null : values[index];
+    });
+    return JSON.stringify(record);
+  }
+
+  // Fetch and parse files a few at a time, preserving the requested order
+  private async loadAll(files: SourceFile[], report: StackReport): Promise<{ file: SourceFile; rows: string[][] }[]> {
+    const loaded: ({ file: SourceFile; rows: string[][] } | null)[] = new Array(files.length).fill(null);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < files.length) {
+        const index = next++;
+        const file = files[index];
+        try {
+          loaded[index] = { file, rows: parseCsv(await this.readSource(file)) };
+        } catch (error) {
+          report.failedFiles.push({ name: file.name, error: (error as Error).message });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, files.length) }, worker));
+    return loaded.filter((entry): entry is { file: SourceFile; rows: string[][] } => entry !== null);
+  }
+
+  // Prefer a copy already fetched by the download manager, otherwise download it
+  private async readSource(file: SourceFile): Promise<string> {
+    if (this.sourceDir) {
+      const local = path.join(this.sourceDir, file.release, file.siteCode, file.month, file.name);
+      try {
+        return await readFile(local, 'utf8');
+      } catch (error) {
+        // Fall through to the network
+      }
+    }
+
+    const response = await fetch(file.url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${file.name} (Status: ${response.status})`);
+    }
+    return response.text();
+  }
+}
+
+function releaseRank(release: string): number {
+  return release === PROVISIONAL_RELEASE ? 1 : 0;
+}
+
+// Output name for product-wide files, e.g. variables_DP1.10003.001.csv
+function metadataFilename(parsed: NeonFilename): string {
+  return `${parsed.table}_${parsed.productCode}.${parsed.extension}`;
+}
\ No newline at end of file
@@ -0,0 +1,424 @@
+import { Tool } from '@modelcontextprotocol/sdk/types.js';
+import { NeonApiClient } from '../api/client.js';
+import { Product, Site } from '../api/types.js';
+import {
+  contiguousRanges,
+  findGaps,
+  formatAvailabilityCsv,
+  formatAvailabilityHeatmap,
+  formatRange,
+  inWindow,
+  monthsWithAllProducts,
+  MonthRange,
+  MonthWindow,
+  SiteAvailability
+} from '../utils/availability.js';
+import { validateInput, ValidationError, ProductCodeSchema, YearMonthSchema, validateDateRange } from '../utils/validators.js';
+import { ToolResponse, toolResponse } from './output.js';
+import { arrayOf, extendSchema, monthRangeSchema, objectSchema, pagedSchema, stringArraySchema } from './outputSchemas.js';
+import { formatPageFooter, pageInputProperties, pageResult, paginate, SortOptions, summarize } from './pagination.js';
+import { z } from 'zod';
+
+// Products one matrix can compare; each is a separate /products request
+const MAX_MATRIX_PRODUCTS = 10;
+// Site-years listed in the Markdown ranking
+const SITE_YEARS_SHOWN = 20;
+
+// A site where every requested product has data, with the months they share
+interface CoAvailability {
+  siteCode: string;
+  siteName: string;
+  domainCode: string;
+  siteType: string;
+  overlapMonths: number;
+  longestWindow: number;
+  windows: MonthRange[];
+}
+
+const CO_AVAILABILITY_SORT_FIELDS: SortOptions<CoAvailability>['fields'] = {
+  overlapMonths: site => site.overlapMonths,
+  longestWindow: site => site.longestWindow,
+  siteCode: site => site.siteCode,
+  domain: site => site.domainCode
+};
+
+const CO_AVAILABILITY_SUMMARY_FIELDS = ['siteCode', 'domainCode', 'overlapMonths', 'longestWindow'] as const;
+
+const coAvailabilitySchema = objectSchema({
+  siteCode: { type: 'string' },
+  siteName: { type: 'string' },
+  domainCode: { type: 'string' },
+  siteType: { type: 'string' },
+  overlapMonths: { type: 'integer' },
+  longestWindow: { type: 'integer' },
+  windows: arrayOf(monthRangeSchema)
+});
+
+const productCodesProperty = {
+  type: 'array',
+  items: {
+    type: 'string',
+    pattern: '^DP\\d\\.\\d{5}\\.\\d{3}$'
+  },
+  description: `Product codes to compare (1-${MAX_MATRIX_PRODUCTS}, e.g., ["DP1.00095.001", "DP1.00041.001"])`
+};
+
+const monthWindowProperties = {
+  startDateMonth: {
+    type: 'string',
+    description: 'First month to include, YYYY-MM (default: earliest available)',
+    pattern: '^\\d{4}-\\d{2}$'
+  },
+  endDateMonth: {
+    type: 'string',
+    description: 'Last month to include, YYYY-MM (default: latest available)',
+    pattern: '^\\d{4}-\\d{2}$'
+  }
+};
+
+export function createAvailabilityTools(client: NeonApiClient): Tool[] {
+  return [
+    {
+      name: 'neon_get_availability_matrix',
+      description: 'Month-by-site availability of one or more products as a text heatmap or CSV, with the gaps at each site and the site-years where every product has data',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          productCodes: productCodesProperty,
+          siteCodes: {
+            type: 'array',
+            items: {
+              type: 'string',
+              pattern: '^[A-Z]{4}$'
+            },
+            description: 'Only include these sites (default: every site with any of the products)'
+          },
+          ...monthWindowProperties,
+          release: {
+            type: 'string',
+            description: 'Release tag to report availability for (e.g., "RELEASE-2024")'
+          },
+          format: {
+            type: 'string',
+            enum: ['heatmap', 'csv'],
+            description: 'Matrix layout: "heatmap" (one text row per site-year) or "csv" (one row per site-month)',
+            default: 'heatmap'
+          }
+        },
+        required: ['productCodes']
+      },
+      outputSchema: objectSchema({
+        products: arrayOf(objectSchema({
+          productCode: { type: 'string' },
+          productName: { type: 'string' }
+        })),
+        startMonth: { type: ['string', 'null'] },
+        endMonth: { type: ['string', 'null'] },
+        sites: arrayOf(objectSchema({
+          siteCode: { type: 'string' },
+          availableMonths: { type: 'object', additionalProperties: stringArraySchema },
+          allProductMonths: stringArraySchema,
+          gaps: arrayOf(extendSchema(monthRangeSchema, { productCode: { type: 'string' } }, ['productCode']))
+        })),
+        siteYears: arrayOf(objectSchema({
+          siteCode: { type: 'string' },
+          year: { type: 'string' },
+          months: { type: 'integer' }
+        })),
+        csv: { type: 'string' }
+      }, ['products', 'startMonth', 'endMonth', 'sites', 'siteYears'])
+    },
+    {
+      name: 'neon_find_co_available_sites',
+      description: 'Find the sites and months where several data products all have data, ranked by how many months overlap, with the contiguous windows of overlap',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          productCodes: {
+            ...productCodesProperty,
+            description: `Product codes that must all have data (2-${MAX_MATRIX_PRODUCTS}, e.g., ["DP4.00200.001", "DP1.00041.001", "DP1.00006.001"])`
+          },
+          domain: {
+            type: 'string',
+            description: 'Optional domain code to filter sites (e.g., "D01")'
+          },
+          siteType: {
+            type: 'string',
+            description: 'Optional site type to filter sites (e.g., "CORE", "RELOCATABLE")'
+          },
+          ...monthWindowProperties,
+          minMonths: {
+            type: 'number',
+            description: 'Only include sites with at least this many overlapping months',
+            default: 1
+          },
+          release: {
+            type: 'string',
+            description: 'Release tag to report availability for (e.g., "RELEASE-2024")'
+          },
+          ...pageInputProperties(Object.keys(CO_AVAILABILITY_SORT_FIELDS), 'overlapMonths', 'desc')
+        },
+        required: ['productCodes']
+      },
+      outputSchema: extendSchema(
+        pagedSchema('sites', coAvailabilitySchema, CO_AVAILABILITY_SUMMARY_FIELDS),
+        { productCodes: stringArraySchema },
+        ['productCodes']
+      )
+    }
+  ];
+}
+
+export async function handleAvailabilityTool(
+  name: string,
+  args: any,
+  client: NeonApiClient
+): Promise<ToolResponse> {
+  try {
+    switch (name) {
+      case 'neon_get_availability_matrix': {
+        const schema = z.object({
+          productCodes: z.array(ProductCodeSchema).min(1).max(MAX_MATRIX_PRODUCTS),
+          siteCodes: z.array(z.string().regex(/^[A-Z]{4}$/, 'Site code must be 4 uppercase letters')).optional(),
+          startDateMonth: YearMonthSchema.optional(),
+          endDateMonth: YearMonthSchema.optional(),
+          release: z.string().optional(),
+          format: z.enum(['heatmap', 'csv']).optional()
+        });
+
+        const { productCodes, siteCodes, startDateMonth, endDateMonth, release, format } = validateInput(schema, args);
+        if (startDateMonth && endDateMonth) {
+          validateDateRange(startDateMonth, endDateMonth);
+        }
+        const window: MonthWindow = { start: startDateMonth, end: endDateMonth };
+
+        const codes = Array.from(new Set(productCodes));
+        const products = await Promise.all(codes.map(code => client.getProduct(code, release)));
+        const sites = buildSiteAvailability(products, window, siteCodes);
+
+        let result = `# Data Availability Matrix\n\n`;
+        result += `**Products**: ${products.map(product => `${product.productCode} (${product.productName})`).join(', ')}\n`;
+        result += `**Months**: ${startDateMonth || 'earliest'} to ${endDateMonth || 'latest'}\n`;
+        result += `**Sites**: ${sites.length}\n\n`;
+
+        if (sites.length === 0) {
+          result += 'None of the products has data at the requested sites in this period.\n';
+          return toolResponse(args, result, matrixResult(products, window, sites));
+        }
+
+        let csv: string | undefined;
+        if (format === 'csv') {
+          csv = formatAvailabilityCsv(sites, codes, window);
+          result += `## CSV\n\n\`\`\`csv\n${csv}\n\`\`\`\n\n`;
+        } else {
+          result += `## Heatmap\n\n`;
+          result += codes.length > 1
+            ? `"#" every product has data, a digit is how many of the ${codes.length} do, "." none. "All" counts the "#" months.\n\n`
+            : `"#" data available, "." none. "All" counts the months with data.\n\n`;
+          result += `\`\`\`\n${formatAvailabilityHeatmap(sites, window)}\n\`\`\`\n\n`;
+        }
+
+        result += `## Gaps\n\n`;
+        result += 'Months missing between the first and last month of data at each site:\n\n';
+        let gapCount = 0;
+        sites.forEach(site => {
+          codes.forEach(code => {
+            const gaps = findGaps(site.products[code]);
+            if (gaps.length > 0) {
+              gapCount += gaps.length;
+              const missing = gaps.reduce((total, gap) => total + gap.months, 0);
+              result += `- **${site.siteCode}** ${code} (${missing} months): ${gaps.map(formatRange).join(', ')}\n`;
+            }
+          });
+        });
+        if (gapCount === 0) {
+          result += 'None.\n';
+        }
+
+        const siteYears = rankSiteYears(sites, window);
+        result += `\n## Site-Years With ${codes.length > 1 ? 'Every Product' : 'Data'}\n\n`;
+        if (siteYears.length === 0) {
+          result += 'No month has data for every product at any one site.\n';
+        } else {
+          siteYears.slice(0, SITE_YEARS_SHOWN).forEach(siteYear => {
+            result += `- **${siteYear.siteCode} ${siteYear.year}**: ${siteYear.months} of 12 months\n`;
+          });
+          if (siteYears.length > SITE_YEARS_SHOWN) {
+            result += `- ... and ${siteYears.length - SITE_YEARS_SHOWN} more site-years\n`;
+          }
+        }
+
+        return toolResponse(args, result, {
+          ...matrixResult(products, window, sites),
+          ...(csv !== undefined ? { csv } : {})
+        });
+      }
+
+      case 'neon_find_co_available_sites': {
+        const schema = z.object({
+          productCodes: z.array(ProductCodeSchema).min(2).max(MAX_MATRIX_PRODUCTS),
+          domain: z.string().optional(),
+          siteType: z.string().optional(),
+          startDateMonth: YearMonthSchema.optional(),
+          endDateMonth: YearMonthSchema.optional(),
+          minMonths: z.number().int().min(1).optional(),
+          release: z.string().optional()
+        });
+
+        const { productCodes, domain, siteType, startDateMonth, endDateMonth, minMonths = 1, release } = validateInput(schema, args);
+        if (startDateMonth && endDateMonth) {
+          validateDateRange(startDateMonth, endDateMonth);
+        }
+        const window: MonthWindow = { start: startDateMonth, end: endDateMonth };
+
+        const codes = Array.from(new Set(productCodes));
+        const [products, allSites] = await Promise.all([
+          Promise.all(codes.map(code => client.getProduct(code, release))),
+          client.getSites(release)
+        ]);
+
+        // Site details for the domain and type filters and the listing
+        const siteInfo = new Map<string, Site>();
+        allSites
+          .filter(site => !domain || site.domainCode === domain)
+          .filter(site => !siteType || site.siteType.toLowerCase().includes(siteType.toLowerCase()))
+          .forEach(site => siteInfo.set(site.siteCode, site));
+
+        const matches: CoAvailability[] = buildSiteAvailability(products, window, Array.from(siteInfo.keys()))
+          .map(availability => {
+            const site = siteInfo.get(availability.siteCode)!;
+            const windows = contiguousRanges(monthsWithAllProducts(availability, window));
+            return {
+              siteCode: site.siteCode,
+              siteName: site.siteName,
+              domainCode: site.domainCode,
+              siteType: site.siteType,
+              overlapMonths: windows.reduce((total, range) => total + range.months, 0),
+              longestWindow: Math.max(0, ...windows.map(range => range.months)),
+              windows
+            };
+          })
+          .filter(match => match.overlapMonths >= minMonths);
+
+        // Already in site code order, which the stable sort keeps for ties
+        const page = paginate(matches, args, {
+          fields: CO_AVAILABILITY_SORT_FIELDS,
+          defaultField: 'overlapMonths',
+          defaultOrder: 'desc'
+        });
+
+        let result = `# Co-Available Data (${matches.length} sites)\n\n`;
+        result += `**Products**: ${products.map(product => `${product.productCode} (${product.productName})`).join(', ')}\n`;
+        result += `**Months**: ${startDateMonth || 'earliest'} to ${endDateMonth || 'latest'}\n`;
+        if (domain) result += `**Domain**: ${domain}\n`;
+        if (siteType) result += `**Site Type**: ${siteType}\n`;
+        result += '\n';
+
+        if (matches.length === 0) {
+          result += 'No site has data for all of these products in the same month.\n';
+        } else if (page.verbosity === 'summary') {
+          page.items.forEach(match => {
+            result += `- **${match.siteCode}** (${match.domainCode}): ${match.overlapMonths} months, longest window ${match.longestWindow}\n`;
+          });
+          result += '\n';
+        } else {
+          page.items.forEach((match, index) => {
+            result += `## ${page.offset + index + 1}. ${match.siteCode}: ${match.siteName}\n\n`;
+            result += `- **Domain**: ${match.domainCode}\n`;
+            result += `- **Type**: ${match.siteType}\n`;
+            result += `- **Overlapping Months**: ${match.overlapMonths}\n`;
+            result += `- **Windows**: ${match.windows.map(range => `${formatRange(range)} (${range.months})`).join(', ')}\n\n`;
+          });
+        }
+        result += formatPageFooter(page);
+
+        return toolResponse(args, result, {
+          productCodes: codes,
+          ...pageResult(page),
+          sites: page.verbosity === 'summary' ? summarize(page.items, CO_AVAILABILITY_SUMMARY_FIELDS) : page.items
+        });
+      }
+
+      default:
+        throw new Error(`Unknown availability tool: ${name}`);
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return {
+        content: [{
+          type: 'text',
+          text: `**Validation Error**: ${error.message}\n\nPlease check your input parameters and try again.`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `**Error**: ${error instanceof Error ? error.message : 'Unknown error occurred'}\n\nPlease try again or contact support if the issue persists.`
+      }],
+      isError: true
+    };
+  }
+}
+
+// Months each product has data at each site, limited to the window, for the
+// sites with data for at least one product
+function buildSiteAvailability(products: Product[], window: MonthWindow, siteCodes?: string[]): SiteAvailability[] {
+  const bySite = new Map<string, SiteAvailability>();
+
+  products.forEach(product => {
+    product.siteCodes.forEach(site => {
+      if (siteCodes && !siteCodes.includes(site.siteCode)) {
+        return;
+      }
+      const months = site.availableMonths.filter(month => inWindow(month, window)).sort();
+      if (months.length === 0) {
+        return;
+      }
+      if (!bySite.has(site.siteCode)) {
+        const empty = Object.fromEntries(products.map(p => [p.productCode, [] as string[]]));
+        bySite.set(site.siteCode, { siteCode: site.siteCode, products: empty });
+      }
+      bySite.get(site.siteCode)!.products[product.productCode] = months;
+    });
+  });
+
+  return Array.from(bySite.values()).sort((a, b) => a.siteCode.localeCompare(b.siteCode));
+}
+
+// Site-years ordered by how many months have data for every product
+function rankSiteYears(sites: SiteAvailability[], window: MonthWindow) {
+  const siteYears: Array<{ siteCode: string; year: string; months: number }> = [];
+
+  sites.forEach(site => {
+    const byYear = new Map<string, number>();
+    monthsWithAllProducts(site, window).forEach(month => {
+      const year = month.substring(0, 4);
+      byYear.set(year, (byYear.get(year) || 0) + 1);
+    });
+    byYear.forEach((months, year) => siteYears.push({ siteCode: site.siteCode, year, months }));
+  });
+
+  return siteYears.sort((a, b) =>
+    b.months - a.months || a.siteCode.localeCompare(b.siteCode) || a.year.localeCompare(b.year)
+  );
+}
+
+function matrixResult(products: Product[], window: MonthWindow, sites: SiteAvailability[]) {
+  return {
+    products: products.map(product => ({ productCode: product.productCode, productName: product.productName })),
+    startMonth: window.start || null,
+    endMonth: window.end || null,
+    sites: sites.map(site => ({
+      siteCode: site.siteCode,
+      availableMonths: site.products,
+      allProductMonths: monthsWithAllProducts(site, window),
+      gaps: Object.entries(site.products).flatMap(([productCode, months]) =>
+        findGaps(months).map(gap => ({ productCode, ...gap }))
+      )
+    })),
+    siteYears: rankSiteYears(sites, window)
+  };
+}
\ No newline at end of file
@@ -1,14 +1,98 @@
 import { Tool } from '@modelcontextprotocol/sdk/types.js';
 import { NeonApiClient } from '../api/client.js';
-import { formatDataQueryResult, createDataSummary, formatDownloadInfo } from '../utils/formatters.js';
-import { validateInput, ValidationError, validateDateRange } from '../utils/validators.js';
+import { DEFAULT_CONFIG, DownloadsConfig } from '../config.js';
+import { formatDataQueryResult, createDataSummary, formatDownloadInfo, formatFileSize } from '../utils/formatters.js';
+import {
+  DatasetCitation,
+  PROVISIONAL_RELEASE,
+  isProvisional,
+  normalizeDoi,
+  formatApaCitation,
+  formatBibtexCitation,
+  formatRisCitation
+} from '../utils/citations.js';
+import { validateInput, ValidationError, validateDateRange, parseFilePattern, resolveWithinRoot } from '../utils/validators.js';
+import { findGaps, formatRange } from '../utils/availability.js';
+import { DataQueryParams } from '../api/types.js';
+import { DownloadManager } from '../download/manager.js';
+import { DataStacker } from '../stacking/stacker.js';
+import { ToolResponse, toolResponse } from './output.js';
+import {
+  arrayOf,
+  dataQueryResultSchema,
+  downloadReportSchema,
+  extendSchema,
+  monthRangeSchema,
+  objectSchema,
+  productSiteCodesSchema,
+  stackReportSchema
+} from './outputSchemas.js';
 import { z } from 'zod';
 
+// Input schema shared by tools that take the same parameters as neon_query_data
+const dataQueryInputSchema: Tool['inputSchema'] = {
+  type: 'object',
+  properties: {
+    productCode: {
+      type: 'string',
+      description: 'NEON product code (e.g., "DP1.10003.001")',
+      pattern: '^DP\\d\\.\\d{5}\\.\\d{3}$'
+    },
+    siteCode: {
+      type: 'string',
+      description: 'Single site code (4 letters, e.g., "HARV")',
+      pattern: '^[A-Z]{4}$'
+    },
+    siteCodes: {
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: '^[A-Z]{4}$'
+      },
+      description: 'Multiple site codes (alternative to siteCode)'
+    },
+    startDateMonth: {
+      type: 'string',
+      description: 'Start date in YYYY-MM format',
+      pattern: '^\\d{4}-\\d{2}$'
+    },
+    endDateMonth: {
+      type: 'string',
+      description: 'End date in YYYY-MM format',
+      pattern: '^\\d{4}-\\d{2}$'
+    },
+    package: {
+      type: 'string',
+      enum: ['basic', 'expanded'],
+      description: 'Data package type (basic or expanded)'
+    },
+    release: {
+      type: 'string',
+      description: 'Specific release tag (e.g., "RELEASE-2024")'
+    },
+    includeProvisional: {
+      type: 'boolean',
+      description: 'Include provisional data (default: false)'
+    }
+  },
+  required: ['productCode', 'startDateMonth', 'endDateMonth'],
+  anyOf: [
+    { required: ['siteCode'] },
+    { required: ['siteCodes'] }
+  ]
+};
+
 export function createDataTools(client: NeonApiClient): Tool[] {
   return [
     {
       name: 'neon_query_data',
       description: 'Query for available NEON data files with flexible filtering options',
+      inputSchema: dataQueryInputSchema,
+      outputSchema: dataQueryResultSchema
+    },
+    {
+      name: 'neon_get_download_url',
+      description: 'Get download URL and metadata for a specific data file',
       inputSchema: {
         type: 'object',
         properties: {
@@ -19,76 +103,115 @@ export function createDataTools(client: NeonApiClient): Tool[] {
           },
           siteCode: {
             type: 'string',
-            description: 'Single site code (4 letters, e.g., "HARV")',
+            description: 'Site code (4 letters, e.g., "HARV")',
             pattern: '^[A-Z]{4}$'
           },
-          siteCodes: {
-            type: 'array',
-            items: {
-              type: 'string',
-              pattern: '^[A-Z]{4}$'
-            },
-            description: 'Multiple site codes (alternative to siteCode)'
-          },
-          startDateMonth: {
+          yearMonth: {
             type: 'string',
-            description: 'Start date in YYYY-MM format',
+            description: 'Year-month in YYYY-MM format',
             pattern: '^\\d{4}-\\d{2}$'
           },
-          endDateMonth: {
+          filename: {
             type: 'string',
-            description: 'End date in YYYY-MM format',
-            pattern: '^\\d{4}-\\d{2}$'
+            description: 'Name of the file to download'
           },
-          package: {
+          release: {
+            type: 'string',
+            description: 'Release tag the file must belong to (e.g., "RELEASE-2024"); fails if the release does not include it'
+          }
+        },
+        required: ['productCode', 'siteCode', 'yearMonth', 'filename']
+      },
+      outputSchema: objectSchema({
+        url: { type: 'string' },
+        size: { type: 'number' },
+        checksum: { type: 'string' }
+      })
+    },
+    {
+      name: 'neon_cite_data',
+      description: 'Generate ready-to-paste citations (BibTeX, RIS, APA) for every release behind a data query',
+      inputSchema: {
+        ...dataQueryInputSchema,
+        properties: {
+          ...dataQueryInputSchema.properties,
+          format: {
+            type: 'string',
+            enum: ['all', 'apa', 'bibtex', 'ris'],
+            description: 'Citation format to return (default: all)',
+            default: 'all'
+          }
+        }
+      },
+      outputSchema: objectSchema({
+        productCode: { type: 'string' },
+        productName: { type: 'string' },
+        includesProvisional: { type: 'boolean' },
+        citations: arrayOf(objectSchema({
+          release: { type: 'string' },
+          doi: { type: ['string', 'null'] },
+          year: { type: 'string' },
+          apa: { type: 'string' },
+          bibtex: { type: 'string' },
+          ris: { type: 'string' }
+        }, ['release', 'doi', 'year']))
+      })
+    },
+    {
+      name: 'neon_download_data',
+      description: 'Download every file matching a data query to a local directory, with checksum verification, resume and a manifest',
+      inputSchema: {
+        ...dataQueryInputSchema,
+        properties: {
+          ...dataQueryInputSchema.properties,
+          outputDir: {
             type: 'string',
-            enum: ['basic', 'expanded'],
-            description: 'Data package type (basic or expanded)'
+            description: 'Directory to download into, inside the configured download root (relative paths start there); re-running with the same directory resumes'
           },
-          release: {
+          filePattern: {
             type: 'string',
-            description: 'Specific release tag (e.g., "RELEASE-2024")'
+            description: 'Regular expression to select files by name (e.g., "brd_countdata|variables")'
           },
-          includeProvisional: {
-            type: 'boolean',
-            description: 'Include provisional data (default: false)'
+          concurrency: {
+            type: 'number',
+            description: 'Number of files to download at once (1-16)',
+            default: 4
           }
         },
-        required: ['productCode', 'startDateMonth', 'endDateMonth'],
-        anyOf: [
-          { required: ['siteCode'] },
-          { required: ['siteCodes'] }
-        ]
-      }
+        required: ['productCode', 'startDateMonth', 'endDateMonth', 'outputDir']
+      },
+      outputSchema: downloadReportSchema
     },
     {
-      name: 'neon_get_download_url',
-      description: 'Get download URL and metadata for a specific data file',
+      name: 'neon_stack_data',
+      description: 'Merge the per-site, per-month CSVs of a data query into one CSV or NDJSON file per table',
       inputSchema: {
-        type: 'object',
+        ...dataQueryInputSchema,
         properties: {
-          productCode: {
+          ...dataQueryInputSchema.properties,
+          outputDir: {
             type: 'string',
-            description: 'NEON product code (e.g., "DP1.10003.001")',
-            pattern: '^DP\\d\\.\\d{5}\\.\\d{3}$'
+            description: 'Directory to write stacked tables, variables and readme files into, inside the configured download root'
           },
-          siteCode: {
+          format: {
             type: 'string',
-            description: 'Site code (4 letters, e.g., "HARV")',
-            pattern: '^[A-Z]{4}$'
+            enum: ['csv', 'ndjson'],
+            description: 'Output format for stacked tables (default: csv)',
+            default: 'csv'
           },
-          yearMonth: {
-            type: 'string',
-            description: 'Year-month in YYYY-MM format',
-            pattern: '^\\d{4}-\\d{2}$'
+          tables: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only stack these tables (e.g., ["brd_countdata", "brd_perpoint"])'
           },
-          filename: {
+          sourceDir: {
             type: 'string',
-            description: 'Name of the file to download'
+            description: 'Directory previously filled by neon_download_data (inside the download root); files found there are not re-downloaded'
           }
         },
-        required: ['productCode', 'siteCode', 'yearMonth', 'filename']
-      }
+        required: ['productCode', 'startDateMonth', 'endDateMonth', 'outputDir']
+      },
+      outputSchema: stackReportSchema
     },
     {
       name: 'neon_summarize_data_availability',
@@ -107,7 +230,19 @@ export function createDataTools(client: NeonApiClient): Tool[] {
           }
         },
         required: ['productCode']
-      }
+      },
+      outputSchema: objectSchema({
+        productCode: { type: 'string' },
+        productName: { type: 'string' },
+        productScienceTeam: { type: 'string' },
+        totalSites: { type: 'integer' },
+        totalMonths: { type: 'integer' },
+        earliestMonth: { type: ['string', 'null'] },
+        latestMonth: { type: ['string', 'null'] },
+        siteCodes: productSiteCodesSchema,
+        monthsByYear: { type: 'object', additionalProperties: { type: 'integer' } },
+        gaps: arrayOf(extendSchema(monthRangeSchema, { siteCode: { type: 'string' } }, ['siteCode']))
+      })
     }
   ];
 }
@@ -115,55 +250,19 @@ export function createDataTools(client: NeonApiClient): Tool[] {
 export async function handleDataTool(
   name: string, 
   args: any, 
-  client: NeonApiClient
-): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+  client: NeonApiClient,
+  downloads: DownloadsConfig = DEFAULT_CONFIG.downloads
+): Promise<ToolResponse> {
   try {
     switch (name) {
       case 'neon_query_data': {
-        const schema = z.object({
-          productCode: z.string().regex(/^DP\d\.\d{5}\.\d{3}$/),
-          siteCode: z.string().length(4).regex(/^[A-Z]{4}$/).optional(),
-          siteCodes: z.array(z.string().length(4).regex(/^[A-Z]{4}$/)).optional(),
-          startDateMonth: z.string().regex(/^\d{4}-\d{2}$/),
-          endDateMonth: z.string().regex(/^\d{4}-\d{2}$/),
-          package: z.enum(['basic', 'expanded']).optional(),
-          release: z.string().optional(),
-          includeProvisional: z.boolean().optional()
-        }).refine(
-          (data) => data.siteCode || (data.siteCodes && data.siteCodes.length > 0),
-          { message: 'Either siteCode or siteCodes must be provided' }
-        );
-        
-        const validated = validateInput(schema, args);
-        
-        // Validate date range
-        validateDateRange(validated.startDateMonth, validated.endDateMonth);
-        
-        // Prepare query parameters
-        const queryParams = {
-          productCode: validated.productCode,
-          startDateMonth: validated.startDateMonth,
-          endDateMonth: validated.endDateMonth,
-          package: validated.package,
-          release: validated.release,
-          includeProvisional: validated.includeProvisional
-        };
-        
-        // Add site information
-        if (validated.siteCode) {
-          Object.assign(queryParams, { siteCode: validated.siteCode });
-        } else if (validated.siteCodes) {
-          Object.assign(queryParams, { siteCodes: validated.siteCodes });
-        }
-        
+        const queryParams = parseDataQuery(args);
         const result = await client.queryData(queryParams);
         
         let output = formatDataQueryResult(result);
         output += '\n\n' + createDataSummary(result);
         
-        return {
-          content: [{ type: 'text', text: output }]
-        };
+        return toolResponse(args, output, { siteCodes: result.siteCodes });
       }
 
       case 'neon_get_download_url': {
@@ -171,17 +270,16 @@ export async function handleDataTool(
           productCode: z.string().regex(/^DP\d\.\d{5}\.\d{3}$/),
           siteCode: z.string().length(4).regex(/^[A-Z]{4}$/),
           yearMonth: z.string().regex(/^\d{4}-\d{2}$/),
-          filename: z.string().min(1)
+          filename: z.string().min(1),
+          release: z.string().optional()
         });
         
-        const { productCode, siteCode, yearMonth, filename } = validateInput(schema, args);
+        const { productCode, siteCode, yearMonth, filename, release } = validateInput(schema, args);
         
-        const downloadInfo = await client.getDownloadUrl(productCode, siteCode, yearMonth, filename);
+        const downloadInfo = await client.getDownloadUrl(productCode, siteCode, yearMonth, filename, release);
         const result = formatDownloadInfo(downloadInfo.url, downloadInfo.size, downloadInfo.checksum);
         
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, downloadInfo);
       }
 
       case 'neon_summarize_data_availability': {
@@ -237,6 +335,24 @@ export async function handleDataTool(
           result += `- **${site.siteCode}**: ${monthCount} months (${dateRange})\n`;
         });
         
+        // Months missing between each site's first and last month
+        const gaps = sortedSites.flatMap(site =>
+          findGaps(site.availableMonths).map(gap => ({ siteCode: site.siteCode, ...gap }))
+        );
+        
+        result += `\n## Gaps\n\n`;
+        if (gaps.length === 0) {
+          result += 'None: every site has data for each month between its first and last month.\n';
+        } else {
+          sortedSites.forEach(site => {
+            const siteGaps = gaps.filter(gap => gap.siteCode === site.siteCode);
+            if (siteGaps.length > 0) {
+              const missing = siteGaps.reduce((total, gap) => total + gap.months, 0);
+              result += `- **${site.siteCode}** (${missing} months missing): ${siteGaps.map(formatRange).join(', ')}\n`;
+            }
+          });
+        }
+        
         // Data availability by year
         const monthsByYear = allDates.reduce((acc, month) => {
           const year = month.substring(0, 4);
@@ -256,9 +372,206 @@ export async function handleDataTool(
           });
         }
         
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, {
+          productCode,
+          productName: product.productName,
+          productScienceTeam: product.productScienceTeam,
+          totalSites: product.siteCodes.length,
+          totalMonths,
+          earliestMonth: earliestDate || null,
+          latestMonth: latestDate || null,
+          siteCodes: product.siteCodes,
+          monthsByYear,
+          gaps
+        });
+      }
+
+      case 'neon_cite_data': {
+        const { format, ...queryArgs } = validateInput(z.object({
+          format: z.enum(['all', 'apa', 'bibtex', 'ris']).default('all')
+        }).passthrough(), args);
+        const queryParams = parseDataQuery(queryArgs);
+
+        const [result, product] = await Promise.all([
+          client.queryData(queryParams),
+          client.getProduct(queryParams.productCode, queryParams.release)
+        ]);
+
+        // Every release that contributed files to the query
+        const releaseTags = new Set<string>();
+        result.siteCodes.forEach(siteData => {
+          siteData.availableMonths.forEach(monthData => {
+            monthData.availableDataUrls.forEach(release => releaseTags.add(release.release));
+          });
+        });
+
+        if (releaseTags.size === 0) {
+          return toolResponse(args, 'No data matched this query, so there is nothing to cite.', {
+            productCode: product.productCode,
+            productName: product.productName,
+            includesProvisional: false,
+            citations: []
+          });
+        }
+
+        const accessed = new Date();
+        const citations: DatasetCitation[] = await Promise.all(
+          Array.from(releaseTags).sort().map(async tag => {
+            if (tag === PROVISIONAL_RELEASE) {
+              return {
+                productCode: product.productCode,
+                productName: product.productName,
+                release: tag,
+                year: String(accessed.getFullYear()),
+                accessed
+              };
+            }
+
+            const release = await client.getRelease(tag);
+            const releasedProduct = (release.dataProducts || []).find(p => p.productCode === product.productCode);
+            return {
+              productCode: product.productCode,
+              productName: product.productName,
+              release: tag,
+              doi: releasedProduct?.productDoi || undefined,
+              year: release.generationDate.substring(0, 4),
+              accessed
+            };
+          })
+        );
+
+        let output = `# Citations for ${product.productName} (${product.productCode})\n\n`;
+
+        if (releaseTags.has(PROVISIONAL_RELEASE)) {
+          output += '> **Warning**: This query includes PROVISIONAL data. Provisional data can change and has no DOI, ';
+          output += 'so it cannot be cited reproducibly. Re-run the analysis against a RELEASE tag before publishing.\n\n';
+        }
+
+        const rendered = citations.map(citation => {
+          const entry: Record<string, string | null> = {
+            release: citation.release,
+            doi: citation.doi ? normalizeDoi(citation.doi) : null,
+            year: citation.year
+          };
+
+          output += `## ${citation.release}${isProvisional(citation) ? ' (no DOI)' : ''}\n\n`;
+          if (citation.doi) {
+            output += `**DOI**: https://doi.org/${normalizeDoi(citation.doi)}\n\n`;
+          }
+          if (format === 'all' || format === 'apa') {
+            entry.apa = formatApaCitation(citation);
+            output += `### APA\n\n${entry.apa}\n\n`;
+          }
+          if (format === 'all' || format === 'bibtex') {
+            entry.bibtex = formatBibtexCitation(citation);
+            output += `### BibTeX\n\n\`\`\`bibtex\n${entry.bibtex}\n\`\`\`\n\n`;
+          }
+          if (format === 'all' || format === 'ris') {
+            entry.ris = formatRisCitation(citation);
+            output += `### RIS\n\n\`\`\`\n${entry.ris}\n\`\`\`\n\n`;
+          }
+          return entry;
+        });
+
+        return toolResponse(args, output, {
+          productCode: product.productCode,
+          productName: product.productName,
+          includesProvisional: releaseTags.has(PROVISIONAL_RELEASE),
+          citations: rendered
+        });
+      }
+
+      case 'neon_download_data': {
+        const { outputDir, filePattern, concurrency, ...queryArgs } = validateInput(z.object({
+          outputDir: z.string().min(1, 'Output directory is required'),
+          filePattern: z.string().optional(),
+          concurrency: z.number().int().min(1).max(16).default(4)
+        }).passthrough(), args);
+        const queryParams = parseDataQuery(queryArgs);
+        const directory = resolveWithinRoot(downloads.root, outputDir, 'outputDir');
+        const pattern = parseFilePattern(filePattern);
+
+        const result = await client.queryData(queryParams);
+        const manager = new DownloadManager({
+          outputDir: directory,
+          concurrency,
+          filePattern: pattern,
+          package: queryParams.package
+        });
+        const report = await manager.download(result);
+
+        let output = `# Download Report for ${queryParams.productCode}\n\n`;
+        output += `**Directory**: ${report.outputDir}\n`;
+        output += `**Manifest**: ${report.manifestPath}\n\n`;
+        output += `- **Downloaded**: ${report.downloaded} files (${formatFileSize(report.bytesDownloaded)})\n`;
+        output += `- **Already present**: ${report.skipped} files\n`;
+        output += `- **Failed**: ${report.failed} files\n`;
+
+        const failures = report.entries.filter(entry => entry.status === 'failed');
+        if (failures.length > 0) {
+          output += '\n## Failed Files\n\n';
+          failures.forEach(entry => {
+            output += `- ${entry.path}: ${entry.error}\n`;
+          });
+          output += '\nRun the same request again to retry; completed files are kept.\n';
+        }
+
+        return toolResponse(args, output, { ...report });
+      }
+
+      case 'neon_stack_data': {
+        const { outputDir, format, tables, sourceDir, ...queryArgs } = validateInput(z.object({
+          outputDir: z.string().min(1, 'Output directory is required'),
+          format: z.enum(['csv', 'ndjson']).default('csv'),
+          tables: z.array(z.string().min(1)).optional(),
+          sourceDir: z.string().optional()
+        }).passthrough(), args);
+        const queryParams = parseDataQuery(queryArgs);
+        const directory = resolveWithinRoot(downloads.root, outputDir, 'outputDir');
+        const source = sourceDir ? resolveWithinRoot(downloads.root, sourceDir, 'sourceDir') : undefined;
+
+        const result = await client.queryData(queryParams);
+        const stacker = new DataStacker({
+          outputDir: directory,
+          format,
+          tables,
+          sourceDir: source,
+          package: queryParams.package
+        });
+        const report = await stacker.stack(result);
+
+        let output = `# Stacked Tables for ${queryParams.productCode}\n\n`;
+        output += `**Directory**: ${report.outputDir}\n`;
+        output += `**Format**: ${report.format}\n\n`;
+
+        if (report.tables.length === 0) {
+          output += 'No data tables matched this query.\n';
+        } else {
+          output += `## Tables (${report.tables.length})\n\n`;
+          report.tables.forEach(table => {
+            output += `- **${table.table}**: ${table.rows} rows from ${table.sourceFiles} files`;
+            if (table.duplicatesDropped > 0) {
+              output += ` (${table.duplicatesDropped} duplicate rows dropped)`;
+            }
+            output += `\n  - ${table.path}\n`;
+          });
+        }
+
+        if (report.metadataFiles.length > 0) {
+          output += `\n## Variables, Readme and Metadata Files\n\n`;
+          report.metadataFiles.forEach(file => {
+            output += `- ${file}\n`;
+          });
+        }
+
+        if (report.failedFiles.length > 0) {
+          output += `\n## Failed Files (${report.failedFiles.length})\n\n`;
+          report.failedFiles.forEach(file => {
+            output += `- ${file.name}: ${file.error}\n`;
+          });
+        }
+
+        return toolResponse(args, output, { ...report });
       }
 
       default:
@@ -270,7 +583,8 @@ export async function handleDataTool(
         content: [{ 
           type: 'text', 
           text: `**Validation Error**: ${error.message}\n\nPlease check your input parameters and try again.` 
-        }]
+        }],
+        isError: true
       };
     }
     
@@ -278,11 +592,53 @@ export async function handleDataTool(
       content: [{ 
         type: 'text', 
         text: `**Error**: ${error instanceof Error ? error.message : 'Unknown error occurred'}\n\nPlease try again or contact support if the issue persists.` 
-      }]
+      }],
+      isError: true
     };
   }
 }
 
+// Helper function to validate neon_query_data style arguments into query parameters
+function parseDataQuery(args: any): DataQueryParams {
+  const schema = z.object({
+    productCode: z.string().regex(/^DP\d\.\d{5}\.\d{3}$/),
+    siteCode: z.string().length(4).regex(/^[A-Z]{4}$/).optional(),
+    siteCodes: z.array(z.string().length(4).regex(/^[A-Z]{4}$/)).optional(),
+    startDateMonth: z.string().regex(/^\d{4}-\d{2}$/),
+    endDateMonth: z.string().regex(/^\d{4}-\d{2}$/),
+    package: z.enum(['basic', 'expanded']).optional(),
+    release: z.string().optional(),
+    includeProvisional: z.boolean().optional()
+  }).refine(
+    (data) => data.siteCode || (data.siteCodes && data.siteCodes.length > 0),
+    { message: 'Either siteCode or siteCodes must be provided' }
+  );
+  
+  const validated = validateInput(schema, args);
+  
+  // Validate date range
+  validateDateRange(validated.startDateMonth, validated.endDateMonth);
+  
+  // Prepare query parameters
+  const queryParams: DataQueryParams = {
+    productCode: validated.productCode,
+    startDateMonth: validated.startDateMonth,
+    endDateMonth: validated.endDateMonth,
+    package: validated.package,
+    release: validated.release,
+    includeProvisional: validated.includeProvisional
+  };
+  
+  // Add site information
+  if (validated.siteCode) {
+    queryParams.siteCode = validated.siteCode;
+  } else if (validated.siteCodes) {
+    queryParams.siteCodes = validated.siteCodes;
+  }
+  
+  return queryParams;
+}
+
 // Helper function to get date range from available months
 function getDateRange(months: string[]): string {
   if (months.length === 0) return 'No data available';
@@ -1,9 +1,90 @@
 import { Tool } from '@modelcontextprotocol/sdk/types.js';
 import { NeonApiClient } from '../api/client.js';
-import { formatLocation } from '../utils/formatters.js';
-import { validateInput, ValidationError } from '../utils/validators.js';
+import { IndexedLocation, Location, LocationTreeNode } from '../api/types.js';
+import { formatLocation, formatMonthRanges } from '../utils/formatters.js';
+import { featureCollection, pointFeature } from '../utils/geo.js';
+import { detectMoves, HistoryPosition, LocationMove } from '../utils/locationHistory.js';
+import { validateInput, ValidationError, ProductCodeSchema } from '../utils/validators.js';
+import { ToolResponse, toolResponse } from './output.js';
+import {
+  arrayOf,
+  extendSchema,
+  featureCollectionSchema,
+  indexedLocationSchema,
+  locationMovesSchema,
+  locationSchema,
+  locationTreeSchema,
+  objectSchema,
+  pagedSchema,
+  siteBatchProperties,
+  stringArraySchema
+} from './outputSchemas.js';
+import { formatPageFooter, Page, pageInputProperties, pageResult, paginate, SortOptions, summarize } from './pagination.js';
+import { applySpatialFilters, exportGeoJson, formatGeoJson, hasSearchPoint, parseSpatialArguments, spatialInputProperties } from './spatial.js';
 import { z } from 'zod';
 
+// A location search result, with its distance from the search point for proximity searches
+type LocationMatch = Location & { distanceKm?: number };
+
+const LOCATION_SORT_FIELDS: SortOptions<LocationMatch>['fields'] = {
+  siteCode: location => location.siteCode,
+  locationName: location => location.locationName,
+  locationType: location => location.locationType,
+  elevation: location => location.locationElevation
+};
+
+const LOCATION_SUMMARY_FIELDS = [
+  'locationName', 'locationType', 'siteCode', 'locationDecimalLatitude', 'locationDecimalLongitude', 'distanceKm'
+] as const;
+
+const LOCATION_ITEM_SUMMARY_FIELDS = LOCATION_SUMMARY_FIELDS.filter(field => field !== 'distanceKm');
+
+const MAX_HIERARCHY_DEPTH = 10;
+const MAX_HIERARCHY_NODES = 2000;
+
+// Walking site hierarchies takes many requests, so one search covers at most this
+// many sites and says where the next call picks up
+export const MAX_SITES_PER_SEARCH = 5;
+
+const siteCursorInputProperty = {
+  type: 'string',
+  description: `nextSiteCursor from the previous call; each call searches at most ${MAX_SITES_PER_SEARCH} sites`
+};
+
+// The sites one call of a hierarchy search covers
+interface SiteBatch {
+  sitesSearched: string[];
+  totalSites: number;
+  offset: number;
+  nextSiteCursor: string | null;
+}
+
+// A node of the tree returned by neon_get_location_hierarchy
+interface TreeSummary {
+  locationName: string;
+  locationType: string | null;
+  locationDescription: string | null;
+  siteCode: string | null;
+  latitude: number | null;
+  longitude: number | null;
+  elevation: number | null;
+  depth: number;
+  parent: string | null;
+  available: boolean;
+  omittedChildren: number;
+  children: TreeSummary[];
+}
+
+const INDEXED_LOCATION_SORT_FIELDS: SortOptions<IndexedLocation>['fields'] = {
+  ...LOCATION_SORT_FIELDS,
+  height: location => location.heightAboveBase,
+  depth: location => location.depth
+};
+
+const INDEXED_LOCATION_SUMMARY_FIELDS = [
+  'locationName', 'locationType', 'siteCode', 'locationElevation', 'heightAboveBase'
+] as const;
+
 export function createLocationTools(client: NeonApiClient): Tool[] {
   return [
     {
@@ -32,7 +113,8 @@ export function createLocationTools(client: NeonApiClient): Tool[] {
           }
         },
         required: ['locationName']
-      }
+      },
+      outputSchema: objectSchema({ location: locationSchema })
     },
     {
       name: 'neon_list_site_locations',
@@ -43,13 +125,15 @@ export function createLocationTools(client: NeonApiClient): Tool[] {
           locationType: {
             type: 'string',
             description: 'Filter by location type (e.g., "TOWER", "HUT", "MEGAPIT")'
-          }
+          },
+          ...pageInputProperties(Object.keys(LOCATION_SORT_FIELDS), 'siteCode')
         }
-      }
+      },
+      outputSchema: pagedSchema('locations', locationSchema, LOCATION_ITEM_SUMMARY_FIELDS)
     },
     {
       name: 'neon_find_towers',
-      description: 'Find all tower locations at a site or across NEON',
+      description: `Find all tower locations at a site or across NEON, from the site location hierarchies. Without siteCode, each call searches the next ${MAX_SITES_PER_SEARCH} sites; pass nextSiteCursor back as siteCursor to continue.`,
       inputSchema: {
         type: 'object',
         properties: {
@@ -61,36 +145,143 @@ export function createLocationTools(client: NeonApiClient): Tool[] {
           towerType: {
             type: 'string',
             description: 'Type of tower to find (e.g., "flux", "meteorological")'
-          }
+          },
+          siteCursor: siteCursorInputProperty,
+          ...pageInputProperties(Object.keys(LOCATION_SORT_FIELDS), 'siteCode')
         }
-      }
+      },
+      outputSchema: extendSchema(pagedSchema('towers', indexedLocationSchema, LOCATION_ITEM_SUMMARY_FIELDS), siteBatchProperties, Object.keys(siteBatchProperties))
+    },
+    {
+      name: 'neon_find_locations',
+      description: `Find locations of any type (towers, tower levels, soil plots, ...) by walking the location hierarchy of each site, e.g. all tower levels more than 20 m above their tower base. The first query at a site walks its whole hierarchy, which can take a while; later queries use the cached index. Each call searches at most ${MAX_SITES_PER_SEARCH} sites; pass nextSiteCursor back as siteCursor to continue.`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          siteCodes: {
+            type: 'array',
+            items: {
+              type: 'string',
+              pattern: '^[A-Z]{4}$'
+            },
+            description: `Sites to search (default: every NEON site), ${MAX_SITES_PER_SEARCH} per call`
+          },
+          siteCursor: siteCursorInputProperty,
+          locationType: {
+            type: 'string',
+            description: 'Location type to match, case-insensitive substring (e.g., "TOWER", "SOIL", "OS Plot")'
+          },
+          minHeight: {
+            type: 'number',
+            description: 'Minimum height in meters above the tower the location hangs off, or above the site for locations not on a tower'
+          },
+          maxHeight: {
+            type: 'number',
+            description: 'Maximum height in meters above the tower or site (see minHeight)'
+          },
+          minElevation: {
+            type: 'number',
+            description: 'Minimum elevation in meters above sea level'
+          },
+          maxElevation: {
+            type: 'number',
+            description: 'Maximum elevation in meters above sea level'
+          },
+          ...pageInputProperties(Object.keys(INDEXED_LOCATION_SORT_FIELDS), 'siteCode')
+        }
+      },
+      outputSchema: extendSchema(pagedSchema('locations', indexedLocationSchema, INDEXED_LOCATION_SUMMARY_FIELDS), siteBatchProperties, Object.keys(siteBatchProperties))
     },
     {
       name: 'neon_get_location_hierarchy',
-      description: 'Get the complete location hierarchy for a site or location',
+      description: 'Get the location hierarchy below a site or location as a tree: nested JSON, an indented outline and optionally GeoJSON points with elevations, e.g. to map every sensor position at a site',
       inputSchema: {
         type: 'object',
         properties: {
           locationName: {
             type: 'string',
-            description: 'Parent location to explore (e.g., "SRER", "D14")'
+            description: 'Parent location to explore (e.g., "SRER", "TOWER104454")'
           },
           locationType: {
             type: 'string',
-            description: 'Filter children by location type (e.g., "TOWER")'
+            description: 'Only show locations of this type (case-insensitive substring, e.g., "TOWER") and the locations above them'
           },
           maxDepth: {
             type: 'number',
-            description: 'Maximum hierarchy depth to traverse',
+            description: `Number of levels below the location to walk (1-${MAX_HIERARCHY_DEPTH})`,
             default: 3
+          },
+          maxNodes: {
+            type: 'number',
+            description: 'Stop after fetching this many locations',
+            default: MAX_HIERARCHY_NODES
+          },
+          geojson: {
+            type: 'boolean',
+            description: 'Also return every location with coordinates as a GeoJSON FeatureCollection',
+            default: false
           }
         },
         required: ['locationName']
-      }
+      },
+      outputSchema: objectSchema({
+        location: locationSchema,
+        tree: locationTreeSchema,
+        nodeCount: { type: 'integer' },
+        unavailable: stringArraySchema,
+        truncated: { type: 'boolean' },
+        geojson: featureCollectionSchema
+      }, ['location', 'tree', 'nodeCount', 'unavailable', 'truncated'])
+    },
+    {
+      name: 'neon_detect_location_moves',
+      description: 'Report every move of a location, or of every location below it such as a site\'s sensors, from its location history: the date, horizontal distance, elevation change and the data months collected at each new position. Use it to flag discontinuities before fitting long-term trends.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          locationName: {
+            type: 'string',
+            description: 'Location to check (e.g., "TOWER104454", or a site such as "SRER" with includeDescendants)'
+          },
+          includeDescendants: {
+            type: 'boolean',
+            description: 'Also check every location below it in the hierarchy',
+            default: false
+          },
+          maxDepth: {
+            type: 'number',
+            description: `Levels below the location to check with includeDescendants (1-${MAX_HIERARCHY_DEPTH})`,
+            default: 5
+          },
+          productCode: {
+            type: 'string',
+            description: 'List the months of this product with data at each new position (e.g., "DP1.00002.001")',
+            pattern: '^DP\\d\\.\\d{5}\\.\\d{3}$'
+          },
+          release: {
+            type: 'string',
+            description: 'Release tag to take the product months from (e.g., "RELEASE-2024")'
+          },
+          toleranceM: {
+            type: 'number',
+            description: 'Ignore position changes of this many meters or less, horizontally and vertically',
+            default: 0.1
+          }
+        },
+        required: ['locationName']
+      },
+      outputSchema: objectSchema({
+        locationName: { type: 'string' },
+        locationsChecked: { type: 'integer' },
+        unavailable: stringArraySchema,
+        productCode: { type: ['string', 'null'] },
+        moveCount: { type: 'integer' },
+        locations: arrayOf(locationMovesSchema)
+      })
     },
     {
       name: 'neon_search_locations',
-      description: 'Search locations by name, type, or proximity',
+      description: 'Search locations by name, type, distance from a point, the K nearest, a bounding box or a GeoJSON/WKT polygon',
       inputSchema: {
         type: 'object',
         properties: {
@@ -107,25 +298,14 @@ export function createLocationTools(client: NeonApiClient): Tool[] {
             description: 'Limit search to specific site (4 letters)',
             pattern: '^[A-Z]{4}$'
           },
-          latitude: {
-            type: 'number',
-            description: 'Center latitude for proximity search',
-            minimum: -90,
-            maximum: 90
-          },
-          longitude: {
-            type: 'number',
-            description: 'Center longitude for proximity search',
-            minimum: -180,
-            maximum: 180
-          },
-          radius: {
-            type: 'number',
-            description: 'Search radius in kilometers (used with lat/lon)',
-            default: 50
-          }
+          ...spatialInputProperties(50),
+          ...pageInputProperties(['distance', ...Object.keys(LOCATION_SORT_FIELDS)], 'distance')
         }
-      }
+      },
+      outputSchema: extendSchema(
+        pagedSchema('locations', extendSchema(locationSchema, { distanceKm: { type: 'number' } }), LOCATION_SUMMARY_FIELDS),
+        { geojson: featureCollectionSchema }
+      )
     }
   ];
 }
@@ -134,7 +314,7 @@ export async function handleLocationTool(
   name: string,
   args: any,
   client: NeonApiClient
-): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+): Promise<ToolResponse> {
   try {
     switch (name) {
       case 'neon_get_location': {
@@ -176,9 +356,7 @@ export async function handleLocationTool(
           });
         }
 
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, { location });
       }
 
       case 'neon_list_site_locations': {
@@ -196,49 +374,49 @@ export async function handleLocationTool(
           );
         }
 
+        const page = paginate<LocationMatch>(filteredLocations, args, { fields: LOCATION_SORT_FIELDS, defaultField: 'siteCode' });
+
         let result = `# NEON Site Locations (${filteredLocations.length} locations)\n\n`;
 
-        // Group by site for better organization
-        const locationsBySite = filteredLocations.reduce((acc, loc) => {
-          if (!acc[loc.siteCode]) {
-            acc[loc.siteCode] = [];
-          }
-          acc[loc.siteCode].push(loc);
-          return acc;
-        }, {} as Record<string, typeof locations>);
-
-        Object.keys(locationsBySite).sort().forEach(siteCode => {
-          const siteLocations = locationsBySite[siteCode];
-          result += `## ${siteCode} (${siteLocations.length} locations)\n\n`;
-
-          siteLocations.forEach(loc => {
-            result += `- **${loc.locationName}**: ${loc.locationDescription}\n`;
-            result += `  - **Type**: ${loc.locationType}\n`;
-            result += `  - **Coordinates**: ${loc.locationDecimalLatitude.toFixed(6)}, ${loc.locationDecimalLongitude.toFixed(6)}\n`;
-            result += `  - **Elevation**: ${loc.locationElevation}m\n\n`;
+        if (page.verbosity === 'summary') {
+          result += formatLocationSummaries(page.items);
+        } else if (page.sortBy === 'siteCode') {
+          // Group by site for better organization; the page is already in site order
+          const locationsBySite = page.items.reduce((acc, loc) => {
+            if (!acc[loc.siteCode]) {
+              acc[loc.siteCode] = [];
+            }
+            acc[loc.siteCode].push(loc);
+            return acc;
+          }, {} as Record<string, typeof locations>);
+
+          Object.keys(locationsBySite).forEach(siteCode => {
+            const siteLocations = locationsBySite[siteCode];
+            result += `## ${siteCode} (${siteLocations.length} locations)\n\n`;
+            siteLocations.forEach(loc => {
+              result += formatLocationListEntry(loc);
+            });
           });
-        });
+        } else {
+          page.items.forEach(loc => {
+            result += formatLocationListEntry(loc);
+          });
+        }
+        result += formatPageFooter(page);
 
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, locationPage('locations', page));
       }
 
       case 'neon_find_towers': {
         const schema = z.object({
           siteCode: z.string().length(4).regex(/^[A-Z]{4}$/).optional(),
-          towerType: z.string().optional()
+          towerType: z.string().optional(),
+          siteCursor: z.string().optional()
         });
 
-        const { siteCode, towerType } = validateInput(schema, args);
-
-        let towers: any[] = [];
-        
-        if (siteCode) {
-          towers = await client.findTowersAtSite(siteCode);
-        } else {
-          towers = await client.searchLocationsByType('TOWER');
-        }
+        const { siteCode, towerType, siteCursor } = validateInput(schema, args);
+        const batch = await nextSites(client, siteCode ? [siteCode] : undefined, siteCursor);
+        let towers: Location[] = await client.findTowers(batch.sitesSearched);
 
         // Filter by tower type if specified
         if (towerType) {
@@ -249,7 +427,10 @@ export async function handleLocationTool(
           );
         }
 
+        const page = paginate<LocationMatch>(towers, args, { fields: LOCATION_SORT_FIELDS, defaultField: 'siteCode' });
+
         let result = `# NEON Tower Locations (${towers.length} towers)\n\n`;
+        result += formatSiteBatch(batch);
 
         if (towers.length === 0) {
           result += 'No towers found matching your criteria.\n\n';
@@ -257,71 +438,215 @@ export async function handleLocationTool(
           result += '- Try different search criteria\n';
           result += '- Use neon_list_site_locations to see all available locations\n';
           result += '- Check if the site code is correct\n';
+        } else if (page.verbosity === 'summary') {
+          result += formatLocationSummaries(page.items);
         } else {
-          towers.forEach(tower => {
+          page.items.forEach(tower => {
             result += formatLocation(tower) + '\n\n---\n\n';
           });
         }
+        result += formatPageFooter(page);
 
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, { ...locationPage('towers', page), ...siteBatchResult(batch) });
+      }
+
+      case 'neon_find_locations': {
+        const schema = z.object({
+          siteCodes: z.array(z.string().regex(/^[A-Z]{4}$/, 'Site code must be 4 uppercase letters')).min(1).optional(),
+          locationType: z.string().min(1).optional(),
+          minHeight: z.number().optional(),
+          maxHeight: z.number().optional(),
+          minElevation: z.number().optional(),
+          maxElevation: z.number().optional(),
+          siteCursor: z.string().optional()
+        });
+
+        const { siteCursor, ...query } = validateInput(schema, args);
+        const batch = await nextSites(client, query.siteCodes, siteCursor);
+        const locations = await client.findLocations({ ...query, siteCodes: batch.sitesSearched });
+        const page = paginate(locations, args, { fields: INDEXED_LOCATION_SORT_FIELDS, defaultField: 'siteCode' });
+
+        let result = `# NEON Locations (${locations.length} locations)\n\n`;
+        const filters = [
+          query.siteCodes && `**Sites**: ${query.siteCodes.join(', ')}`,
+          query.locationType && `**Type**: ${query.locationType}`,
+          (query.minHeight !== undefined || query.maxHeight !== undefined) &&
+            `**Height**: ${formatBounds(query.minHeight, query.maxHeight)} m`,
+          (query.minElevation !== undefined || query.maxElevation !== undefined) &&
+            `**Elevation**: ${formatBounds(query.minElevation, query.maxElevation)} m`
+        ].filter(Boolean);
+        if (filters.length > 0) {
+          result += filters.join('\n') + '\n\n';
+        }
+        result += formatSiteBatch(batch);
+
+        if (locations.length === 0) {
+          result += 'No locations found matching your criteria.\n\n';
+          result += '**Suggestions:**\n';
+          result += '- Match a shorter part of the location type\n';
+          result += '- Use neon_get_location_hierarchy to see the types found at a site\n';
+        } else if (page.verbosity === 'summary') {
+          page.items.forEach(loc => {
+            result += `- **${loc.locationName}**: ${loc.locationType} at ${loc.siteCode}, ${loc.heightAboveBase} m\n`;
+          });
+          result += '\n';
+        } else {
+          page.items.forEach(loc => {
+            result += formatIndexedLocation(loc);
+          });
+        }
+        result += formatPageFooter(page);
+
+        return toolResponse(args, result, {
+          ...pageResult(page),
+          locations: page.verbosity === 'summary' ? summarize(page.items, INDEXED_LOCATION_SUMMARY_FIELDS) : page.items,
+          ...siteBatchResult(batch)
+        });
       }
 
       case 'neon_get_location_hierarchy': {
         const schema = z.object({
           locationName: z.string().min(1),
           locationType: z.string().optional(),
-          maxDepth: z.number().min(1).max(5).default(3)
+          maxDepth: z.number().int().min(1).max(MAX_HIERARCHY_DEPTH).default(3),
+          maxNodes: z.number().int().min(1).max(MAX_HIERARCHY_NODES).default(MAX_HIERARCHY_NODES),
+          geojson: z.boolean().optional()
         });
 
-        const { locationName, locationType, maxDepth } = validateInput(schema, args);
-        const location = await client.getLocationHierarchy(locationName, locationType);
+        const { locationName, locationType, maxDepth, maxNodes, geojson } = validateInput(schema, args);
+        const tree = await client.getLocationTree(locationName, maxDepth ?? 3, maxNodes ?? MAX_HIERARCHY_NODES);
+        const root = summarizeTree(tree.root, locationType)!;
+        const location = tree.root.location!;
 
         let result = `# Location Hierarchy for ${locationName}\n\n`;
         result += formatLocation(location) + '\n\n';
+        result += `## Outline (${tree.nodeCount} locations, up to ${maxDepth} levels down)\n\n`;
+        if (locationType) {
+          result += `Showing ${locationType} locations and the locations above them.\n\n`;
+        }
+        result += formatOutline(root);
 
-        // Display hierarchy structure
-        if (location.locationChildren && location.locationChildren.length > 0) {
-          result += `## Child Locations (${location.locationChildren.length})\n\n`;
-          
-          for (const childName of location.locationChildren.slice(0, 20)) { // Limit to first 20
-            try {
-              const childLocation = await client.getLocation(childName);
-              result += `### ${childName}\n`;
-              result += `- **Type**: ${childLocation.locationType}\n`;
-              result += `- **Description**: ${childLocation.locationDescription}\n`;
-              if (childLocation.locationDecimalLatitude && childLocation.locationDecimalLongitude) {
-                result += `- **Coordinates**: ${childLocation.locationDecimalLatitude.toFixed(6)}, ${childLocation.locationDecimalLongitude.toFixed(6)}\n`;
-              }
-              result += '\n';
-            } catch (error) {
-              result += `### ${childName}\n`;
-              result += `- **Error**: Could not fetch details\n\n`;
-            }
-          }
+        if (tree.unavailable.length > 0) {
+          result += `\n**Could not fetch**: ${tree.unavailable.join(', ')}\n`;
+        }
+        if (tree.truncated) {
+          result += `\n**Note**: stopped after ${tree.nodeCount} locations; raise maxNodes or lower maxDepth to see the rest.\n`;
+        }
+
+        const features = geojson ? featureCollection(treeNodes(root).filter(hasCoordinates).map(treeFeature)) : undefined;
+        if (features) {
+          result += `\n${formatGeoJson(features)}`;
+        }
 
-          if (location.locationChildren.length > 20) {
-            result += `... and ${location.locationChildren.length - 20} more child locations\n\n`;
+        return toolResponse(args, result, {
+          location,
+          tree: root,
+          nodeCount: tree.nodeCount,
+          unavailable: tree.unavailable,
+          truncated: tree.truncated,
+          ...(features ? { geojson: features } : {})
+        });
+      }
+
+      case 'neon_detect_location_moves': {
+        const schema = z.object({
+          locationName: z.string().min(1),
+          includeDescendants: z.boolean().default(false),
+          maxDepth: z.number().int().min(1).max(MAX_HIERARCHY_DEPTH).default(5),
+          productCode: ProductCodeSchema.optional(),
+          release: z.string().optional(),
+          toleranceM: z.number().min(0).default(0.1)
+        });
+
+        const { locationName, includeDescendants, maxDepth, productCode, release, toleranceM } = validateInput(schema, args);
+        const tolerance = toleranceM ?? 0.1;
+
+        const names = includeDescendants
+          ? treeLocationNames((await client.getLocationTree(locationName, maxDepth ?? 5)).root)
+          : [locationName];
+
+        const unavailable: string[] = [];
+        const histories = await Promise.all(names.map(async name => {
+          try {
+            return await client.getLocation(name, false, true);
+          } catch (error) {
+            // The root itself must exist; anything below it is reported instead
+            if (name === locationName) throw error;
+            unavailable.push(name);
+            return null;
           }
+        }));
+
+        // Months with data at each site, to say which are affected by each move
+        const product = productCode ? await client.getProduct(productCode, release) : undefined;
+        const monthsAtSite = (siteCode: string) =>
+          product?.siteCodes.find(site => site.siteCode === siteCode)?.availableMonths.slice().sort() || [];
+
+        const located = histories.filter((location): location is Location => location !== null);
+        const results = located
+          .map(location => ({
+            locationName: location.locationName,
+            locationType: location.locationType,
+            siteCode: location.siteCode,
+            periods: (location.locationHistory || []).length,
+            moves: detectMoves(location.locationHistory || [], tolerance).map(move => ({
+              ...move,
+              ...(product ? {
+                dataMonths: monthsAtSite(location.siteCode)
+                  .filter(month => month >= move.firstMonth && (!move.lastMonth || month <= move.lastMonth))
+              } : {})
+            }))
+          }))
+          .filter(location => location.moves.length > 0);
+        const moveCount = results.reduce((total, location) => total + location.moves.length, 0);
+
+        let result = `# Location Moves for ${locationName} (${moveCount} moves)\n\n`;
+        result += `**Locations Checked**: ${located.length}${includeDescendants ? ` (up to ${maxDepth} levels down)` : ''}\n`;
+        if (product) {
+          result += `**Product**: ${product.productCode} (${product.productName})\n`;
         }
+        result += '\n';
 
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        if (moveCount === 0) {
+          result += `No moves found: every history period has the same position, within ${tolerance} m.\n`;
+        }
+        results.forEach(location => {
+          result += `## ${location.locationName} (${location.locationType}, ${location.periods} periods)\n\n`;
+          location.moves.forEach(move => {
+            result += `### ${move.date}: ${formatMoveSummary(move)}\n`;
+            result += `- **From**: ${formatHistoryPosition(move.from)}\n`;
+            result += `- **To**: ${formatHistoryPosition(move.to)}\n`;
+            result += `- **Affected Months**: ${move.firstMonth} to ${move.lastMonth || 'present'}\n`;
+            if ('dataMonths' in move) {
+              result += `- **${product!.productCode} Data**: ${formatMonthRanges(move.dataMonths as string[])}\n`;
+            }
+            result += '\n';
+          });
+        });
+
+        if (unavailable.length > 0) {
+          result += `**Could not fetch**: ${unavailable.join(', ')}\n`;
+        }
+
+        return toolResponse(args, result, {
+          locationName,
+          locationsChecked: located.length,
+          unavailable,
+          productCode: productCode || null,
+          moveCount,
+          locations: results
+        });
       }
 
       case 'neon_search_locations': {
         const schema = z.object({
           searchTerm: z.string().optional(),
           locationType: z.string().optional(),
-          siteCode: z.string().length(4).regex(/^[A-Z]{4}$/).optional(),
-          latitude: z.number().min(-90).max(90).optional(),
-          longitude: z.number().min(-180).max(180).optional(),
-          radius: z.number().positive().default(50)
+          siteCode: z.string().length(4).regex(/^[A-Z]{4}$/).optional()
         });
 
-        const { searchTerm, locationType, siteCode, latitude, longitude, radius } = validateInput(schema, args);
+        const { searchTerm, locationType, siteCode } = validateInput(schema, args);
+        const spatial = parseSpatialArguments(args, 50);
 
         // Get base set of locations
         let locations = await client.getSiteLocations();
@@ -347,52 +672,52 @@ export async function handleLocationTool(
           );
         }
 
-        // Filter by proximity if coordinates provided
-        if (latitude !== undefined && longitude !== undefined) {
-          locations = locations.filter(loc => {
-            const distance = calculateDistance(
-              latitude, longitude,
-              loc.locationDecimalLatitude, loc.locationDecimalLongitude
-            );
-            return distance <= (radius || 50);
-          });
-
-          // Sort by distance
-          locations.sort((a, b) => {
-            const distA = calculateDistance(latitude, longitude, a.locationDecimalLatitude, a.locationDecimalLongitude);
-            const distB = calculateDistance(latitude, longitude, b.locationDecimalLatitude, b.locationDecimalLongitude);
-            return distA - distB;
-          });
+        // Filter by area and proximity
+        const matches = applySpatialFilters<LocationMatch>(
+          locations,
+          loc => [loc.locationDecimalLatitude, loc.locationDecimalLongitude],
+          spatial
+        );
+        const sortFields = { ...LOCATION_SORT_FIELDS };
+        if (hasSearchPoint(spatial)) {
+          sortFields.distance = loc => loc.distanceKm ?? 0;
         }
 
-        let result = `# Location Search Results (${locations.length} matches)\n\n`;
+        const page = paginate(matches, args, {
+          fields: sortFields,
+          defaultField: sortFields.distance ? 'distance' : 'siteCode'
+        });
 
-        if (locations.length === 0) {
+        let result = `# Location Search Results (${matches.length} matches)\n\n`;
+
+        if (matches.length === 0) {
           result += 'No locations found matching your criteria.\n\n';
           result += '**Suggestions:**\n';
           result += '- Try broader search terms\n';
           result += '- Increase search radius for proximity searches\n';
           result += '- Use neon_list_site_locations to see all available locations\n';
+        } else if (page.verbosity === 'summary') {
+          result += formatLocationSummaries(page.items);
         } else {
-          locations.forEach(loc => {
+          page.items.forEach(loc => {
             result += formatLocation(loc);
 
             // Add distance if proximity search was used
-            if (latitude !== undefined && longitude !== undefined) {
-              const distance = calculateDistance(
-                latitude, longitude,
-                loc.locationDecimalLatitude, loc.locationDecimalLongitude
-              );
-              result += `\n**Distance**: ${distance.toFixed(2)} km`;
+            if (loc.distanceKm !== undefined) {
+              result += `\n**Distance**: ${loc.distanceKm.toFixed(2)} km`;
             }
 
             result += '\n\n---\n\n';
           });
         }
+        result += formatPageFooter(page);
+
+        const geojson = exportGeoJson(matches, locationFeature, spatial);
+        if (geojson) {
+          result += `\n${formatGeoJson(geojson)}`;
+        }
 
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, { ...locationPage('locations', page), ...(geojson ? { geojson } : {}) });
       }
 
       default:
@@ -404,7 +729,8 @@ export async function handleLocationTool(
         content: [{
           type: 'text',
           text: `**Validation Error**: ${error.message}\n\nPlease check your input parameters and try again.`
-        }]
+        }],
+        isError: true
       };
     }
 
@@ -412,20 +738,192 @@ export async function handleLocationTool(
       content: [{
         type: 'text',
         text: `**Error**: ${error instanceof Error ? error.message : 'Unknown error occurred'}\n\nPlease try again or contact support if the issue persists.`
-      }]
+      }],
+      isError: true
     };
   }
 }
 
-// Helper function to calculate distance between two points using Haversine formula
-function calculateDistance(lat1: number, lon1: number, lat2: number, lon2: number): number {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+function formatLocationListEntry(loc: Location): string {
+  let output = `- **${loc.locationName}**: ${loc.locationDescription}\n`;
+  output += `  - **Type**: ${loc.locationType}\n`;
+  output += `  - **Coordinates**: ${loc.locationDecimalLatitude.toFixed(6)}, ${loc.locationDecimalLongitude.toFixed(6)}\n`;
+  output += `  - **Elevation**: ${loc.locationElevation}m\n\n`;
+  return output;
+}
+
+// One line per location, for summary verbosity
+function formatIndexedLocation(loc: IndexedLocation): string {
+  let output = `- **${loc.locationName}**: ${loc.locationDescription}\n`;
+  output += `  - **Type**: ${loc.locationType}\n`;
+  output += `  - **Site**: ${loc.siteCode}\n`;
+  output += `  - **Elevation**: ${loc.locationElevation} m (${loc.heightAboveBase} m above base)\n`;
+  output += `  - **Path**: ${[...loc.ancestors, loc.locationName].join(' > ')}\n`;
+  return output;
+}
+
+function formatBounds(min?: number, max?: number): string {
+  if (min !== undefined && max !== undefined) return `${min} to ${max}`;
+  return min !== undefined ? `at least ${min}` : `at most ${max}`;
+}
+
+// The tree with the fields worth showing per node. With locationType, only
+// matching nodes and their ancestors are kept; returns null when none match.
+function summarizeTree(node: LocationTreeNode, locationType?: string, parent: string | null = null): TreeSummary | null {
+  const location = node.location;
+  const children = node.children
+    .map(child => summarizeTree(child, locationType, node.locationName))
+    .filter((child): child is TreeSummary => child !== null);
+  const matches = !locationType || node.depth === 0 ||
+    (location?.locationType || '').toLowerCase().includes(locationType.toLowerCase());
+  if (!matches && children.length === 0) {
+    return null;
+  }
+
+  return {
+    locationName: node.locationName,
+    locationType: location?.locationType ?? null,
+    locationDescription: location?.locationDescription ?? null,
+    siteCode: location?.siteCode ?? null,
+    latitude: location?.locationDecimalLatitude ?? null,
+    longitude: location?.locationDecimalLongitude ?? null,
+    elevation: location?.locationElevation ?? null,
+    depth: node.depth,
+    parent,
+    available: location !== undefined,
+    omittedChildren: node.omittedChildren,
+    children
+  };
+}
+
+function formatOutline(node: TreeSummary): string {
+  const indent = '  '.repeat(node.depth);
+  let output = `${indent}- **${node.locationName}**`;
+  if (!node.available) {
+    output += ': could not fetch details\n';
+  } else {
+    output += ` (${node.locationType}): ${node.locationDescription}`;
+    if (node.latitude !== null && node.longitude !== null) {
+      output += ` at ${node.latitude.toFixed(6)}, ${node.longitude.toFixed(6)}`;
+    }
+    if (node.elevation !== null) {
+      output += `, ${node.elevation} m`;
+    }
+    if (node.omittedChildren > 0) {
+      output += ` (${node.omittedChildren} more below)`;
+    }
+    output += '\n';
+  }
+  return output + node.children.map(formatOutline).join('');
+}
+
+function treeNodes(node: TreeSummary): TreeSummary[] {
+  return [node, ...node.children.flatMap(treeNodes)];
+}
+
+function hasCoordinates(node: TreeSummary): boolean {
+  return Number.isFinite(node.latitude) && Number.isFinite(node.longitude);
+}
+
+function treeFeature(node: TreeSummary) {
+  return pointFeature(node.longitude!, node.latitude!, {
+    locationName: node.locationName,
+    locationType: node.locationType,
+    locationDescription: node.locationDescription,
+    siteCode: node.siteCode,
+    elevation: node.elevation,
+    depth: node.depth,
+    parent: node.parent
+  });
+}
+
+function treeLocationNames(node: LocationTreeNode): string[] {
+  return [
+    ...(node.location ? [node.locationName] : []),
+    ...node.children.flatMap(treeLocationNames)
+  ];
+}
+
+function formatMoveSummary(move: LocationMove): string {
+  const parts: string[] = [];
+  if (move.horizontalDistanceM !== null) {
+    parts.push(`moved ${move.horizontalDistanceM} m`);
+  }
+  if (move.elevationChangeM !== null) {
+    parts.push(`elevation ${move.elevationChangeM >= 0 ? '+' : ''}${move.elevationChangeM} m`);
+  }
+  return parts.join(', ') || 'position changed';
+}
+
+function formatHistoryPosition(position: HistoryPosition): string {
+  const coordinates = position.latitude !== null && position.longitude !== null
+    ? `${position.latitude.toFixed(6)}, ${position.longitude.toFixed(6)}`
+    : 'no coordinates';
+  return position.elevation !== null ? `${coordinates}, ${position.elevation} m` : coordinates;
+}
+
+function formatLocationSummaries(locations: LocationMatch[]): string {
+  let output = '';
+  locations.forEach(loc => {
+    const distance = loc.distanceKm !== undefined ? `, ${loc.distanceKm.toFixed(2)} km` : '';
+    output += `- **${loc.locationName}**: ${loc.locationType} at ${loc.siteCode}${distance}\n`;
+  });
+  return output + '\n';
+}
+
+// Helper function to pick the sites one hierarchy search covers: up to
+// MAX_SITES_PER_SEARCH of the requested sites (default: every site), starting at siteCursor
+async function nextSites(client: NeonApiClient, requested: string[] | undefined, siteCursor?: string): Promise<SiteBatch> {
+  const siteCodes = requested ?? (await client.getSiteLocations()).map(site => site.siteCode);
+  const offset = siteCursor ? siteCodes.indexOf(siteCursor) : 0;
+  if (offset < 0) {
+    throw new ValidationError(`siteCursor: ${siteCursor} is not one of the sites being searched; repeat the same siteCodes, or start again without a siteCursor`, 'siteCursor');
+  }
+
+  const end = offset + MAX_SITES_PER_SEARCH;
+  return {
+    sitesSearched: siteCodes.slice(offset, end),
+    totalSites: siteCodes.length,
+    offset,
+    nextSiteCursor: siteCodes[end] ?? null
+  };
+}
+
+function formatSiteBatch(batch: SiteBatch): string {
+  if (batch.sitesSearched.length === batch.totalSites) {
+    return '';
+  }
+
+  let output = `**Sites Searched**: ${batch.sitesSearched.join(', ')} ` +
+    `(${batch.offset + 1}-${batch.offset + batch.sitesSearched.length} of ${batch.totalSites})\n`;
+  if (batch.nextSiteCursor) {
+    output += `**More Sites**: call again with siteCursor="${batch.nextSiteCursor}" to search the next ones\n`;
+  }
+  return output + '\n';
+}
+
+function siteBatchResult(batch: SiteBatch) {
+  return {
+    sitesSearched: batch.sitesSearched,
+    totalSites: batch.totalSites,
+    nextSiteCursor: batch.nextSiteCursor
+  };
+}
+
+function locationPage(key: string, page: Page<LocationMatch>) {
+  return {
+    ...pageResult(page),
+    [key]: page.verbosity === 'summary' ? summarize(page.items, LOCATION_SUMMARY_FIELDS) : page.items
+  };
+}
+
+function locationFeature(loc: LocationMatch) {
+  return pointFeature(loc.locationDecimalLongitude, loc.locationDecimalLatitude, {
+    locationName: loc.locationName,
+    locationType: loc.locationType,
+    locationDescription: loc.locationDescription,
+    siteCode: loc.siteCode,
+    elevation: loc.locationElevation,
+    ...(loc.distanceKm !== undefined ? { distanceKm: loc.distanceKm } : {})
+  });
 }
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { Tool } from '@modelcontextprotocol/sdk/types.js';
+import { ValidationError } from '../utils/validators.js';
+
+export type OutputFormat = 'markdown' | 'json';
+
+// What every tool handler returns. structuredContent always carries the result
+// as data matching the tool's outputSchema; the text block holds the Markdown
+// rendering, or with outputFormat "json" the same data serialized. A type alias
+// rather than an interface so it is assignable to the SDK's passthrough result type.
+export type ToolResponse = {
+  content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: Record<string, unknown>;
+  isError?: boolean;
+};
+
+const OUTPUT_FORMATS: OutputFormat[] = ['markdown', 'json'];
+
+// Add the outputFormat parameter shared by every tool to its input schema
+export function withOutputFormat(tool: Tool): Tool {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        outputFormat: {
+          type: 'string',
+          enum: OUTPUT_FORMATS,
+          description: 'Response format: "markdown" for readable text (default) or "json" for the structured result described by the output schema',
+          default: 'markdown'
+        }
+      }
+    }
+  };
+}
+
+export function parseOutputFormat(args: any): OutputFormat {
+  const format = args?.outputFormat ?? 'markdown';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ValidationError(`outputFormat: must be "markdown" or "json", got "${format}"`);
+  }
+  return format;
+}
+
+// Build a successful tool result in the format the caller asked for
+export function toolResponse(args: any, markdown: string, data: Record<string, unknown>): ToolResponse {
+  const text = parseOutputFormat(args) === 'json' ? JSON.stringify(data, null, 2) : markdown;
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: data
+  };
+}
\ No newline at end of file
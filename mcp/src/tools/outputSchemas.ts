@@ -0,0 +1,443 @@
+// JSON Schemas for the structured results tools return, mirroring api/types.ts.
+// Tools reference these from their outputSchema so clients know the shape of
+// structuredContent (and of the text when outputFormat is "json").
+
+type JsonSchema = Record<string, unknown>;
+
+// Tool output schemas must describe an object
+export type ObjectSchema = JsonSchema & {
+  type: 'object';
+  properties: Record<string, JsonSchema>;
+  required: string[];
+};
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const month = { type: 'string', pattern: '^\\d{4}-\\d{2}$' };
+const nullable = (type: string) => ({ type: [type, 'null'] });
+// Free text the API leaves null for some records
+const text = nullable('string');
+
+export function arrayOf(items: JsonSchema): JsonSchema {
+  return { type: 'array', items };
+}
+
+export function objectSchema(properties: Record<string, JsonSchema>, required: string[] = Object.keys(properties)): ObjectSchema {
+  return { type: 'object', properties, required };
+}
+
+// A copy of an object schema with extra properties, e.g. a distance added to search results
+export function extendSchema(schema: ObjectSchema, properties: Record<string, JsonSchema>, required: string[] = []): ObjectSchema {
+  return {
+    ...schema,
+    properties: { ...schema.properties, ...properties },
+    required: [...schema.required, ...required]
+  };
+}
+
+export const stringArraySchema = arrayOf(string);
+
+// A page of a listing: the matching results under key, plus the paging fields.
+// Each result is either the full record or, with summary verbosity, just summaryFields of it.
+export function pagedSchema(key: string, itemSchema: ObjectSchema, summaryFields: readonly string[]): ObjectSchema {
+  const properties = itemSchema.properties;
+  const summary = objectSchema(
+    Object.fromEntries(summaryFields.map(field => [field, properties[field]])),
+    itemSchema.required.filter(field => summaryFields.includes(field))
+  );
+
+  return objectSchema({
+    total: integer,
+    offset: integer,
+    count: integer,
+    nextCursor: nullable('string'),
+    [key]: arrayOf({ anyOf: [itemSchema, summary] })
+  });
+}
+
+// A run of consecutive months, e.g. a gap in availability
+export const monthRangeSchema = objectSchema({
+  start: month,
+  end: month,
+  months: integer
+});
+
+// Months with data at each site, as listed on a product
+export const productSiteCodesSchema = arrayOf(objectSchema({
+  siteCode: string,
+  availableMonths: arrayOf(month)
+}));
+
+export const productSchema = objectSchema({
+  productCode: string,
+  productName: string,
+  productDescription: text,
+  productScienceTeam: string,
+  productHasExpanded: boolean,
+  productBasicDescription: text,
+  productExpandedDescription: text,
+  productPublicationFormatType: string,
+  keywords: stringArraySchema,
+  themes: stringArraySchema,
+  siteCodes: productSiteCodesSchema
+}, ['productCode', 'productName', 'siteCodes']);
+
+export const siteDataProductSchema = objectSchema({
+  dataProductCode: string,
+  availableMonths: arrayOf(month)
+});
+
+export const siteSchema = objectSchema({
+  siteCode: string,
+  siteName: string,
+  siteDescription: text,
+  siteType: string,
+  siteLatitude: number,
+  siteLongitude: number,
+  domainCode: string,
+  domainName: string,
+  stateCode: string,
+  stateName: string,
+  dataProducts: arrayOf(siteDataProductSchema)
+}, ['siteCode', 'siteName', 'siteLatitude', 'siteLongitude', 'dataProducts']);
+
+export const dataFileSchema = objectSchema({
+  name: string,
+  size: number,
+  md5: nullable('string'),
+  crc32c: nullable('string'),
+  url: string
+}, ['name', 'size', 'url']);
+
+export const dataQueryResultSchema = objectSchema({
+  siteCodes: arrayOf(objectSchema({
+    siteCode: string,
+    availableMonths: arrayOf(objectSchema({
+      month,
+      availableDataUrls: arrayOf(objectSchema({
+        release: string,
+        packages: arrayOf(objectSchema({
+          package: string,
+          files: arrayOf(dataFileSchema)
+        }))
+      }))
+    }))
+  }))
+});
+
+export const locationHistorySchema = objectSchema({
+  current: boolean,
+  locationStartDate: string,
+  locationEndDate: nullable('string'),
+  locationDecimalLatitude: number,
+  locationDecimalLongitude: number,
+  locationElevation: number,
+  locationUtmEasting: number,
+  locationUtmNorthing: number,
+  locationUtmZone: string,
+  locationProperties: { type: 'object' }
+}, ['current', 'locationStartDate']);
+
+export const locationSchema = objectSchema({
+  locationName: string,
+  locationType: string,
+  locationDescription: text,
+  siteCode: string,
+  locationDecimalLatitude: number,
+  locationDecimalLongitude: number,
+  locationElevation: number,
+  locationUtmEasting: number,
+  locationUtmNorthing: number,
+  locationUtmZone: string,
+  locationProperties: { type: ['object', 'array'] },
+  locationParent: nullable('string'),
+  locationParentUrl: nullable('string'),
+  locationChildren: stringArraySchema,
+  locationChildrenUrls: stringArraySchema,
+  locationHistory: arrayOf(locationHistorySchema)
+}, ['locationName', 'locationType', 'siteCode', 'locationDecimalLatitude', 'locationDecimalLongitude']);
+
+// A node of a location tree. Children nest to any depth through a reference
+// to the tree property of the result, where this schema is used.
+export const locationTreeSchema = objectSchema({
+  locationName: string,
+  locationType: nullable('string'),
+  locationDescription: text,
+  siteCode: nullable('string'),
+  latitude: nullable('number'),
+  longitude: nullable('number'),
+  elevation: nullable('number'),
+  depth: integer,
+  parent: nullable('string'),
+  available: boolean,
+  omittedChildren: integer,
+  children: arrayOf({ $ref: '#/properties/tree' })
+});
+
+const historyPositionSchema = objectSchema({
+  latitude: nullable('number'),
+  longitude: nullable('number'),
+  elevation: nullable('number')
+});
+
+// The moves found in one location's history
+export const locationMovesSchema = objectSchema({
+  locationName: string,
+  locationType: string,
+  siteCode: string,
+  periods: integer,
+  moves: arrayOf(objectSchema({
+    date: string,
+    from: historyPositionSchema,
+    to: historyPositionSchema,
+    horizontalDistanceM: nullable('number'),
+    elevationChangeM: nullable('number'),
+    firstMonth: month,
+    lastMonth: nullable('string'),
+    dataMonths: stringArraySchema
+  }, ['date', 'from', 'to', 'horizontalDistanceM', 'elevationChangeM', 'firstMonth', 'lastMonth']))
+});
+
+// A location from the site hierarchy index, with where it sits in the hierarchy
+export const indexedLocationSchema = extendSchema(locationSchema, {
+  depth: integer,
+  ancestors: stringArraySchema,
+  heightAboveBase: number
+}, ['depth', 'ancestors', 'heightAboveBase']);
+
+// Which sites a search that walks site hierarchies covered, and where the next call picks up
+export const siteBatchProperties = {
+  sitesSearched: stringArraySchema,
+  totalSites: integer,
+  nextSiteCursor: nullable('string')
+};
+
+export const taxonomyEntrySchema = objectSchema({
+  taxonID: string,
+  acceptedTaxonID: string,
+  scientificName: string,
+  scientificNameAuthorship: nullable('string'),
+  taxonRank: string,
+  kingdom: string,
+  division: string,
+  phylum: string,
+  class: string,
+  order: string,
+  family: string,
+  genus: string,
+  specificEpithet: string,
+  infraspecificEpithet: string,
+  vernacularName: nullable('string'),
+  taxonTypeCode: string
+}, ['taxonID', 'scientificName', 'taxonRank', 'taxonTypeCode']);
+
+const sampleInfoProperties = {
+  sampleUuid: string,
+  sampleTag: string,
+  sampleClass: string,
+  barcode: nullable('string'),
+  archiveGuid: nullable('string')
+};
+
+export const sampleInfoSchema = objectSchema(sampleInfoProperties, ['sampleUuid', 'sampleTag', 'sampleClass']);
+
+export const sampleSchema = objectSchema({
+  ...sampleInfoProperties,
+  sampleEvents: arrayOf(objectSchema({
+    ingestTableName: string,
+    smsFieldEntries: arrayOf(objectSchema({ smsKey: string, smsValue: nullable('string') }))
+  })),
+  parentSampleIdentifiers: arrayOf(sampleInfoSchema),
+  childSampleIdentifiers: arrayOf(sampleInfoSchema)
+}, ['sampleUuid', 'sampleTag', 'sampleClass', 'sampleEvents']);
+
+export const sampleHierarchyNodeSchema = objectSchema({
+  sample: sampleSchema,
+  degree: integer,
+  relation: { type: 'string', enum: ['root', 'parent', 'child'] },
+  reachedFrom: string
+}, ['sample', 'degree', 'relation']);
+
+export const sampleClassEntrySchema = objectSchema({ key: string, value: string });
+
+export const releaseDataProductSchema = objectSchema({
+  productCode: string,
+  productName: string,
+  productDescription: text,
+  productDoi: nullable('string')
+}, ['productCode']);
+
+export const releaseSchema = objectSchema({
+  release: string,
+  uuid: string,
+  generationDate: string,
+  artifacts: arrayOf(objectSchema({
+    name: string,
+    type: string,
+    url: string,
+    size: number,
+    md5: nullable('string')
+  }, ['name', 'url'])),
+  dataProducts: arrayOf(releaseDataProductSchema)
+}, ['release', 'generationDate']);
+
+export const prototypeDataFileSchema = objectSchema({
+  name: string,
+  description: text,
+  fileSize: string,
+  fileName: string,
+  md5: text,
+  url: string,
+  type: objectSchema({ name: string, description: text }, ['name'])
+}, ['fileName']);
+
+export const prototypeDataLocationSchema = objectSchema({
+  path: string,
+  description: text,
+  metadata: boolean
+}, ['path']);
+
+export const prototypeDatasetSchema = objectSchema({
+  uuid: string,
+  projectTitle: string,
+  projectDescription: text,
+  designDescription: text,
+  metadataDescription: text,
+  studyAreaDescription: text,
+  datasetAbstract: text,
+  startYear: nullable('integer'),
+  endYear: nullable('integer'),
+  dateUploaded: text,
+  isPublished: boolean,
+  version: text,
+  versionDescription: text,
+  doi: { type: ['object', 'null'], properties: { url: string, generationDate: text } },
+  relatedVersions: arrayOf(objectSchema({
+    datasetUuid: string,
+    datasetProjectTitle: string,
+    datasetVersion: text
+  }, ['datasetUuid'])),
+  data: objectSchema({
+    url: string,
+    files: arrayOf(prototypeDataFileSchema),
+    dataLocations: arrayOf(prototypeDataLocationSchema)
+  }, []),
+  dataThemes: stringArraySchema,
+  fileTypes: arrayOf(objectSchema({ name: string, description: text }, ['name'])),
+  keywords: stringArraySchema,
+  locations: arrayOf(objectSchema({
+    domain: text,
+    state: text,
+    siteCode: text,
+    siteName: text,
+    latitude: text,
+    longitude: text
+  }, [])),
+  publicationCitations: arrayOf(objectSchema({
+    citation: string,
+    citationIdentifier: text,
+    citationIdentifierType: text
+  }, ['citation'])),
+  relatedDataProducts: arrayOf(objectSchema({
+    dataProductIdq: text,
+    dataProductCode: string,
+    dataProductName: text,
+    dataProductDescription: text
+  }, ['dataProductCode'])),
+  scienceTeams: stringArraySchema
+}, ['uuid', 'projectTitle']);
+
+export const variableDefinitionSchema = objectSchema({
+  table: string,
+  fieldName: string,
+  description: text,
+  dataType: string,
+  units: string,
+  downloadPkg: string,
+  pubFormat: string,
+  primaryKey: string,
+  categoricalCodeName: string
+}, ['table', 'fieldName', 'description', 'dataType', 'units', 'downloadPkg', 'pubFormat']);
+
+export const downloadReportSchema = objectSchema({
+  outputDir: string,
+  manifestPath: string,
+  downloaded: integer,
+  skipped: integer,
+  failed: integer,
+  bytesDownloaded: number,
+  entries: arrayOf(objectSchema({
+    siteCode: string,
+    month,
+    release: string,
+    package: string,
+    name: string,
+    path: string,
+    url: string,
+    size: number,
+    md5: string,
+    crc32c: string,
+    // Prototype dataset UUID, for files of a prototype dataset instead of a data query
+    dataset: string,
+    status: { type: 'string', enum: ['downloaded', 'skipped', 'failed'] },
+    checksumMethod: { type: 'string', enum: ['md5', 'crc32c', 'none'] },
+    error: string,
+    completedAt: string
+  }, ['name', 'path', 'url', 'size', 'status']))
+});
+
+export const stackReportSchema = objectSchema({
+  outputDir: string,
+  format: { type: 'string', enum: ['csv', 'ndjson'] },
+  tables: arrayOf(objectSchema({
+    table: string,
+    path: string,
+    columns: stringArraySchema,
+    rows: integer,
+    duplicatesDropped: integer,
+    sourceFiles: integer
+  })),
+  metadataFiles: stringArraySchema,
+  failedFiles: arrayOf(objectSchema({ name: string, error: string }))
+});
+
+export const rateLimitStatusSchema = objectSchema({
+  limit: nullable('number'),
+  remaining: nullable('number'),
+  resetSeconds: nullable('number'),
+  blockedForMs: number,
+  queued: integer,
+  inFlight: integer,
+  requests: integer,
+  throttled: integer,
+  waitedMs: number,
+  updatedAt: nullable('string')
+});
+
+export const cacheStatsSchema = objectSchema({
+  memoryEntries: integer,
+  memoryMaxEntries: integer,
+  diskDirectory: nullable('string'),
+  diskEntries: integer,
+  diskBytes: integer,
+  diskExpiredEntries: integer,
+  hits: integer,
+  staleHits: integer,
+  misses: integer,
+  diskHits: integer
+});
+
+// Search results as GeoJSON points, [longitude, latitude]
+export const featureCollectionSchema = objectSchema({
+  type: { const: 'FeatureCollection' },
+  features: arrayOf(objectSchema({
+    type: { const: 'Feature' },
+    geometry: objectSchema({
+      type: { const: 'Point' },
+      coordinates: { type: 'array', items: number, minItems: 2, maxItems: 2 }
+    }),
+    properties: { type: 'object' }
+  }))
+});
\ No newline at end of file
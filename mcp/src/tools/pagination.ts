@@ -0,0 +1,174 @@
+import { createHash } from 'crypto';
+import { z } from 'zod';
+import { validateInput, ValidationError } from '../utils/validators.js';
+
+export type Verbosity = 'summary' | 'full';
+export type SortOrder = 'asc' | 'desc';
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 200;
+
+// Arguments handled here rather than by the tool. The remaining ones (the filters)
+// and the resolved sort are fingerprinted into the cursor, so a cursor cannot be
+// replayed against a different query.
+const PAGE_ARGUMENTS = ['cursor', 'pageSize', 'sortBy', 'sortOrder', 'verbosity', 'outputFormat'];
+
+const PageArgumentsSchema = z.object({
+  cursor: z.string().min(1).optional(),
+  pageSize: z.number().int().min(1).max(MAX_PAGE_SIZE).optional(),
+  sortBy: z.string().optional(),
+  sortOrder: z.enum(['asc', 'desc']).optional(),
+  verbosity: z.enum(['summary', 'full']).optional()
+});
+
+export interface SortOptions<T> {
+  // Sort keys the tool offers, by name
+  fields: Record<string, (item: T) => string | number>;
+  defaultField: string;
+  defaultOrder?: SortOrder;
+}
+
+export interface Page<T> {
+  items: T[];
+  total: number;
+  offset: number;
+  nextCursor: string | null;
+  sortBy: string;
+  verbosity: Verbosity;
+}
+
+// Input schema properties for a paged listing. sortFields lists every sort key
+// the tool can offer, even ones that only apply to some queries (e.g. distance).
+export function pageInputProperties(sortFields: string[], defaultField: string, defaultOrder: SortOrder = 'asc') {
+  return {
+    cursor: {
+      type: 'string',
+      description: 'nextCursor from the previous page of the same query; omit for the first page'
+    },
+    pageSize: {
+      type: 'number',
+      description: `Number of results per page (1-${MAX_PAGE_SIZE})`,
+      default: DEFAULT_PAGE_SIZE
+    },
+    sortBy: {
+      type: 'string',
+      enum: sortFields,
+      description: 'Field to sort results by',
+      default: defaultField
+    },
+    sortOrder: {
+      type: 'string',
+      enum: ['asc', 'desc'],
+      description: 'Sort direction',
+      default: defaultOrder
+    },
+    verbosity: {
+      type: 'string',
+      enum: ['summary', 'full'],
+      description: '"summary" for one compact line per result, "full" for complete details',
+      default: 'full'
+    }
+  };
+}
+
+// Sort the full result set, then cut out the page the cursor points at
+export function paginate<T>(items: T[], args: any, sort: SortOptions<T>): Page<T> {
+  const { cursor, pageSize, sortBy, sortOrder, verbosity } = validateInput(PageArgumentsSchema, pickPageArguments(args));
+
+  const field = sortBy ?? sort.defaultField;
+  const key = sort.fields[field];
+  if (!key) {
+    throw new ValidationError(`sortBy: must be one of ${Object.keys(sort.fields).join(', ')} for this query, got "${field}"`);
+  }
+  const order = sortOrder ?? (sortBy ? 'asc' : sort.defaultOrder ?? 'asc');
+  const direction = order === 'desc' ? -1 : 1;
+
+  const sorted = items.slice().sort((a, b) => direction * compareValues(key(a), key(b)));
+
+  const fingerprint = queryFingerprint(args, [field, order]);
+  const offset = cursor ? decodeCursor(cursor, fingerprint) : 0;
+  const size = pageSize ?? DEFAULT_PAGE_SIZE;
+  const end = offset + size;
+
+  return {
+    items: sorted.slice(offset, end),
+    total: sorted.length,
+    offset,
+    nextCursor: end < sorted.length ? encodeCursor(end, fingerprint) : null,
+    sortBy: field,
+    verbosity: verbosity ?? 'full'
+  };
+}
+
+// Paging fields shared by every paged tool result
+export function pageResult<T>(page: Page<T>) {
+  return {
+    total: page.total,
+    offset: page.offset,
+    count: page.items.length,
+    nextCursor: page.nextCursor
+  };
+}
+
+// Markdown footer telling the caller which slice they are looking at and how to get the next one
+export function formatPageFooter<T>(page: Page<T>): string {
+  if (page.items.length === 0) {
+    return '';
+  }
+
+  let output = `**Showing**: ${page.offset + 1}-${page.offset + page.items.length} of ${page.total}\n`;
+  if (page.nextCursor) {
+    output += `**Next Page**: call again with cursor="${page.nextCursor}"\n`;
+  }
+  return output;
+}
+
+// Keep only the named fields of each result, for summary verbosity. Fields a
+// result does not have (e.g. distanceKm outside proximity searches) are left out.
+export function summarize<T extends object, K extends keyof T>(items: T[], fields: readonly K[]): Array<Pick<T, K>> {
+  return items.map(item => {
+    const summary = {} as Pick<T, K>;
+    fields.forEach(field => {
+      if (item[field] !== undefined) {
+        summary[field] = item[field];
+      }
+    });
+    return summary;
+  });
+}
+
+export function encodeCursor(offset: number, fingerprint: string): string {
+  return Buffer.from(`${offset}:${fingerprint}`).toString('base64url');
+}
+
+export function decodeCursor(cursor: string, fingerprint: string): number {
+  const match = /^(\d+):([0-9a-f]+)$/.exec(Buffer.from(cursor, 'base64url').toString());
+  if (!match) {
+    throw new ValidationError('cursor: not a cursor returned by this server');
+  }
+  if (match[2] !== fingerprint) {
+    throw new ValidationError('cursor: belongs to a different query; repeat the same filters and sort, or start again without a cursor');
+  }
+  return Number(match[1]);
+}
+
+function pickPageArguments(args: any) {
+  const { cursor, pageSize, sortBy, sortOrder, verbosity } = args || {};
+  return { cursor, pageSize, sortBy, sortOrder, verbosity };
+}
+
+// Identifies the query a cursor was issued for: the filter arguments plus
+// anything else (such as the resolved sort) that changes the order of results
+export function queryFingerprint(args: any, ordering: unknown[] = []): string {
+  const filters = Object.entries(args || {})
+    .filter(([key, value]) => !PAGE_ARGUMENTS.includes(key) && value !== undefined)
+    .sort(([a], [b]) => a.localeCompare(b));
+  return createHash('sha256').update(JSON.stringify([filters, ordering])).digest('hex').slice(0, 12);
+}
+
+function compareValues(a: string | number, b: string | number): number {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b));
+}
\ No newline at end of file
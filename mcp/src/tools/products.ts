@@ -1,9 +1,25 @@
 import { Tool } from '@modelcontextprotocol/sdk/types.js';
 import { NeonApiClient } from '../api/client.js';
+import { Product } from '../api/types.js';
 import { formatProduct } from '../utils/formatters.js';
 import { validateInput, ValidationError } from '../utils/validators.js';
+import { ToolResponse, toolResponse } from './output.js';
+import { objectSchema, pagedSchema, productSchema } from './outputSchemas.js';
+import { formatPageFooter, Page, pageInputProperties, pageResult, paginate, SortOptions, summarize } from './pagination.js';
 import { z } from 'zod';
 
+const PRODUCT_SORT: SortOptions<Product> = {
+  fields: {
+    productCode: product => product.productCode,
+    productName: product => product.productName,
+    scienceTeam: product => product.productScienceTeam,
+    siteCount: product => product.siteCodes.length
+  },
+  defaultField: 'productCode'
+};
+
+const PRODUCT_SUMMARY_FIELDS = ['productCode', 'productName', 'productScienceTeam', 'themes'] as const;
+
 export function createProductTools(client: NeonApiClient): Tool[] {
   return [
     {
@@ -15,9 +31,11 @@ export function createProductTools(client: NeonApiClient): Tool[] {
           release: {
             type: 'string',
             description: 'Optional release tag to filter products (e.g., "RELEASE-2024")'
-          }
+          },
+          ...pageInputProperties(Object.keys(PRODUCT_SORT.fields), PRODUCT_SORT.defaultField)
         }
-      }
+      },
+      outputSchema: pagedSchema('products', productSchema, PRODUCT_SUMMARY_FIELDS)
     },
     {
       name: 'neon_get_product',
@@ -36,7 +54,8 @@ export function createProductTools(client: NeonApiClient): Tool[] {
           }
         },
         required: ['productCode']
-      }
+      },
+      outputSchema: objectSchema({ product: productSchema })
     },
     {
       name: 'neon_search_products',
@@ -59,9 +78,11 @@ export function createProductTools(client: NeonApiClient): Tool[] {
           release: {
             type: 'string',
             description: 'Release tag to filter by'
-          }
+          },
+          ...pageInputProperties(Object.keys(PRODUCT_SORT.fields), PRODUCT_SORT.defaultField)
         }
-      }
+      },
+      outputSchema: pagedSchema('products', productSchema, PRODUCT_SUMMARY_FIELDS)
     }
   ];
 }
@@ -70,7 +91,7 @@ export async function handleProductTool(
   name: string, 
   args: any, 
   client: NeonApiClient
-): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+): Promise<ToolResponse> {
   try {
     switch (name) {
       case 'neon_list_products': {
@@ -80,19 +101,23 @@ export async function handleProductTool(
         
         const { release } = validateInput(schema, args);
         const products = await client.getProducts(release);
+        const page = paginate(products, args, PRODUCT_SORT);
         
         let result = `# NEON Data Products (${products.length} products)\n\n`;
         
-        products.forEach(product => {
-          result += `**${product.productCode}**: ${product.productName}\n`;
-          result += `  - **Team**: ${product.productScienceTeam}\n`;
-          result += `  - **Sites**: ${product.siteCodes.length}\n`;
-          result += `  - **Themes**: ${product.themes.join(', ')}\n\n`;
-        });
+        if (page.verbosity === 'summary') {
+          result += formatProductSummaries(page.items);
+        } else {
+          page.items.forEach(product => {
+            result += `**${product.productCode}**: ${product.productName}\n`;
+            result += `  - **Team**: ${product.productScienceTeam}\n`;
+            result += `  - **Sites**: ${product.siteCodes.length}\n`;
+            result += `  - **Themes**: ${product.themes.join(', ')}\n\n`;
+          });
+        }
+        result += formatPageFooter(page);
         
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, productPage(page));
       }
 
       case 'neon_get_product': {
@@ -113,9 +138,7 @@ export async function handleProductTool(
           siteInfo += `- **${site.siteCode}**: ${monthsCount} months available\n`;
         });
         
-        return {
-          content: [{ type: 'text', text: result + siteInfo }]
-        };
+        return toolResponse(args, result + siteInfo, { product });
       }
 
       case 'neon_search_products': {
@@ -153,6 +176,8 @@ export async function handleProductTool(
           );
         }
         
+        const page = paginate(filteredProducts, args, PRODUCT_SORT);
+        
         let result = `# Product Search Results (${filteredProducts.length} matches)\n\n`;
         
         if (filteredProducts.length === 0) {
@@ -161,15 +186,16 @@ export async function handleProductTool(
           result += '- Try broader search terms\n';
           result += '- Check spelling\n';
           result += '- Use neon_list_products to see all available products\n';
+        } else if (page.verbosity === 'summary') {
+          result += formatProductSummaries(page.items);
         } else {
-          filteredProducts.forEach(product => {
+          page.items.forEach(product => {
             result += formatProduct(product) + '\n\n---\n\n';
           });
         }
+        result += formatPageFooter(page);
         
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, productPage(page));
       }
 
       default:
@@ -181,7 +207,8 @@ export async function handleProductTool(
         content: [{ 
           type: 'text', 
           text: `**Validation Error**: ${error.message}\n\nPlease check your input parameters and try again.` 
-        }]
+        }],
+        isError: true
       };
     }
     
@@ -189,7 +216,24 @@ export async function handleProductTool(
       content: [{ 
         type: 'text', 
         text: `**Error**: ${error instanceof Error ? error.message : 'Unknown error occurred'}\n\nPlease try again or contact support if the issue persists.` 
-      }]
+      }],
+      isError: true
     };
   }
+}
+
+// One line per product, for summary verbosity
+function formatProductSummaries(products: Product[]): string {
+  let output = '';
+  products.forEach(product => {
+    output += `- **${product.productCode}**: ${product.productName} (${product.productScienceTeam})\n`;
+  });
+  return output + '\n';
+}
+
+function productPage(page: Page<Product>) {
+  return {
+    ...pageResult(page),
+    products: page.verbosity === 'summary' ? summarize(page.items, PRODUCT_SUMMARY_FIELDS) : page.items
+  };
 }
\ No newline at end of file
@@ -0,0 +1,423 @@
+import { Tool } from '@modelcontextprotocol/sdk/types.js';
+import { NeonApiClient } from '../api/client.js';
+import { DEFAULT_CONFIG, DownloadsConfig } from '../config.js';
+import { PrototypeDataFile, PrototypeDataset } from '../api/types.js';
+import { DownloadManager } from '../download/manager.js';
+import { formatFileSize } from '../utils/formatters.js';
+import { parseFilePattern, resolveWithinRoot, validateInput, ValidationError } from '../utils/validators.js';
+import { ToolResponse, toolResponse } from './output.js';
+import {
+  arrayOf,
+  downloadReportSchema,
+  extendSchema,
+  objectSchema,
+  pagedSchema,
+  prototypeDataFileSchema,
+  prototypeDataLocationSchema,
+  prototypeDatasetSchema
+} from './outputSchemas.js';
+import { formatPageFooter, pageInputProperties, pageResult, paginate, SortOptions, summarize } from './pagination.js';
+import { z } from 'zod';
+
+const DATASET_SORT: SortOptions<PrototypeDataset> = {
+  fields: {
+    dateUploaded: dataset => dataset.dateUploaded || '',
+    projectTitle: dataset => dataset.projectTitle,
+    startYear: dataset => dataset.startYear ?? 0,
+    endYear: dataset => dataset.endYear ?? 0
+  },
+  defaultField: 'dateUploaded',
+  defaultOrder: 'desc'
+};
+
+const DATASET_SUMMARY_FIELDS = ['uuid', 'projectTitle'] as const;
+
+const PrototypeUuidSchema = z.string().min(1, 'Prototype dataset UUID is required');
+
+const uuidInputProperty = {
+  type: 'string',
+  description: 'Prototype dataset UUID, as listed by neon_search_prototype_datasets'
+};
+
+const filePatternInputProperty = {
+  type: 'string',
+  description: 'Regular expression to select files by name (e.g., "\\.csv$")'
+};
+
+export function createPrototypeTools(client: NeonApiClient): Tool[] {
+  return [
+    {
+      name: 'neon_search_prototype_datasets',
+      description: 'Search NEON prototype datasets (data from pilot and experimental protocols outside the standard data products) by keyword and theme',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          keyword: {
+            type: 'string',
+            description: 'Text to match in the title, abstract, descriptions and keywords'
+          },
+          theme: {
+            type: 'string',
+            description: 'Only datasets in a data theme containing this text (e.g., "Organisms")'
+          },
+          siteCode: {
+            type: 'string',
+            description: 'Only datasets with a location at this site'
+          },
+          ...pageInputProperties(Object.keys(DATASET_SORT.fields), DATASET_SORT.defaultField, DATASET_SORT.defaultOrder)
+        }
+      },
+      outputSchema: extendSchema(pagedSchema('datasets', prototypeDatasetSchema, DATASET_SUMMARY_FIELDS), {
+        themes: arrayOf(objectSchema({ theme: { type: 'string' }, datasets: { type: 'integer' } }))
+      }, ['themes'])
+    },
+    {
+      name: 'neon_get_prototype_dataset',
+      description: 'Get the metadata of a NEON prototype dataset: abstract, design, study area, years, DOI, sites, related products, citations and files',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          uuid: uuidInputProperty
+        },
+        required: ['uuid']
+      },
+      outputSchema: objectSchema({ dataset: prototypeDatasetSchema })
+    },
+    {
+      name: 'neon_list_prototype_files',
+      description: 'List the data files of a NEON prototype dataset with their type, size, checksum and download URL',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          uuid: uuidInputProperty,
+          filePattern: filePatternInputProperty
+        },
+        required: ['uuid']
+      },
+      outputSchema: objectSchema({
+        datasetUuid: { type: 'string' },
+        datasetProjectTitle: { type: 'string' },
+        totalSize: { type: 'integer' },
+        files: arrayOf(extendSchema(prototypeDataFileSchema, { downloadUrl: { type: 'string' } }, ['downloadUrl'])),
+        dataLocations: arrayOf(prototypeDataLocationSchema)
+      })
+    },
+    {
+      name: 'neon_download_prototype_files',
+      description: 'Download the files of a NEON prototype dataset to a local directory, with checksum verification, resume and a manifest',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          uuid: uuidInputProperty,
+          outputDir: {
+            type: 'string',
+            description: 'Directory to download into, inside the configured download root (relative paths start there); files go under <outputDir>/<uuid>/ and re-running resumes'
+          },
+          filePattern: filePatternInputProperty,
+          concurrency: {
+            type: 'number',
+            description: 'Number of files to download at once (1-16)',
+            default: 4
+          }
+        },
+        required: ['uuid', 'outputDir']
+      },
+      outputSchema: downloadReportSchema
+    }
+  ];
+}
+
+export async function handlePrototypeTool(
+  name: string,
+  args: any,
+  client: NeonApiClient,
+  downloads: DownloadsConfig = DEFAULT_CONFIG.downloads
+): Promise<ToolResponse> {
+  try {
+    switch (name) {
+      case 'neon_search_prototype_datasets': {
+        const schema = z.object({
+          keyword: z.string().optional(),
+          theme: z.string().optional(),
+          siteCode: z.string().optional()
+        });
+
+        const { keyword, theme, siteCode } = validateInput(schema, args);
+        const datasets = await client.getPrototypeDatasets();
+
+        const matches = datasets.filter(dataset =>
+          (!keyword || matchesKeyword(dataset, keyword)) &&
+          (!theme || (dataset.dataThemes || []).some(t => t.toLowerCase().includes(theme.toLowerCase()))) &&
+          (!siteCode || (dataset.locations || []).some(l => l.siteCode?.toUpperCase() === siteCode.toUpperCase()))
+        );
+        const page = paginate(matches, args, DATASET_SORT);
+        const themes = countThemes(datasets);
+
+        let result = `# NEON Prototype Datasets (${matches.length} datasets)\n\n`;
+        if (keyword) result += `**Keyword**: ${keyword}\n`;
+        if (theme) result += `**Theme**: ${theme}\n`;
+        if (siteCode) result += `**Site**: ${siteCode.toUpperCase()}\n`;
+        result += `**Themes**: ${themes.map(t => `${t.theme} (${t.datasets})`).join(', ') || 'none'}\n\n`;
+
+        page.items.forEach(dataset => {
+          if (page.verbosity === 'summary') {
+            result += `- **${dataset.projectTitle}** (${dataset.uuid})\n`;
+            return;
+          }
+          result += `- **${dataset.projectTitle}**\n`;
+          result += `  - **UUID**: ${dataset.uuid}\n`;
+          result += `  - **Years**: ${formatYears(dataset)}\n`;
+          if ((dataset.dataThemes || []).length > 0) {
+            result += `  - **Themes**: ${dataset.dataThemes.join(', ')}\n`;
+          }
+          if ((dataset.keywords || []).length > 0) {
+            result += `  - **Keywords**: ${dataset.keywords.join(', ')}\n`;
+          }
+          result += `  - **Sites**: ${formatSites(dataset)}\n\n`;
+        });
+        if (page.verbosity === 'summary') {
+          result += '\n';
+        }
+        result += formatPageFooter(page);
+
+        return toolResponse(args, result, {
+          ...pageResult(page),
+          datasets: page.verbosity === 'summary' ? summarize(page.items, DATASET_SUMMARY_FIELDS) : page.items,
+          themes
+        });
+      }
+
+      case 'neon_get_prototype_dataset': {
+        const { uuid } = validateInput(z.object({ uuid: PrototypeUuidSchema }), args);
+        const dataset = await client.getPrototypeDataset(uuid);
+
+        let result = `# ${dataset.projectTitle}\n\n`;
+        result += `**UUID**: ${dataset.uuid}\n`;
+        result += `**Version**: ${dataset.version || 'Unknown'}`;
+        result += dataset.versionDescription ? ` (${dataset.versionDescription})\n` : '\n';
+        result += `**Years**: ${formatYears(dataset)}\n`;
+        result += `**Uploaded**: ${dataset.dateUploaded ? dataset.dateUploaded.substring(0, 10) : 'Unknown'}\n`;
+        result += `**Published**: ${dataset.isPublished ? 'Yes' : 'No'}\n`;
+        result += `**DOI**: ${dataset.doi?.url || 'Not assigned'}\n`;
+        if ((dataset.dataThemes || []).length > 0) {
+          result += `**Themes**: ${dataset.dataThemes.join(', ')}\n`;
+        }
+        if ((dataset.keywords || []).length > 0) {
+          result += `**Keywords**: ${dataset.keywords.join(', ')}\n`;
+        }
+        if ((dataset.scienceTeams || []).length > 0) {
+          result += `**Science Teams**: ${dataset.scienceTeams.join(', ')}\n`;
+        }
+        if ((dataset.fileTypes || []).length > 0) {
+          result += `**File Types**: ${dataset.fileTypes.map(type => type.name).join(', ')}\n`;
+        }
+
+        const sections: [string, string | undefined][] = [
+          ['Abstract', dataset.datasetAbstract],
+          ['Project', dataset.projectDescription],
+          ['Design', dataset.designDescription],
+          ['Study Area', dataset.studyAreaDescription],
+          ['Metadata', dataset.metadataDescription]
+        ];
+        sections.forEach(([heading, text]) => {
+          if (text) {
+            result += `\n## ${heading}\n\n${text}\n`;
+          }
+        });
+
+        if ((dataset.locations || []).length > 0) {
+          result += `\n## Sites (${dataset.locations.length})\n\n`;
+          dataset.locations.forEach(location => {
+            result += `- **${location.siteCode}**: ${location.siteName} (${location.domain}, ${location.state})`;
+            if (location.latitude && location.longitude) {
+              result += ` at ${location.latitude}, ${location.longitude}`;
+            }
+            result += '\n';
+          });
+        }
+
+        if ((dataset.relatedDataProducts || []).length > 0) {
+          result += `\n## Related Data Products\n\n`;
+          dataset.relatedDataProducts.forEach(product => {
+            result += `- **${product.dataProductCode}**: ${product.dataProductName}\n`;
+          });
+        }
+
+        if ((dataset.relatedVersions || []).length > 0) {
+          result += `\n## Other Versions\n\n`;
+          dataset.relatedVersions.forEach(version => {
+            result += `- **${version.datasetVersion}**: ${version.datasetProjectTitle} (${version.datasetUuid})\n`;
+          });
+        }
+
+        if ((dataset.publicationCitations || []).length > 0) {
+          result += `\n## Publications\n\n`;
+          dataset.publicationCitations.forEach(publication => {
+            result += `- ${publication.citation}`;
+            if (publication.citationIdentifier) {
+              result += ` (${publication.citationIdentifierType || 'ID'}: ${publication.citationIdentifier})`;
+            }
+            result += '\n';
+          });
+        }
+
+        const files = dataset.data?.files || [];
+        result += `\n## Files (${files.length}, ${formatFileSize(totalSize(files))})\n\n`;
+        files.forEach(file => {
+          result += `- **${file.fileName}**${file.type?.name ? ` (${file.type.name})` : ''}: ${formatFileSize(fileSize(file))}\n`;
+        });
+        if (files.length > 0) {
+          result += '\n*Use neon_list_prototype_files for download URLs, or neon_download_prototype_files to fetch them.*\n';
+        }
+
+        return toolResponse(args, result, { dataset });
+      }
+
+      case 'neon_list_prototype_files': {
+        const { uuid, filePattern } = validateInput(z.object({
+          uuid: PrototypeUuidSchema,
+          filePattern: z.string().optional()
+        }), args);
+        const pattern = parseFilePattern(filePattern);
+        const data = await client.getPrototypeData(uuid);
+
+        const files = (data.files || [])
+          .filter(file => !pattern || pattern.test(file.fileName))
+          .map(file => ({ ...file, downloadUrl: client.getPrototypeFileUrl(data.datasetUuid, file.fileName) }));
+        const size = totalSize(files);
+
+        let result = `# Files of ${data.datasetProjectTitle} (${files.length} files, ${formatFileSize(size)})\n\n`;
+        result += `**UUID**: ${data.datasetUuid}\n\n`;
+
+        files.forEach(file => {
+          result += `- **${file.fileName}**${file.type?.name ? ` (${file.type.name})` : ''}: ${formatFileSize(fileSize(file))}\n`;
+          if (file.description) result += `  - ${file.description}\n`;
+          if (file.md5) result += `  - **MD5**: ${file.md5}\n`;
+          result += `  - **Download**: ${file.downloadUrl}\n`;
+        });
+
+        const locations = data.dataLocations || [];
+        if (locations.length > 0) {
+          result += `\n## Other Data Locations\n\n`;
+          locations.forEach(location => {
+            result += `- ${location.path}${location.metadata ? ' (metadata)' : ''}`;
+            result += location.description ? `: ${location.description}\n` : '\n';
+          });
+        }
+
+        return toolResponse(args, result, {
+          datasetUuid: data.datasetUuid,
+          datasetProjectTitle: data.datasetProjectTitle,
+          totalSize: size,
+          files,
+          dataLocations: locations
+        });
+      }
+
+      case 'neon_download_prototype_files': {
+        const { uuid, outputDir, filePattern, concurrency } = validateInput(z.object({
+          uuid: PrototypeUuidSchema,
+          outputDir: z.string().min(1, 'Output directory is required'),
+          filePattern: z.string().optional(),
+          concurrency: z.number().int().min(1).max(16).default(4)
+        }), args);
+        const directory = resolveWithinRoot(downloads.root, outputDir, 'outputDir');
+        // The same compiled pattern as neon_list_prototype_files, so both select the same files
+        const pattern = parseFilePattern(filePattern);
+
+        const data = await client.getPrototypeData(uuid);
+        const manager = new DownloadManager({
+          outputDir: directory,
+          concurrency,
+          filePattern: pattern,
+          fetchFile: (url, headers) => client.fetchFile(url, headers)
+        });
+        const report = await manager.downloadPrototype(data, file => client.getPrototypeFileUrl(data.datasetUuid, file.fileName));
+
+        let output = `# Download Report for ${data.datasetProjectTitle}\n\n`;
+        output += `**Directory**: ${report.outputDir}\n`;
+        output += `**Manifest**: ${report.manifestPath}\n\n`;
+        output += `- **Downloaded**: ${report.downloaded} files (${formatFileSize(report.bytesDownloaded)})\n`;
+        output += `- **Already present**: ${report.skipped} files\n`;
+        output += `- **Failed**: ${report.failed} files\n`;
+
+        const failures = report.entries.filter(entry => entry.status === 'failed');
+        if (failures.length > 0) {
+          output += '\n## Failed Files\n\n';
+          failures.forEach(entry => {
+            output += `- ${entry.path}: ${entry.error}\n`;
+          });
+          output += '\nRun the same request again to retry; completed files are kept.\n';
+        }
+
+        return toolResponse(args, output, { ...report });
+      }
+
+      default:
+        throw new Error(`Unknown prototype tool: ${name}`);
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return {
+        content: [{
+          type: 'text',
+          text: `**Validation Error**: ${error.message}\n\nPlease check your input parameters and try again.`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `**Error**: ${error instanceof Error ? error.message : 'Unknown error occurred'}\n\nPlease try again or contact support if the issue persists.`
+      }],
+      isError: true
+    };
+  }
+}
+
+// Helper function to match a keyword against a dataset's descriptive text
+function matchesKeyword(dataset: PrototypeDataset, keyword: string): boolean {
+  const searchTerm = keyword.toLowerCase();
+  return [
+    dataset.projectTitle,
+    dataset.datasetAbstract,
+    dataset.projectDescription,
+    dataset.designDescription,
+    dataset.studyAreaDescription,
+    ...(dataset.keywords || [])
+  ].some(text => text?.toLowerCase().includes(searchTerm));
+}
+
+// Helper function to count the datasets in each theme, most common first
+function countThemes(datasets: PrototypeDataset[]): { theme: string; datasets: number }[] {
+  const counts = new Map<string, number>();
+  datasets.forEach(dataset => {
+    new Set(dataset.dataThemes || []).forEach(theme => counts.set(theme, (counts.get(theme) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .map(([theme, count]) => ({ theme, datasets: count }))
+    .sort((a, b) => b.datasets - a.datasets || a.theme.localeCompare(b.theme));
+}
+
+function formatYears(dataset: PrototypeDataset): string {
+  if (!dataset.startYear) return 'Unknown';
+  return dataset.endYear && dataset.endYear !== dataset.startYear
+    ? `${dataset.startYear}-${dataset.endYear}`
+    : String(dataset.startYear);
+}
+
+function formatSites(dataset: PrototypeDataset): string {
+  const siteCodes = [...new Set((dataset.locations || []).map(location => location.siteCode).filter(Boolean))];
+  return siteCodes.length > 0 ? siteCodes.join(', ') : 'none listed';
+}
+
+// The API reports file sizes as strings of bytes
+function fileSize(file: PrototypeDataFile): number {
+  return parseInt(file.fileSize, 10) || 0;
+}
+
+function totalSize(files: PrototypeDataFile[]): number {
+  return files.reduce((sum, file) => sum + fileSize(file), 0);
+}
\ No newline at end of file
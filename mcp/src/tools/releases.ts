@@ -0,0 +1,351 @@
+import { Tool } from '@modelcontextprotocol/sdk/types.js';
+import { NeonApiClient } from '../api/client.js';
+import { Product, Release } from '../api/types.js';
+import { formatRelease, formatMonthRanges } from '../utils/formatters.js';
+import { validateInput, ValidationError, ReleaseTagSchema, ProductCodeSchema } from '../utils/validators.js';
+import { ToolResponse, toolResponse } from './output.js';
+import {
+  arrayOf,
+  objectSchema,
+  pagedSchema,
+  releaseDataProductSchema,
+  releaseSchema,
+  stringArraySchema
+} from './outputSchemas.js';
+import { formatPageFooter, pageInputProperties, pageResult, paginate, SortOptions, summarize } from './pagination.js';
+import { z } from 'zod';
+
+const RELEASE_SORT: SortOptions<Release> = {
+  fields: {
+    generationDate: release => release.generationDate,
+    release: release => release.release,
+    productCount: release => (release.dataProducts || []).length
+  },
+  defaultField: 'generationDate',
+  defaultOrder: 'desc'
+};
+
+const RELEASE_SUMMARY_FIELDS = ['release', 'generationDate'] as const;
+
+const productSummarySchema = objectSchema({
+  productCode: { type: 'string' },
+  productName: { type: 'string' }
+});
+
+export function createReleaseTools(client: NeonApiClient): Tool[] {
+  return [
+    {
+      name: 'neon_list_releases',
+      description: 'List all NEON data releases with generation dates and product counts',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...pageInputProperties(Object.keys(RELEASE_SORT.fields), RELEASE_SORT.defaultField, RELEASE_SORT.defaultOrder)
+        }
+      },
+      outputSchema: pagedSchema('releases', releaseSchema, RELEASE_SUMMARY_FIELDS)
+    },
+    {
+      name: 'neon_get_release',
+      description: 'Get a NEON data release with its generation date and the DOI of every included product',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          releaseTag: {
+            type: 'string',
+            description: 'Release tag or UUID (e.g., "RELEASE-2024")'
+          },
+          keyword: {
+            type: 'string',
+            description: 'Only list included products whose code or name matches this text'
+          }
+        },
+        required: ['releaseTag']
+      },
+      outputSchema: objectSchema({
+        release: releaseSchema,
+        products: arrayOf(releaseDataProductSchema)
+      })
+    },
+    {
+      name: 'neon_compare_releases',
+      description: 'Compare two NEON data releases, showing products, sites and months added or removed',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          baseRelease: {
+            type: 'string',
+            description: 'Older release tag to compare from (e.g., "RELEASE-2023")'
+          },
+          targetRelease: {
+            type: 'string',
+            description: 'Newer release tag to compare to (e.g., "RELEASE-2024")'
+          },
+          productCode: {
+            type: 'string',
+            description: 'Limit the comparison to one product and show month-level detail per site',
+            pattern: '^DP\\d\\.\\d{5}\\.\\d{3}$'
+          }
+        },
+        required: ['baseRelease', 'targetRelease']
+      },
+      outputSchema: objectSchema({
+        baseRelease: { type: 'string' },
+        targetRelease: { type: 'string' },
+        baseProductCount: { type: 'integer' },
+        targetProductCount: { type: 'integer' },
+        baseSiteCount: { type: 'integer' },
+        targetSiteCount: { type: 'integer' },
+        productsAdded: arrayOf(productSummarySchema),
+        productsRemoved: arrayOf(productSummarySchema),
+        sitesAdded: stringArraySchema,
+        sitesRemoved: stringArraySchema,
+        changedProducts: arrayOf(objectSchema({
+          productCode: { type: 'string' },
+          productName: { type: 'string' },
+          sites: arrayOf(objectSchema({
+            siteCode: { type: 'string' },
+            added: stringArraySchema,
+            removed: stringArraySchema
+          }))
+        }))
+      })
+    }
+  ];
+}
+
+export async function handleReleaseTool(
+  name: string,
+  args: any,
+  client: NeonApiClient
+): Promise<ToolResponse> {
+  try {
+    switch (name) {
+      case 'neon_list_releases': {
+        const releases = await client.getReleases();
+
+        // Newest release first unless another order is asked for
+        const page = paginate(releases, args, RELEASE_SORT);
+
+        let result = `# NEON Data Releases (${releases.length} releases)\n\n`;
+
+        page.items.forEach(release => {
+          if (page.verbosity === 'summary') {
+            result += `- **${release.release}** (${release.generationDate})\n`;
+            return;
+          }
+          result += `- **${release.release}**\n`;
+          result += `  - **Generation Date**: ${release.generationDate}\n`;
+          result += `  - **Products**: ${(release.dataProducts || []).length}\n\n`;
+        });
+        if (page.verbosity === 'summary') {
+          result += '\n';
+        }
+        result += formatPageFooter(page);
+
+        return toolResponse(args, result, {
+          ...pageResult(page),
+          releases: page.verbosity === 'summary' ? summarize(page.items, RELEASE_SUMMARY_FIELDS) : page.items
+        });
+      }
+
+      case 'neon_get_release': {
+        const schema = z.object({
+          releaseTag: ReleaseTagSchema,
+          keyword: z.string().optional()
+        });
+
+        const { releaseTag, keyword } = validateInput(schema, args);
+        const release = await client.getRelease(releaseTag);
+
+        let products = release.dataProducts || [];
+        if (keyword) {
+          const searchTerm = keyword.toLowerCase();
+          products = products.filter(product =>
+            product.productCode.toLowerCase().includes(searchTerm) ||
+            (product.productName || '').toLowerCase().includes(searchTerm)
+          );
+        }
+
+        let result = `# Release ${release.release}\n\n`;
+        result += formatRelease(release) + '\n\n';
+        result += `## Included Products (${products.length})\n\n`;
+
+        products = products
+          .slice()
+          .sort((a, b) => a.productCode.localeCompare(b.productCode));
+        products.forEach(product => {
+          // Release listings may carry only the code and DOI of a product
+          result += product.productName
+            ? `- **${product.productCode}**: ${product.productName}\n`
+            : `- **${product.productCode}**\n`;
+          result += `  - **DOI**: ${product.productDoi || 'Not assigned'}\n`;
+        });
+
+        return toolResponse(args, result, { release, products });
+      }
+
+      case 'neon_compare_releases': {
+        const schema = z.object({
+          baseRelease: ReleaseTagSchema,
+          targetRelease: ReleaseTagSchema,
+          productCode: ProductCodeSchema.optional()
+        });
+
+        const { baseRelease, targetRelease, productCode } = validateInput(schema, args);
+
+        const [baseProducts, targetProducts] = await Promise.all([
+          productCode ? getReleasedProduct(client, productCode, baseRelease) : client.getProducts(baseRelease),
+          productCode ? getReleasedProduct(client, productCode, targetRelease) : client.getProducts(targetRelease)
+        ]);
+
+        const baseByCode = new Map(baseProducts.map(p => [p.productCode, p]));
+        const targetByCode = new Map(targetProducts.map(p => [p.productCode, p]));
+
+        const addedProducts = targetProducts.filter(p => !baseByCode.has(p.productCode));
+        const removedProducts = baseProducts.filter(p => !targetByCode.has(p.productCode));
+
+        const baseSites = collectSites(baseProducts);
+        const targetSites = collectSites(targetProducts);
+        const addedSites = [...targetSites].filter(s => !baseSites.has(s)).sort();
+        const removedSites = [...baseSites].filter(s => !targetSites.has(s)).sort();
+
+        let result = `# Release Comparison: ${baseRelease} → ${targetRelease}\n\n`;
+        result += `**Products**: ${baseProducts.length} → ${targetProducts.length}\n`;
+        result += `**Sites**: ${baseSites.size} → ${targetSites.size}\n\n`;
+
+        result += `## Products Added (${addedProducts.length})\n\n`;
+        addedProducts.forEach(p => {
+          result += `- **${p.productCode}**: ${p.productName}\n`;
+        });
+
+        result += `\n## Products Removed (${removedProducts.length})\n\n`;
+        removedProducts.forEach(p => {
+          result += `- **${p.productCode}**: ${p.productName}\n`;
+        });
+
+        result += `\n## Sites Added (${addedSites.length})\n\n`;
+        if (addedSites.length > 0) result += addedSites.join(', ') + '\n';
+
+        result += `\n## Sites Removed (${removedSites.length})\n\n`;
+        if (removedSites.length > 0) result += removedSites.join(', ') + '\n';
+
+        // Month-level changes for products present in both releases
+        result += '\n## Changes in Shared Products\n\n';
+        const changedProducts: { productCode: string; productName: string; sites: ReturnType<typeof diffProductMonths> }[] = [];
+
+        baseProducts
+          .filter(p => targetByCode.has(p.productCode))
+          .sort((a, b) => a.productCode.localeCompare(b.productCode))
+          .forEach(baseProduct => {
+            const changes = diffProductMonths(baseProduct, targetByCode.get(baseProduct.productCode)!);
+            if (changes.length === 0) return;
+            changedProducts.push({ productCode: baseProduct.productCode, productName: baseProduct.productName, sites: changes });
+
+            const monthsAdded = changes.reduce((sum, c) => sum + c.added.length, 0);
+            const monthsRemoved = changes.reduce((sum, c) => sum + c.removed.length, 0);
+            result += `### ${baseProduct.productCode}: ${baseProduct.productName}\n`;
+            result += `- **Site-months added**: ${monthsAdded}\n`;
+            result += `- **Site-months removed**: ${monthsRemoved}\n`;
+
+            // Only spell out every site when a single product was requested
+            if (productCode) {
+              changes.forEach(change => {
+                result += `- **${change.siteCode}**`;
+                if (change.added.length > 0) result += ` added: ${formatMonthRanges(change.added)}`;
+                if (change.added.length > 0 && change.removed.length > 0) result += ';';
+                if (change.removed.length > 0) result += ` removed: ${formatMonthRanges(change.removed)}`;
+                result += '\n';
+              });
+            }
+            result += '\n';
+          });
+
+        if (changedProducts.length === 0) {
+          result += 'No month-level changes in products present in both releases.\n';
+        } else if (!productCode) {
+          result += '*Pass productCode to see month-level changes for each site.*\n';
+        }
+
+        const summarize = (p: Product) => ({ productCode: p.productCode, productName: p.productName });
+        return toolResponse(args, result, {
+          baseRelease,
+          targetRelease,
+          baseProductCount: baseProducts.length,
+          targetProductCount: targetProducts.length,
+          baseSiteCount: baseSites.size,
+          targetSiteCount: targetSites.size,
+          productsAdded: addedProducts.map(summarize),
+          productsRemoved: removedProducts.map(summarize),
+          sitesAdded: addedSites,
+          sitesRemoved: removedSites,
+          changedProducts
+        });
+      }
+
+      default:
+        throw new Error(`Unknown release tool: ${name}`);
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return {
+        content: [{
+          type: 'text',
+          text: `**Validation Error**: ${error.message}\n\nPlease check your input parameters and try again.`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `**Error**: ${error instanceof Error ? error.message : 'Unknown error occurred'}\n\nPlease try again or contact support if the issue persists.`
+      }],
+      isError: true
+    };
+  }
+}
+
+// Helper function to fetch one product within a release, treating "not found" (400 or 404)
+// as absent. Other errors, like an exhausted rate limit or a rejected token, say nothing
+// about the release and are passed on.
+async function getReleasedProduct(client: NeonApiClient, productCode: string, release: string): Promise<Product[]> {
+  try {
+    return [await client.getProduct(productCode, release)];
+  } catch (error) {
+    if (error instanceof Error && /\(Status: 40[04]\)/.test(error.message)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Helper function to collect every site code with data across a set of products
+function collectSites(products: Product[]): Set<string> {
+  const sites = new Set<string>();
+  products.forEach(product => {
+    product.siteCodes.forEach(site => sites.add(site.siteCode));
+  });
+  return sites;
+}
+
+// Helper function to list, per site, the months gained and lost between two versions of a product
+function diffProductMonths(
+  base: Product,
+  target: Product
+): { siteCode: string; added: string[]; removed: string[] }[] {
+  const baseMonths = new Map(base.siteCodes.map(s => [s.siteCode, new Set(s.availableMonths)]));
+  const targetMonths = new Map(target.siteCodes.map(s => [s.siteCode, new Set(s.availableMonths)]));
+  const siteCodes = new Set([...baseMonths.keys(), ...targetMonths.keys()]);
+
+  return [...siteCodes].sort().map(siteCode => {
+    const before = baseMonths.get(siteCode) || new Set<string>();
+    const after = targetMonths.get(siteCode) || new Set<string>();
+    return {
+      siteCode,
+      added: [...after].filter(m => !before.has(m)),
+      removed: [...before].filter(m => !after.has(m))
+    };
+  }).filter(change => change.added.length > 0 || change.removed.length > 0);
+}
\ No newline at end of file
@@ -0,0 +1,190 @@
+import { Tool } from '@modelcontextprotocol/sdk/types.js';
+import { NeonApiClient } from '../api/client.js';
+import { SampleClassEntry } from '../api/types.js';
+import { formatSampleHierarchy, formatSampleTimeline, formatSampleClasses } from '../utils/formatters.js';
+import { validateInput, ValidationError, SampleTrackingSchema } from '../utils/validators.js';
+import { ToolResponse, toolResponse } from './output.js';
+import { arrayOf, objectSchema, pagedSchema, sampleClassEntrySchema, sampleHierarchyNodeSchema, stringArraySchema } from './outputSchemas.js';
+import { formatPageFooter, pageInputProperties, pageResult, paginate, SortOptions, summarize } from './pagination.js';
+import { z } from 'zod';
+
+const SAMPLE_CLASS_SORT: SortOptions<SampleClassEntry> = {
+  fields: {
+    key: entry => entry.key,
+    description: entry => entry.value
+  },
+  defaultField: 'key'
+};
+
+export function createSampleTools(client: NeonApiClient): Tool[] {
+  return [
+    {
+      name: 'neon_track_sample',
+      description: 'Track a physical sample and its parent/child samples, returning the custody chain as an event timeline',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sampleTag: {
+            type: 'string',
+            description: 'Sample tag (must be used together with sampleClass)'
+          },
+          sampleClass: {
+            type: 'string',
+            description: 'Sample class (e.g., "bet_IDandpinning_in.individualID"); must be used with sampleTag'
+          },
+          barcode: {
+            type: 'string',
+            description: 'Sample barcode'
+          },
+          sampleUuid: {
+            type: 'string',
+            description: 'NEON sample UUID'
+          },
+          archiveGuid: {
+            type: 'string',
+            description: 'Globally unique identifier assigned by an archive facility'
+          },
+          degree: {
+            type: 'number',
+            description: 'How many parent/child steps to follow from the sample (0-5)',
+            default: 1
+          }
+        }
+      },
+      outputSchema: objectSchema({ nodes: arrayOf(sampleHierarchyNodeSchema) })
+    },
+    {
+      name: 'neon_get_sample_classes',
+      description: 'List the sample classes a sample tag belongs to, for use with neon_track_sample',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sampleTag: {
+            type: 'string',
+            description: 'Sample tag to look up'
+          }
+        },
+        required: ['sampleTag']
+      },
+      outputSchema: objectSchema({
+        sampleTag: { type: 'string' },
+        sampleClasses: stringArraySchema
+      })
+    },
+    {
+      name: 'neon_list_sample_classes',
+      description: 'List all sample classes supported by the NEON sample system, with descriptions',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          searchTerm: {
+            type: 'string',
+            description: 'Text to match in class names or descriptions (e.g., "soil")'
+          },
+          ...pageInputProperties(Object.keys(SAMPLE_CLASS_SORT.fields), SAMPLE_CLASS_SORT.defaultField)
+        }
+      },
+      outputSchema: pagedSchema('sampleClasses', sampleClassEntrySchema, ['key'])
+    }
+  ];
+}
+
+export async function handleSampleTool(
+  name: string,
+  args: any,
+  client: NeonApiClient
+): Promise<ToolResponse> {
+  try {
+    switch (name) {
+      case 'neon_track_sample': {
+        const { degree, ...identifier } = validateInput(SampleTrackingSchema, args);
+        const nodes = await client.getSampleHierarchy(identifier, degree ?? 1);
+
+        if (nodes.length === 0) {
+          return toolResponse(args, 'No sample found for the given identifier.', { nodes });
+        }
+
+        let result = formatSampleHierarchy(nodes);
+        result += formatSampleTimeline(nodes.map(node => node.sample));
+
+        return toolResponse(args, result, { nodes });
+      }
+
+      case 'neon_get_sample_classes': {
+        const schema = z.object({
+          sampleTag: z.string().min(1, 'Sample tag is required')
+        });
+
+        const { sampleTag } = validateInput(schema, args);
+        const sampleClasses = await client.getSampleClasses(sampleTag);
+
+        let result = `# Sample Classes for ${sampleTag} (${sampleClasses.length} classes)\n\n`;
+
+        if (sampleClasses.length === 0) {
+          result += 'No sample classes found for this sample tag.\n';
+        } else {
+          sampleClasses.forEach(sampleClass => {
+            result += `- ${sampleClass}\n`;
+          });
+          result += '\nUse neon_track_sample with this sampleTag and one of the classes above.\n';
+        }
+
+        return toolResponse(args, result, { sampleTag, sampleClasses });
+      }
+
+      case 'neon_list_sample_classes': {
+        const schema = z.object({
+          searchTerm: z.string().optional()
+        });
+
+        const { searchTerm } = validateInput(schema, args);
+        let entries = await client.getSupportedSampleClasses();
+
+        if (searchTerm) {
+          const searchLower = searchTerm.toLowerCase();
+          entries = entries.filter(entry =>
+            entry.key.toLowerCase().includes(searchLower) ||
+            entry.value.toLowerCase().includes(searchLower)
+          );
+        }
+
+        const page = paginate(entries, args, SAMPLE_CLASS_SORT);
+
+        let result: string;
+        if (page.verbosity === 'summary') {
+          result = `# Supported Sample Classes (${entries.length} classes)\n\n`;
+          result += page.items.map(entry => entry.key).join(', ') + '\n\n';
+        } else {
+          result = formatSampleClasses(page.items, entries.length) + '\n';
+        }
+        result += formatPageFooter(page);
+
+        return toolResponse(args, result, {
+          ...pageResult(page),
+          sampleClasses: page.verbosity === 'summary' ? summarize(page.items, ['key'] as const) : page.items
+        });
+      }
+
+      default:
+        throw new Error(`Unknown sample tool: ${name}`);
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return {
+        content: [{
+          type: 'text',
+          text: `**Validation Error**: ${error.message}\n\nPlease check your input parameters and try again.`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `**Error**: ${error instanceof Error ? error.message : 'Unknown error occurred'}\n\nPlease try again or contact support if the issue persists.`
+      }],
+      isError: true
+    };
+  }
+}
\ No newline at end of file
@@ -1,9 +1,30 @@
 import { Tool } from '@modelcontextprotocol/sdk/types.js';
 import { NeonApiClient } from '../api/client.js';
+import { Site } from '../api/types.js';
 import { formatSite } from '../utils/formatters.js';
+import { pointFeature } from '../utils/geo.js';
 import { validateInput, ValidationError } from '../utils/validators.js';
+import { ToolResponse, toolResponse } from './output.js';
+import { arrayOf, extendSchema, featureCollectionSchema, objectSchema, pagedSchema, siteDataProductSchema, siteSchema } from './outputSchemas.js';
+import { formatPageFooter, Page, pageInputProperties, pageResult, paginate, SortOptions, summarize } from './pagination.js';
+import { applySpatialFilters, exportGeoJson, formatGeoJson, hasSearchPoint, parseSpatialArguments, spatialInputProperties } from './spatial.js';
 import { z } from 'zod';
 
+// A site search result, with its distance from the search point for proximity searches
+type SiteMatch = Site & { distanceKm?: number };
+
+const SITE_SORT_FIELDS: SortOptions<SiteMatch>['fields'] = {
+  siteCode: site => site.siteCode,
+  siteName: site => site.siteName,
+  domain: site => site.domainCode,
+  state: site => site.stateCode,
+  productCount: site => site.dataProducts.length
+};
+
+const SITE_SUMMARY_FIELDS = [
+  'siteCode', 'siteName', 'siteType', 'domainCode', 'stateCode', 'siteLatitude', 'siteLongitude', 'distanceKm'
+] as const;
+
 export function createSiteTools(client: NeonApiClient): Tool[] {
   return [
     {
@@ -27,9 +48,11 @@ export function createSiteTools(client: NeonApiClient): Tool[] {
           siteType: {
             type: 'string',
             description: 'Optional site type to filter sites (e.g., "CORE", "RELOCATABLE")'
-          }
+          },
+          ...pageInputProperties(Object.keys(SITE_SORT_FIELDS), 'domain')
         }
-      }
+      },
+      outputSchema: pagedSchema('sites', siteSchema, SITE_SUMMARY_FIELDS.filter(field => field !== 'distanceKm'))
     },
     {
       name: 'neon_get_site',
@@ -41,14 +64,19 @@ export function createSiteTools(client: NeonApiClient): Tool[] {
             type: 'string',
             description: 'NEON site code (4 letters, e.g., "HARV")',
             pattern: '^[A-Z]{4}$'
+          },
+          release: {
+            type: 'string',
+            description: 'Optional release tag to get the site as of that release (e.g., "RELEASE-2024")'
           }
         },
         required: ['siteCode']
-      }
+      },
+      outputSchema: objectSchema({ site: siteSchema })
     },
     {
       name: 'neon_search_sites',
-      description: 'Search NEON field sites by name, location, or other criteria',
+      description: 'Search NEON field sites by name, distance from a point, the K nearest, a bounding box or a GeoJSON/WKT polygon',
       inputSchema: {
         type: 'object',
         properties: {
@@ -56,21 +84,18 @@ export function createSiteTools(client: NeonApiClient): Tool[] {
             type: 'string',
             description: 'Search term to match in site names or descriptions'
           },
-          latitude: {
-            type: 'number',
-            description: 'Latitude for proximity search'
-          },
-          longitude: {
-            type: 'number',
-            description: 'Longitude for proximity search'
+          release: {
+            type: 'string',
+            description: 'Optional release tag to search the sites of that release (e.g., "RELEASE-2024")'
           },
-          radius: {
-            type: 'number',
-            description: 'Search radius in kilometers (used with lat/lon)',
-            default: 100
-          }
+          ...spatialInputProperties(100),
+          ...pageInputProperties(['distance', ...Object.keys(SITE_SORT_FIELDS)], 'distance')
         }
-      }
+      },
+      outputSchema: extendSchema(
+        pagedSchema('sites', extendSchema(siteSchema, { distanceKm: { type: 'number' } }), SITE_SUMMARY_FIELDS),
+        { geojson: featureCollectionSchema }
+      )
     },
     {
       name: 'neon_get_site_products',
@@ -82,10 +107,19 @@ export function createSiteTools(client: NeonApiClient): Tool[] {
             type: 'string',
             description: 'NEON site code (4 letters, e.g., "HARV")',
             pattern: '^[A-Z]{4}$'
+          },
+          release: {
+            type: 'string',
+            description: 'Optional release tag to get the site as of that release (e.g., "RELEASE-2024")'
           }
         },
         required: ['siteCode']
-      }
+      },
+      outputSchema: objectSchema({
+        siteCode: { type: 'string' },
+        siteName: { type: 'string' },
+        dataProducts: arrayOf(siteDataProductSchema)
+      })
     }
   ];
 }
@@ -94,7 +128,7 @@ export async function handleSiteTool(
   name: string, 
   args: any, 
   client: NeonApiClient
-): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+): Promise<ToolResponse> {
   try {
     switch (name) {
       case 'neon_list_sites': {
@@ -123,41 +157,47 @@ export async function handleSiteTool(
           );
         }
         
-        let result = `# NEON Field Sites (${sites.length} sites)\n\n`;
+        const page = paginate<SiteMatch>(sites, args, { fields: SITE_SORT_FIELDS, defaultField: 'domain' });
         
-        // Group by domain for better organization
-        const sitesByDomain = sites.reduce((acc, site) => {
-          if (!acc[site.domainCode]) {
-            acc[site.domainCode] = [];
-          }
-          acc[site.domainCode].push(site);
-          return acc;
-        }, {} as Record<string, typeof sites>);
+        let result = `# NEON Field Sites (${sites.length} sites)\n\n`;
         
-        Object.keys(sitesByDomain).sort().forEach(domainCode => {
-          const domainSites = sitesByDomain[domainCode];
-          result += `## ${domainCode}: ${domainSites[0].domainName}\n\n`;
+        if (page.verbosity === 'summary') {
+          result += formatSiteSummaries(page.items);
+        } else if (page.sortBy === 'domain') {
+          // Group by domain for better organization; the page is already in domain order
+          const sitesByDomain = page.items.reduce((acc, site) => {
+            if (!acc[site.domainCode]) {
+              acc[site.domainCode] = [];
+            }
+            acc[site.domainCode].push(site);
+            return acc;
+          }, {} as Record<string, typeof sites>);
           
-          domainSites.forEach(site => {
-            result += `- **${site.siteCode}**: ${site.siteName}\n`;
-            result += `  - **Type**: ${site.siteType}\n`;
-            result += `  - **Location**: ${site.stateName}\n`;
-            result += `  - **Products**: ${site.dataProducts.length}\n\n`;
+          Object.keys(sitesByDomain).forEach(domainCode => {
+            const domainSites = sitesByDomain[domainCode];
+            result += `## ${domainCode}: ${domainSites[0].domainName}\n\n`;
+            domainSites.forEach(site => {
+              result += formatSiteListEntry(site);
+            });
           });
-        });
+        } else {
+          page.items.forEach(site => {
+            result += formatSiteListEntry(site);
+          });
+        }
+        result += formatPageFooter(page);
         
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, sitePage(page));
       }
 
       case 'neon_get_site': {
         const schema = z.object({
-          siteCode: z.string().length(4, 'Site code must be 4 characters').regex(/^[A-Z]{4}$/)
+          siteCode: z.string().length(4, 'Site code must be 4 characters').regex(/^[A-Z]{4}$/),
+          release: z.string().optional()
         });
         
-        const { siteCode } = validateInput(schema, args);
-        const site = await client.getSite(siteCode);
+        const { siteCode, release } = validateInput(schema, args);
+        const site = await client.getSite(siteCode, release);
         
         let result = formatSite(site);
         
@@ -168,21 +208,18 @@ export async function handleSiteTool(
           result += `- **${product.dataProductCode}**: ${monthsCount} months available\n`;
         });
         
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, { site });
       }
 
       case 'neon_search_sites': {
         const schema = z.object({
           name: z.string().optional(),
-          latitude: z.number().min(-90).max(90).optional(),
-          longitude: z.number().min(-180).max(180).optional(),
-          radius: z.number().positive().default(100)
+          release: z.string().optional()
         });
         
-        const { name, latitude, longitude, radius } = validateInput(schema, args);
-        const sites = await client.getSites();
+        const { name, release } = validateInput(schema, args);
+        const spatial = parseSpatialArguments(args, 100);
+        const sites = await client.getSites(release);
         
         let filteredSites = sites;
         
@@ -196,61 +233,58 @@ export async function handleSiteTool(
           );
         }
         
-        // Filter by proximity
-        if (latitude !== undefined && longitude !== undefined) {
-          filteredSites = filteredSites.filter(site => {
-            const distance = calculateDistance(
-              latitude, longitude, 
-              site.siteLatitude, site.siteLongitude
-            );
-            return distance <= (radius || 100);
-          });
-          
-          // Sort by distance
-          filteredSites.sort((a, b) => {
-            const distA = calculateDistance(latitude, longitude, a.siteLatitude, a.siteLongitude);
-            const distB = calculateDistance(latitude, longitude, b.siteLatitude, b.siteLongitude);
-            return distA - distB;
-          });
+        // Filter by area and proximity
+        const matches = applySpatialFilters<SiteMatch>(filteredSites, site => [site.siteLatitude, site.siteLongitude], spatial);
+        const sortFields = { ...SITE_SORT_FIELDS };
+        if (hasSearchPoint(spatial)) {
+          sortFields.distance = site => site.distanceKm ?? 0;
         }
         
-        let result = `# Site Search Results (${filteredSites.length} matches)\n\n`;
+        const page = paginate(matches, args, {
+          fields: sortFields,
+          defaultField: sortFields.distance ? 'distance' : 'siteCode'
+        });
         
-        if (filteredSites.length === 0) {
+        let result = `# Site Search Results (${matches.length} matches)\n\n`;
+        
+        if (matches.length === 0) {
           result += 'No sites found matching your criteria.\n\n';
           result += '**Suggestions:**\n';
           result += '- Try broader search terms\n';
           result += '- Increase search radius for proximity searches\n';
           result += '- Use neon_list_sites to see all available sites\n';
+        } else if (page.verbosity === 'summary') {
+          result += formatSiteSummaries(page.items);
         } else {
-          filteredSites.forEach(site => {
+          page.items.forEach(site => {
             result += formatSite(site);
             
             // Add distance if proximity search was used
-            if (latitude !== undefined && longitude !== undefined) {
-              const distance = calculateDistance(
-                latitude, longitude, 
-                site.siteLatitude, site.siteLongitude
-              );
-              result += `\n**Distance**: ${distance.toFixed(2)} km`;
+            if (site.distanceKm !== undefined) {
+              result += `\n**Distance**: ${site.distanceKm.toFixed(2)} km`;
             }
             
             result += '\n\n---\n\n';
           });
         }
+        result += formatPageFooter(page);
+        
+        const geojson = exportGeoJson(matches, siteFeature, spatial);
+        if (geojson) {
+          result += `\n${formatGeoJson(geojson)}`;
+        }
         
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, { ...sitePage(page), ...(geojson ? { geojson } : {}) });
       }
 
       case 'neon_get_site_products': {
         const schema = z.object({
-          siteCode: z.string().length(4).regex(/^[A-Z]{4}$/)
+          siteCode: z.string().length(4).regex(/^[A-Z]{4}$/),
+          release: z.string().optional()
         });
         
-        const { siteCode } = validateInput(schema, args);
-        const site = await client.getSite(siteCode);
+        const { siteCode, release } = validateInput(schema, args);
+        const site = await client.getSite(siteCode, release);
         
         let result = `# Data Products at ${site.siteName} (${site.siteCode})\n\n`;
         result += `**Total Products**: ${site.dataProducts.length}\n\n`;
@@ -279,9 +313,11 @@ export async function handleSiteTool(
           });
         });
         
-        return {
-          content: [{ type: 'text', text: result }]
-        };
+        return toolResponse(args, result, {
+          siteCode: site.siteCode,
+          siteName: site.siteName,
+          dataProducts: site.dataProducts
+        });
       }
 
       default:
@@ -293,7 +329,8 @@ export async function handleSiteTool(
         content: [{ 
           type: 'text', 
           text: `**Validation Error**: ${error.message}\n\nPlease check your input parameters and try again.` 
-        }]
+        }],
+        isError: true
       };
     }
     
@@ -301,22 +338,46 @@ export async function handleSiteTool(
       content: [{ 
         type: 'text', 
         text: `**Error**: ${error instanceof Error ? error.message : 'Unknown error occurred'}\n\nPlease try again or contact support if the issue persists.` 
-      }]
+      }],
+      isError: true
     };
   }
 }
 
-// Helper function to calculate distance between two points using Haversine formula
-function calculateDistance(lat1: number, lon1: number, lat2: number, lon2: number): number {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+function formatSiteListEntry(site: Site): string {
+  let output = `- **${site.siteCode}**: ${site.siteName}\n`;
+  output += `  - **Type**: ${site.siteType}\n`;
+  output += `  - **Location**: ${site.stateName}\n`;
+  output += `  - **Products**: ${site.dataProducts.length}\n\n`;
+  return output;
+}
+
+// One line per site, for summary verbosity
+function formatSiteSummaries(sites: SiteMatch[]): string {
+  let output = '';
+  sites.forEach(site => {
+    const distance = site.distanceKm !== undefined ? `, ${site.distanceKm.toFixed(2)} km` : '';
+    output += `- **${site.siteCode}**: ${site.siteName} (${site.domainCode}, ${site.stateCode}${distance})\n`;
+  });
+  return output + '\n';
+}
+
+function sitePage(page: Page<SiteMatch>) {
+  return {
+    ...pageResult(page),
+    sites: page.verbosity === 'summary' ? summarize(page.items, SITE_SUMMARY_FIELDS) : page.items
+  };
+}
+
+function siteFeature(site: SiteMatch) {
+  return pointFeature(site.siteLongitude, site.siteLatitude, {
+    siteCode: site.siteCode,
+    siteName: site.siteName,
+    siteType: site.siteType,
+    domainCode: site.domainCode,
+    stateCode: site.stateCode,
+    ...(site.distanceKm !== undefined ? { distanceKm: site.distanceKm } : {})
+  });
 }
 
 // Helper function to get date range from available months
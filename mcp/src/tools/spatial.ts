@@ -0,0 +1,152 @@
+import { z } from 'zod';
+import {
+  Area,
+  BoundingBox,
+  calculateDistance,
+  featureCollection,
+  FeatureCollection,
+  inArea,
+  inBoundingBox,
+  parseArea,
+  PointFeature,
+  validateBoundingBox
+} from '../utils/geo.js';
+import { validateInput, ValidationError } from '../utils/validators.js';
+
+// The spatial filters shared by the site and location searches. A point with a
+// radius, a bounding box and a polygon can be combined; nearest replaces the radius.
+
+export interface SpatialArguments {
+  latitude?: number;
+  longitude?: number;
+  radius: number;
+  nearest?: number;
+  bbox?: BoundingBox;
+  polygon?: string | Record<string, unknown>;
+  geojson?: boolean;
+}
+
+// Input schema properties; defaultRadius is the tool's proximity radius in km
+export function spatialInputProperties(defaultRadius: number) {
+  return {
+    latitude: {
+      type: 'number',
+      description: 'Center latitude for proximity search',
+      minimum: -90,
+      maximum: 90
+    },
+    longitude: {
+      type: 'number',
+      description: 'Center longitude for proximity search',
+      minimum: -180,
+      maximum: 180
+    },
+    radius: {
+      type: 'number',
+      description: 'Search radius in kilometers (used with lat/lon)',
+      default: defaultRadius
+    },
+    nearest: {
+      type: 'number',
+      description: 'Return only the K results nearest to lat/lon, however far away (replaces radius)'
+    },
+    bbox: {
+      type: 'array',
+      items: { type: 'number' },
+      minItems: 4,
+      maxItems: 4,
+      description: 'Bounding box as [west, south, east, north] in degrees'
+    },
+    polygon: {
+      type: ['string', 'object'],
+      description: 'Area to search within: GeoJSON Polygon or MultiPolygon (or a Feature/FeatureCollection of them), or WKT POLYGON/MULTIPOLYGON, in longitude/latitude'
+    },
+    geojson: {
+      type: 'boolean',
+      description: 'Also return every match as a GeoJSON FeatureCollection, not just the results on this page',
+      default: false
+    }
+  };
+}
+
+export function spatialSchema(defaultRadius: number) {
+  return z.object({
+    latitude: z.number().min(-90).max(90).optional(),
+    longitude: z.number().min(-180).max(180).optional(),
+    radius: z.number().positive().default(defaultRadius),
+    nearest: z.number().int().positive().optional(),
+    bbox: z.tuple([z.number(), z.number(), z.number(), z.number()]).optional(),
+    polygon: z.union([z.string().min(1), z.record(z.unknown())]).optional(),
+    geojson: z.boolean().optional()
+  })
+    // A point needs both coordinates; one alone would silently search everywhere
+    .refine(spatial => spatial.latitude === undefined || spatial.longitude !== undefined, {
+      message: 'requires longitude',
+      path: ['latitude']
+    })
+    .refine(spatial => spatial.longitude === undefined || spatial.latitude !== undefined, {
+      message: 'requires latitude',
+      path: ['longitude']
+    });
+}
+
+export function parseSpatialArguments(args: any, defaultRadius: number): SpatialArguments {
+  const spatial = validateInput(spatialSchema(defaultRadius), pickSpatialArguments(args));
+  if (spatial.nearest !== undefined && (spatial.latitude === undefined || spatial.longitude === undefined)) {
+    throw new ValidationError('nearest: requires latitude and longitude');
+  }
+  if (spatial.bbox) {
+    validateBoundingBox(spatial.bbox);
+  }
+  return { ...spatial, radius: spatial.radius ?? defaultRadius };
+}
+
+// Whether the search measures distance from a point, so results can sort by it
+export function hasSearchPoint(spatial: SpatialArguments): boolean {
+  return spatial.latitude !== undefined && spatial.longitude !== undefined;
+}
+
+// Keep the items inside the bbox and polygon, then within the radius of (or
+// the nearest to) the search point, setting distanceKm when there is one.
+// position gives an item's [latitude, longitude].
+export function applySpatialFilters<T extends { distanceKm?: number }>(
+  items: T[],
+  position: (item: T) => [number, number],
+  spatial: SpatialArguments
+): T[] {
+  const { latitude, longitude, radius, nearest, bbox } = spatial;
+  const area: Area | undefined = spatial.polygon !== undefined ? parseArea(spatial.polygon) : undefined;
+
+  const matches = items.filter(item => {
+    const [lat, lon] = position(item);
+    return (!bbox || inBoundingBox(lon, lat, bbox)) && (!area || inArea(lon, lat, area));
+  });
+
+  if (latitude === undefined || longitude === undefined) {
+    return matches;
+  }
+
+  const withDistance = matches.map(item => {
+    const [lat, lon] = position(item);
+    return { ...item, distanceKm: calculateDistance(latitude, longitude, lat, lon) };
+  });
+  if (nearest !== undefined) {
+    return withDistance.sort((a, b) => a.distanceKm - b.distanceKm).slice(0, nearest);
+  }
+  return withDistance.filter(item => item.distanceKm <= radius);
+}
+
+// A FeatureCollection of the results, or undefined unless geojson was requested.
+// Callers pass every match, so the map covers the whole search rather than one page.
+export function exportGeoJson<T>(items: T[], feature: (item: T) => PointFeature, spatial: SpatialArguments) {
+  return spatial.geojson ? featureCollection(items.map(feature)) : undefined;
+}
+
+export function formatGeoJson(collection: FeatureCollection): string {
+  return `## GeoJSON\n\n\`\`\`json\n${JSON.stringify(collection, null, 2)}\n\`\`\`\n`;
+}
+
+function pickSpatialArguments(args: any) {
+  const { latitude, longitude, radius, nearest, bbox, polygon, geojson } = args || {};
+  return { latitude, longitude, radius, nearest, bbox, polygon, geojson };
+}
\ No newline at end of file
@@ -0,0 +1,147 @@
+import { Tool } from '@modelcontextprotocol/sdk/types.js';
+import { NeonApiClient } from '../api/client.js';
+import { formatFileSize } from '../utils/formatters.js';
+import { validateInput, ValidationError } from '../utils/validators.js';
+import { ToolResponse, toolResponse } from './output.js';
+import { cacheStatsSchema, objectSchema, rateLimitStatusSchema } from './outputSchemas.js';
+import { z } from 'zod';
+
+export function createStatusTools(client: NeonApiClient): Tool[] {
+  return [
+    {
+      name: 'neon_get_rate_limit_status',
+      description: 'Show the current NEON API rate limit quota and how many requests are queued behind it',
+      inputSchema: {
+        type: 'object',
+        properties: {}
+      },
+      outputSchema: rateLimitStatusSchema
+    },
+    {
+      name: 'neon_get_cache_stats',
+      description: 'Show response cache statistics: entries and size in memory and on disk, hits, misses and stale hits',
+      inputSchema: {
+        type: 'object',
+        properties: {}
+      },
+      outputSchema: cacheStatsSchema
+    },
+    {
+      name: 'neon_purge_cache',
+      description: 'Remove cached API responses, either all of them or those for an endpoint prefix',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          prefix: {
+            type: 'string',
+            description: 'Only purge entries for endpoints starting with this path (e.g., "/api/v0/products")'
+          }
+        }
+      },
+      outputSchema: objectSchema({
+        removed: { type: 'integer' },
+        prefix: { type: ['string', 'null'] }
+      })
+    }
+  ];
+}
+
+export async function handleStatusTool(
+  name: string,
+  args: any,
+  client: NeonApiClient
+): Promise<ToolResponse> {
+  try {
+    switch (name) {
+      case 'neon_get_rate_limit_status': {
+        const status = client.getRateLimitStatus();
+
+        let result = `# NEON API Rate Limit Status\n\n`;
+
+        if (status.updatedAt === null) {
+          result += 'No rate limit headers received yet; quota is unknown until the first API response.\n\n';
+        } else {
+          result += `**Remaining**: ${status.remaining ?? 'unknown'} of ${status.limit ?? 'unknown'} requests\n`;
+          if (status.resetSeconds !== null) {
+            result += `**Full Reset In**: ${status.resetSeconds} seconds\n`;
+          }
+          result += `**Last Updated**: ${status.updatedAt}\n`;
+          if (status.blockedForMs > 0) {
+            result += `**Paused**: ${Math.ceil(status.blockedForMs / 1000)} seconds (rate limit exceeded)\n`;
+          }
+          result += '\n';
+        }
+
+        result += `## Scheduler\n\n`;
+        result += `- **In Flight**: ${status.inFlight}\n`;
+        result += `- **Queued**: ${status.queued}\n`;
+        result += `- **Requests Sent**: ${status.requests}\n`;
+        result += `- **Rate Limited (429) Responses**: ${status.throttled}\n`;
+        result += `- **Total Time Queued**: ${(status.waitedMs / 1000).toFixed(1)} seconds\n`;
+
+        return toolResponse(args, result, { ...status });
+      }
+
+      case 'neon_get_cache_stats': {
+        const stats = await client.getCacheStats();
+        const lookups = stats.hits + stats.staleHits + stats.misses;
+
+        let result = `# NEON API Cache Statistics\n\n`;
+        result += `## Memory\n\n`;
+        result += `- **Entries**: ${stats.memoryEntries} (limit ${stats.memoryMaxEntries})\n\n`;
+
+        result += `## Disk\n\n`;
+        if (stats.diskDirectory === null) {
+          result += 'Persistent cache is disabled.\n\n';
+        } else {
+          result += `- **Directory**: ${stats.diskDirectory}\n`;
+          result += `- **Entries**: ${stats.diskEntries} (${stats.diskExpiredEntries} expired)\n`;
+          result += `- **Size**: ${formatFileSize(stats.diskBytes)}\n\n`;
+        }
+
+        result += `## Lookups Since Start\n\n`;
+        result += `- **Fresh Hits**: ${stats.hits} (${stats.diskHits} loaded from disk)\n`;
+        result += `- **Stale Hits**: ${stats.staleHits} (served while refreshing)\n`;
+        result += `- **Misses**: ${stats.misses}\n`;
+        if (lookups > 0) {
+          result += `- **Hit Rate**: ${(((stats.hits + stats.staleHits) / lookups) * 100).toFixed(1)}%\n`;
+        }
+
+        return toolResponse(args, result, { ...stats });
+      }
+
+      case 'neon_purge_cache': {
+        const schema = z.object({
+          prefix: z.string().startsWith('/', 'Prefix must be an endpoint path starting with "/"').optional()
+        });
+
+        const { prefix } = validateInput(schema, args);
+        const removed = await client.purgeCache(prefix);
+
+        const scope = prefix ? `entries for ${prefix}` : 'entries';
+        return toolResponse(args, `Removed ${removed} cached ${scope}.`, { removed, prefix: prefix ?? null });
+      }
+
+      default:
+        throw new Error(`Unknown status tool: ${name}`);
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return {
+        content: [{
+          type: 'text',
+          text: `**Validation Error**: ${error.message}\n\nPlease check your input parameters and try again.`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `**Error**: ${error instanceof Error ? error.message : 'Unknown error occurred'}\n\nPlease try again or contact support if the issue persists.`
+      }],
+      isError: true
+    };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,269 @@
+import { Tool } from '@modelcontextprotocol/sdk/types.js';
+import { NeonApiClient } from '../api/client.js';
+import { MonthlyDataFiles, VariableDefinition } from '../api/types.js';
+import { formatVariables, formatTablePreview } from '../utils/formatters.js';
+import { parseNeonFilename } from '../utils/filenames.js';
+import { parseCsv } from '../stacking/csv.js';
+import { findTableFiles, findVariablesFile, listTables, parseVariablesFile } from '../utils/variables.js';
+import { validateInput, ValidationError, ProductCodeSchema, YearMonthSchema } from '../utils/validators.js';
+import { ToolResponse, toolResponse } from './output.js';
+import { arrayOf, objectSchema, stringArraySchema, variableDefinitionSchema } from './outputSchemas.js';
+import { z } from 'zod';
+
+const MAX_PREVIEW_ROWS = 100;
+
+// Identifies the product/site/month whose files are read
+const monthFilesProperties = {
+  productCode: {
+    type: 'string',
+    description: 'NEON product code (e.g., "DP1.10003.001")',
+    pattern: '^DP\\d\\.\\d{5}\\.\\d{3}$'
+  },
+  siteCode: {
+    type: 'string',
+    description: 'Site code (4 letters, e.g., "HARV")',
+    pattern: '^[A-Z]{4}$'
+  },
+  month: {
+    type: 'string',
+    description: 'Month in YYYY-MM format',
+    pattern: '^\\d{4}-\\d{2}$'
+  },
+  package: {
+    type: 'string',
+    enum: ['basic', 'expanded'],
+    description: 'Data package type (default: basic)',
+    default: 'basic'
+  },
+  release: {
+    type: 'string',
+    description: 'Specific release tag (e.g., "RELEASE-2024")'
+  }
+};
+
+const monthFilesSchema = z.object({
+  productCode: ProductCodeSchema,
+  siteCode: z.string().regex(/^[A-Z]{4}$/, 'Site code must be 4 uppercase letters'),
+  month: YearMonthSchema,
+  package: z.enum(['basic', 'expanded']).default('basic'),
+  release: z.string().optional()
+});
+
+// Identifies the listing a table tool read, in its structured output
+const monthFilesOutputProperties = {
+  productCode: { type: 'string' },
+  siteCode: { type: 'string' },
+  month: { type: 'string' },
+  release: { type: 'string' },
+  package: { type: 'string' }
+};
+
+export function createTableTools(client: NeonApiClient): Tool[] {
+  return [
+    {
+      name: 'neon_get_variables',
+      description: 'Get the column definitions (field names, units, data types, descriptions) from the variables file of a product/site/month',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...monthFilesProperties,
+          table: {
+            type: 'string',
+            description: 'Only return fields for this table (e.g., "brd_countdata")'
+          }
+        },
+        required: ['productCode', 'siteCode', 'month']
+      },
+      outputSchema: objectSchema({
+        ...monthFilesOutputProperties,
+        variables: arrayOf(variableDefinitionSchema)
+      })
+    },
+    {
+      name: 'neon_preview_table',
+      description: 'Show the first rows of a data table with each column labelled by its units and description, without downloading the whole file',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...monthFilesProperties,
+          table: {
+            type: 'string',
+            description: 'Table to preview (e.g., "brd_countdata" or "ST_30_minute")'
+          },
+          rows: {
+            type: 'number',
+            description: `Number of rows to show (1-${MAX_PREVIEW_ROWS}, default: 10)`,
+            default: 10
+          },
+          position: {
+            type: 'string',
+            description: 'Sensor position as horizontal.vertical index (e.g., "001.501"); defaults to the first position'
+          }
+        },
+        required: ['productCode', 'siteCode', 'month', 'table']
+      },
+      outputSchema: objectSchema({
+        ...monthFilesOutputProperties,
+        table: { type: 'string' },
+        file: { type: 'string' },
+        position: { type: ['string', 'null'] },
+        positions: stringArraySchema,
+        columns: stringArraySchema,
+        rows: arrayOf({ type: 'object', additionalProperties: { type: 'string' } })
+      })
+    }
+  ];
+}
+
+export async function handleTableTool(
+  name: string,
+  args: any,
+  client: NeonApiClient
+): Promise<ToolResponse> {
+  try {
+    switch (name) {
+      case 'neon_get_variables': {
+        const schema = monthFilesSchema.extend({
+          table: z.string().optional()
+        });
+
+        const { table, ...params } = validateInput(schema, args);
+        const listing = await getMonthFiles(client, params);
+        let variables = await readVariables(client, listing);
+
+        if (table) {
+          variables = variables.filter(variable => variable.table === table);
+        }
+
+        let result = `# Variables for ${listing.productCode} at ${listing.siteCode} (${listing.month})\n\n`;
+        result += `**Release**: ${listing.release}\n`;
+        result += `**Package**: ${params.package}\n\n`;
+
+        if (variables.length === 0) {
+          result += table
+            ? `No fields found for table "${table}". Tables in this package: ${listTables(listing.files).join(', ') || 'none'}\n`
+            : 'The variables file lists no fields.\n';
+        } else {
+          result += formatVariables(variables);
+          result += 'Primary key fields are shown in bold.\n';
+        }
+
+        return toolResponse(args, result, {
+          productCode: listing.productCode,
+          siteCode: listing.siteCode,
+          month: listing.month,
+          release: listing.release,
+          package: params.package ?? 'basic',
+          variables
+        });
+      }
+
+      case 'neon_preview_table': {
+        const schema = monthFilesSchema.extend({
+          table: z.string().min(1, 'Table name is required'),
+          rows: z.number().int().min(1).max(MAX_PREVIEW_ROWS).default(10),
+          position: z.string().regex(/^\d{3}\.\d{3}$/, 'Position must look like "001.501"').optional()
+        });
+
+        const { table, rows = 10, position, ...params } = validateInput(schema, args);
+        const listing = await getMonthFiles(client, params);
+        const tableFiles = findTableFiles(listing.files, table);
+
+        if (tableFiles.length === 0) {
+          throw new Error(`Table "${table}" not found. Tables in this package: ${listTables(listing.files).join(', ') || 'none'}`);
+        }
+
+        const positions = tableFiles.map(file => {
+          const parsed = parseNeonFilename(file.name)!;
+          return parsed.horizontalPosition ? `${parsed.horizontalPosition}.${parsed.verticalPosition}` : '';
+        });
+        const index = position ? positions.indexOf(position) : 0;
+
+        if (index < 0) {
+          throw new Error(`Position ${position} not found for ${table}. Available positions: ${positions.join(', ')}`);
+        }
+
+        const file = tableFiles[index];
+        const [text, variables] = await Promise.all([
+          client.readFileText(file.url, rows + 1),
+          readVariables(client, listing)
+        ]);
+        const tableVariables = variables.filter(variable => variable.table === table);
+
+        let result = `# ${table} Preview: ${listing.productCode} at ${listing.siteCode} (${listing.month})\n\n`;
+        result += `**File**: ${file.name}\n`;
+        result += `**Release**: ${listing.release}\n`;
+        if (positions[index]) {
+          result += `**Position**: ${positions[index]} (available: ${positions.join(', ')})\n`;
+        }
+        result += '\n';
+
+        const preview = parseCsv(text).slice(0, rows + 1);
+        result += formatTablePreview(preview, tableVariables);
+
+        const [columns = [], ...records] = preview;
+        return toolResponse(args, result, {
+          productCode: listing.productCode,
+          siteCode: listing.siteCode,
+          month: listing.month,
+          release: listing.release,
+          package: params.package ?? 'basic',
+          table,
+          file: file.name,
+          position: positions[index] || null,
+          positions: positions.filter(Boolean),
+          columns,
+          rows: records.map(values => Object.fromEntries(columns.map((column, i) => [column, values[i] ?? ''])))
+        });
+      }
+
+      default:
+        throw new Error(`Unknown table tool: ${name}`);
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return {
+        content: [{
+          type: 'text',
+          text: `**Validation Error**: ${error.message}\n\nPlease check your input parameters and try again.`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `**Error**: ${error instanceof Error ? error.message : 'Unknown error occurred'}\n\nPlease try again or contact support if the issue persists.`
+      }],
+      isError: true
+    };
+  }
+}
+
+// Helper function to list a month's files for one package
+async function getMonthFiles(
+  client: NeonApiClient,
+  params: { productCode: string; siteCode: string; month: string; package?: string; release?: string }
+): Promise<MonthlyDataFiles> {
+  const listing = await client.getDataFiles(params.productCode, params.siteCode, params.month, {
+    package: params.package,
+    release: params.release
+  });
+
+  if (!listing || !listing.files || listing.files.length === 0) {
+    throw new Error(`No ${params.package} files published for ${params.productCode} at ${params.siteCode} in ${params.month}`);
+  }
+
+  return listing;
+}
+
+// Helper function to fetch and parse the variables file in a listing
+async function readVariables(client: NeonApiClient, listing: MonthlyDataFiles): Promise<VariableDefinition[]> {
+  const variablesFile = findVariablesFile(listing.files);
+  if (!variablesFile) {
+    throw new Error(`No variables file published for ${listing.productCode} at ${listing.siteCode} in ${listing.month}`);
+  }
+
+  return parseVariablesFile(await client.readFileText(variablesFile.url));
+}
\ No newline at end of file
@@ -0,0 +1,284 @@
+import { Tool } from '@modelcontextprotocol/sdk/types.js';
+import { NeonApiClient } from '../api/client.js';
+import { TaxonomyEntry } from '../api/types.js';
+import { formatTaxonomyEntries } from '../utils/formatters.js';
+import { validateInput, ValidationError, TaxonomySearchSchema, TaxonTypeCodeSchema } from '../utils/validators.js';
+import { ToolResponse, toolResponse } from './output.js';
+import { arrayOf, objectSchema, taxonomyEntrySchema } from './outputSchemas.js';
+import { decodeCursor, encodeCursor, queryFingerprint } from './pagination.js';
+import { z } from 'zod';
+
+// Upper bound on pages fetched when scanning a genus for synonyms
+const MAX_SYNONYM_PAGES = 5;
+const SYNONYM_PAGE_SIZE = 1000;
+
+export function createTaxonomyTools(client: NeonApiClient): Tool[] {
+  return [
+    {
+      name: 'neon_search_taxonomy',
+      description: 'Search NEON taxonomic lists by taxon type, scientific name, or any taxonomic rank, with paging',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          taxonTypeCode: {
+            type: 'string',
+            enum: TaxonTypeCodeSchema.options,
+            description: 'Taxon type to list (cannot be combined with scientificName or rank filters)'
+          },
+          scientificName: {
+            type: 'string',
+            description: 'Exact scientific name to match (e.g., "Quercus rubra L.")'
+          },
+          kingdom: {
+            type: 'string',
+            description: 'Kingdom to filter by (e.g., "Plantae")'
+          },
+          division: {
+            type: 'string',
+            description: 'Division to filter by (e.g., "Magnoliophyta")'
+          },
+          phylum: {
+            type: 'string',
+            description: 'Phylum to filter by (e.g., "Arthropoda")'
+          },
+          class: {
+            type: 'string',
+            description: 'Class to filter by (e.g., "Aves")'
+          },
+          order: {
+            type: 'string',
+            description: 'Order to filter by (e.g., "Coleoptera")'
+          },
+          family: {
+            type: 'string',
+            description: 'Family to filter by (e.g., "Carabidae")'
+          },
+          genus: {
+            type: 'string',
+            description: 'Genus to filter by (e.g., "Carabus")'
+          },
+          limit: {
+            type: 'number',
+            description: 'Number of records to return (1-1000)',
+            default: 100
+          },
+          offset: {
+            type: 'number',
+            description: 'Number of records to skip, for paging through results',
+            default: 0
+          },
+          cursor: {
+            type: 'string',
+            description: 'nextCursor from the previous page of the same search; takes the place of offset'
+          },
+          verbose: {
+            type: 'boolean',
+            description: 'Return the full taxonomic hierarchy for each record',
+            default: false
+          },
+          verbosity: {
+            type: 'string',
+            enum: ['summary', 'full'],
+            description: '"summary" for one line per taxon, "full" for rank, type, common name and hierarchy',
+            default: 'full'
+          }
+        }
+      },
+      outputSchema: objectSchema({
+        total: { type: 'integer' },
+        offset: { type: 'integer' },
+        count: { type: 'integer' },
+        nextOffset: { type: ['integer', 'null'] },
+        nextCursor: { type: ['string', 'null'] },
+        entries: arrayOf(taxonomyEntrySchema)
+      })
+    },
+    {
+      name: 'neon_resolve_taxon',
+      description: 'Resolve a scientific name to its accepted NEON taxonID and list known synonyms',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scientificName: {
+            type: 'string',
+            description: 'Exact scientific name to resolve (e.g., "Peromyscus leucopus")'
+          }
+        },
+        required: ['scientificName']
+      },
+      outputSchema: objectSchema({
+        scientificName: { type: 'string' },
+        matches: arrayOf(objectSchema({
+          entry: taxonomyEntrySchema,
+          acceptedTaxonID: { type: 'string' },
+          acceptedName: { type: ['string', 'null'] },
+          isAccepted: { type: 'boolean' },
+          synonyms: arrayOf(taxonomyEntrySchema)
+        }))
+      })
+    }
+  ];
+}
+
+export async function handleTaxonomyTool(
+  name: string,
+  args: any,
+  client: NeonApiClient
+): Promise<ToolResponse> {
+  try {
+    switch (name) {
+      case 'neon_search_taxonomy': {
+        const { cursor, verbosity, ...params } = validateInput(TaxonomySearchSchema, args);
+
+        // Cursors hold an absolute offset, so the page size may change between pages
+        const fingerprint = queryFingerprint({ ...params, limit: undefined, offset: undefined });
+        const offset = cursor ? decodeCursor(cursor, fingerprint) : params.offset || 0;
+        const response = await client.searchTaxonomy({ ...params, offset });
+
+        let result = verbosity === 'summary'
+          ? formatTaxonomySummaries(response.data, response.total)
+          : formatTaxonomyEntries(response.data, response.total);
+        const last = offset + response.data.length;
+        const hasNext = response.data.length > 0 && last < response.total;
+
+        if (response.data.length === 0) {
+          result += 'No taxa found matching your criteria.\n\n';
+          result += '**Suggestions:**\n';
+          result += '- scientificName must match exactly, including authorship where present\n';
+          result += '- Try filtering by genus or family instead\n';
+        } else {
+          result += `**Showing**: ${offset + 1}-${last} of ${response.total}\n`;
+          if (hasNext) {
+            result += `**Next Page**: call again with cursor="${encodeCursor(last, fingerprint)}" (or offset=${last})\n`;
+          }
+        }
+
+        return toolResponse(args, result, {
+          total: response.total,
+          offset,
+          count: response.data.length,
+          nextOffset: hasNext ? last : null,
+          nextCursor: hasNext ? encodeCursor(last, fingerprint) : null,
+          entries: response.data
+        });
+      }
+
+      case 'neon_resolve_taxon': {
+        const schema = z.object({
+          scientificName: z.string().min(1, 'Scientific name is required')
+        });
+
+        const { scientificName } = validateInput(schema, args);
+        const response = await client.searchTaxonomy({ scientificName, verbose: true });
+
+        let result = `# Taxon Resolution: ${scientificName}\n\n`;
+
+        if (response.data.length === 0) {
+          result += 'No taxon found with this scientific name.\n\n';
+          result += '**Suggestions:**\n';
+          result += '- scientificName must match exactly, including authorship where present\n';
+          result += '- Use neon_search_taxonomy with a genus filter to find the exact spelling\n';
+          return toolResponse(args, result, { scientificName, matches: [] });
+        }
+
+        const matches: Record<string, unknown>[] = [];
+
+        // The same name can appear in several taxon lists (e.g. PLANT and ALGAE)
+        for (const entry of response.data) {
+          const acceptedId = entry.acceptedTaxonID || entry.taxonID;
+          const related = entry.genus ? await findGenusEntries(client, entry.genus) : [entry];
+          const sameConcept = related.filter(e =>
+            e.taxonTypeCode === entry.taxonTypeCode &&
+            (e.acceptedTaxonID || e.taxonID) === acceptedId
+          );
+          const accepted = sameConcept.find(e => e.taxonID === acceptedId);
+          const synonyms = sameConcept.filter(e => e.taxonID !== acceptedId);
+          matches.push({
+            entry,
+            acceptedTaxonID: acceptedId,
+            acceptedName: accepted ? accepted.scientificName : null,
+            isAccepted: entry.taxonID === acceptedId,
+            synonyms
+          });
+
+          result += `## ${entry.taxonTypeCode}: ${entry.scientificName} (${entry.taxonID})\n\n`;
+          result += `**Accepted taxonID**: ${acceptedId}\n`;
+          if (accepted) {
+            result += `**Accepted Name**: ${accepted.scientificName}\n`;
+          }
+          result += `**Status**: ${entry.taxonID === acceptedId ? 'Accepted name' : `Synonym of ${acceptedId}`}\n`;
+          result += `**Rank**: ${entry.taxonRank}\n`;
+          if (entry.vernacularName) {
+            result += `**Common Name**: ${entry.vernacularName}\n`;
+          }
+
+          if (synonyms.length > 0) {
+            result += `\n**Synonyms** (${synonyms.length}):\n`;
+            synonyms.forEach(synonym => {
+              result += `- ${synonym.scientificName} (${synonym.taxonID})\n`;
+            });
+          } else {
+            result += `\n**Synonyms**: none recorded in genus ${entry.genus || 'unknown'}\n`;
+          }
+
+          result += '\n';
+        }
+
+        return toolResponse(args, result, { scientificName, matches });
+      }
+
+      default:
+        throw new Error(`Unknown taxonomy tool: ${name}`);
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return {
+        content: [{
+          type: 'text',
+          text: `**Validation Error**: ${error.message}\n\nPlease check your input parameters and try again.`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `**Error**: ${error instanceof Error ? error.message : 'Unknown error occurred'}\n\nPlease try again or contact support if the issue persists.`
+      }],
+      isError: true
+    };
+  }
+}
+
+// One line per taxon, for summary verbosity
+function formatTaxonomySummaries(entries: TaxonomyEntry[], total: number): string {
+  let output = `# Taxonomy Results (${entries.length} of ${total})\n\n`;
+  entries.forEach(entry => {
+    const commonName = entry.vernacularName ? `, ${entry.vernacularName}` : '';
+    output += `- **${entry.scientificName}** (${entry.taxonID}, ${entry.taxonRank}${commonName})\n`;
+  });
+  return output + '\n';
+}
+
+// Helper function to page through every taxon in a genus. Synonyms share the
+// accepted taxonID but there is no API filter for it, so we scan the genus.
+async function findGenusEntries(client: NeonApiClient, genus: string): Promise<TaxonomyEntry[]> {
+  const entries: TaxonomyEntry[] = [];
+
+  for (let page = 0; page < MAX_SYNONYM_PAGES; page++) {
+    const response = await client.searchTaxonomy({
+      genus,
+      verbose: true,
+      limit: SYNONYM_PAGE_SIZE,
+      offset: page * SYNONYM_PAGE_SIZE
+    });
+    entries.push(...response.data);
+
+    if (entries.length >= response.total || response.data.length === 0) {
+      break;
+    }
+  }
+
+  return entries;
+}
\ No newline at end of file
@@ -0,0 +1,188 @@
+import { randomUUID } from 'crypto';
+import http, { IncomingMessage, ServerResponse } from 'http';
+import { AddressInfo } from 'net';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+
+export const MCP_PATH = '/mcp';
+export const SESSION_HEADER = 'mcp-session-id';
+// The deprecated HTTP+SSE transport, kept for clients that predate Streamable HTTP
+export const SSE_PATH = '/sse';
+export const MESSAGES_PATH = '/messages';
+export const HEALTH_PATH = '/health';
+
+export interface HttpTransportOptions {
+  host: string;
+  port: number;
+  // Extra fields reported by the health endpoint
+  getHealth?: () => Record<string, unknown>;
+}
+
+interface Session {
+  server: Server;
+  transport: StreamableHTTPServerTransport | SSEServerTransport;
+}
+
+// Serves MCP over HTTP with the SDK's Streamable HTTP transport at /mcp: an
+// initialize request opens a session, and later requests name it in the
+// Mcp-Session-Id header. Legacy SSE clients open an event stream with GET /sse
+// and send requests with POST /messages?sessionId=...
+// Every session gets its own MCP Server from the factory.
+export class HttpTransportHost {
+  private httpServer: http.Server;
+  private sessions = new Map<string, Session>();
+  private accepting = true;
+
+  constructor(
+    private createServer: () => Server,
+    private options: HttpTransportOptions
+  ) {
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('HTTP transport error:', error);
+        if (!res.headersSent) {
+          res.writeHead(500).end('Internal server error');
+        }
+      });
+    });
+  }
+
+  async start(): Promise<AddressInfo> {
+    await new Promise<void>((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.options.port, this.options.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+    return this.httpServer.address() as AddressInfo;
+  }
+
+  get sessionCount(): number {
+    return this.sessions.size;
+  }
+
+  // Refuse new sessions and messages; open streams stay up so responses
+  // to in-flight calls can still be delivered
+  stopAccepting(): void {
+    this.accepting = false;
+  }
+
+  async close(): Promise<void> {
+    this.accepting = false;
+
+    const closed = new Promise<void>(resolve => this.httpServer.close(() => resolve()));
+    await Promise.all(Array.from(this.sessions.values()).map(session => session.server.close()));
+    this.sessions.clear();
+    this.httpServer.closeAllConnections();
+    await closed;
+  }
+
+  private async handleRequest(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'GET' && url.pathname === HEALTH_PATH) {
+      const body = {
+        status: this.accepting ? 'ok' : 'shutting_down',
+        sessions: this.sessions.size,
+        ...(this.options.getHealth ? this.options.getHealth() : {})
+      };
+      res.writeHead(this.accepting ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+      return;
+    }
+
+    if (url.pathname === MCP_PATH) {
+      await this.handleStreamableRequest(req, res);
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === SSE_PATH) {
+      if (!this.accepting) {
+        res.writeHead(503).end('Server is shutting down');
+        return;
+      }
+
+      const transport = new SSEServerTransport(MESSAGES_PATH, res);
+      const server = this.createServer();
+      const sessionId = transport.sessionId;
+
+      this.addSession(sessionId, { server, transport });
+      await server.connect(transport);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+      const session = this.sessions.get(url.searchParams.get('sessionId') || '');
+
+      if (!session) {
+        res.writeHead(404).end('Unknown session');
+        return;
+      }
+      if (!this.accepting) {
+        res.writeHead(503).end('Server is shutting down');
+        return;
+      }
+
+      if (!(session.transport instanceof SSEServerTransport)) {
+        res.writeHead(400).end(`Session ${url.searchParams.get('sessionId')} uses ${MCP_PATH}`);
+        return;
+      }
+
+      await session.transport.handlePostMessage(req, res);
+      return;
+    }
+
+    res.writeHead(404).end('Not found');
+  }
+
+  private async handleStreamableRequest(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const sessionId = req.headers[SESSION_HEADER];
+
+    if (typeof sessionId === 'string') {
+      const session = this.sessions.get(sessionId);
+      if (!session || !(session.transport instanceof StreamableHTTPServerTransport)) {
+        res.writeHead(404).end('Unknown session');
+        return;
+      }
+      // Closing a session with DELETE is still allowed while shutting down
+      if (!this.accepting && req.method !== 'DELETE') {
+        res.writeHead(503).end('Server is shutting down');
+        return;
+      }
+
+      await session.transport.handleRequest(req, res);
+      return;
+    }
+
+    if (!this.accepting) {
+      res.writeHead(503).end('Server is shutting down');
+      return;
+    }
+
+    // Without a session header only an initialize request is valid; the
+    // transport answers anything else with an error and no session starts
+    const server = this.createServer();
+    const transport: StreamableHTTPServerTransport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => this.addSession(id, { server, transport })
+    });
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res);
+
+    if (!transport.sessionId) {
+      await server.close();
+    }
+  }
+
+  private addSession(sessionId: string, session: Session): void {
+    this.sessions.set(sessionId, session);
+    const onclose = session.server.onclose;
+    session.server.onclose = () => {
+      this.sessions.delete(sessionId);
+      onclose?.();
+    };
+  }
+}
@@ -0,0 +1,141 @@
+import { nextMonth } from './formatters.js';
+
+// A run of consecutive YYYY-MM months, inclusive
+export interface MonthRange {
+  start: string;
+  end: string;
+  months: number;
+}
+
+// The months each product has data for at one site
+export interface SiteAvailability {
+  siteCode: string;
+  products: Record<string, string[]>;
+}
+
+// Inclusive YYYY-MM bounds; either end may be open
+export interface MonthWindow {
+  start?: string;
+  end?: string;
+}
+
+const MONTH_HEADER = 'J F M A M J J A S O N D';
+
+export function inWindow(month: string, window: MonthWindow): boolean {
+  return (!window.start || month >= window.start) && (!window.end || month <= window.end);
+}
+
+// Every month from start to end, inclusive
+export function monthsBetween(start: string, end: string): string[] {
+  const months: string[] = [];
+  for (let month = start; month <= end; month = nextMonth(month)) {
+    months.push(month);
+  }
+  return months;
+}
+
+// Group months into runs of consecutive months, in order
+export function contiguousRanges(months: string[]): MonthRange[] {
+  const sorted = Array.from(new Set(months)).sort();
+  const ranges: MonthRange[] = [];
+
+  sorted.forEach(month => {
+    const last = ranges[ranges.length - 1];
+    if (last && nextMonth(last.end) === month) {
+      last.end = month;
+      last.months++;
+    } else {
+      ranges.push({ start: month, end: month, months: 1 });
+    }
+  });
+
+  return ranges;
+}
+
+// The months missing between the first and last of the given months
+export function findGaps(months: string[]): MonthRange[] {
+  const ranges = contiguousRanges(months);
+  return ranges.slice(1).map((range, index) => {
+    // From the month after the previous run up to (not including) this one
+    const missing = monthsBetween(nextMonth(ranges[index].end), range.start).slice(0, -1);
+    return { start: missing[0], end: missing[missing.length - 1], months: missing.length };
+  });
+}
+
+export function formatRange(range: MonthRange): string {
+  return range.start === range.end ? range.start : `${range.start} to ${range.end}`;
+}
+
+// How many of the products have data in each month at a site, within the window
+export function productCounts(site: SiteAvailability, window: MonthWindow = {}): Map<string, number> {
+  const counts = new Map<string, number>();
+  Object.values(site.products).forEach(months => {
+    months.filter(month => inWindow(month, window)).forEach(month => {
+      counts.set(month, (counts.get(month) || 0) + 1);
+    });
+  });
+  return counts;
+}
+
+// Months at a site where every product has data
+export function monthsWithAllProducts(site: SiteAvailability, window: MonthWindow = {}): string[] {
+  const total = Object.keys(site.products).length;
+  return Array.from(productCounts(site, window).entries())
+    .filter(([, count]) => count === total)
+    .map(([month]) => month)
+    .sort();
+}
+
+// Text heatmap with one row per site-year and one column per month. "#" means
+// every product has data, a digit how many do, "." none; months outside the
+// window are left blank. The last column counts the "#" months.
+export function formatAvailabilityHeatmap(sites: SiteAvailability[], window: MonthWindow = {}): string {
+  const lines = [`Site Year  ${MONTH_HEADER}  All`];
+
+  sites.forEach(site => {
+    const total = Object.keys(site.products).length;
+    const counts = productCounts(site, window);
+    const months = Array.from(counts.keys()).sort();
+    if (months.length === 0) {
+      return;
+    }
+
+    const firstYear = Number(months[0].substring(0, 4));
+    const lastYear = Number(months[months.length - 1].substring(0, 4));
+    for (let year = firstYear; year <= lastYear; year++) {
+      const cells = Array.from({ length: 12 }, (_, index) => {
+        const month = `${year}-${String(index + 1).padStart(2, '0')}`;
+        if (!inWindow(month, window)) return ' ';
+        const count = counts.get(month) || 0;
+        if (count === total) return '#';
+        return count === 0 ? '.' : String(count);
+      });
+      const complete = cells.filter(cell => cell === '#').length;
+      lines.push(`${site.siteCode} ${year}  ${cells.join(' ')}  ${String(complete).padStart(3)}`);
+    }
+  });
+
+  return lines.join('\n');
+}
+
+// One row per site and month from the site's first to last month with any data,
+// a 0/1 column per product and a final column for all products together
+export function formatAvailabilityCsv(sites: SiteAvailability[], productCodes: string[], window: MonthWindow = {}): string {
+  const lines = [['siteCode', 'month', ...productCodes, 'allProducts'].join(',')];
+
+  sites.forEach(site => {
+    const months = Array.from(productCounts(site, window).keys()).sort();
+    if (months.length === 0) {
+      return;
+    }
+
+    const available = productCodes.map(code => new Set(site.products[code] || []));
+    monthsBetween(months[0], months[months.length - 1]).forEach(month => {
+      const flags = available.map(set => (set.has(month) ? 1 : 0));
+      const all = flags.every(flag => flag === 1) ? 1 : 0;
+      lines.push([site.siteCode, month, ...flags, all].join(','));
+    });
+  });
+
+  return lines.join('\n');
+}
\ No newline at end of file
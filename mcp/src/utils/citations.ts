@@ -0,0 +1,98 @@
+// Citation builders for NEON data products, following the format NEON
+// recommends on each data product page
+
+const NEON_AUTHOR = 'NEON (National Ecological Observatory Network)';
+const NEON_PUBLISHER = 'National Ecological Observatory Network (NEON)';
+const PORTAL_URL = 'https://data.neonscience.org/data-products';
+
+export const PROVISIONAL_RELEASE = 'PROVISIONAL';
+
+export interface DatasetCitation {
+  productCode: string;
+  productName: string;
+  release: string;
+  doi?: string;
+  year: string;
+  accessed: Date;
+}
+
+export function isProvisional(citation: DatasetCitation): boolean {
+  return citation.release === PROVISIONAL_RELEASE || !citation.doi;
+}
+
+// Accepts either a bare DOI or a doi.org URL and returns the bare DOI
+export function normalizeDoi(doi: string): string {
+  return doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '').trim();
+}
+
+function portalUrl(citation: DatasetCitation): string {
+  return isProvisional(citation)
+    ? `${PORTAL_URL}/${citation.productCode}`
+    : `${PORTAL_URL}/${citation.productCode}/${citation.release}`;
+}
+
+function title(citation: DatasetCitation): string {
+  return `${citation.productName} (${citation.productCode})`;
+}
+
+function accessedText(citation: DatasetCitation): string {
+  const date = citation.accessed.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  return `Dataset accessed from ${portalUrl(citation)} on ${date}`;
+}
+
+export function formatApaCitation(citation: DatasetCitation): string {
+  if (isProvisional(citation)) {
+    return `${NEON_AUTHOR}. (${citation.year}). *${title(citation)}* (Provisional data) [Data set]. ` +
+      `${accessedText(citation)}.`;
+  }
+
+  return `${NEON_AUTHOR}. (${citation.year}). *${title(citation)}* (${citation.release}) [Data set]. ` +
+    `https://doi.org/${normalizeDoi(citation.doi!)}. ${accessedText(citation)}.`;
+}
+
+export function formatBibtexCitation(citation: DatasetCitation): string {
+  const key = `neon_${citation.productCode}_${citation.release}`.replace(/[^A-Za-z0-9_]/g, '_');
+  const fields: [string, string][] = [
+    ['author', `{${NEON_AUTHOR}}`],
+    ['title', `{${title(citation)}}`],
+    ['year', citation.year],
+    ['publisher', `{${NEON_PUBLISHER}}`],
+    ['version', citation.release]
+  ];
+
+  if (isProvisional(citation)) {
+    fields.push(['url', portalUrl(citation)]);
+    fields.push(['note', `Provisional data, not citable with a DOI. ${accessedText(citation)}`]);
+  } else {
+    fields.push(['doi', normalizeDoi(citation.doi!)]);
+    fields.push(['url', `https://doi.org/${normalizeDoi(citation.doi!)}`]);
+    fields.push(['note', accessedText(citation)]);
+  }
+
+  const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+  return `@misc{${key},\n${body}\n}`;
+}
+
+export function formatRisCitation(citation: DatasetCitation): string {
+  const accessed = citation.accessed.toISOString().substring(0, 10).replace(/-/g, '/');
+  const lines = [
+    'TY  - DATA',
+    `AU  - ${NEON_AUTHOR}`,
+    `TI  - ${title(citation)}`,
+    `PY  - ${citation.year}`,
+    `PB  - ${NEON_PUBLISHER}`,
+    `ET  - ${citation.release}`
+  ];
+
+  if (isProvisional(citation)) {
+    lines.push(`UR  - ${portalUrl(citation)}`);
+    lines.push('N1  - Provisional data, not citable with a DOI');
+  } else {
+    lines.push(`DO  - ${normalizeDoi(citation.doi!)}`);
+    lines.push(`UR  - https://doi.org/${normalizeDoi(citation.doi!)}`);
+  }
+
+  lines.push(`Y2  - ${accessed}`);
+  lines.push('ER  - ');
+  return lines.join('\n');
+}
\ No newline at end of file
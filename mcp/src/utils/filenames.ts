@@ -0,0 +1,69 @@
+// Parsing of NEON data file names, e.g.
+//   NEON.D01.HARV.DP1.10003.001.brd_countdata.2023-06.basic.20231201T000000Z.csv
+//   NEON.D01.HARV.DP1.00041.001.001.501.030.ST_30_minute.2023-06.basic.20230701T000000Z.csv
+//   NEON.D01.HARV.DP1.10003.001.variables.20231201T000000Z.csv
+
+// 'metadata' covers product-wide CSVs such as validation and categoricalCodes files
+export type NeonFileKind = 'data' | 'variables' | 'readme' | 'metadata' | 'other';
+
+export interface NeonFilename {
+  domainCode: string;
+  siteCode: string;
+  productCode: string;
+  table: string;
+  horizontalPosition?: string;
+  verticalPosition?: string;
+  timeIndex?: string;
+  month?: string;
+  package?: string;
+  timestamp?: string;
+  extension: string;
+  kind: NeonFileKind;
+}
+
+export function parseNeonFilename(name: string): NeonFilename | null {
+  const parts = name.split('.');
+  if (parts.length < 8 || parts[0] !== 'NEON' || !/^DP\d$/.test(parts[3])) {
+    return null;
+  }
+
+  const extension = parts[parts.length - 1].toLowerCase();
+  const rest = parts.slice(6, -1);
+  const parsed: NeonFilename = {
+    domainCode: parts[1],
+    siteCode: parts[2],
+    productCode: parts.slice(3, 6).join('.'),
+    table: '',
+    extension,
+    kind: 'other'
+  };
+
+  // Sensor files carry horizontal.vertical.temporal index codes before the table name
+  if (rest.length >= 4 && rest.slice(0, 3).every(p => /^\d{3}$/.test(p))) {
+    [parsed.horizontalPosition, parsed.verticalPosition, parsed.timeIndex] = rest.splice(0, 3);
+  }
+
+  parsed.table = rest.shift() || '';
+
+  for (const part of rest) {
+    if (/^\d{4}-\d{2}$/.test(part)) {
+      parsed.month = part;
+    } else if (part === 'basic' || part === 'expanded') {
+      parsed.package = part;
+    } else if (/^\d{8}T\d{6}Z$/.test(part)) {
+      parsed.timestamp = part;
+    }
+  }
+
+  if (parsed.table === 'variables' && extension === 'csv') {
+    parsed.kind = 'variables';
+  } else if (parsed.table === 'readme') {
+    parsed.kind = 'readme';
+  } else if (/^(validation|categoricalCodes)/.test(parsed.table) && extension === 'csv') {
+    parsed.kind = 'metadata';
+  } else if (extension === 'csv') {
+    parsed.kind = 'data';
+  }
+
+  return parsed;
+}
\ No newline at end of file
@@ -5,8 +5,13 @@ import {
   Location, 
   TaxonomyEntry, 
   Sample, 
-  Release 
+  SampleEvent,
+  SampleHierarchyNode,
+  SampleClassEntry,
+  Release,
+  VariableDefinition
 } from '../api/types.js';
+import { formatUnits } from './variables.js';
 
 // Format product data for display
 export function formatProduct(product: Product): string {
@@ -104,6 +109,7 @@ export function formatTaxonomyEntries(entries: TaxonomyEntry[], total: number):
     // Build taxonomic hierarchy
     const hierarchy = [
       entry.kingdom && `Kingdom: ${entry.kingdom}`,
+      entry.division && `Division: ${entry.division}`,
       entry.phylum && `Phylum: ${entry.phylum}`,
       entry.class && `Class: ${entry.class}`,
       entry.order && `Order: ${entry.order}`,
@@ -126,39 +132,218 @@ export function formatSamples(samples: Sample[]): string {
   let output = `# Sample Tracking Results (${samples.length} samples)\n\n`;
   
   samples.forEach(sample => {
-    output += `## Sample: ${sample.sampleTag} (${sample.sampleClass})\n\n`;
-    output += `**UUID**: ${sample.sampleUuid}\n`;
-    if (sample.barcode) output += `**Barcode**: ${sample.barcode}\n`;
-    if (sample.archiveGuid) output += `**Archive GUID**: ${sample.archiveGuid}\n`;
-    if (sample.parentSampleUuid) output += `**Parent Sample**: ${sample.parentSampleUuid}\n`;
-    if (sample.childSampleUuids && sample.childSampleUuids.length > 0) {
-      output += `**Child Samples**: ${sample.childSampleUuids.length} samples\n`;
-    }
+    output += formatSampleInfo(sample) + '\n';
+  });
+  
+  return output;
+}
+
+// Format the identifiers and links of a single sample
+function formatSampleInfo(sample: Sample): string {
+  let output = `## Sample: ${sample.sampleTag} (${sample.sampleClass})\n\n`;
+  output += `**UUID**: ${sample.sampleUuid}\n`;
+  if (sample.barcode) output += `**Barcode**: ${sample.barcode}\n`;
+  if (sample.archiveGuid) output += `**Archive GUID**: ${sample.archiveGuid}\n`;
+  
+  const parents = sample.parentSampleIdentifiers || [];
+  const children = sample.childSampleIdentifiers || [];
+  if (parents.length > 0) {
+    output += `**Parent Samples**: ${parents.map(p => `${p.sampleTag} (${p.sampleClass})`).join(', ')}\n`;
+  }
+  if (children.length > 0) {
+    output += `**Child Samples**: ${children.length} samples\n`;
+  }
+  output += `**Custody Events**: ${(sample.sampleEvents || []).length}\n`;
+  
+  return output;
+}
+
+// Format a sample hierarchy grouped by degree of relatedness
+export function formatSampleHierarchy(nodes: SampleHierarchyNode[]): string {
+  const maxDegree = nodes.reduce((max, node) => Math.max(max, node.degree), 0);
+  let output = `# Sample Hierarchy (${nodes.length} samples, ${maxDegree} degrees)\n\n`;
+  
+  for (let degree = 0; degree <= maxDegree; degree++) {
+    const level = nodes.filter(node => node.degree === degree);
+    if (level.length === 0) continue;
     
-    output += '\n**Events**:\n';
-    sample.events.forEach((event, index) => {
-      output += `${index + 1}. **${event.eventDate}** - ${event.eventType}\n`;
-      output += `   Location: ${event.eventLocation}\n`;
-      output += `   Description: ${event.eventDescription}\n`;
-      if (event.eventPersonnel.length > 0) {
-        output += `   Personnel: ${event.eventPersonnel.join(', ')}\n`;
+    output += degree === 0 ? '## Requested Sample\n\n' : `## Degree ${degree}\n\n`;
+    level.forEach(node => {
+      output += `- **${node.sample.sampleTag}** (${node.sample.sampleClass})`;
+      if (node.reachedFrom) {
+        output += ` - ${node.relation} of ${node.reachedFrom}`;
       }
-      output += '\n';
+      output += `\n  - **UUID**: ${node.sample.sampleUuid}\n`;
+      if (node.sample.barcode) output += `  - **Barcode**: ${node.sample.barcode}\n`;
+      if (node.sample.archiveGuid) output += `  - **Archive GUID**: ${node.sample.archiveGuid}\n`;
     });
+    output += '\n';
+  }
+  
+  return output;
+}
+
+// Format custody events from one or more samples as a single chronological timeline
+export function formatSampleTimeline(samples: Sample[]): string {
+  const events = samples.flatMap(sample =>
+    (sample.sampleEvents || []).map(event => ({
+      sample,
+      event,
+      date: getSampleEventDate(event)
+    }))
+  );
+  
+  // Undated events sort to the end, keeping their original order
+  events.sort((a, b) => {
+    if (!a.date) return b.date ? 1 : 0;
+    if (!b.date) return -1;
+    return a.date.localeCompare(b.date);
+  });
+  
+  let output = `# Custody Timeline (${events.length} events)\n\n`;
+  
+  events.forEach(({ sample, event, date }, index) => {
+    output += `${index + 1}. **${date || 'Undated'}** - ${event.ingestTableName}\n`;
+    output += `   Sample: ${sample.sampleTag} (${sample.sampleClass})\n`;
+    
+    const details = (event.smsFieldEntries || []).filter(field =>
+      field.smsValue && /location|plot|laboratory|facility|shipment|container|archive/i.test(field.smsKey)
+    );
+    details.forEach(field => {
+      output += `   ${field.smsKey}: ${field.smsValue}\n`;
+    });
+    output += '\n';
+  });
+  
+  return output;
+}
+
+// Pick the first date-like field of a custody event, normalised to YYYY-MM-DD
+function getSampleEventDate(event: SampleEvent): string | undefined {
+  for (const field of event.smsFieldEntries || []) {
+    if (/date/i.test(field.smsKey) && field.smsValue) {
+      const parsed = new Date(field.smsValue);
+      if (!isNaN(parsed.getTime())) {
+        return parsed.toISOString().substring(0, 10);
+      }
+    }
+  }
+  return undefined;
+}
+
+// Format supported sample classes for display
+export function formatSampleClasses(entries: SampleClassEntry[], total: number = entries.length): string {
+  let output = `# Supported Sample Classes (${total} classes)\n\n`;
+  
+  entries.forEach(entry => {
+    output += `- **${entry.key}**: ${entry.value}\n`;
   });
   
   return output;
 }
 
+// Format variables file entries as one markdown table per data table
+export function formatVariables(variables: VariableDefinition[]): string {
+  const byTable = new Map<string, VariableDefinition[]>();
+  variables.forEach(variable => {
+    const fields = byTable.get(variable.table) || [];
+    fields.push(variable);
+    byTable.set(variable.table, fields);
+  });
+
+  let output = '';
+  byTable.forEach((fields, table) => {
+    output += `## ${table} (${fields.length} fields)\n\n`;
+    output += '| Field | Type | Units | Package | Description |\n';
+    output += '|---|---|---|---|---|\n';
+    fields.forEach(field => {
+      const name = field.primaryKey === 'Y' ? `**${field.fieldName}**` : field.fieldName;
+      output += `| ${name} | ${field.dataType} | ${formatUnits(field) || '-'} | ${field.downloadPkg} | ${escapeTableCell(field.description)} |\n`;
+    });
+    output += '\n';
+  });
+
+  return output;
+}
+
+// Format the first rows of a data table, labelling each column with its units and description
+export function formatTablePreview(rows: string[][], variables: VariableDefinition[]): string {
+  const [header = [], ...records] = rows;
+  const byField = new Map(variables.map(variable => [variable.fieldName, variable]));
+
+  let output = `## Columns (${header.length})\n\n`;
+  header.forEach(column => {
+    const variable = byField.get(column);
+    const units = formatUnits(variable);
+    output += `- **${column}**${units ? ` [${units}]` : ''}`;
+    if (variable) {
+      output += ` (${variable.dataType}): ${variable.description}`;
+    }
+    output += '\n';
+  });
+
+  output += `\n## First ${records.length} Rows\n\n`;
+  output += `| ${header.map(column => {
+    const units = formatUnits(byField.get(column));
+    return units ? `${column} [${units}]` : column;
+  }).join(' | ')} |\n`;
+  output += `|${header.map(() => '---').join('|')}|\n`;
+  records.forEach(record => {
+    output += `| ${header.map((_, index) => escapeTableCell(record[index] ?? '')).join(' | ')} |\n`;
+  });
+
+  return output;
+}
+
 // Format release data for display
 export function formatRelease(release: Release): string {
-  return `**${release.releaseTag}** (${release.releaseUuid})
+  const artifacts = release.artifacts || [];
+  const products = release.dataProducts || [];
+  
+  let output = `**${release.release}** (${release.uuid})
 
-**Generation Date**: ${release.releaseGenerationDate}
-**Description**: ${release.releaseDescription}
-**DOI**: ${release.releaseDOI}
-**Products**: ${release.associatedProducts.length}
-**Sites**: ${release.associatedSites.length}`;
+**Generation Date**: ${release.generationDate}
+**Products**: ${products.length}`;
+  
+  if (artifacts.length > 0) {
+    output += `\n**Artifacts**: ${artifacts.map(a => `${a.name} (${formatFileSize(a.size)})`).join(', ')}`;
+  }
+  
+  return output;
+}
+
+// Collapse a list of YYYY-MM months into contiguous ranges (e.g. "2019-01 to 2019-06, 2019-09")
+export function formatMonthRanges(months: string[]): string {
+  if (months.length === 0) return 'none';
+  
+  const sorted = Array.from(new Set(months)).sort();
+  const ranges: string[] = [];
+  let start = sorted[0];
+  let previous = sorted[0];
+  
+  for (const month of sorted.slice(1).concat([''])) {
+    if (month && month === nextMonth(previous)) {
+      previous = month;
+      continue;
+    }
+    ranges.push(start === previous ? start : `${start} to ${previous}`);
+    start = month;
+    previous = month;
+  }
+  
+  return ranges.join(', ');
+}
+
+// Return the YYYY-MM month following the given one
+export function nextMonth(month: string): string {
+  const [year, mon] = month.split('-').map(Number);
+  return mon === 12 ? `${year + 1}-01` : `${year}-${String(mon + 1).padStart(2, '0')}`;
+}
+
+// Return the YYYY-MM month before the given one
+export function previousMonth(month: string): string {
+  const [year, mon] = month.split('-').map(Number);
+  return mon === 1 ? `${year - 1}-12` : `${year}-${String(mon - 1).padStart(2, '0')}`;
 }
 
 // Format file size for display
@@ -206,4 +391,9 @@ export function createDataSummary(result: DataQueryResult): string {
 - **Releases**: ${releases.size}
 - **Total Files**: ${totalFiles}
 - **Total Size**: ${formatFileSize(totalSize)}`;
+}
+
+// Helper function to keep a value from breaking a markdown table row
+function escapeTableCell(value: string): string {
+  return value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
 }
\ No newline at end of file
@@ -0,0 +1,166 @@
+import { ValidationError } from './validators.js';
+
+// Positions are [longitude, latitude] as in GeoJSON. A ring is a closed line,
+// a polygon an outer ring followed by its holes, an area any number of polygons.
+export type Position = [number, number];
+export type Ring = Position[];
+export type Area = Ring[][];
+
+// [west, south, east, north] in degrees. west > east crosses the antimeridian.
+export type BoundingBox = [number, number, number, number];
+
+export interface PointFeature {
+  type: 'Feature';
+  geometry: { type: 'Point'; coordinates: Position };
+  properties: Record<string, unknown>;
+}
+
+export interface FeatureCollection {
+  type: 'FeatureCollection';
+  features: PointFeature[];
+}
+
+// Distance between two points in kilometers using the Haversine formula
+export function calculateDistance(lat1: number, lon1: number, lat2: number, lon2: number): number {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+export function validateBoundingBox(bbox: BoundingBox): BoundingBox {
+  const [west, south, east, north] = bbox;
+  if ([west, east].some(lon => lon < -180 || lon > 180) || [south, north].some(lat => lat < -90 || lat > 90)) {
+    throw new ValidationError('bbox: longitudes must be within -180 to 180 and latitudes within -90 to 90');
+  }
+  if (south > north) {
+    throw new ValidationError('bbox: south must not be greater than north');
+  }
+  return bbox;
+}
+
+export function inBoundingBox(lon: number, lat: number, [west, south, east, north]: BoundingBox): boolean {
+  if (lat < south || lat > north) {
+    return false;
+  }
+  return west <= east ? lon >= west && lon <= east : lon >= west || lon <= east;
+}
+
+// Read an area from GeoJSON (a Polygon or MultiPolygon, or a Feature or
+// FeatureCollection of them, as an object or JSON text) or WKT (POLYGON or MULTIPOLYGON)
+export function parseArea(input: string | Record<string, unknown>): Area {
+  if (typeof input !== 'string') {
+    return areaFromGeoJson(input);
+  }
+
+  const text = input.trim();
+  if (text.startsWith('{')) {
+    let geojson: Record<string, unknown>;
+    try {
+      geojson = JSON.parse(text);
+    } catch {
+      throw new ValidationError('polygon: not valid GeoJSON');
+    }
+    return areaFromGeoJson(geojson);
+  }
+  return areaFromWkt(text);
+}
+
+// Even-odd test against each polygon: inside the outer ring and outside its holes
+export function inArea(lon: number, lat: number, area: Area): boolean {
+  return area.some(([outer, ...holes]) =>
+    inRing(lon, lat, outer) && !holes.some(hole => inRing(lon, lat, hole))
+  );
+}
+
+export function pointFeature(lon: number, lat: number, properties: Record<string, unknown>): PointFeature {
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [lon, lat] },
+    properties
+  };
+}
+
+export function featureCollection(features: PointFeature[]): FeatureCollection {
+  return { type: 'FeatureCollection', features };
+}
+
+function inRing(lon: number, lat: number, ring: Ring): boolean {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function areaFromGeoJson(geojson: any): Area {
+  switch (geojson?.type) {
+    case 'Polygon':
+      return validateArea([geojson.coordinates]);
+    case 'MultiPolygon':
+      return validateArea(geojson.coordinates);
+    case 'Feature':
+      return areaFromGeoJson(geojson.geometry);
+    case 'FeatureCollection':
+      return (geojson.features || []).flatMap((feature: unknown) => areaFromGeoJson(feature));
+    case undefined:
+      throw new ValidationError('polygon: GeoJSON must have a "type"');
+    default:
+      throw new ValidationError(`polygon: GeoJSON ${geojson.type} is not an area; use a Polygon or MultiPolygon`);
+  }
+}
+
+function areaFromWkt(wkt: string): Area {
+  const match = /^(MULTIPOLYGON|POLYGON)\s*(?:Z|M|ZM)?\s*(\(.*\))$/is.exec(wkt);
+  if (!match) {
+    throw new ValidationError('polygon: expected GeoJSON or a WKT POLYGON or MULTIPOLYGON');
+  }
+
+  // Rewrite the coordinate lists as JSON arrays: "(1 2, 3 4)" becomes "[[1,2],[3,4]]".
+  // Z and M values after the first two numbers are dropped.
+  const number = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?';
+  const json = match[2]
+    .replace(new RegExp(`(${number})\\s+(${number})(?:\\s+${number})*`, 'gi'), '[$1,$2]')
+    .replace(/\(/g, '[')
+    .replace(/\)/g, ']');
+
+  let coordinates: any;
+  try {
+    coordinates = JSON.parse(json);
+  } catch {
+    throw new ValidationError('polygon: could not read the WKT coordinates');
+  }
+  return validateArea(match[1].toUpperCase() === 'POLYGON' ? [coordinates] : coordinates);
+}
+
+function validateArea(area: any): Area {
+  const isPosition = (position: any) =>
+    Array.isArray(position) && position.length >= 2 && position.slice(0, 2).every((value: any) => Number.isFinite(value));
+
+  if (!Array.isArray(area) || area.length === 0) {
+    throw new ValidationError('polygon: has no coordinates');
+  }
+  area.forEach((polygon: any) => {
+    if (!Array.isArray(polygon) || polygon.length === 0) {
+      throw new ValidationError('polygon: every polygon needs an outer ring');
+    }
+    polygon.forEach((ring: any) => {
+      if (!Array.isArray(ring) || !ring.every(isPosition)) {
+        throw new ValidationError('polygon: positions must be [longitude, latitude] numbers');
+      }
+      if (ring.length < 4) {
+        throw new ValidationError('polygon: a ring needs at least 4 positions, the last repeating the first');
+      }
+    });
+  });
+  return area.map((polygon: any[]) => polygon.map((ring: any[]) => ring.map(([lon, lat]) => [lon, lat] as Position)));
+}
\ No newline at end of file
@@ -0,0 +1,74 @@
+import { LocationHistory } from '../api/types.js';
+import { previousMonth } from './formatters.js';
+import { calculateDistance } from './geo.js';
+
+// A change of position between two consecutive history periods of a location
+export interface LocationMove {
+  date: string;
+  from: HistoryPosition;
+  to: HistoryPosition;
+  // Null when either period has no coordinates (or no elevation)
+  horizontalDistanceM: number | null;
+  elevationChangeM: number | null;
+  // Months of data collected at the new position: from the month of the move
+  // up to the month before the next move, or open-ended for the current position
+  firstMonth: string;
+  lastMonth: string | null;
+}
+
+export interface HistoryPosition {
+  latitude: number | null;
+  longitude: number | null;
+  elevation: number | null;
+}
+
+// Periods in date order, and the moves between consecutive ones. A move is a
+// horizontal or vertical shift of more than toleranceM meters.
+export function detectMoves(history: LocationHistory[], toleranceM: number): LocationMove[] {
+  const periods = history.slice().sort((a, b) => a.locationStartDate.localeCompare(b.locationStartDate));
+  const moves: LocationMove[] = [];
+
+  periods.slice(1).forEach((period, index) => {
+    const from = position(periods[index]);
+    const to = position(period);
+    const horizontal = from.latitude !== null && from.longitude !== null && to.latitude !== null && to.longitude !== null
+      ? roundMeters(calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude) * 1000)
+      : null;
+    const vertical = from.elevation !== null && to.elevation !== null ? roundMeters(to.elevation - from.elevation) : null;
+
+    if ((horizontal ?? 0) > toleranceM || Math.abs(vertical ?? 0) > toleranceM) {
+      moves.push({
+        date: period.locationStartDate.substring(0, 10),
+        from,
+        to,
+        horizontalDistanceM: horizontal,
+        elevationChangeM: vertical,
+        firstMonth: period.locationStartDate.substring(0, 7),
+        lastMonth: null
+      });
+    }
+  });
+
+  // Each position lasts until the next move
+  moves.forEach((move, index) => {
+    const next = moves[index + 1];
+    if (next) {
+      // Two moves in one month leave the earlier position no whole month
+      move.lastMonth = next.firstMonth > move.firstMonth ? previousMonth(next.firstMonth) : move.firstMonth;
+    }
+  });
+
+  return moves;
+}
+
+function position(period: LocationHistory): HistoryPosition {
+  return {
+    latitude: period.locationDecimalLatitude ?? null,
+    longitude: period.locationDecimalLongitude ?? null,
+    elevation: period.locationElevation ?? null
+  };
+}
+
+function roundMeters(value: number): number {
+  return Math.round(value * 100) / 100;
+}
\ No newline at end of file
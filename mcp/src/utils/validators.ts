@@ -1,3 +1,5 @@
+import { existsSync, realpathSync } from 'fs';
+import path from 'path';
 import { z } from 'zod';
 
 // Product validation schemas
@@ -28,19 +30,35 @@ export const DataQuerySchema = z.object({
 export const LocationNameSchema = z.string().min(1, 'Location name is required');
 
 // Taxonomy validation schemas
+export const TaxonTypeCodeSchema = z.enum([
+  'ALGAE', 'BEETLE', 'BIRD', 'FISH', 'HERPETOLOGY', 'MACROINVERTEBRATE',
+  'MOSQUITO', 'MOSQUITO_PATHOGENS', 'SMALL_MAMMAL', 'PLANT', 'TICK'
+]);
+
 export const TaxonomySearchSchema = z.object({
-  taxonTypeCode: z.string().optional(),
+  taxonTypeCode: TaxonTypeCodeSchema.optional(),
   scientificName: z.string().optional(),
-  family: z.string().optional(),
-  genus: z.string().optional(),
   kingdom: z.string().optional(),
+  division: z.string().optional(),
   phylum: z.string().optional(),
   class: z.string().optional(),
   order: z.string().optional(),
+  family: z.string().optional(),
+  genus: z.string().optional(),
   limit: z.number().int().min(1).max(1000).default(100),
   offset: z.number().int().min(0).default(0),
-  verbose: z.boolean().optional()
-});
+  cursor: z.string().min(1).optional(),
+  verbose: z.boolean().optional(),
+  verbosity: z.enum(['summary', 'full']).optional()
+}).refine(
+  (data) => {
+    // The API rejects taxonTypeCode combined with any rank or name filter
+    const hasRankFilter = data.scientificName || data.kingdom || data.division || data.phylum ||
+      data.class || data.order || data.family || data.genus;
+    return !(data.taxonTypeCode && hasRankFilter);
+  },
+  { message: 'taxonTypeCode cannot be combined with scientificName or a taxonomic rank filter' }
+);
 
 // Sample tracking validation schemas
 export const SampleTrackingSchema = z.object({
@@ -108,6 +126,41 @@ export function validateDateRange(startDate: string, endDate: string): void {
   }
 }
 
+// Helper function to compile a filePattern argument. Names are matched case-insensitively.
+export function parseFilePattern(filePattern?: string): RegExp | undefined {
+  if (!filePattern) return undefined;
+  try {
+    return new RegExp(filePattern, 'i');
+  } catch (error) {
+    throw new ValidationError(`filePattern: ${(error as Error).message}`);
+  }
+}
+
+// Helper function to resolve a directory a tool reads or writes against the download
+// root. Relative paths start at the root; paths that lead outside it, directly or
+// through a symlink, are rejected.
+export function resolveWithinRoot(root: string, dir: string, field: string): string {
+  const realRoot = resolveSymlinks(path.resolve(root));
+  const target = resolveSymlinks(path.resolve(realRoot, dir));
+  const relative = path.relative(realRoot, target);
+
+  if (relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+    throw new ValidationError(`${field}: ${dir} is outside the download root ${realRoot}`, field);
+  }
+  return target;
+}
+
+// Follow symlinks in the part of a path that already exists
+function resolveSymlinks(target: string): string {
+  const missing: string[] = [];
+  let existing = target;
+  while (!existsSync(existing) && path.dirname(existing) !== existing) {
+    missing.unshift(path.basename(existing));
+    existing = path.dirname(existing);
+  }
+  return path.join(realpathSync(existing), ...missing);
+}
+
 // Helper function to validate product code format
 export function isValidProductCode(code: string): boolean {
   return ProductCodeSchema.safeParse(code).success;
@@ -0,0 +1,65 @@
+import { DataFile, VariableDefinition } from '../api/types.js';
+import { parseCsv } from '../stacking/csv.js';
+import { parseNeonFilename } from './filenames.js';
+
+// Parse a variables_*.csv file. Columns are matched by header name because
+// older releases lack primaryKey and categoricalCodeName.
+export function parseVariablesFile(text: string): VariableDefinition[] {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+
+  return rows.map(row => {
+    const record: Record<string, string> = {};
+    header.forEach((column, index) => {
+      record[column] = row[index] ?? '';
+    });
+
+    return {
+      table: record.table || '',
+      fieldName: record.fieldName || '',
+      description: record.description || '',
+      dataType: record.dataType || '',
+      units: record.units || '',
+      downloadPkg: record.downloadPkg || '',
+      pubFormat: record.pubFormat || '',
+      primaryKey: record.primaryKey || undefined,
+      categoricalCodeName: record.categoricalCodeName || undefined
+    };
+  });
+}
+
+// Most recently published variables file in a file listing
+export function findVariablesFile(files: DataFile[]): DataFile | undefined {
+  return files
+    .map(file => ({ file, parsed: parseNeonFilename(file.name) }))
+    .filter(({ parsed }) => parsed?.kind === 'variables')
+    .sort((a, b) => (b.parsed!.timestamp || '').localeCompare(a.parsed!.timestamp || ''))
+    .map(({ file }) => file)[0];
+}
+
+// Data files for one table; sensor tables have one file per position
+export function findTableFiles(files: DataFile[], table: string): DataFile[] {
+  return files.filter(file => {
+    const parsed = parseNeonFilename(file.name);
+    return parsed?.kind === 'data' && parsed.table === table;
+  });
+}
+
+// Names of the data tables in a file listing
+export function listTables(files: DataFile[]): string[] {
+  const tables = new Set<string>();
+  files.forEach(file => {
+    const parsed = parseNeonFilename(file.name);
+    if (parsed?.kind === 'data') {
+      tables.add(parsed.table);
+    }
+  });
+  return Array.from(tables).sort();
+}
+
+// Units as shown next to a column name; NEON uses "NA" for unitless fields
+export function formatUnits(variable?: VariableDefinition): string {
+  return variable && variable.units && variable.units !== 'NA' ? variable.units : '';
+}
\ No newline at end of file
@@ -0,0 +1,129 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { Harness, startHarness } from './helpers/harness.js';
+import { FIXTURES_DIR } from './helpers/mockNeonApi.js';
+
+const birds = 'DP1.10003.001';
+const wind = 'DP1.00001.001';
+
+describe('availability matrix', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+
+    // Give wind data months that partly overlap the bird surveys at both sites
+    const fixture = JSON.parse(await readFile(path.join(FIXTURES_DIR, `api/v0/products/${wind}.json`), 'utf8'));
+    harness.api.reply(`/api/v0/products/${wind}`, {
+      body: {
+        data: {
+          ...fixture.data,
+          siteCodes: [
+            { siteCode: 'HARV', availableMonths: ['2024-05', '2024-06', '2024-07'], availableDataUrls: [] },
+            { siteCode: 'SRER', availableMonths: ['2024-05'], availableDataUrls: [] }
+          ]
+        }
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('draws a heatmap of the months each site has every product', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_get_availability_matrix', {
+      productCodes: [birds, wind]
+    });
+
+    expect(text).toContain('**Sites**: 2');
+    expect(text).toContain('HARV 2023  . . . . . 1 . . . . . .    0');
+    expect(text).toContain('HARV 2024  . . . . # # 1 . . . . .    2');
+    expect(text).toContain('SRER 2024  . . . 1 # . . . . . . .    1');
+    expect(text).toContain(`- **HARV** ${birds} (10 months): 2023-07 to 2024-04`);
+    expect(text.indexOf('**HARV 2024**: 2 of 12 months')).toBeLessThan(text.indexOf('**SRER 2024**: 1 of 12 months'));
+
+    const harv = (structuredContent!.sites as any[]).find(site => site.siteCode === 'HARV');
+    expect(harv.allProductMonths).toEqual(['2024-05', '2024-06']);
+    expect(harv.gaps).toEqual([{ productCode: birds, start: '2023-07', end: '2024-04', months: 10 }]);
+  });
+
+  it('exports the matrix as CSV within the requested months', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_get_availability_matrix', {
+      productCodes: [birds, wind],
+      siteCodes: ['HARV'],
+      startDateMonth: '2024-05',
+      endDateMonth: '2024-07',
+      format: 'csv'
+    });
+
+    const csv = [
+      `siteCode,month,${birds},${wind},allProducts`,
+      'HARV,2024-05,1,1,1',
+      'HARV,2024-06,1,1,1',
+      'HARV,2024-07,0,1,0'
+    ].join('\n');
+    expect(text).toContain(`\`\`\`csv\n${csv}\n\`\`\``);
+    expect(structuredContent!.csv).toBe(csv);
+    expect(text).not.toContain('SRER');
+  });
+
+  it('rejects matrices without products', async () => {
+    const { text, isError } = await harness.callTool('neon_get_availability_matrix', { productCodes: [] });
+
+    expect(isError).toBe(true);
+    expect(text).toContain('**Validation Error**');
+  });
+});
+
+describe('co-availability', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+
+    const fixture = JSON.parse(await readFile(path.join(FIXTURES_DIR, `api/v0/products/${wind}.json`), 'utf8'));
+    harness.api.reply(`/api/v0/products/${wind}`, {
+      body: {
+        data: {
+          ...fixture.data,
+          siteCodes: [
+            { siteCode: 'HARV', availableMonths: ['2023-06', '2024-05', '2024-06'], availableDataUrls: [] },
+            { siteCode: 'SRER', availableMonths: ['2024-04'], availableDataUrls: [] }
+          ]
+        }
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('ranks sites by overlapping months and shows the windows', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_find_co_available_sites', { productCodes: [birds, wind] });
+
+    expect(text).toContain('# Co-Available Data (2 sites)');
+    expect(text.indexOf('## 1. HARV')).toBeLessThan(text.indexOf('## 2. SRER'));
+    expect(text).toContain('- **Windows**: 2023-06 (1), 2024-05 to 2024-06 (2)');
+    expect(structuredContent!.sites).toEqual([
+      expect.objectContaining({ siteCode: 'HARV', overlapMonths: 3, longestWindow: 2 }),
+      expect.objectContaining({ siteCode: 'SRER', overlapMonths: 1, longestWindow: 1 })
+    ]);
+  });
+
+  it('filters by domain, months and overlap length', async () => {
+    const { text } = await harness.callTool('neon_find_co_available_sites', { productCodes: [birds, wind], domain: 'D14' });
+    expect(text).toContain('# Co-Available Data (1 sites)');
+    expect(text).toContain('## 1. SRER');
+
+    const windowed = await harness.callTool('neon_find_co_available_sites', {
+      productCodes: [birds, wind],
+      startDateMonth: '2024-01',
+      minMonths: 2
+    });
+    expect(windowed.structuredContent!.sites).toEqual([
+      expect.objectContaining({ siteCode: 'HARV', overlapMonths: 2 })
+    ]);
+  });
+});
@@ -0,0 +1,287 @@
+import { jest } from '@jest/globals';
+import { createHash } from 'crypto';
+import { mkdtemp, readdir, readFile, rm, stat, utimes, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ApiCache } from '../src/api/cache.js';
+import { DiskCache } from '../src/api/diskCache.js';
+import { Harness, startHarness } from './helpers/harness.js';
+import { FIXTURES_DIR } from './helpers/mockNeonApi.js';
+
+const PRODUCT_PATH = '/api/v0/products/DP1.10003.001';
+const RELEASE_PATH = '/api/v0/releases/RELEASE-2024';
+
+// The recorded product under another name, to tell responses apart
+async function renamedProduct(productName: string): Promise<unknown> {
+  const fixture = JSON.parse(await readFile(path.join(FIXTURES_DIR, 'api/v0/products/DP1.10003.001.json'), 'utf8'));
+  return { data: { ...fixture.data, productName } };
+}
+
+async function eventually(check: () => Promise<boolean>, timeoutMs: number = 2000): Promise<void> {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('DiskCache', () => {
+  let directory: string;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'neon-cache-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  // Entries of one size, so limits can be set in whole entries
+  const entry = { data: 'x'.repeat(200), timestamp: 1760000000000, ttl: 60000 };
+  const entrySize = Buffer.byteLength(JSON.stringify({ key: '/a', ...entry }));
+
+  // The file of a key is named by its sha256; its mtime records the last use
+  async function setLastUse(key: string, secondsAgo: number): Promise<void> {
+    const when = new Date(Date.now() - secondsAgo * 1000);
+    const file = path.join(directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+    await utimes(file, when, when);
+  }
+
+  it('evicts the least recently used entries down to 90% of maxBytes', async () => {
+    const cache = new DiskCache({ directory, maxBytes: Math.floor(entrySize * 3.5) });
+    for (const key of ['/a', '/b', '/c']) {
+      await cache.write(key, entry);
+    }
+    await setLastUse('/a', 300);
+    await setLastUse('/b', 200);
+    await setLastUse('/c', 100);
+
+    // Reading an entry counts as a use
+    expect(await cache.read('/a')).toEqual(entry);
+    await cache.write('/d', entry);
+
+    expect((await cache.list()).map(file => file.key).sort()).toEqual(['/a', '/c', '/d']);
+  });
+
+  it('evicts as many entries as it takes to get under the limit', async () => {
+    const cache = new DiskCache({ directory, maxBytes: Math.floor(entrySize * 4.5) });
+    for (const [i, key] of ['/a', '/b', '/c', '/d'].entries()) {
+      await cache.write(key, entry);
+      await setLastUse(key, 400 - i * 100);
+    }
+
+    // Five entries are over the limit and 90% of it holds only four
+    await cache.write('/e', { ...entry, data: 'x'.repeat(400) });
+
+    expect((await cache.list()).map(file => file.key).sort()).toEqual(['/c', '/d', '/e']);
+  });
+
+  it('does not evict below the limit', async () => {
+    const cache = new DiskCache({ directory, maxBytes: entrySize * 4 });
+    for (const key of ['/a', '/b', '/c', '/d']) {
+      await cache.write(key, entry);
+    }
+
+    expect(await cache.list()).toHaveLength(4);
+  });
+
+  it('removes abandoned temporary files and half-written entries', async () => {
+    const cache = new DiskCache({ directory, maxBytes: entrySize * 10 });
+    const abandoned = path.join(directory, 'abandoned.json.1.1.tmp');
+    await writeFile(abandoned, '{"key":');
+    const old = new Date(Date.now() - 120 * 1000);
+    await utimes(abandoned, old, old);
+
+    await cache.write('/a', entry);
+    await expect(stat(abandoned)).rejects.toThrow();
+
+    const [name] = await readdir(directory);
+    await writeFile(path.join(directory, name), '{"key":"/a","da');
+    expect(await cache.read('/a')).toBeNull();
+    expect(await readdir(directory)).toEqual([]);
+  });
+});
+
+describe('ApiCache namespaces', () => {
+  let directory: string;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'neon-cache-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  function cacheFor(namespace: string): ApiCache {
+    return new ApiCache(60000, { store: new DiskCache({ directory, maxBytes: 1024 * 1024 }), namespace });
+  }
+
+  it('shares stored entries only within a namespace', async () => {
+    const neon = cacheFor('https://data.neonscience.org');
+    neon.set(PRODUCT_PATH, 'from NEON');
+    await neon.flush();
+
+    expect(await cacheFor('https://data.neonscience.org').lookup(PRODUCT_PATH)).toEqual({ data: 'from NEON', stale: false });
+    expect(await cacheFor('http://localhost:8080').lookup(PRODUCT_PATH)).toBeNull();
+  });
+
+  it('purges only its own namespace, even one that starts the same way', async () => {
+    const first = cacheFor('http://localhost:8080');
+    const second = cacheFor('http://localhost:80801');
+    first.set(PRODUCT_PATH, 'first');
+    second.set(PRODUCT_PATH, 'second');
+    await Promise.all([first.flush(), second.flush()]);
+
+    expect(await first.purge('/api/v0/products')).toBe(1);
+
+    expect(await cacheFor('http://localhost:80801').lookup(PRODUCT_PATH)).toEqual({ data: 'second', stale: false });
+    expect(await cacheFor('http://localhost:8080').lookup(PRODUCT_PATH)).toBeNull();
+  });
+});
+
+describe('response cache', () => {
+  let harnesses: Harness[];
+  let directory: string;
+
+  beforeEach(async () => {
+    harnesses = [];
+    directory = await mkdtemp(path.join(tmpdir(), 'neon-cache-'));
+  });
+
+  afterEach(async () => {
+    await Promise.all(harnesses.map(harness => harness.close()));
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  async function start(env: Record<string, string> = {}): Promise<Harness> {
+    const harness = await startHarness({ NEON_CACHE_PERSISTENT: 'true', NEON_CACHE_DIR: directory, ...env });
+    harnesses.push(harness);
+    return harness;
+  }
+
+  it('keeps responses from different APIs apart in a shared directory', async () => {
+    const first = await start();
+    const second = await start();
+    first.api.reply(PRODUCT_PATH, { body: await renamedProduct('From the first API') });
+
+    expect((await first.callTool('neon_get_product', { productCode: 'DP1.10003.001' })).text).toContain('From the first API');
+    expect((await first.callTool('neon_get_cache_stats')).structuredContent!.diskEntries).toBe(1);
+
+    const { text } = await second.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+    expect(text).toContain('Breeding landbird point counts');
+    expect(second.api.requestsFor(PRODUCT_PATH)).toHaveLength(1);
+    // Both copies are kept side by side
+    expect((await second.callTool('neon_get_cache_stats')).structuredContent!.diskEntries).toBe(2);
+  });
+
+  it('serves expired product responses while refreshing them', async () => {
+    const harness = await start({ NEON_CACHE_TTL: '50' });
+    harness.api.reply(PRODUCT_PATH, { body: await renamedProduct('Old name') });
+    const getProduct = async () => (await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' })).text;
+
+    expect(await getProduct()).toContain('Old name');
+    await new Promise(resolve => setTimeout(resolve, 80));
+    harness.api.reply(PRODUCT_PATH, { body: await renamedProduct('New name'), delay: 100 });
+
+    // Answered at once from the expired copy, with the refresh under way
+    expect(await getProduct()).toContain('Old name');
+    await eventually(async () => harness.api.requestsFor(PRODUCT_PATH).length === 2);
+
+    await eventually(async () => (await getProduct()).includes('New name'));
+    expect(harness.api.requestsFor(PRODUCT_PATH)).toHaveLength(2);
+    expect((await harness.callTool('neon_get_cache_stats')).structuredContent!.staleHits).toBeGreaterThanOrEqual(1);
+  });
+
+  it('cancels a refresh still running at shutdown', async () => {
+    const harness = await startHarness({ NEON_CACHE_PERSISTENT: 'true', NEON_CACHE_DIR: directory, NEON_CACHE_TTL: '50' });
+    harness.api.reply(PRODUCT_PATH, { body: await renamedProduct('Old name') });
+    await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+    await new Promise(resolve => setTimeout(resolve, 80));
+    harness.api.reply(PRODUCT_PATH, { body: await renamedProduct('New name'), delay: 5000 });
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+    await eventually(async () => harness.api.requestsFor(PRODUCT_PATH).length === 2);
+    const closing = Date.now();
+    await harness.close();
+
+    expect(Date.now() - closing).toBeLessThan(2000);
+    // Nothing is left running to fail once the API has gone
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(errors).not.toHaveBeenCalled();
+    errors.mockRestore();
+    // The expired copy stays on disk for the next server
+    const [file] = await readdir(directory);
+    expect(JSON.parse(await readFile(path.join(directory, file), 'utf8')).data.data.productName).toBe('Old name');
+  });
+
+  it('refetches product responses past the stale window', async () => {
+    const harness = await start({ NEON_CACHE_TTL: '20', NEON_CACHE_STALE_TTL: '20' });
+    harness.api.reply(PRODUCT_PATH, { body: await renamedProduct('Old name') });
+
+    await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    const { text } = await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+    expect(text).toContain('Breeding landbird point counts');
+    expect((await harness.callTool('neon_get_cache_stats')).structuredContent!.staleHits).toBe(0);
+  });
+
+  it('refetches other responses as soon as they expire', async () => {
+    const harness = await start({ NEON_CACHE_TTL: '50' });
+    harness.api.reply(RELEASE_PATH, { body: { data: { release: 'RELEASE-2024', generationDate: 'before', dataProducts: [] } } });
+
+    expect((await harness.callTool('neon_get_release', { releaseTag: 'RELEASE-2024' })).text).toContain('**Generation Date**: before');
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    const { text } = await harness.callTool('neon_get_release', { releaseTag: 'RELEASE-2024' });
+    expect(text).toContain('**Generation Date**: 2024-01-26T00:00:00Z');
+  });
+
+  describe('neon_purge_cache', () => {
+    it('removes entries for an endpoint prefix from memory and disk', async () => {
+      const harness = await start();
+      await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+      await harness.callTool('neon_get_site', { siteCode: 'HARV' });
+
+      const { text, structuredContent } = await harness.callTool('neon_purge_cache', { prefix: '/api/v0/products' });
+
+      expect(text).toBe('Removed 1 cached entries for /api/v0/products.');
+      expect(structuredContent).toEqual({ removed: 1, prefix: '/api/v0/products' });
+      expect((await harness.callTool('neon_get_cache_stats')).structuredContent).toMatchObject({ memoryEntries: 1, diskEntries: 1 });
+
+      await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+      await harness.callTool('neon_get_site', { siteCode: 'HARV' });
+      expect(harness.api.requestsFor(PRODUCT_PATH)).toHaveLength(2);
+      expect(harness.api.requestsFor('/api/v0/sites/HARV')).toHaveLength(1);
+    });
+
+    it('removes every entry without a prefix, including those of earlier runs', async () => {
+      const earlier = await start();
+      await earlier.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+      await earlier.callTool('neon_get_cache_stats');
+      // A new server for the same API picks the entry up from disk
+      const harness = await startHarness({ NEON_CACHE_PERSISTENT: 'true', NEON_CACHE_DIR: directory, NEON_API_BASE_URL: earlier.api.baseUrl });
+      harnesses.push(harness);
+      await harness.callTool('neon_get_site', { siteCode: 'HARV' });
+
+      const { text, structuredContent } = await harness.callTool('neon_purge_cache');
+
+      expect(text).toBe('Removed 2 cached entries.');
+      expect(structuredContent).toEqual({ removed: 2, prefix: null });
+      expect(await readdir(directory)).toEqual([]);
+    });
+
+    it('rejects a prefix that is not an endpoint path', async () => {
+      const harness = await start();
+
+      const { text, isError } = await harness.callTool('neon_purge_cache', { prefix: 'products' });
+
+      expect(isError).toBe(true);
+      expect(text).toContain('**Validation Error**: prefix: Prefix must be an endpoint path starting with "/"');
+    });
+  });
+});
\ No newline at end of file
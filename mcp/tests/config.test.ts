@@ -0,0 +1,104 @@
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { DEFAULT_CONFIG, DEFAULT_CONFIG_FILE, loadConfig } from '../src/config.js';
+
+describe('loadConfig', () => {
+  let directory: string;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'neon-config-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  async function writeConfig(config: unknown, name: string = DEFAULT_CONFIG_FILE): Promise<string> {
+    const file = path.join(directory, name);
+    await writeFile(file, typeof config === 'string' ? config : JSON.stringify(config));
+    return file;
+  }
+
+  it('uses the defaults without a config file, variables or flags', () => {
+    expect(loadConfig([], {}, directory)).toEqual(DEFAULT_CONFIG);
+  });
+
+  it('reads the config file in the working directory', async () => {
+    await writeConfig({ api: { timeout: 5000 }, server: { port: 4000 } });
+
+    const config = loadConfig([], {}, directory);
+
+    expect(config.api).toEqual({ ...DEFAULT_CONFIG.api, timeout: 5000 });
+    expect(config.server.port).toBe(4000);
+  });
+
+  it('lets environment variables override the file and flags override both', async () => {
+    await writeConfig({ server: { port: 4000, host: '0.0.0.0', transport: 'http' }, cache: { persistent: true } });
+    const env = { NEON_MCP_PORT: '5000', NEON_MCP_HOST: 'localhost', NEON_CACHE_PERSISTENT: 'no' };
+
+    const config = loadConfig(['--port', '6000'], env, directory);
+
+    expect(config.server).toMatchObject({ port: 6000, host: 'localhost', transport: 'http' });
+    expect(config.cache.persistent).toBe(false);
+    expect(loadConfig(['--port=7000'], env, directory).server.port).toBe(7000);
+  });
+
+  it('ignores empty environment variables', async () => {
+    await writeConfig({ server: { host: '0.0.0.0' } });
+
+    expect(loadConfig([], { NEON_MCP_HOST: '' }, directory).server.host).toBe('0.0.0.0');
+  });
+
+  it('reads a named config file instead of the default one', async () => {
+    await writeConfig({ server: { port: 4000 } });
+    await writeConfig({ server: { port: 4100 } }, 'env.json');
+    await writeConfig({ server: { port: 4200 } }, 'flag.json');
+
+    expect(loadConfig([], { NEON_MCP_CONFIG: 'env.json' }, directory).server.port).toBe(4100);
+    expect(loadConfig(['--config', 'flag.json'], { NEON_MCP_CONFIG: 'env.json' }, directory).server.port).toBe(4200);
+  });
+
+  it('sets the download root and offline snapshot', () => {
+    const config = loadConfig(['--offline', '/data/snapshot'], { NEON_DOWNLOAD_ROOT: '/data/neon' }, directory);
+
+    expect(config.downloads.root).toBe('/data/neon');
+    expect(config.offline.snapshotDir).toBe('/data/snapshot');
+  });
+
+  it('rejects invalid ports', () => {
+    expect(() => loadConfig(['--port', '70000'], {}, directory))
+      .toThrow('Invalid configuration: server.port: Number must be less than or equal to 65535');
+    expect(() => loadConfig([], { NEON_MCP_PORT: 'http' }, directory))
+      .toThrow('Invalid configuration: server.port: Expected number, received nan');
+    expect(() => loadConfig([], { NEON_MCP_PORT: '80.5' }, directory))
+      .toThrow('server.port: Expected integer, received float');
+  });
+
+  it('rejects negative durations and unknown settings', async () => {
+    expect(() => loadConfig([], { NEON_CACHE_TTL: '-1' }, directory))
+      .toThrow('cache.defaultTtl: Number must be greater than or equal to 0');
+
+    await writeConfig({ cache: { ttl: 1000 } });
+    expect(() => loadConfig([], {}, directory)).toThrow("cache: Unrecognized key(s) in object: 'ttl'");
+
+    await writeConfig({ logging: { level: 'debug' } });
+    expect(() => loadConfig([], {}, directory)).toThrow("Unrecognized key(s) in object: 'logging'");
+  });
+
+  it('reports every invalid setting at once', () => {
+    expect(() => loadConfig([], { NEON_MCP_TRANSPORT: 'websocket', NEON_CACHE_PERSISTENT: 'maybe' }, directory))
+      .toThrow(/cache\.persistent: Expected boolean, received string, server\.transport: Invalid enum value/);
+  });
+
+  it('rejects config files that are not JSON objects', async () => {
+    const file = await writeConfig('{ "server": ');
+    expect(() => loadConfig([], {}, directory)).toThrow(`Invalid config file ${file}: `);
+
+    await writeConfig({ server: 3000 });
+    expect(() => loadConfig([], {}, directory)).toThrow(`Invalid config file ${file}: "server" must be an object`);
+
+    expect(() => loadConfig(['--config', 'missing.json'], {}, directory))
+      .toThrow(`Cannot read config file ${path.join(directory, 'missing.json')}`);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,189 @@
+import { mkdir, mkdtemp, realpath, rm, stat, symlink } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Harness, startHarness } from './helpers/harness.js';
+
+const birdQuery = {
+  productCode: 'DP1.10003.001',
+  siteCode: 'HARV',
+  startDateMonth: '2024-05',
+  endDateMonth: '2024-06'
+};
+
+describe('data tools', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('queries the files for one site', async () => {
+    const { text } = await harness.callTool('neon_query_data', birdQuery);
+
+    expect(text).toContain('## Site: HARV');
+    expect(text).toContain('**Package**: basic (4 files)');
+    expect(text).toContain('... and 1 more files');
+    expect(harness.api.requestsFor('/api/v0/data/query')[0].params).toEqual(birdQuery);
+  });
+
+  it('posts multi-site queries', async () => {
+    harness.api.reply('/api/v0/data/query', {
+      body: { data: { siteCodes: [{ siteCode: 'HARV', availableMonths: [] }, { siteCode: 'SRER', availableMonths: [] }] } }
+    });
+
+    const { siteCode, ...rest } = birdQuery;
+    const { text } = await harness.callTool('neon_query_data', { ...rest, siteCodes: ['HARV', 'SRER'] });
+
+    expect(text).toContain('## Site: SRER');
+    const [request] = harness.api.requestsFor('/api/v0/data/query');
+    expect(request.method).toBe('POST');
+    expect(request.headers['content-type']).toBe('application/json');
+  });
+
+  it('summarizes availability across sites and years', async () => {
+    const { text } = await harness.callTool('neon_summarize_data_availability', { productCode: 'DP1.10003.001' });
+
+    expect(text).toContain('**Total Sites**: 2');
+    expect(text).toContain('- **Total Data Months**: 5');
+    expect(text).toContain('- **Date Range**: 2023-06 to 2024-06');
+    expect(text).toContain('- **2024**: 4 site-months');
+    expect(text).toContain('- **HARV** (10 months missing): 2023-07 to 2024-04');
+  });
+
+  it('cites each release in the query and warns about provisional data', async () => {
+    const { text } = await harness.callTool('neon_cite_data', { ...birdQuery, format: 'apa' });
+
+    expect(text).toContain('# Citations for Breeding landbird point counts (DP1.10003.001)');
+    expect(text).toContain('This query includes PROVISIONAL data');
+    expect(text).toContain('**DOI**: https://doi.org/10.48443/s730-dy13');
+    expect(text).toContain('## PROVISIONAL (no DOI)');
+    expect(text).not.toContain('### BibTeX');
+  });
+
+  it('resolves a download URL with its size and checksum', async () => {
+    const filename = 'NEON.D01.HARV.DP1.10003.001.brd_countdata.2024-05.basic.20240126T000000Z.csv';
+    const path = `/api/v0/data/DP1.10003.001/HARV/2024-05/${filename}`;
+    harness.api.reply(path, { headers: { 'Content-Length': '48213', ETag: '"a1b2c3d4"' } });
+
+    const { text } = await harness.callTool('neon_get_download_url', {
+      productCode: 'DP1.10003.001',
+      siteCode: 'HARV',
+      yearMonth: '2024-05',
+      filename
+    });
+
+    expect(text).toContain(path);
+    expect(text).toContain('a1b2c3d4');
+    expect(harness.api.requestsFor(path)[0].method).toBe('HEAD');
+  });
+
+  it('reports missing files', async () => {
+    const { text } = await harness.callTool('neon_get_download_url', {
+      productCode: 'DP1.10003.001',
+      siteCode: 'HARV',
+      yearMonth: '2024-05',
+      filename: 'missing.csv'
+    });
+
+    expect(text).toContain('**Error**: File not found: missing.csv');
+  });
+
+  it('pins file lookups to a release', async () => {
+    const file = 'NEON.D01.HARV.DP1.10003.001.brd_countdata.2024-05.basic.20240126T000000Z.csv';
+    const path = `/api/v0/releases/RELEASE-2024/data/DP1.10003.001/HARV/2024-05/${file}`;
+    harness.api.reply(path, { status: 200 });
+
+    const found = await harness.callTool('neon_get_download_url', {
+      productCode: 'DP1.10003.001',
+      siteCode: 'HARV',
+      yearMonth: '2024-05',
+      filename: file,
+      release: 'RELEASE-2024'
+    });
+    expect(found.text).toContain(path);
+
+    const missing = await harness.callTool('neon_get_download_url', {
+      productCode: 'DP1.10003.001',
+      siteCode: 'HARV',
+      yearMonth: '2024-05',
+      filename: 'missing.csv',
+      release: 'RELEASE-2024'
+    });
+    expect(missing.text).toContain('**Error**: File missing.csv is not part of release RELEASE-2024 (Status: 404)');
+  });
+
+  it('rejects reversed date ranges', async () => {
+    const { text } = await harness.callTool('neon_query_data', { ...birdQuery, startDateMonth: '2024-07' });
+
+    expect(text).toContain('**Validation Error**');
+    expect(harness.api.requests).toHaveLength(0);
+  });
+
+  it('requires a site', async () => {
+    const { siteCode, ...rest } = birdQuery;
+    const { text } = await harness.callTool('neon_query_data', rest);
+
+    expect(text).toContain('Either siteCode or siteCodes must be provided');
+  });
+});
+
+describe('neon_download_data', () => {
+  let harness: Harness;
+  let root: string;
+  let outside: string;
+
+  beforeEach(async () => {
+    // Resolved, since the tool reports the real path of the root
+    root = await realpath(await mkdtemp(path.join(tmpdir(), 'neon-root-')));
+    outside = await mkdtemp(path.join(tmpdir(), 'neon-outside-'));
+    harness = await startHarness({ NEON_DOWNLOAD_ROOT: root });
+    harness.api.reply('/api/v0/data/query', { body: { data: { siteCodes: [] } } });
+  });
+
+  afterEach(async () => {
+    await harness.close();
+    await rm(root, { recursive: true, force: true });
+    await rm(outside, { recursive: true, force: true });
+  });
+
+  it('resolves a relative outputDir under the download root', async () => {
+    const { isError, structuredContent } = await harness.callTool('neon_download_data', { ...birdQuery, outputDir: 'birds/2024' });
+
+    expect(isError).toBe(false);
+    expect(structuredContent!.outputDir).toBe(path.join(root, 'birds', '2024'));
+    expect((await stat(path.join(root, 'birds', '2024'))).isDirectory()).toBe(true);
+  });
+
+  it('accepts an absolute outputDir inside the root', async () => {
+    const { structuredContent } = await harness.callTool('neon_download_data', { ...birdQuery, outputDir: path.join(root, 'birds') });
+
+    expect(structuredContent!.outputDir).toBe(path.join(root, 'birds'));
+  });
+
+  it.each([
+    ['an absolute path elsewhere', () => outside],
+    ['a relative path climbing out', () => '../escaped'],
+    ['a path that climbs out and back in by name', () => `../${path.basename(root)}-sibling`]
+  ])('rejects %s', async (_, outputDir) => {
+    const { text, isError } = await harness.callTool('neon_download_data', { ...birdQuery, outputDir: outputDir() });
+
+    expect(isError).toBe(true);
+    expect(text).toContain(`**Validation Error**: outputDir: ${outputDir()} is outside the download root`);
+    expect(harness.api.requestsFor('/api/v0/data/query')).toHaveLength(0);
+  });
+
+  it('rejects a symlink inside the root that points outside it', async () => {
+    await mkdir(path.join(root, 'links'));
+    await symlink(outside, path.join(root, 'links', 'elsewhere'));
+
+    const { text, isError } = await harness.callTool('neon_download_data', { ...birdQuery, outputDir: 'links/elsewhere/birds' });
+
+    expect(isError).toBe(true);
+    expect(text).toContain('is outside the download root');
+    await expect(stat(path.join(outside, 'birds'))).rejects.toThrow();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,193 @@
+import { createHash } from 'crypto';
+import { mkdir, mkdtemp, readFile, rm, stat, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { DataQueryResult, DownloadManifest } from '../src/api/types.js';
+import { DownloadManager, MANIFEST_FILENAME } from '../src/download/manager.js';
+import { MockNeonApi } from './helpers/mockNeonApi.js';
+
+const md5 = (content: string) => createHash('md5').update(content).digest('hex');
+
+// Where DownloadManager puts a file of the query result built below
+const filePath = (name: string) => path.join('RELEASE-2024', 'HARV', '2024-05', name);
+
+describe('DownloadManager', () => {
+  let api: MockNeonApi;
+  let directory: string;
+
+  beforeEach(async () => {
+    api = new MockNeonApi();
+    await api.start();
+    directory = await mkdtemp(path.join(tmpdir(), 'neon-download-'));
+  });
+
+  afterEach(async () => {
+    await api.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  // One month of files served by the mock API under /files/<name>
+  function queryResult(files: Record<string, string>): DataQueryResult {
+    return {
+      siteCodes: [{
+        siteCode: 'HARV',
+        availableMonths: [{
+          month: '2024-05',
+          availableDataUrls: [{
+            release: 'RELEASE-2024',
+            packages: [{
+              package: 'basic',
+              files: Object.entries(files).map(([name, content]) => ({
+                name,
+                size: Buffer.byteLength(content),
+                md5: md5(content),
+                crc32c: '',
+                url: `${api.baseUrl}/files/${name}`
+              }))
+            }]
+          }]
+        }]
+      }]
+    };
+  }
+
+  function manager(concurrency?: number): DownloadManager {
+    return new DownloadManager({ outputDir: directory, concurrency, retryDelay: 1 });
+  }
+
+  async function readManifest(): Promise<DownloadManifest> {
+    return JSON.parse(await readFile(path.join(directory, MANIFEST_FILENAME), 'utf8'));
+  }
+
+  it('skips files already present with a matching checksum', async () => {
+    const csv = 'siteID,count\nHARV,3\n';
+    const result = queryResult({ 'counts.csv': csv });
+    api.reply('/files/counts.csv', { body: csv });
+
+    const first = await manager().download(result);
+    expect(first).toMatchObject({ downloaded: 1, skipped: 0, failed: 0, bytesDownloaded: csv.length });
+
+    const second = await manager().download(result);
+    expect(second).toMatchObject({ downloaded: 0, skipped: 1, failed: 0, bytesDownloaded: 0 });
+    expect(api.requestsFor('/files/counts.csv')).toHaveLength(1);
+    // The earlier verified download stays on record
+    expect((await readManifest()).files[0]).toMatchObject({ status: 'downloaded', checksumMethod: 'md5' });
+  });
+
+  it('fetches again when the file on disk does not match', async () => {
+    const csv = 'siteID,count\nHARV,3\n';
+    await mkdir(path.join(directory, 'RELEASE-2024', 'HARV', '2024-05'), { recursive: true });
+    await writeFile(path.join(directory, filePath('counts.csv')), 'siteID,count\nHARV,4\n');
+    api.reply('/files/counts.csv', { body: csv });
+
+    const report = await manager().download(queryResult({ 'counts.csv': csv }));
+
+    expect(report.downloaded).toBe(1);
+    expect(await readFile(path.join(directory, filePath('counts.csv')), 'utf8')).toBe(csv);
+  });
+
+  it('resumes a partial file with a Range request', async () => {
+    const csv = 'siteID,plotID,count\nHARV,HARV_001,3\nHARV,HARV_002,5\n';
+    const target = path.join(directory, filePath('counts.csv'));
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(`${target}.part`, csv.slice(0, 20));
+    api.reply('/files/counts.csv', { status: 206, body: csv.slice(20) });
+
+    const report = await manager().download(queryResult({ 'counts.csv': csv }));
+
+    expect(api.requestsFor('/files/counts.csv')[0].headers.range).toBe('bytes=20-');
+    expect(report).toMatchObject({ downloaded: 1, bytesDownloaded: csv.length - 20 });
+    expect(await readFile(target, 'utf8')).toBe(csv);
+    await expect(stat(`${target}.part`)).rejects.toThrow();
+  });
+
+  it('starts over when the server ignores the Range header', async () => {
+    const csv = 'siteID,plotID,count\nHARV,HARV_001,3\nHARV,HARV_002,5\n';
+    const target = path.join(directory, filePath('counts.csv'));
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(`${target}.part`, csv.slice(0, 20));
+    api.reply('/files/counts.csv', { status: 200, body: csv });
+
+    const report = await manager().download(queryResult({ 'counts.csv': csv }));
+
+    expect(report.downloaded).toBe(1);
+    expect(await readFile(target, 'utf8')).toBe(csv);
+  });
+
+  it('verifies a complete partial file without fetching it', async () => {
+    const csv = 'siteID,count\nHARV,3\n';
+    const target = path.join(directory, filePath('counts.csv'));
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(`${target}.part`, csv);
+
+    const report = await manager().download(queryResult({ 'counts.csv': csv }));
+
+    expect(report).toMatchObject({ downloaded: 1, bytesDownloaded: 0 });
+    expect(api.requestsFor('/files/counts.csv')).toHaveLength(0);
+  });
+
+  it('retries a download whose checksum does not match', async () => {
+    const csv = 'siteID,count\nHARV,3\n';
+    api.reply('/files/counts.csv', { body: 'siteID,count\nHARV,9\n' }, { body: csv });
+
+    const report = await manager().download(queryResult({ 'counts.csv': csv }));
+
+    expect(report).toMatchObject({ downloaded: 1, failed: 0 });
+    expect(api.requestsFor('/files/counts.csv')).toHaveLength(2);
+    expect(await readFile(path.join(directory, filePath('counts.csv')), 'utf8')).toBe(csv);
+  });
+
+  it('records a failure once every attempt has a checksum mismatch', async () => {
+    const csv = 'siteID,count\nHARV,3\n';
+    const corrupt = { body: 'siteID,count\nHARV,9\n' };
+    api.reply('/files/counts.csv', corrupt, corrupt, corrupt);
+
+    const report = await manager().download(queryResult({ 'counts.csv': csv }));
+
+    expect(report).toMatchObject({ downloaded: 0, failed: 1 });
+    expect(report.entries[0].error).toBe('Checksum mismatch for counts.csv');
+    expect(api.requestsFor('/files/counts.csv')).toHaveLength(3);
+    // Nothing unverified is left behind to be resumed from
+    const target = path.join(directory, filePath('counts.csv'));
+    await expect(stat(target)).rejects.toThrow();
+    await expect(stat(`${target}.part`)).rejects.toThrow();
+    expect((await readManifest()).files[0]).toMatchObject({ status: 'failed', error: 'Checksum mismatch for counts.csv' });
+  });
+
+  it('keeps no more downloads in flight than the concurrency limit', async () => {
+    const files: Record<string, string> = {};
+    for (let i = 1; i <= 6; i++) {
+      files[`part${i}.csv`] = `siteID,count\nHARV,${i}\n`;
+      api.reply(`/files/part${i}.csv`, { body: files[`part${i}.csv`], delay: 30 });
+    }
+
+    const report = await manager(2).download(queryResult(files));
+
+    expect(report.downloaded).toBe(6);
+    expect(api.peakConcurrency).toBe(2);
+    expect(report.entries.map(entry => entry.name)).toEqual(Object.keys(files));
+  });
+
+  it('fails entries whose names or directories lead outside the output directory', async () => {
+    const csv = 'siteID,count\nHARV,3\n';
+    const result = queryResult({ '../../../../escape.csv': csv, 'counts.csv': csv });
+    // A release name from the API is a directory of the path too
+    result.siteCodes[0].availableMonths[0].availableDataUrls.push({
+      ...result.siteCodes[0].availableMonths[0].availableDataUrls[0],
+      release: '../../..'
+    });
+    api.reply('/files/counts.csv', { body: csv });
+
+    const report = await manager().download(result);
+
+    expect(report).toMatchObject({ downloaded: 1, failed: 3 });
+    expect(report.entries.find(entry => entry.release === '../../..' && entry.name === 'counts.csv')!.error)
+      .toBe(`Refusing to download ${path.join('../../..', 'HARV', '2024-05', 'counts.csv')}: outside ${directory}`);
+    expect(report.entries.filter(entry => entry.name !== 'counts.csv').map(entry => entry.error))
+      .toEqual(Array(2).fill('Refusing to download "../../../../escape.csv": not a plain file name'));
+    expect(api.requestsFor('/files/counts.csv')).toHaveLength(1);
+    expect(api.requests.filter(request => request.path.includes('escape'))).toHaveLength(0);
+    await expect(stat(path.join(directory, '..', 'escape.csv'))).rejects.toThrow();
+    await expect(stat(path.join(directory, '..', 'HARV'))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,112 @@
+import { Harness, startHarness } from './helpers/harness.js';
+
+const PRODUCT_PATH = '/api/v0/products/DP1.10003.001';
+
+describe('API error handling', () => {
+  let harness: Harness;
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  describe('with default retries', () => {
+    beforeEach(async () => {
+      harness = await startHarness({ NEON_API_RETRY_ATTEMPTS: '3' });
+    });
+
+    it('reports 4xx errors with the API detail and does not retry them', async () => {
+      harness.api.reply(PRODUCT_PATH, { status: 400, body: { status: 400, detail: 'Invalid release tag' } });
+
+      const { text } = await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+
+      expect(text).toContain('**Error**: NEON API Error: Invalid release tag (Status: 400)');
+      expect(harness.api.requestsFor(PRODUCT_PATH)).toHaveLength(1);
+    });
+
+    it('reports unknown resources as 404', async () => {
+      const { text } = await harness.callTool('neon_get_site', { siteCode: 'ZZZZ' });
+
+      expect(text).toContain('No fixture for /api/v0/sites/ZZZZ (Status: 404)');
+    });
+
+    it('retries 5xx errors and succeeds once the API recovers', async () => {
+      harness.api.reply(PRODUCT_PATH,
+        { status: 500, body: { status: 500, detail: 'Internal error' } },
+        { status: 503, body: { status: 503, detail: 'Service unavailable' } }
+      );
+
+      const { text } = await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+
+      expect(text).toContain('**DP1.10003.001**: Breeding landbird point counts');
+      expect(harness.api.requestsFor(PRODUCT_PATH)).toHaveLength(3);
+    });
+
+    it('gives up after the configured number of 5xx attempts', async () => {
+      const failure = { status: 500, body: { status: 500, detail: 'Internal error' } };
+      harness.api.reply(PRODUCT_PATH, failure, failure, failure);
+
+      const { text } = await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+
+      expect(text).toContain('**Error**: NEON API Error: Internal error (Status: 500)');
+      expect(harness.api.requestsFor(PRODUCT_PATH)).toHaveLength(3);
+    });
+
+    it('falls back to the status text for non-JSON error bodies', async () => {
+      harness.api.reply(PRODUCT_PATH, { status: 404, body: '<html><body>Not Found</body></html>' });
+
+      const { text } = await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+
+      expect(text).toContain('**Error**: NEON API Error: Not Found (Status: 404)');
+      expect(text).not.toContain('<html>');
+    });
+
+    it('waits out a 429 and retries', async () => {
+      harness.api.reply(PRODUCT_PATH, {
+        status: 429,
+        headers: { 'Retry-After': '0', 'X-RateLimit-Limit': '200', 'X-RateLimit-Remaining': '0' },
+        body: { message: 'API rate limit exceeded' }
+      });
+
+      const { text } = await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+      expect(text).toContain('Breeding landbird point counts');
+
+      const status = await harness.callTool('neon_get_rate_limit_status');
+      expect(status.text).toContain('**Rate Limited (429) Responses**: 1');
+    });
+  });
+
+  describe('with a short timeout', () => {
+    beforeEach(async () => {
+      harness = await startHarness({ NEON_API_TIMEOUT: '100', NEON_API_RETRY_ATTEMPTS: '2' });
+    });
+
+    it('times out slow responses', async () => {
+      harness.api.reply(PRODUCT_PATH, { delay: 500 }, { delay: 500 });
+
+      const { text } = await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+
+      expect(text).toContain('**Error**: NEON API request timed out after 100ms');
+      expect(harness.api.requestsFor(PRODUCT_PATH)).toHaveLength(2);
+    });
+  });
+
+  describe('at the MCP layer', () => {
+    beforeEach(async () => {
+      harness = await startHarness();
+    });
+
+    it('flags unknown tools as errors', async () => {
+      const { text, isError } = await harness.callTool('neon_not_a_tool');
+
+      expect(isError).toBe(true);
+      expect(text).toContain('Error executing tool "neon_not_a_tool": Unknown tool: neon_not_a_tool');
+    });
+
+    it('lists every tool with an input schema', async () => {
+      const { tools } = await harness.client.listTools();
+
+      expect(tools.length).toBeGreaterThan(20);
+      tools.forEach(tool => expect(tool.inputSchema.type).toBe('object'));
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,60 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CallToolResult, CallToolResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { fileURLToPath } from 'url';
+import { NeonMcpServer } from '../../src/index.js';
+import { loadConfig } from '../../src/config.js';
+import { MockNeonApi } from './mockNeonApi.js';
+
+export interface ToolResult {
+  text: string;
+  isError: boolean;
+  structuredContent?: Record<string, unknown>;
+}
+
+export interface Harness {
+  api: MockNeonApi;
+  client: Client;
+  callTool(name: string, args?: Record<string, unknown>): Promise<ToolResult>;
+  close(): Promise<void>;
+}
+
+// Starts the mock API and a NEON MCP server pointed at it, connected to an MCP
+// client over an in-memory transport so calls go through the real request handlers.
+// env overrides settings the same way environment variables do for the real server.
+export async function startHarness(env: Record<string, string> = {}): Promise<Harness> {
+  const api = new MockNeonApi();
+  const baseUrl = await api.start();
+
+  const config = loadConfig([], {
+    NEON_API_BASE_URL: baseUrl,
+    NEON_API_RETRY_DELAY: '1',
+    NEON_CACHE_PERSISTENT: 'false',
+    ...env
+  }, fileURLToPath(new URL('.', import.meta.url)));
+
+  const server = new NeonMcpServer(config);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+
+  const client = new Client({ name: 'neon-mcp-tests', version: '1.0.0' }, { capabilities: {} });
+  await client.connect(clientTransport);
+
+  return {
+    api,
+    client,
+    async callTool(name, args = {}) {
+      const result = await client.callTool({ name, arguments: args }, CallToolResultSchema) as CallToolResult;
+      return {
+        text: result.content.map(item => (item.type === 'text' ? item.text : '')).join('\n'),
+        isError: result.isError === true,
+        structuredContent: result.structuredContent as Record<string, unknown> | undefined
+      };
+    },
+    async close() {
+      await client.close();
+      await server.shutdown(0);
+      await api.close();
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+import http, { IncomingMessage, ServerResponse } from 'http';
+import { AddressInfo } from 'net';
+import { fileURLToPath } from 'url';
+import { SnapshotMissError, SnapshotStore } from '../../src/snapshot/store.js';
+
+export const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/neon-api', import.meta.url));
+
+// A canned reply that replaces the fixture for one endpoint
+export interface MockReply {
+  status?: number;
+  headers?: Record<string, string>;
+  // Objects are sent as JSON, strings as-is
+  body?: unknown;
+  // Milliseconds to wait before answering
+  delay?: number;
+}
+
+export interface RecordedRequest {
+  method: string;
+  path: string;
+  params: Record<string, string>;
+  headers: http.IncomingHttpHeaders;
+}
+
+// Local stand-in for data.neonscience.org. GET requests are answered from
+// recorded fixtures (the snapshot layout used by offline mode); tests queue
+// replies with `reply` to simulate errors, slow responses or rate limiting.
+export class MockNeonApi {
+  readonly requests: RecordedRequest[] = [];
+  // Most requests open at the same time so far
+  peakConcurrency = 0;
+  private open = 0;
+  private fixtures = new SnapshotStore(FIXTURES_DIR);
+  private replies = new Map<string, MockReply[]>();
+  private server = http.createServer((req, res) => {
+    this.peakConcurrency = Math.max(this.peakConcurrency, ++this.open);
+    res.on('close', () => this.open--);
+    this.handle(req, res).catch(error => {
+      res.writeHead(500, { 'Content-Type': 'text/plain' }).end(String(error));
+    });
+  });
+
+  get baseUrl(): string {
+    const { port } = this.server.address() as AddressInfo;
+    return `http://127.0.0.1:${port}`;
+  }
+
+  async start(): Promise<string> {
+    await new Promise<void>(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    return this.baseUrl;
+  }
+
+  async close(): Promise<void> {
+    this.server.closeAllConnections();
+    await new Promise<void>(resolve => this.server.close(() => resolve()));
+  }
+
+  // Answer the next requests for path with these replies, in order, before falling back to fixtures
+  reply(path: string, ...replies: MockReply[]): void {
+    this.replies.set(path, [...(this.replies.get(path) || []), ...replies]);
+  }
+
+  requestsFor(path: string): RecordedRequest[] {
+    return this.requests.filter(request => request.path === path);
+  }
+
+  private async handle(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const params = Object.fromEntries(url.searchParams.entries());
+    this.requests.push({ method: req.method || 'GET', path: url.pathname, params, headers: req.headers });
+
+    const queued = this.replies.get(url.pathname);
+    const reply = queued?.shift() ?? await this.fixtureReply(url.pathname, params);
+
+    if (reply.delay) {
+      await new Promise(resolve => setTimeout(resolve, reply.delay));
+      if (res.destroyed) return;
+    }
+
+    const isText = typeof reply.body === 'string';
+    res.writeHead(reply.status ?? 200, {
+      'Content-Type': isText ? 'text/html' : 'application/json',
+      ...reply.headers
+    });
+    res.end(isText ? reply.body : JSON.stringify(reply.body ?? {}));
+  }
+
+  private async fixtureReply(path: string, params: Record<string, string>): Promise<MockReply> {
+    try {
+      return { body: await this.fixtures.read(path, params) };
+    } catch (error) {
+      if (error instanceof SnapshotMissError) {
+        return { status: 404, body: { status: 404, detail: `No fixture for ${error.endpoint}` } };
+      }
+      throw error;
+    }
+  }
+}
\ No newline at end of file
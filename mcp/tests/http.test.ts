@@ -0,0 +1,190 @@
+import { jest } from '@jest/globals';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { CallToolResult, CallToolResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { fileURLToPath } from 'url';
+import { loadConfig } from '../src/config.js';
+import { NeonMcpServer } from '../src/index.js';
+import { HEALTH_PATH, MCP_PATH, MESSAGES_PATH, SESSION_HEADER, SSE_PATH } from '../src/transport/http.js';
+import { MockNeonApi } from './helpers/mockNeonApi.js';
+
+const RELEASE_PATH = '/api/v0/releases/RELEASE-2024';
+
+type TransportKind = 'streamable' | 'sse';
+
+describe('HTTP transport', () => {
+  let api: MockNeonApi;
+  let server: NeonMcpServer;
+  let baseUrl: string;
+  let clients: Client[];
+
+  beforeEach(async () => {
+    // run() announces the address and tools on stderr
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    api = new MockNeonApi();
+    server = new NeonMcpServer(loadConfig([], {
+      NEON_API_BASE_URL: await api.start(),
+      NEON_API_RETRY_DELAY: '1',
+      NEON_CACHE_PERSISTENT: 'false',
+      NEON_MCP_TRANSPORT: 'http',
+      NEON_MCP_HOST: '127.0.0.1',
+      NEON_MCP_PORT: '0'
+    }, fileURLToPath(new URL('.', import.meta.url))));
+    await server.run();
+    baseUrl = `http://127.0.0.1:${server.getHttpAddress()!.port}`;
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await server.shutdown(0);
+    await api.close();
+    jest.restoreAllMocks();
+  });
+
+  // An MCP client with its own session, over Streamable HTTP or the legacy SSE transport
+  async function connect(kind: TransportKind = 'streamable'): Promise<Client> {
+    const client = new Client({ name: 'neon-mcp-tests', version: '1.0.0' }, { capabilities: {} });
+    await client.connect(kind === 'streamable'
+      ? new StreamableHTTPClientTransport(new URL(MCP_PATH, baseUrl))
+      : new SSEClientTransport(new URL(SSE_PATH, baseUrl)));
+    clients.push(client);
+    return client;
+  }
+
+  async function callTool(client: Client, name: string, args: Record<string, unknown>): Promise<CallToolResult> {
+    return await client.callTool({ name, arguments: args }, CallToolResultSchema) as CallToolResult;
+  }
+
+  async function health(): Promise<{ status: number; body: Record<string, unknown> }> {
+    const response = await fetch(new URL(HEALTH_PATH, baseUrl));
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function post(url: string, headers: Record<string, string> = {}): Promise<Response> {
+    return await fetch(new URL(url, baseUrl), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' })
+    });
+  }
+
+  it('announces the Streamable HTTP endpoint and the legacy SSE one', () => {
+    expect(console.error).toHaveBeenCalledWith(`NEON MCP Server listening on ${baseUrl}${MCP_PATH} (Streamable HTTP; legacy SSE clients use ${baseUrl}${SSE_PATH})`);
+  });
+
+  it('reports health with the number of sessions and calls', async () => {
+    const before = await health();
+    expect(before.status).toBe(200);
+    expect(before.body).toMatchObject({ status: 'ok', sessions: 0, activeCalls: 0 });
+    expect(before.body.tools).toEqual(expect.any(Number));
+    expect(before.body.uptimeSeconds).toEqual(expect.any(Number));
+
+    await connect();
+    expect((await health()).body.sessions).toBe(1);
+    await connect('sse');
+    expect((await health()).body.sessions).toBe(2);
+  });
+
+  it('routes each session its own responses over either transport', async () => {
+    const first = await connect();
+    const second = await connect('sse');
+
+    const [release, releases] = await Promise.all([
+      callTool(first, 'neon_get_release', { releaseTag: 'RELEASE-2024' }),
+      callTool(second, 'neon_list_releases', { verbosity: 'summary' })
+    ]);
+
+    expect(release.isError).toBeFalsy();
+    expect(release.structuredContent).toMatchObject({ release: { release: 'RELEASE-2024' } });
+    expect(releases.structuredContent!.releases).toEqual(expect.any(Array));
+  });
+
+  it('ends a Streamable HTTP session on DELETE', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(MCP_PATH, baseUrl));
+    const client = new Client({ name: 'neon-mcp-tests', version: '1.0.0' }, { capabilities: {} });
+    await client.connect(transport);
+    clients.push(client);
+    expect((await health()).body.sessions).toBe(1);
+
+    await transport.terminateSession();
+
+    expect((await health()).body.sessions).toBe(0);
+  });
+
+  it('rejects messages without a known session', async () => {
+    await connect();
+    await connect('sse');
+
+    const unknown = await post(MCP_PATH, { [SESSION_HEADER]: 'not-a-session' });
+    expect(unknown.status).toBe(404);
+    expect(await unknown.text()).toBe('Unknown session');
+
+    // Anything but initialize needs a session
+    const uninitialized = await post(MCP_PATH);
+    expect(uninitialized.status).toBe(400);
+
+    const legacy = await post(`${MESSAGES_PATH}?sessionId=not-a-session`);
+    expect(legacy.status).toBe(404);
+    expect(await legacy.text()).toBe('Unknown session');
+    expect((await post(MESSAGES_PATH)).status).toBe(404);
+
+    expect((await health()).body.sessions).toBe(2);
+  });
+
+  it('refuses new sessions and messages once shutdown starts', async () => {
+    const client = await connect();
+    const legacy = await connect('sse');
+    api.reply(RELEASE_PATH, { body: { data: { release: 'RELEASE-2024', dataProducts: [] } }, delay: 200 });
+    const call = callTool(client, 'neon_get_release', { releaseTag: 'RELEASE-2024' });
+    await waitFor(() => api.requestsFor(RELEASE_PATH).length === 1);
+
+    const stopping = server.shutdown(5000);
+
+    const initialize = await post(MCP_PATH);
+    expect(initialize.status).toBe(503);
+    expect(await initialize.text()).toBe('Server is shutting down');
+    const stream = await fetch(new URL(SSE_PATH, baseUrl));
+    expect(stream.status).toBe(503);
+    await expect(callTool(client, 'neon_list_releases', {})).rejects.toThrow('Server is shutting down');
+    await expect(callTool(legacy, 'neon_list_releases', {})).rejects.toThrow('Server is shutting down');
+    const status = await health();
+    expect(status.status).toBe(503);
+    expect(status.body).toMatchObject({ status: 'shutting_down', sessions: 2, activeCalls: 1 });
+
+    await call;
+    await stopping;
+  });
+
+  it.each<TransportKind>(['streamable', 'sse'])('finishes in-flight %s tool calls before closing sessions', async kind => {
+    const client = await connect(kind);
+    api.reply(RELEASE_PATH, { body: { data: { release: 'RELEASE-2024', dataProducts: [] } }, delay: 200 });
+
+    const call = callTool(client, 'neon_get_release', { releaseTag: 'RELEASE-2024' });
+    await waitFor(() => api.requestsFor(RELEASE_PATH).length === 1);
+    let stopped = false;
+    const stopping = server.shutdown(5000).then(() => { stopped = true; });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(stopped).toBe(false);
+
+    // The response stream stays open so the pending call still gets its answer
+    const result = await call;
+    expect(result.isError).toBeFalsy();
+    expect(result.structuredContent).toMatchObject({ release: { release: 'RELEASE-2024' } });
+
+    await stopping;
+    await expect(fetch(new URL(HEALTH_PATH, baseUrl))).rejects.toThrow();
+  });
+});
+
+async function waitFor(condition: () => boolean, timeoutMs: number = 2000): Promise<void> {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
@@ -0,0 +1,263 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { Harness, startHarness } from './helpers/harness.js';
+import { FIXTURES_DIR } from './helpers/mockNeonApi.js';
+
+describe('location tools', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('gets a location with its children and parent', async () => {
+    const { text } = await harness.callTool('neon_get_location', { locationName: 'HARV', hierarchy: true });
+
+    expect(text).toContain('**HARV**: Harvard Forest');
+    expect(text).toContain('## Child Locations');
+    expect(text).toContain('- TOWER106864');
+    expect(text).toContain('**Parent Location**: D01');
+    expect(harness.api.requestsFor('/api/v0/locations/HARV')[0].params).toEqual({ hierarchy: 'true' });
+  });
+
+  it('lists site locations filtered by type', async () => {
+    const all = await harness.callTool('neon_list_site_locations');
+    expect(all.text).toContain('# NEON Site Locations (2 locations)');
+
+    const towers = await harness.callTool('neon_list_site_locations', { locationType: 'tower' });
+    expect(towers.text).toContain('(0 locations)');
+  });
+
+  it('finds the tower at a site', async () => {
+    const { text } = await harness.callTool('neon_find_towers', { siteCode: 'SRER' });
+
+    expect(text).toContain('# NEON Tower Locations (1 towers)');
+    expect(text).toContain('**TOWER104454**: Santa Rita Experimental Range Tower');
+  });
+
+  it('finds towers at every site without guessing names', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_find_towers', {});
+
+    expect(text).toContain('# NEON Tower Locations (2 towers)');
+    expect((structuredContent!.towers as any[]).map(tower => [tower.locationName, tower.ancestors]))
+      .toEqual([['TOWER106864', ['HARV']], ['TOWER104454', ['SRER']]]);
+    expect(harness.api.requestsFor('/api/v0/locations/TOWER103029')).toHaveLength(0);
+  });
+
+  it('looks for towers only at the top of each site hierarchy', async () => {
+    const plot = JSON.parse(await readFile(path.join(FIXTURES_DIR, 'api/v0/locations/HARV_001.birdGrid.brd.json'), 'utf8')).data;
+    harness.api.reply('/api/v0/locations/HARV_001.birdGrid.brd', { body: { data: { ...plot, locationChildren: ['HARV_001.birdGrid.brd.A1'] } } });
+
+    const { structuredContent } = await harness.callTool('neon_find_towers', {});
+
+    expect((structuredContent!.towers as any[]).map(tower => tower.locationName)).toEqual(['TOWER106864', 'TOWER104454']);
+    // Neither below a tower nor below other locations at the top of the site
+    expect(harness.api.requestsFor('/api/v0/locations/SOILPL104469')).toHaveLength(0);
+    expect(harness.api.requestsFor('/api/v0/locations/HARV_001.birdGrid.brd.A1')).toHaveLength(0);
+  });
+
+  it('searches at most five sites per call and says where to continue', async () => {
+    const sites = JSON.parse(await readFile(path.join(FIXTURES_DIR, 'api/v0/locations/sites.json'), 'utf8')).data;
+    const empty = (siteCode: string) => ({ ...sites[1], siteCode, locationName: siteCode, locationChildren: [] });
+    harness.api.reply('/api/v0/locations/sites', {
+      body: { data: [...sites, ...['BART', 'CPER', 'DSNY', 'JORN', 'KONZ'].map(empty)] }
+    });
+
+    const first = await harness.callTool('neon_find_towers', {});
+    expect(first.text).toContain('**Sites Searched**: HARV, SRER, BART, CPER, DSNY (1-5 of 7)\n**More Sites**: call again with siteCursor="JORN"');
+    expect(first.structuredContent).toMatchObject({ total: 2, totalSites: 7, nextSiteCursor: 'JORN' });
+
+    const rest = await harness.callTool('neon_find_towers', { siteCursor: 'JORN' });
+    expect(rest.text).toContain('**Sites Searched**: JORN, KONZ (6-7 of 7)\n\nNo towers found');
+    expect(rest.structuredContent).toMatchObject({ total: 0, sitesSearched: ['JORN', 'KONZ'], nextSiteCursor: null });
+
+    // Requested sites are taken five at a time too
+    const locations = await harness.callTool('neon_find_locations', {
+      siteCodes: ['KONZ', 'JORN', 'DSNY', 'CPER', 'BART', 'SRER'],
+      locationType: 'tower'
+    });
+    expect(locations.structuredContent).toMatchObject({ total: 0, sitesSearched: ['KONZ', 'JORN', 'DSNY', 'CPER', 'BART'], nextSiteCursor: 'SRER' });
+    expect(harness.api.requestsFor('/api/v0/locations/TOWER104454')).toHaveLength(1);
+
+    const unknown = await harness.callTool('neon_find_locations', { siteCodes: ['SRER'], siteCursor: 'HARV' });
+    expect(unknown.isError).toBe(true);
+    expect(unknown.text).toContain('siteCursor: HARV is not one of the sites being searched');
+  });
+
+  it('finds towers in the full index once a site has been walked', async () => {
+    await harness.callTool('neon_find_locations', { siteCodes: ['SRER'] });
+    const requests = harness.api.requests.length;
+
+    const { text } = await harness.callTool('neon_find_towers', { siteCode: 'SRER' });
+
+    expect(text).toContain('**TOWER104454**');
+    expect(harness.api.requests).toHaveLength(requests);
+  });
+
+  it('indexes tower levels by height above the tower', async () => {
+    const tower = JSON.parse(await readFile(path.join(FIXTURES_DIR, 'api/v0/locations/TOWER104454.json'), 'utf8')).data;
+    const level = (locationName: string, elevation: number) => ({
+      body: {
+        data: {
+          ...tower,
+          locationName,
+          locationType: 'TOWER LEVEL',
+          locationDescription: `Tower level at ${locationName}`,
+          locationElevation: elevation,
+          locationParent: 'TOWER104454',
+          locationChildren: []
+        }
+      }
+    });
+    harness.api.reply('/api/v0/locations/TOWER104454', { body: { data: { ...tower, locationChildren: ['CFGLOC104455', 'CFGLOC104458'] } } });
+    harness.api.reply('/api/v0/locations/CFGLOC104455', level('CFGLOC104455', 999.2));
+    harness.api.reply('/api/v0/locations/CFGLOC104458', level('CFGLOC104458', 1019.5));
+
+    const { text, structuredContent } = await harness.callTool('neon_find_locations', {
+      siteCodes: ['SRER'],
+      locationType: 'tower level',
+      minHeight: 20
+    });
+
+    expect(text).toContain('# NEON Locations (1 locations)');
+    expect(text).toContain('**Height**: at least 20 m');
+    expect(text).toContain('- **Path**: SRER > TOWER104454 > CFGLOC104458');
+    expect(structuredContent!.locations).toEqual([
+      expect.objectContaining({ locationName: 'CFGLOC104458', depth: 2, heightAboveBase: 22.3 })
+    ]);
+
+    // The walk is cached, so asking again does not refetch the hierarchy
+    await harness.callTool('neon_find_locations', { siteCodes: ['SRER'] });
+    expect(harness.api.requestsFor('/api/v0/locations/CFGLOC104458')).toHaveLength(1);
+  });
+
+  it('outlines the location tree', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_get_location_hierarchy', { locationName: 'HARV' });
+
+    expect(text).toContain('## Outline (3 locations, up to 3 levels down)');
+    expect(text).toContain('- **HARV** (SITE): Harvard Forest at 42.536900, -72.172660, 348 m\n  - **TOWER106864** (TOWER)');
+    expect(text).toContain('  - **HARV_001.birdGrid.brd** (OS Plot - brd)');
+    expect((structuredContent!.tree as any).children.map((child: any) => [child.locationName, child.parent, child.depth]))
+      .toEqual([['TOWER106864', 'HARV', 1], ['HARV_001.birdGrid.brd', 'HARV', 1]]);
+  });
+
+  it('keeps going when a child location cannot be fetched', async () => {
+    harness.api.reply('/api/v0/locations/TOWER106864', { status: 500, body: { status: 500, detail: 'Internal error' } });
+    harness.api.reply('/api/v0/locations/TOWER106864', { status: 500, body: { status: 500, detail: 'Internal error' } });
+    harness.api.reply('/api/v0/locations/TOWER106864', { status: 500, body: { status: 500, detail: 'Internal error' } });
+
+    const { text } = await harness.callTool('neon_get_location_hierarchy', { locationName: 'HARV' });
+
+    expect(text).toContain('  - **TOWER106864**: could not fetch details');
+    expect(text).toContain('  - **HARV_001.birdGrid.brd** (OS Plot - brd)');
+    expect(text).toContain('**Could not fetch**: TOWER106864');
+  });
+
+  it('walks the tree to maxDepth and exports it as GeoJSON', async () => {
+    const shallow = await harness.callTool('neon_get_location_hierarchy', { locationName: 'SRER', maxDepth: 1 });
+    expect(shallow.text).toContain('Santa Rita Experimental Range Tower');
+    expect(shallow.text).toContain('(1 more below)');
+    expect(harness.api.requestsFor('/api/v0/locations/SOILPL104469')).toHaveLength(0);
+
+    const { structuredContent } = await harness.callTool('neon_get_location_hierarchy', { locationName: 'SRER', maxDepth: 2, geojson: true });
+    expect(structuredContent!.unavailable).toEqual(['SOILPL104469']);
+    expect((structuredContent!.geojson as any).features.map((feature: any) => [feature.properties.locationName, feature.properties.elevation]))
+      .toEqual([['SRER', 999], ['TOWER104454', 997.2]]);
+  });
+
+  describe('moves', () => {
+    const period = (locationStartDate: string, latitude: number, elevation: number, current = false) => ({
+      current,
+      locationStartDate,
+      locationDecimalLatitude: latitude,
+      locationDecimalLongitude: -72.1727,
+      locationElevation: elevation
+    });
+
+    beforeEach(async () => {
+      const tower = JSON.parse(await readFile(path.join(FIXTURES_DIR, 'api/v0/locations/TOWER106864.json'), 'utf8')).data;
+      const withHistory = {
+        body: {
+          data: {
+            ...tower,
+            locationHistory: [
+              period('2023-09-01T00:00:00Z', 42.5354, 350.3, true),
+              period('2017-01-01T00:00:00Z', 42.5353, 348.3),
+              // Resurveyed, but within the tolerance
+              period('2020-06-15T00:00:00Z', 42.5353, 348.35)
+            ]
+          }
+        }
+      };
+      // Once for the hierarchy walk and once for the history
+      harness.api.reply('/api/v0/locations/TOWER106864', withHistory, withHistory);
+    });
+
+    it('reports each move with its distance and the data months after it', async () => {
+      const { text, structuredContent } = await harness.callTool('neon_detect_location_moves', {
+        locationName: 'TOWER106864',
+        productCode: 'DP1.10003.001'
+      });
+
+      expect(text).toContain('# Location Moves for TOWER106864 (1 moves)');
+      expect(text).toContain('### 2023-09-01: moved 11.12 m, elevation +1.95 m');
+      expect(text).toContain('- **Affected Months**: 2023-09 to present');
+      expect(text).toContain('- **DP1.10003.001 Data**: 2024-05 to 2024-06');
+      expect(harness.api.requestsFor('/api/v0/locations/TOWER106864')[0].params).toEqual({ history: 'true' });
+      expect((structuredContent!.locations as any[])[0].moves[0]).toMatchObject({
+        horizontalDistanceM: 11.12,
+        elevationChangeM: 1.95,
+        firstMonth: '2023-09',
+        lastMonth: null,
+        dataMonths: ['2024-05', '2024-06']
+      });
+    });
+
+    it('checks every location below a site', async () => {
+      const { text, structuredContent } = await harness.callTool('neon_detect_location_moves', {
+        locationName: 'HARV',
+        includeDescendants: true
+      });
+
+      expect(text).toContain('**Locations Checked**: 2 (up to 5 levels down)');
+      expect(text).toContain('## TOWER106864 (TOWER, 3 periods)');
+      expect(text).toContain('**Could not fetch**: HARV_001.birdGrid.brd');
+      expect(structuredContent!.moveCount).toBe(1);
+    });
+  });
+
+  it('searches locations near a point', async () => {
+    const { text } = await harness.callTool('neon_search_locations', { latitude: 31.9, longitude: -110.8, radius: 10 });
+
+    expect(text).toContain('# Location Search Results (1 matches)');
+    expect(text).toContain('**SRER**');
+  });
+
+  it('searches locations within a MULTIPOLYGON', async () => {
+    const { structuredContent } = await harness.callTool('neon_search_locations', {
+      polygon: 'MULTIPOLYGON (((-74 41, -69 41, -69 45, -74 45, -74 41)), ((-112 31, -109 31, -109 33, -112 33, -112 31)))',
+      geojson: true
+    });
+
+    expect(structuredContent!.locations).toHaveLength(2);
+    expect((structuredContent!.geojson as any).features.map((feature: any) => feature.properties.locationName))
+      .toEqual(['HARV', 'SRER']);
+  });
+
+  it('exports every match as GeoJSON, not just the current page', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_search_locations', {
+      bbox: [-115, 30, -68, 46],
+      pageSize: 1,
+      geojson: true
+    });
+
+    expect(structuredContent).toMatchObject({ total: 2, count: 1, locations: [{ locationName: 'HARV' }] });
+    expect((structuredContent!.geojson as any).features.map((feature: any) => feature.properties.locationName))
+      .toEqual(['HARV', 'SRER']);
+    expect(text).toContain('"locationName": "SRER"');
+  });
+});
\ No newline at end of file
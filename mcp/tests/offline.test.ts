@@ -0,0 +1,91 @@
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { NeonApiClient } from '../src/api/client.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+import { recordSnapshot } from '../src/snapshot/record.js';
+import { SNAPSHOT_MANIFEST, SnapshotStore } from '../src/snapshot/store.js';
+import { Harness, startHarness } from './helpers/harness.js';
+import { FIXTURES_DIR, MockNeonApi } from './helpers/mockNeonApi.js';
+
+describe('offline mode', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness({ NEON_OFFLINE_SNAPSHOT: FIXTURES_DIR });
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('answers from the snapshot without calling the API', async () => {
+    const { text } = await harness.callTool('neon_get_site', { siteCode: 'SRER' });
+
+    expect(text).toContain('**SRER**: Santa Rita Experimental Range NEON');
+    expect(harness.api.requests).toHaveLength(0);
+  });
+
+  it('names requests the snapshot does not cover', async () => {
+    const { text } = await harness.callTool('neon_get_location', { locationName: 'TOWER999999' });
+
+    expect(text).toContain(`Offline mode: /api/v0/locations/TOWER999999 is not in the snapshot at ${FIXTURES_DIR}`);
+  });
+});
+
+describe('snapshot recorder', () => {
+  let api: MockNeonApi;
+  let directory: string;
+
+  beforeEach(async () => {
+    api = new MockNeonApi();
+    directory = await mkdtemp(path.join(tmpdir(), 'neon-snapshot-'));
+  });
+
+  afterEach(async () => {
+    await api.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('records what offline mode needs to replay the fixtures', async () => {
+    const baseUrl = await api.start();
+    const client = new NeonApiClient({
+      ...DEFAULT_CONFIG,
+      api: { ...DEFAULT_CONFIG.api, baseUrl },
+      cache: { ...DEFAULT_CONFIG.cache, persistent: false }
+    });
+
+    const manifest = await recordSnapshot(client, new SnapshotStore(directory), baseUrl, { sites: ['HARV'], locationDepth: 1 });
+
+    expect(manifest.sites).toEqual(['HARV']);
+    const recorded = await readFile(path.join(directory, 'api/v0/locations/TOWER106864.json'), 'utf8');
+    const fixture = await readFile(path.join(FIXTURES_DIR, 'api/v0/locations/TOWER106864.json'), 'utf8');
+    expect(JSON.parse(recorded)).toEqual(JSON.parse(fixture));
+
+    const offline = new NeonApiClient({ ...DEFAULT_CONFIG, offline: { snapshotDir: directory } });
+    expect((await offline.getProduct('DP1.00001.001')).productName).toBe('2D wind speed and direction');
+    await expect(offline.getLocation('SRER')).rejects.toThrow('is not in the snapshot');
+  });
+
+  it('skips a request that fails and lists it in the manifest', async () => {
+    const baseUrl = await api.start();
+    const client = new NeonApiClient({
+      ...DEFAULT_CONFIG,
+      api: { ...DEFAULT_CONFIG.api, baseUrl, retryDelay: 1 },
+      cache: { ...DEFAULT_CONFIG.cache, persistent: false }
+    });
+    api.reply('/api/v0/locations/HARV_001.birdGrid.brd', { status: 404, body: { status: 404, detail: 'Location not found' } });
+
+    const manifest = await recordSnapshot(client, new SnapshotStore(directory), baseUrl, { sites: ['HARV'], locationDepth: 1 });
+
+    expect(manifest.failures).toEqual([{
+      endpoint: '/api/v0/locations/HARV_001.birdGrid.brd',
+      error: 'NEON API Error: Location not found (Status: 404)'
+    }]);
+    expect(JSON.parse(await readFile(path.join(directory, SNAPSHOT_MANIFEST), 'utf8')).failures).toEqual(manifest.failures);
+    // Everything else is still recorded
+    await expect(readFile(path.join(directory, 'api/v0/locations/TOWER106864.json'), 'utf8')).resolves.toContain('TOWER106864');
+    await expect(readFile(path.join(directory, 'api/v0/locations/HARV_001.birdGrid.brd.json'))).rejects.toThrow();
+    await client.close();
+  });
+});
@@ -0,0 +1,89 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { Harness, startHarness } from './helpers/harness.js';
+import { FIXTURES_DIR } from './helpers/mockNeonApi.js';
+
+const birdQuery = {
+  productCode: 'DP1.10003.001',
+  siteCode: 'HARV',
+  startDateMonth: '2024-05',
+  endDateMonth: '2024-06'
+};
+
+describe('structured output', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('returns the query result as JSON matching the API data', async () => {
+    const fixture = JSON.parse(await readFile(path.join(FIXTURES_DIR,
+      'api/v0/data/query@endDateMonth%3D2024-06%26productCode%3DDP1.10003.001%26siteCode%3DHARV%26startDateMonth%3D2024-05.json'), 'utf8'));
+
+    const { text, structuredContent } = await harness.callTool('neon_query_data', { ...birdQuery, outputFormat: 'json' });
+
+    expect(JSON.parse(text)).toEqual(fixture.data);
+    expect(structuredContent).toEqual(fixture.data);
+  });
+
+  it('attaches structured content to Markdown responses too', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_get_site', { siteCode: 'SRER' });
+
+    expect(text).toContain('**SRER**: Santa Rita Experimental Range NEON');
+    expect(structuredContent?.site).toMatchObject({ siteCode: 'SRER', stateCode: 'AZ' });
+  });
+
+  it('rejects unknown output formats before calling the API', async () => {
+    const { text, isError } = await harness.callTool('neon_get_site', { siteCode: 'SRER', outputFormat: 'xml' });
+
+    expect(isError).toBe(true);
+    expect(text).toContain('outputFormat: must be "markdown" or "json", got "xml"');
+    expect(harness.api.requests).toHaveLength(0);
+  });
+
+  it('flags API failures as errors', async () => {
+    const { isError, structuredContent } = await harness.callTool('neon_get_site', { siteCode: 'ZZZZ', outputFormat: 'json' });
+
+    expect(isError).toBe(true);
+    expect(structuredContent).toBeUndefined();
+  });
+
+  it('returns structured content the client validates against each output schema', async () => {
+    // Listing the tools makes the client check every later result against its outputSchema
+    await harness.client.listTools();
+
+    const calls: [string, Record<string, unknown>][] = [
+      ['neon_query_data', birdQuery],
+      ['neon_list_products', {}],
+      ['neon_get_product', { productCode: 'DP1.10003.001' }],
+      ['neon_search_sites', { latitude: 42.5, longitude: -72.2, geojson: true }],
+      ['neon_get_site_products', { siteCode: 'HARV' }],
+      ['neon_summarize_data_availability', { productCode: 'DP1.10003.001' }],
+      ['neon_get_availability_matrix', { productCodes: ['DP1.10003.001'], siteCodes: ['HARV', 'SRER'] }],
+      ['neon_get_location_hierarchy', { locationName: 'HARV' }],
+      ['neon_list_releases', { verbosity: 'summary' }],
+      ['neon_get_release', { releaseTag: 'RELEASE-2024' }],
+      ['neon_search_prototype_datasets', {}],
+      ['neon_get_cache_stats', {}]
+    ];
+    for (const [name, args] of calls) {
+      const result = await harness.client.callTool({ name, arguments: args });
+      expect({ name, isError: result.isError ?? false }).toEqual({ name, isError: false });
+      expect(result.structuredContent).toBeDefined();
+    }
+  });
+
+  it('declares an output schema and the outputFormat parameter on every tool', async () => {
+    const { tools } = await harness.client.listTools();
+
+    tools.forEach(tool => {
+      expect(tool.outputSchema).toMatchObject({ type: 'object' });
+      expect(tool.inputSchema.properties).toHaveProperty('outputFormat');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,69 @@
+import { Harness, startHarness } from './helpers/harness.js';
+
+describe('paged listings', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('pages through products with the returned cursor', async () => {
+    const first = await harness.callTool('neon_list_products', { pageSize: 1 });
+
+    expect(first.text).toContain('# NEON Data Products (2 products)');
+    expect(first.text).toContain('**DP1.00001.001**');
+    expect(first.text).not.toContain('**DP1.10003.001**');
+    expect(first.text).toContain('**Showing**: 1-1 of 2');
+    expect(first.structuredContent).toMatchObject({ total: 2, offset: 0, count: 1 });
+
+    const cursor = first.structuredContent?.nextCursor as string;
+    expect(first.text).toContain(`**Next Page**: call again with cursor="${cursor}"`);
+
+    const second = await harness.callTool('neon_list_products', { pageSize: 1, cursor });
+
+    expect(second.text).toContain('**DP1.10003.001**');
+    expect(second.text).toContain('**Showing**: 2-2 of 2');
+    expect(second.structuredContent).toMatchObject({ offset: 1, count: 1, nextCursor: null });
+  });
+
+  it('sorts by the requested field and direction', async () => {
+    const { structuredContent } = await harness.callTool('neon_list_sites', { sortBy: 'siteName', sortOrder: 'desc' });
+
+    const sites = structuredContent?.sites as Array<{ siteCode: string }>;
+    expect(sites.map(site => site.siteCode)).toEqual(['SRER', 'HARV']);
+  });
+
+  it('returns one compact line per result in summary verbosity', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_search_products', { theme: 'organisms', verbosity: 'summary' });
+
+    expect(text).toContain('- **DP1.10003.001**: Breeding landbird point counts (Terrestrial Observation System (TOS))');
+    expect(text).not.toContain('**Description**');
+    expect(structuredContent?.products).toEqual([{
+      productCode: 'DP1.10003.001',
+      productName: 'Breeding landbird point counts',
+      productScienceTeam: 'Terrestrial Observation System (TOS)',
+      themes: expect.any(Array)
+    }]);
+  });
+
+  it('rejects a cursor issued for a different query', async () => {
+    const first = await harness.callTool('neon_list_products', { pageSize: 1 });
+    const cursor = first.structuredContent?.nextCursor as string;
+
+    const { text, isError } = await harness.callTool('neon_list_products', { pageSize: 1, cursor, sortBy: 'siteCount' });
+
+    expect(isError).toBe(true);
+    expect(text).toContain('cursor: belongs to a different query');
+  });
+
+  it('only offers distance sorting for proximity searches', async () => {
+    const { text, isError } = await harness.callTool('neon_search_sites', { name: 'forest', sortBy: 'distance' });
+
+    expect(isError).toBe(true);
+    expect(text).toContain('sortBy: must be one of siteCode, siteName, domain, state, productCount for this query, got "distance"');
+  });
+});
\ No newline at end of file
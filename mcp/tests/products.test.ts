@@ -0,0 +1,80 @@
+import { Harness, startHarness } from './helpers/harness.js';
+
+describe('product tools', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('lists every product', async () => {
+    const { text, isError } = await harness.callTool('neon_list_products');
+
+    expect(isError).toBe(false);
+    expect(text).toContain('# NEON Data Products (2 products)');
+    expect(text).toContain('**DP1.10003.001**: Breeding landbird point counts');
+    expect(text).toContain('**DP1.00001.001**: 2D wind speed and direction');
+  });
+
+  it('lists the products of a release through its own route', async () => {
+    harness.api.reply('/api/v0/releases/RELEASE-2024/products', { body: { data: [] } });
+
+    const { text } = await harness.callTool('neon_list_products', { release: 'RELEASE-2024' });
+
+    expect(text).toContain('(0 products)');
+    expect(harness.api.requestsFor('/api/v0/releases/RELEASE-2024/products')[0].params).toEqual({});
+    expect(harness.api.requestsFor('/api/v0/products')).toHaveLength(0);
+  });
+
+  it('says when a product is not part of the release', async () => {
+    harness.api.reply('/api/v0/releases/RELEASE-2021/products/DP1.10003.001', {
+      status: 400,
+      body: { status: 400, detail: 'Product not found in release' }
+    });
+
+    const { text, isError } = await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001', release: 'RELEASE-2021' });
+
+    expect(isError).toBe(true);
+    expect(text).toContain('**Error**: Product DP1.10003.001 is not part of release RELEASE-2021 (NEON API Error: Product not found in release (Status: 400))');
+  });
+
+  it('gets a product with its site availability', async () => {
+    const { text } = await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+
+    expect(text).toContain('**Science Team**: Terrestrial Observation System (TOS)');
+    expect(text).toContain('- **HARV**: 3 months available');
+    expect(text).toContain('- **SRER**: 2 months available');
+  });
+
+  it('searches products by keyword, theme and science team', async () => {
+    const byKeyword = await harness.callTool('neon_search_products', { keyword: 'wind' });
+    expect(byKeyword.text).toContain('(1 matches)');
+    expect(byKeyword.text).toContain('DP1.00001.001');
+
+    const byTheme = await harness.callTool('neon_search_products', { theme: 'organisms' });
+    expect(byTheme.text).toContain('DP1.10003.001');
+    expect(byTheme.text).not.toContain('DP1.00001.001');
+
+    const none = await harness.callTool('neon_search_products', { keyword: 'wind', scienceTeam: 'TOS' });
+    expect(none.text).toContain('No products found matching your criteria.');
+  });
+
+  it('serves repeated requests from the cache', async () => {
+    await harness.callTool('neon_list_products');
+    await harness.callTool('neon_search_products', { keyword: 'birds' });
+
+    expect(harness.api.requestsFor('/api/v0/products')).toHaveLength(1);
+  });
+
+  it('rejects malformed product codes without calling the API', async () => {
+    const { text } = await harness.callTool('neon_get_product', { productCode: 'birds' });
+
+    expect(text).toContain('**Validation Error**');
+    expect(text).toContain('Invalid product code format');
+    expect(harness.api.requests).toHaveLength(0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { Harness, startHarness } from './helpers/harness.js';
+
+describe('prompts', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('lists the workflow prompts with their arguments', async () => {
+    const { prompts } = await harness.client.listPrompts();
+
+    expect(prompts.map(prompt => prompt.name)).toEqual(['neon_find_data_near_me', 'neon_compare_sites', 'neon_cite_dataset']);
+    const compare = prompts.find(prompt => prompt.name === 'neon_compare_sites');
+    expect(compare?.arguments?.filter(argument => argument.required).map(argument => argument.name))
+      .toEqual(['topic', 'siteA', 'siteB', 'startDateMonth', 'endDateMonth']);
+  });
+
+  it('fills the arguments into the tool steps', async () => {
+    const { messages } = await harness.client.getPrompt({
+      name: 'neon_find_data_near_me',
+      arguments: { latitude: '42.5', longitude: '-72.2', topic: 'birds' }
+    });
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].role).toBe('user');
+    const text = (messages[0].content as { text: string }).text;
+    expect(text).toContain('neon_search_sites with latitude=42.5, longitude=-72.2 and radius=200');
+    expect(text).toContain('neon_search_products with keyword="birds"');
+    expect(text.indexOf('neon_get_site_products')).toBeLessThan(text.indexOf('neon_query_data'));
+  });
+
+  it('looks up a product code directly instead of searching for it', async () => {
+    const { messages } = await harness.client.getPrompt({
+      name: 'neon_compare_sites',
+      arguments: { topic: 'DP1.00095.001', siteA: 'HARV', siteB: 'SRER', startDateMonth: '2023-01', endDateMonth: '2023-12' }
+    });
+
+    const text = (messages[0].content as { text: string }).text;
+    expect(text).toContain('neon_get_product with productCode="DP1.00095.001"');
+    expect(text).toContain('siteCodes=["HARV", "SRER"]');
+  });
+
+  it('rejects missing arguments and unknown prompts', async () => {
+    await expect(harness.client.getPrompt({ name: 'neon_cite_dataset', arguments: { productCode: 'DP1.10003.001' } }))
+      .rejects.toThrow('Missing required argument(s) for neon_cite_dataset: siteCodes, startDateMonth, endDateMonth');
+    await expect(harness.client.getPrompt({ name: 'neon_write_my_thesis' }))
+      .rejects.toThrow('Unknown prompt: neon_write_my_thesis');
+  });
+});
\ No newline at end of file
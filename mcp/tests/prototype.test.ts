@@ -0,0 +1,179 @@
+import { mkdtemp, readFile, realpath, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Harness, startHarness } from './helpers/harness.js';
+
+const LITTER = '5f1c9a1e-7d2b-4c1a-9e8f-2b3c4d5e6f70';
+
+describe('prototype dataset tools', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('searches datasets by keyword and theme', async () => {
+    const all = await harness.callTool('neon_search_prototype_datasets');
+    expect(all.text).toContain('# NEON Prototype Datasets (2 datasets)');
+    expect(all.text).toContain('**Themes**: Biogeochemistry (1), Ecohydrology (1), Organisms, Populations, and Communities (1)');
+    // Most recently uploaded first
+    expect((all.structuredContent!.datasets as any[]).map(dataset => dataset.projectTitle))
+      .toEqual(['Small Mammal Camera Trapping', 'Litterfall Biomass Pilot']);
+
+    const { text, structuredContent } = await harness.callTool('neon_search_prototype_datasets', {
+      keyword: 'litter',
+      theme: 'biogeo'
+    });
+    expect(text).toContain('# NEON Prototype Datasets (1 datasets)');
+    expect(text).toContain(`  - **UUID**: ${LITTER}\n  - **Years**: 2014-2016`);
+    expect(structuredContent!.total).toBe(1);
+
+    const bySite = await harness.callTool('neon_search_prototype_datasets', { siteCode: 'srer', theme: 'biogeo' });
+    expect(bySite.structuredContent!.total).toBe(0);
+  });
+
+  it('shows the metadata of a dataset', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_get_prototype_dataset', { uuid: LITTER });
+
+    expect(text).toContain('# Litterfall Biomass Pilot');
+    expect(text).toContain('**DOI**: https://doi.org/10.48443/prototype-litter');
+    expect(text).toContain('## Study Area\n\nTower plots at Harvard Forest.');
+    expect(text).toContain('- **HARV**: Harvard Forest (D01, MA) at 42.5369, -72.17266');
+    expect(text).toContain('- **DP1.10033.001**: Litterfall and fine woody debris production and chemistry');
+    expect(text).toContain('(DOI: 10.1002/ecy.0000)');
+    expect(text).toContain('## Files (2, ');
+    expect((structuredContent!.dataset as any).uuid).toBe(LITTER);
+  });
+
+  it('lists files with their download URLs', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_list_prototype_files', { uuid: LITTER, filePattern: '\\.csv$' });
+
+    expect(text).toContain('# Files of Litterfall Biomass Pilot (1 files, ');
+    expect(text).toContain('- **litter_biomass.csv** (data)');
+    expect(text).toContain('## Other Data Locations\n\n- https://example.org/litter/raw: Raw trap scans');
+    expect((structuredContent!.files as any[])[0].downloadUrl)
+      .toMatch(new RegExp(`/api/v0/prototype/data/${LITTER}/litter_biomass\\.csv$`));
+  });
+
+  it('rejects an unknown dataset', async () => {
+    const { text, isError } = await harness.callTool('neon_get_prototype_dataset', { uuid: 'missing' });
+
+    expect(isError).toBe(true);
+    expect(text).toContain('No fixture for /api/v0/prototype/datasets/missing');
+  });
+
+  describe('downloads', () => {
+    let directory: string;
+
+    beforeEach(async () => {
+      directory = await realpath(await mkdtemp(path.join(tmpdir(), 'neon-prototype-')));
+      // Downloads are only allowed below the configured root
+      await harness.close();
+      harness = await startHarness({ NEON_DOWNLOAD_ROOT: directory });
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('downloads and verifies the selected files through the API', async () => {
+      const csv = 'plotID,biomassGrams\nHARV_001,12.5\nHARV_002,9.75\n';
+      harness.api.reply(`/api/v0/prototype/data/${LITTER}/litter_biomass.csv`, { body: csv });
+
+      const { text, structuredContent } = await harness.callTool('neon_download_prototype_files', {
+        uuid: LITTER,
+        outputDir: directory,
+        filePattern: 'biomass'
+      });
+
+      expect(text).toContain('- **Downloaded**: 1 files');
+      expect(await readFile(path.join(directory, LITTER, 'litter_biomass.csv'), 'utf8')).toBe(csv);
+      expect((structuredContent!.entries as any[])[0]).toMatchObject({
+        dataset: LITTER,
+        path: path.join(LITTER, 'litter_biomass.csv'),
+        status: 'downloaded',
+        checksumMethod: 'md5'
+      });
+
+      // A second run finds the verified copy and fetches nothing
+      const again = await harness.callTool('neon_download_prototype_files', { uuid: LITTER, outputDir: directory, filePattern: 'biomass' });
+      expect(again.text).toContain('- **Already present**: 1 files');
+      expect(harness.api.requestsFor(`/api/v0/prototype/data/${LITTER}/litter_biomass.csv`)).toHaveLength(1);
+    });
+
+    it('downloads the files the listing selects for the same pattern', async () => {
+      const csv = 'plotID,biomassGrams\nHARV_001,12.5\nHARV_002,9.75\n';
+      harness.api.reply(`/api/v0/prototype/data/${LITTER}/litter_biomass.csv`, { body: csv });
+
+      // Matched case-insensitively by both tools
+      const listed = await harness.callTool('neon_list_prototype_files', { uuid: LITTER, filePattern: 'BIOMASS\\.CSV$' });
+      const { structuredContent } = await harness.callTool('neon_download_prototype_files', {
+        uuid: LITTER,
+        outputDir: 'prototypes',
+        filePattern: 'BIOMASS\\.CSV$'
+      });
+
+      expect((listed.structuredContent!.files as any[]).map(file => file.fileName)).toEqual(['litter_biomass.csv']);
+      expect((structuredContent!.entries as any[]).map(entry => entry.name)).toEqual(['litter_biomass.csv']);
+      expect(structuredContent!.outputDir).toBe(path.join(directory, 'prototypes'));
+    });
+
+    // The dataset listing with the given files, none of them with a checksum
+    function listFiles(...fileNames: string[]): void {
+      harness.api.reply(`/api/v0/prototype/data/${LITTER}`, {
+        body: {
+          data: {
+            datasetUuid: LITTER,
+            datasetProjectTitle: 'Litterfall Biomass Pilot',
+            files: fileNames.map(fileName => ({ name: fileName, fileName, fileSize: '0', md5: '' })),
+            dataLocations: []
+          }
+        }
+      });
+    }
+
+    it('fetches files through the API client with the token and the concurrency limit', async () => {
+      await harness.close();
+      harness = await startHarness({ NEON_DOWNLOAD_ROOT: directory, NEON_API_TOKEN: 'secret', NEON_API_MAX_CONCURRENT: '1' });
+      listFiles('a.csv', 'b.csv', 'c.csv');
+      for (const name of ['a.csv', 'b.csv', 'c.csv']) {
+        harness.api.reply(`/api/v0/prototype/data/${LITTER}/${name}`, { body: name, delay: 30 });
+      }
+
+      const { structuredContent } = await harness.callTool('neon_download_prototype_files', { uuid: LITTER, outputDir: 'prototypes', concurrency: 3 });
+
+      expect(structuredContent!.downloaded).toBe(3);
+      expect(harness.api.requestsFor(`/api/v0/prototype/data/${LITTER}/b.csv`)[0].headers['x-api-token']).toBe('secret');
+      expect(harness.api.peakConcurrency).toBe(1);
+      expect((await harness.callTool('neon_get_rate_limit_status')).structuredContent!.requests).toBe(4);
+    });
+
+    it('refuses file names that would write outside the dataset directory', async () => {
+      listFiles('../escape.csv', '..', 'nested/file.csv', 'safe.csv');
+      harness.api.reply(`/api/v0/prototype/data/${LITTER}/safe.csv`, { body: 'safe' });
+
+      const { text, structuredContent } = await harness.callTool('neon_download_prototype_files', { uuid: LITTER, outputDir: 'prototypes' });
+
+      expect(structuredContent).toMatchObject({ downloaded: 1, failed: 3 });
+      expect(text).toContain('Refusing to download "../escape.csv": not a plain file name');
+      expect(await readFile(path.join(directory, 'prototypes', LITTER, 'safe.csv'), 'utf8')).toBe('safe');
+      await expect(readFile(path.join(directory, 'prototypes', 'escape.csv'))).rejects.toThrow();
+      expect(harness.api.requests.filter(request => request.path.startsWith(`/api/v0/prototype/data/${LITTER}/`))).toHaveLength(1);
+    });
+
+    it('rejects an invalid pattern and a directory outside the download root', async () => {
+      const badPattern = await harness.callTool('neon_download_prototype_files', { uuid: LITTER, outputDir: 'prototypes', filePattern: '(' });
+      expect(badPattern.isError).toBe(true);
+      expect(badPattern.text).toContain('**Validation Error**: filePattern: Invalid regular expression');
+
+      const outside = await harness.callTool('neon_download_prototype_files', { uuid: LITTER, outputDir: tmpdir() });
+      expect(outside.isError).toBe(true);
+      expect(outside.text).toContain(`**Validation Error**: outputDir: ${tmpdir()} is outside the download root ${directory}`);
+      expect(harness.api.requestsFor(`/api/v0/prototype/data/${LITTER}`)).toHaveLength(0);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,235 @@
+import { Harness, startHarness } from './helpers/harness.js';
+
+const RELEASE_2023 = {
+  release: 'RELEASE-2023',
+  uuid: '0a2b4c6d-8e0f-4a1b-9c3d-5e7f9a1b3c5d',
+  generationDate: '2023-01-27T00:00:00Z',
+  artifacts: [{ name: 'RELEASE-2023.zip', type: 'archive', url: 'https://example.org/RELEASE-2023.zip', size: 2048, md5: 'abc' }],
+  dataProducts: [{ productCode: 'DP1.10003.001', productDoi: 'https://doi.org/10.48443/s730-dy13' }]
+};
+
+const RELEASE_2024 = {
+  release: 'RELEASE-2024',
+  uuid: '1c3a1a5a-4e4b-4b7c-9a31-1d2e2f9c7a01',
+  generationDate: '2024-01-26T00:00:00Z',
+  artifacts: [],
+  dataProducts: [
+    { productCode: 'DP1.10003.001', productDoi: 'https://doi.org/10.48443/s730-dy13' },
+    { productCode: 'DP1.00001.001', productDoi: 'https://doi.org/10.48443/77n6-eq45' }
+  ]
+};
+
+// A product as the release routes return it, trimmed to what the comparison reads
+function product(productCode: string, productName: string, siteCodes: Record<string, string[]>) {
+  return {
+    productCode,
+    productName,
+    siteCodes: Object.entries(siteCodes).map(([siteCode, availableMonths]) => ({ siteCode, availableMonths }))
+  };
+}
+
+const BIRDS_2023 = product('DP1.10003.001', 'Breeding landbird point counts', {
+  HARV: ['2022-05', '2022-06'],
+  JORN: ['2022-04']
+});
+const BIRDS_2024 = product('DP1.10003.001', 'Breeding landbird point counts', {
+  HARV: ['2022-05', '2022-06', '2023-05', '2023-06'],
+  SRER: ['2023-04']
+});
+const WIND_2024 = product('DP1.00001.001', '2D wind speed and direction', { HARV: ['2024-01'] });
+
+describe('release tools', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  describe('neon_list_releases', () => {
+    beforeEach(() => {
+      harness.api.reply('/api/v0/releases', { body: { data: [RELEASE_2023, RELEASE_2024] } });
+    });
+
+    it('lists releases newest first with their product counts', async () => {
+      const { text, structuredContent } = await harness.callTool('neon_list_releases');
+
+      expect(text).toContain('# NEON Data Releases (2 releases)');
+      expect(text).toContain('- **RELEASE-2024**\n  - **Generation Date**: 2024-01-26T00:00:00Z\n  - **Products**: 2\n');
+      expect(text.indexOf('RELEASE-2024')).toBeLessThan(text.indexOf('RELEASE-2023'));
+      expect((structuredContent!.releases as any[]).map(release => release.uuid))
+        .toEqual([RELEASE_2024.uuid, RELEASE_2023.uuid]);
+    });
+
+    it('sorts and summarizes on request', async () => {
+      const { text, structuredContent } = await harness.callTool('neon_list_releases', {
+        sortBy: 'release',
+        order: 'asc',
+        verbosity: 'summary'
+      });
+
+      expect(text).toContain('- **RELEASE-2023** (2023-01-27T00:00:00Z)\n- **RELEASE-2024** (2024-01-26T00:00:00Z)\n');
+      expect(structuredContent!.releases).toEqual([
+        { release: 'RELEASE-2023', generationDate: '2023-01-27T00:00:00Z' },
+        { release: 'RELEASE-2024', generationDate: '2024-01-26T00:00:00Z' }
+      ]);
+    });
+  });
+
+  describe('neon_get_release', () => {
+    it('lists the DOI of every included product', async () => {
+      const { text, isError, structuredContent } = await harness.callTool('neon_get_release', { releaseTag: 'RELEASE-2024' });
+
+      expect(isError).toBe(false);
+      expect(text).toContain('# Release RELEASE-2024\n\n**RELEASE-2024** (1c3a1a5a-4e4b-4b7c-9a31-1d2e2f9c7a01)');
+      expect(text).toContain('**Generation Date**: 2024-01-26T00:00:00Z\n**Products**: 2');
+      // Sorted by product code
+      expect(text).toContain(
+        '## Included Products (2)\n\n' +
+        '- **DP1.00001.001**\n  - **DOI**: https://doi.org/10.48443/77n6-eq45\n' +
+        '- **DP1.10003.001**\n  - **DOI**: https://doi.org/10.48443/s730-dy13\n'
+      );
+      expect((structuredContent!.products as any[]).map(entry => entry.productCode)).toEqual(['DP1.00001.001', 'DP1.10003.001']);
+    });
+
+    it('filters products by keyword, even when the release lists no product names', async () => {
+      const { text, isError } = await harness.callTool('neon_get_release', { releaseTag: 'RELEASE-2024', keyword: '10003' });
+
+      expect(isError).toBe(false);
+      expect(text).toContain('## Included Products (1)');
+      expect(text).toContain('DP1.10003.001');
+      expect(text).not.toContain('DP1.00001.001');
+    });
+
+    it('shows product names and artifacts when the release has them', async () => {
+      harness.api.reply('/api/v0/releases/RELEASE-2023', {
+        body: {
+          data: {
+            ...RELEASE_2023,
+            dataProducts: [{ ...RELEASE_2023.dataProducts[0], productName: 'Breeding landbird point counts' }]
+          }
+        }
+      });
+
+      const { text } = await harness.callTool('neon_get_release', { releaseTag: 'RELEASE-2023', keyword: 'landbird' });
+
+      expect(text).toContain('**Artifacts**: RELEASE-2023.zip (');
+      expect(text).toContain('- **DP1.10003.001**: Breeding landbird point counts\n  - **DOI**: https://doi.org/10.48443/s730-dy13\n');
+    });
+
+    it('reports an unknown release', async () => {
+      const { text, isError } = await harness.callTool('neon_get_release', { releaseTag: 'RELEASE-1999' });
+
+      expect(isError).toBe(true);
+      expect(text).toContain('**Error**: NEON API Error: No fixture for /api/v0/releases/RELEASE-1999 (Status: 404)');
+    });
+
+    it('requires a release tag', async () => {
+      const { text, isError } = await harness.callTool('neon_get_release', { releaseTag: '' });
+
+      expect(isError).toBe(true);
+      expect(text).toContain('releaseTag: Release tag is required');
+    });
+  });
+
+  describe('neon_compare_releases', () => {
+    it('shows products and sites added or removed between releases', async () => {
+      harness.api.reply('/api/v0/releases/RELEASE-2023/products', { body: { data: [BIRDS_2023] } });
+      harness.api.reply('/api/v0/releases/RELEASE-2024/products', { body: { data: [BIRDS_2024, WIND_2024] } });
+
+      const { text, structuredContent } = await harness.callTool('neon_compare_releases', {
+        baseRelease: 'RELEASE-2023',
+        targetRelease: 'RELEASE-2024'
+      });
+
+      expect(text).toContain('# Release Comparison: RELEASE-2023 → RELEASE-2024');
+      expect(text).toContain('**Products**: 1 → 2\n**Sites**: 2 → 2');
+      expect(text).toContain('## Products Added (1)\n\n- **DP1.00001.001**: 2D wind speed and direction');
+      expect(text).toContain('## Products Removed (0)');
+      expect(text).toContain('## Sites Added (1)\n\nSRER');
+      expect(text).toContain('## Sites Removed (1)\n\nJORN');
+      expect(text).toContain('### DP1.10003.001: Breeding landbird point counts\n- **Site-months added**: 3\n- **Site-months removed**: 1');
+      expect(text).toContain('*Pass productCode to see month-level changes for each site.*');
+      expect(structuredContent).toMatchObject({
+        productsAdded: [{ productCode: 'DP1.00001.001', productName: '2D wind speed and direction' }],
+        sitesAdded: ['SRER'],
+        sitesRemoved: ['JORN']
+      });
+    });
+
+    it('shows month-level changes per site for one product', async () => {
+      harness.api.reply('/api/v0/releases/RELEASE-2023/products/DP1.10003.001', { body: { data: BIRDS_2023 } });
+      harness.api.reply('/api/v0/releases/RELEASE-2024/products/DP1.10003.001', { body: { data: BIRDS_2024 } });
+
+      const { text, structuredContent } = await harness.callTool('neon_compare_releases', {
+        baseRelease: 'RELEASE-2023',
+        targetRelease: 'RELEASE-2024',
+        productCode: 'DP1.10003.001'
+      });
+
+      expect(text).toContain('- **HARV** added: 2023-05 to 2023-06\n');
+      expect(text).toContain('- **JORN** removed: 2022-04\n');
+      expect(text).toContain('- **SRER** added: 2023-04\n');
+      expect((structuredContent!.changedProducts as any[])[0].sites).toEqual([
+        { siteCode: 'HARV', added: ['2023-05', '2023-06'], removed: [] },
+        { siteCode: 'JORN', added: [], removed: ['2022-04'] },
+        { siteCode: 'SRER', added: ['2023-04'], removed: [] }
+      ]);
+    });
+
+    it('treats a product missing from one release as added', async () => {
+      harness.api.reply('/api/v0/releases/RELEASE-2023/products/DP1.00001.001', {
+        status: 400,
+        body: { status: 400, detail: 'Product not found in release' }
+      });
+      harness.api.reply('/api/v0/releases/RELEASE-2024/products/DP1.00001.001', { body: { data: WIND_2024 } });
+
+      const { text, isError } = await harness.callTool('neon_compare_releases', {
+        baseRelease: 'RELEASE-2023',
+        targetRelease: 'RELEASE-2024',
+        productCode: 'DP1.00001.001'
+      });
+
+      expect(isError).toBe(false);
+      expect(text).toContain('**Products**: 0 → 1');
+      expect(text).toContain('## Products Added (1)');
+      expect(text).toContain('No month-level changes in products present in both releases.');
+    });
+
+    it.each([
+      [429, 'Too many requests', { 'Retry-After': '0' }],
+      [403, 'Invalid API token', {}]
+    ])('fails instead of reporting changes when one release answers %i', async (status, detail, headers) => {
+      await harness.close();
+      harness = await startHarness({ NEON_API_RETRY_ATTEMPTS: '1' });
+      const throttled = { status, headers, body: { status, detail } };
+      harness.api.reply('/api/v0/releases/RELEASE-2023/products/DP1.10003.001', throttled, throttled);
+      harness.api.reply('/api/v0/releases/RELEASE-2024/products/DP1.10003.001', { body: { data: BIRDS_2024 } });
+
+      const { text, isError, structuredContent } = await harness.callTool('neon_compare_releases', {
+        baseRelease: 'RELEASE-2023',
+        targetRelease: 'RELEASE-2024',
+        productCode: 'DP1.10003.001'
+      });
+
+      expect(isError).toBe(true);
+      expect(text).toContain(`NEON API Error: ${detail} (Status: ${status})`);
+      expect(text).not.toContain('Products Added');
+      expect(structuredContent).toBeUndefined();
+    });
+
+    it('rejects a malformed product code', async () => {
+      const { text, isError } = await harness.callTool('neon_compare_releases', {
+        baseRelease: 'RELEASE-2023',
+        targetRelease: 'RELEASE-2024',
+        productCode: 'birds'
+      });
+
+      expect(isError).toBe(true);
+      expect(text).toContain('**Validation Error**: productCode:');
+    });
+  });
+});
\ No newline at end of file
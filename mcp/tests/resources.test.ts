@@ -0,0 +1,89 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { Harness, startHarness } from './helpers/harness.js';
+import { FIXTURES_DIR } from './helpers/mockNeonApi.js';
+
+describe('resources', () => {
+  let harness: Harness;
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  describe('reading', () => {
+    beforeEach(async () => {
+      harness = await startHarness();
+    });
+
+    it('declares a template for each kind of entity', async () => {
+      const { resourceTemplates } = await harness.client.listResourceTemplates();
+
+      expect(resourceTemplates.map(template => template.uriTemplate)).toEqual([
+        'neon://product/{productCode}',
+        'neon://site/{siteCode}',
+        'neon://location/{locationName}',
+        'neon://release/{releaseTag}'
+      ]);
+    });
+
+    it('lists products, sites and releases', async () => {
+      const { resources, nextCursor } = await harness.client.listResources();
+
+      expect(resources.map(resource => resource.uri)).toEqual(expect.arrayContaining([
+        'neon://product/DP1.10003.001',
+        'neon://site/HARV',
+        'neon://site/SRER',
+        'neon://release/RELEASE-2024'
+      ]));
+      expect(resources.find(resource => resource.uri === 'neon://site/HARV')?.name)
+        .toBe('HARV: Harvard Forest & Quabbin Watershed NEON');
+      expect(nextCursor).toBeUndefined();
+    });
+
+    it('reads an entity as the API record in JSON', async () => {
+      const { contents } = await harness.client.readResource({ uri: 'neon://location/TOWER106864' });
+
+      expect(contents).toHaveLength(1);
+      expect(contents[0].mimeType).toBe('application/json');
+      expect(JSON.parse((contents[0] as { text: string }).text)).toMatchObject({ locationName: 'TOWER106864', siteCode: 'HARV' });
+    });
+
+    it('rejects URIs that do not name a NEON entity', async () => {
+      await expect(harness.client.readResource({ uri: 'neon://site/harvard' }))
+        .rejects.toThrow('Invalid site identifier "harvard"');
+      await expect(harness.client.readResource({ uri: 'neon://plot/HARV_001' }))
+        .rejects.toThrow('Unknown resource URI "neon://plot/HARV_001"');
+    });
+  });
+
+  describe('subscriptions', () => {
+    beforeEach(async () => {
+      // Poll quickly and expire cached locations at once, so changes show up straight away
+      harness = await startHarness({ NEON_MCP_RESOURCE_POLL_INTERVAL: '20', NEON_CACHE_TTL: '1' });
+    });
+
+    it('notifies subscribers when a resource changes', async () => {
+      const updated = new Promise<string>(resolve => {
+        harness.client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+          resolve(notification.params.uri);
+        });
+      });
+
+      const locationPath = '/api/v0/locations/TOWER106864';
+      await harness.client.subscribeResource({ uri: 'neon://location/TOWER106864' });
+
+      const fixture = JSON.parse(await readFile(path.join(FIXTURES_DIR, 'api/v0/locations/TOWER106864.json'), 'utf8'));
+      harness.api.reply(locationPath, {
+        body: { data: { ...fixture.data, locationDescription: 'Harvard Forest Tower (relocated)' } }
+      });
+
+      await expect(updated).resolves.toBe('neon://location/TOWER106864');
+    });
+
+    it('rejects subscriptions to resources that cannot be read', async () => {
+      await expect(harness.client.subscribeResource({ uri: 'neon://site/ZZZZ' }))
+        .rejects.toThrow('No fixture for /api/v0/sites/ZZZZ');
+    });
+  });
+});
\ No newline at end of file
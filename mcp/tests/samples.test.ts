@@ -0,0 +1,161 @@
+import { Harness, startHarness } from './helpers/harness.js';
+
+const SUBSAMPLE = {
+  sampleTag: 'HARV_001.E.20190715.ABCCAR',
+  sampleClass: 'bet_sorting_in.subsampleID'
+};
+const FIELD_SAMPLE_UUID = '0b1c2d3e-4f50-4a61-8b72-93a4b5c6d7e8';
+const PINNED_UUID = '2c3d4e5f-6a7b-4c8d-9e0f-a1b2c3d4e5f6';
+
+describe('sample tools', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('tracks a sample with its parent and child as a timeline', async () => {
+    const { text, isError, structuredContent } = await harness.callTool('neon_track_sample', SUBSAMPLE);
+
+    expect(isError).toBe(false);
+    expect(text).toContain('# Sample Hierarchy (3 samples, 1 degrees)');
+    expect(text).toContain('## Requested Sample\n\n- **HARV_001.E.20190715.ABCCAR** (bet_sorting_in.subsampleID)\n  - **UUID**: ');
+    expect(text).toContain('  - **Barcode**: A00000012345');
+    expect(text).toContain('- **HARV_001.E.20190715** (bet_fielddata_in.sampleID) - parent of HARV_001.E.20190715.ABCCAR');
+    expect(text).toContain('- **HARV_001.E.20190715.ABCCAR.01** (bet_IDandpinning_in.individualID) - child of HARV_001.E.20190715.ABCCAR');
+
+    // Events from every sample in date order, undated ones last
+    expect(text).toContain('# Custody Timeline (4 events)');
+    expect(text).toContain('1. **2019-07-15** - bet_fielddata_in\n   Sample: HARV_001.E.20190715 (bet_fielddata_in.sampleID)\n   plot_id: HARV_001');
+    expect(text).toContain('2. **2019-07-22** - bet_sorting_in\n');
+    expect(text).toContain('   laboratory_name: Harvard Forest Field Lab');
+    expect(text).toContain('3. **2019-08-30** - bet_IDandpinning_in\n');
+    expect(text).toContain('4. **Undated** - bet_archivepooling_in');
+
+    expect((structuredContent!.nodes as any[]).map(node => [node.relation, node.degree])).toEqual([
+      ['root', 0],
+      ['parent', 1],
+      ['child', 1]
+    ]);
+    expect(harness.api.requestsFor('/api/v0/samples/view').map(request => request.params)).toEqual([
+      SUBSAMPLE,
+      { sampleUuid: FIELD_SAMPLE_UUID },
+      { sampleUuid: PINNED_UUID }
+    ]);
+  });
+
+  it('stops at the requested sample at degree 0', async () => {
+    const { text } = await harness.callTool('neon_track_sample', { ...SUBSAMPLE, degree: 0 });
+
+    expect(text).toContain('# Sample Hierarchy (1 samples, 0 degrees)');
+    expect(harness.api.requestsFor('/api/v0/samples/view')).toHaveLength(1);
+  });
+
+  it('skips related samples that can no longer be resolved', async () => {
+    const missing = { sampleUuid: '3d4e5f6a-7b8c-4d9e-8f0a-b1c2d3e4f5a6', sampleTag: 'GONE', sampleClass: 'bet_fielddata_in.sampleID' };
+    harness.api.reply('/api/v0/samples/view', {
+      body: {
+        data: {
+          sampleViews: [{
+            sampleUuid: PINNED_UUID,
+            sampleTag: 'HARV_001.E.20190715.ABCCAR.01',
+            sampleClass: 'bet_IDandpinning_in.individualID',
+            sampleEvents: [],
+            parentSampleIdentifiers: [missing],
+            childSampleIdentifiers: []
+          }]
+        }
+      }
+    });
+
+    const { text, isError } = await harness.callTool('neon_track_sample', { sampleUuid: PINNED_UUID });
+
+    expect(isError).toBe(false);
+    expect(text).toContain('# Sample Hierarchy (1 samples, 0 degrees)');
+    expect(harness.api.requestsFor('/api/v0/samples/view')[1].params).toEqual({ sampleUuid: missing.sampleUuid });
+  });
+
+  it('says when no sample matches', async () => {
+    harness.api.reply('/api/v0/samples/view', { body: { data: { sampleViews: [] } } });
+
+    const { text, structuredContent } = await harness.callTool('neon_track_sample', { barcode: 'A00000099999' });
+
+    expect(text).toBe('No sample found for the given identifier.');
+    expect(structuredContent!.nodes).toEqual([]);
+  });
+
+  it('requires a sample class with a sample tag', async () => {
+    const { text, isError } = await harness.callTool('neon_track_sample', { sampleTag: SUBSAMPLE.sampleTag });
+
+    expect(isError).toBe(true);
+    expect(text).toContain('**Validation Error**');
+    expect(text).toContain('Must provide either (sampleTag AND sampleClass) OR one of: barcode, sampleUuid, archiveGuid');
+    expect(harness.api.requestsFor('/api/v0/samples/view')).toHaveLength(0);
+  });
+
+  it('rejects a malformed sample UUID and an out-of-range degree', async () => {
+    const badUuid = await harness.callTool('neon_track_sample', { sampleUuid: 'not-a-uuid' });
+    expect(badUuid.isError).toBe(true);
+    expect(badUuid.text).toContain('sampleUuid: Invalid uuid');
+
+    const badDegree = await harness.callTool('neon_track_sample', { ...SUBSAMPLE, degree: 6 });
+    expect(badDegree.isError).toBe(true);
+    expect(badDegree.text).toContain('degree:');
+  });
+
+  it('reports API errors while tracking', async () => {
+    harness.api.reply('/api/v0/samples/view', { status: 400, body: { status: 400, detail: 'Sample class not recognized' } });
+
+    const { text, isError } = await harness.callTool('neon_track_sample', { ...SUBSAMPLE, sampleClass: 'unknown' });
+
+    expect(isError).toBe(true);
+    expect(text).toContain('**Error**: NEON API Error: Sample class not recognized (Status: 400)');
+  });
+
+  it('lists the classes of a sample tag', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_get_sample_classes', { sampleTag: SUBSAMPLE.sampleTag });
+
+    expect(text).toContain('# Sample Classes for HARV_001.E.20190715.ABCCAR (2 classes)');
+    expect(text).toContain('- bet_sorting_in.subsampleID\n- bet_parataxonomistID_in.subsampleID\n');
+    expect(text).toContain('Use neon_track_sample with this sampleTag');
+    expect(structuredContent!.sampleClasses).toHaveLength(2);
+  });
+
+  it('says when a sample tag has no classes', async () => {
+    harness.api.reply('/api/v0/samples/classes', { body: { data: { sampleClasses: [] } } });
+
+    const { text } = await harness.callTool('neon_get_sample_classes', { sampleTag: 'UNKNOWN' });
+
+    expect(text).toContain('(0 classes)');
+    expect(text).toContain('No sample classes found for this sample tag.');
+  });
+
+  it('requires a sample tag when listing its classes', async () => {
+    const { text, isError } = await harness.callTool('neon_get_sample_classes', { sampleTag: '' });
+
+    expect(isError).toBe(true);
+    expect(text).toContain('sampleTag: Sample tag is required');
+  });
+
+  it('lists and searches the supported sample classes', async () => {
+    const all = await harness.callTool('neon_list_sample_classes');
+    expect(all.text).toContain('# Supported Sample Classes (3 classes)');
+    expect(all.text).toContain('- **bet_fielddata_in.sampleID**: Ground beetle pitfall trap sample');
+
+    const { text, structuredContent } = await harness.callTool('neon_list_sample_classes', { searchTerm: 'SOIL' });
+    expect(text).toContain('# Supported Sample Classes (1 classes)');
+    expect(text).toContain('- **sls_soilCoreCollection_in.sampleID**: Soil core collected for physical and chemical analysis');
+    expect(structuredContent!.total).toBe(1);
+
+    const summary = await harness.callTool('neon_list_sample_classes', { searchTerm: 'beetle', verbosity: 'summary' });
+    expect(summary.text).toContain('bet_fielddata_in.sampleID, bet_sorting_in.subsampleID');
+    expect(summary.structuredContent!.sampleClasses).toEqual([
+      { key: 'bet_fielddata_in.sampleID' },
+      { key: 'bet_sorting_in.subsampleID' }
+    ]);
+  });
+});
\ No newline at end of file
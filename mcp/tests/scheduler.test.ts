@@ -0,0 +1,155 @@
+import { Response } from 'node-fetch';
+import { RateLimitScheduler } from '../src/api/scheduler.js';
+import { Harness, startHarness } from './helpers/harness.js';
+
+const PRODUCT_PATH = '/api/v0/products/DP1.10003.001';
+
+function respond(status: number, headers: Record<string, string> = {}): Response {
+  return new Response('{}', { status, headers });
+}
+
+describe('RateLimitScheduler', () => {
+  // Run one request per response in order, recording when each was sent
+  async function runAll(scheduler: RateLimitScheduler, responses: Response[]): Promise<{ sentAt: number[]; statuses: number[] }> {
+    const started = Date.now();
+    const sentAt: number[] = [];
+    const statuses = await Promise.all(responses.map(async response => {
+      const result = await scheduler.run(async () => {
+        sentAt.push(Date.now() - started);
+        return response;
+      });
+      return result.status;
+    }));
+    return { sentAt, statuses };
+  }
+
+  it('keeps no more than maxConcurrent requests in flight', async () => {
+    const scheduler = new RateLimitScheduler({ maxConcurrent: 2, maxRetries: 0 });
+    let inFlight = 0;
+    let peak = 0;
+
+    await Promise.all(Array.from({ length: 5 }, () => scheduler.run(async () => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      inFlight--;
+      return respond(200);
+    })));
+
+    expect(peak).toBe(2);
+    expect(scheduler.getStatus()).toMatchObject({ requests: 5, inFlight: 0, queued: 0, limit: null, updatedAt: null });
+  });
+
+  it('paces requests at the recovery rate once X-RateLimit-Remaining runs out', async () => {
+    const scheduler = new RateLimitScheduler({ maxConcurrent: 1, maxRetries: 0 });
+    // 10 requests refill over 1 second: one every 100ms
+    const exhausted = { 'X-RateLimit-Limit': '10', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '1' };
+
+    const { sentAt } = await runAll(scheduler, [respond(200, exhausted), respond(200, exhausted), respond(200, exhausted)]);
+
+    expect(sentAt[0]).toBeLessThan(50);
+    expect(sentAt[1] - sentAt[0]).toBeGreaterThanOrEqual(90);
+    expect(sentAt[2] - sentAt[1]).toBeGreaterThanOrEqual(90);
+    expect(scheduler.getStatus()).toMatchObject({ limit: 10, remaining: 0, resetSeconds: 1, throttled: 0 });
+    expect(scheduler.getStatus().waitedMs).toBeGreaterThanOrEqual(180);
+  });
+
+  it('sends without waiting while the burst lasts', async () => {
+    const scheduler = new RateLimitScheduler({ maxConcurrent: 1, maxRetries: 0 });
+    const headers = (remaining: number) => ({ 'X-RateLimit-Limit': '10', 'X-RateLimit-Remaining': String(remaining), 'X-RateLimit-Reset': '1' });
+
+    const { sentAt } = await runAll(scheduler, [respond(200, headers(9)), respond(200, headers(8)), respond(200, headers(7))]);
+
+    expect(sentAt[2]).toBeLessThan(50);
+    expect(scheduler.getStatus().remaining).toBe(7);
+  });
+
+  it('pauses the queue for Retry-After seconds after a 429 and retries', async () => {
+    const scheduler = new RateLimitScheduler({ maxConcurrent: 2, maxRetries: 1 });
+    const started = Date.now();
+    const sentAt: number[] = [];
+    const responses = [respond(429, { 'Retry-After': '1', 'X-RateLimit-Remaining': '0' }), respond(200)];
+
+    const throttled = scheduler.run(async () => {
+      sentAt.push(Date.now() - started);
+      return responses.shift()!;
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(scheduler.getStatus().blockedForMs).toBeGreaterThan(900);
+
+    // Queued behind the pause too, not just the request that was throttled
+    const other = scheduler.run(async () => {
+      sentAt.push(Date.now() - started);
+      return respond(200);
+    });
+
+    expect((await throttled).status).toBe(200);
+    expect((await other).status).toBe(200);
+    expect(sentAt[0]).toBeLessThan(50);
+    expect(Math.min(sentAt[1], sentAt[2])).toBeGreaterThanOrEqual(950);
+    expect(scheduler.getStatus()).toMatchObject({ throttled: 1, requests: 3, blockedForMs: 0 });
+  });
+
+  it('honours the RetryAfter spelling and gives up after maxRetries', async () => {
+    const scheduler = new RateLimitScheduler({ maxConcurrent: 1, maxRetries: 1 });
+    let attempts = 0;
+    const started = Date.now();
+
+    const response = await scheduler.run(async () => {
+      attempts++;
+      return respond(429, { RetryAfter: '0' });
+    });
+
+    expect(response.status).toBe(429);
+    expect(attempts).toBe(2);
+    expect(Date.now() - started).toBeLessThan(500);
+    expect(scheduler.getStatus().throttled).toBe(2);
+  });
+});
+
+describe('neon_get_rate_limit_status', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('says the quota is unknown before any API response', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_get_rate_limit_status');
+
+    expect(text).toContain('No rate limit headers received yet; quota is unknown until the first API response.');
+    expect(text).toContain('- **Requests Sent**: 0\n');
+    expect(structuredContent).toMatchObject({ limit: null, remaining: null, updatedAt: null, requests: 0 });
+  });
+
+  it('reports the quota from the last response and the scheduler counters', async () => {
+    harness.api.reply(PRODUCT_PATH, {
+      headers: { 'X-RateLimit-Limit': '200', 'X-RateLimit-Remaining': '150', 'X-RateLimit-Reset': '60' }
+    });
+    await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+
+    const { text, structuredContent } = await harness.callTool('neon_get_rate_limit_status');
+
+    expect(text).toContain('**Remaining**: 150 of 200 requests\n**Full Reset In**: 60 seconds\n**Last Updated**: ');
+    expect(text).not.toContain('**Paused**');
+    expect(text).toContain('- **In Flight**: 0\n- **Queued**: 0\n- **Requests Sent**: 1\n- **Rate Limited (429) Responses**: 0\n');
+    expect(text).toMatch(/- \*\*Total Time Queued\*\*: \d+\.\d seconds/);
+    expect(structuredContent).toMatchObject({ limit: 200, remaining: 150, resetSeconds: 60, requests: 1, throttled: 0 });
+  });
+
+  it('shows the pause after the API asks to retry later', async () => {
+    harness.api.reply(PRODUCT_PATH, {
+      headers: { 'Retry-After': '30', 'X-RateLimit-Limit': '200', 'X-RateLimit-Remaining': '5' }
+    });
+    await harness.callTool('neon_get_product', { productCode: 'DP1.10003.001' });
+
+    const { text, structuredContent } = await harness.callTool('neon_get_rate_limit_status');
+
+    expect(text).toContain('**Remaining**: 5 of 200 requests\n');
+    expect(text).toMatch(/\*\*Paused\*\*: (29|30) seconds \(rate limit exceeded\)/);
+    expect(structuredContent!.blockedForMs).toBeGreaterThan(29000);
+  });
+});
\ No newline at end of file
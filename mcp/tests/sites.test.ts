@@ -0,0 +1,127 @@
+import { Harness, startHarness } from './helpers/harness.js';
+
+describe('site tools', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('lists sites grouped by domain', async () => {
+    const { text } = await harness.callTool('neon_list_sites');
+
+    expect(text).toContain('# NEON Field Sites (2 sites)');
+    expect(text.indexOf('## D01: Northeast')).toBeLessThan(text.indexOf('## D14: Desert Southwest'));
+    expect(text).toContain('- **HARV**: Harvard Forest & Quabbin Watershed NEON');
+  });
+
+  it('filters sites by state and domain', async () => {
+    const byState = await harness.callTool('neon_list_sites', { state: 'AZ' });
+    expect(byState.text).toContain('(1 sites)');
+    expect(byState.text).toContain('**SRER**');
+
+    const byDomain = await harness.callTool('neon_list_sites', { domain: 'D05' });
+    expect(byDomain.text).toContain('(0 sites)');
+  });
+
+  it('gets a site with its products', async () => {
+    const { text } = await harness.callTool('neon_get_site', { siteCode: 'HARV' });
+
+    expect(text).toContain('**Location**: Massachusetts (MA)');
+    expect(text).toContain('**Coordinates**: 42.536900, -72.172660');
+    expect(text).toContain('- **DP1.10003.001**: 3 months available');
+  });
+
+  it('finds sites near a point, nearest first', async () => {
+    const { text } = await harness.callTool('neon_search_sites', { latitude: 42.5, longitude: -72.2, radius: 50 });
+
+    expect(text).toContain('(1 matches)');
+    expect(text).toContain('**HARV**');
+    expect(text).toMatch(/\*\*Distance\*\*: \d+\.\d{2} km/);
+  });
+
+  it('searches sites within a bounding box or polygon', async () => {
+    const boxed = await harness.callTool('neon_search_sites', { bbox: [-80, 40, -70, 45] });
+    expect(boxed.text).toContain('(1 matches)');
+    expect(boxed.text).toContain('**HARV**');
+
+    // Southern Arizona as WKT, and New England as a GeoJSON Feature
+    const wkt = await harness.callTool('neon_search_sites', { polygon: 'POLYGON ((-112 31, -109 31, -109 33, -112 33, -112 31))' });
+    expect(wkt.text).toContain('**SRER**');
+    expect(wkt.text).not.toContain('**HARV**');
+
+    const feature = {
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'Polygon', coordinates: [[[-74, 41], [-69, 41], [-69, 45], [-74, 45], [-74, 41]]] }
+    };
+    const geojson = await harness.callTool('neon_search_sites', { polygon: JSON.stringify(feature) });
+    expect(geojson.structuredContent!.sites).toEqual([expect.objectContaining({ siteCode: 'HARV' })]);
+  });
+
+  it('finds the K nearest sites and exports them as GeoJSON', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_search_sites', {
+      latitude: 40,
+      longitude: -100,
+      nearest: 1,
+      geojson: true
+    });
+
+    expect(text).toContain('(1 matches)');
+    expect(text).toContain('## GeoJSON');
+    expect(structuredContent!.geojson).toEqual({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [-110.83549, 31.91068] },
+        properties: expect.objectContaining({ siteCode: 'SRER', distanceKm: expect.any(Number) })
+      }]
+    });
+  });
+
+  it('rejects malformed areas and half-given points', async () => {
+    const point = await harness.callTool('neon_search_sites', { polygon: '{"type": "Point", "coordinates": [-72, 42]}' });
+    expect(point.isError).toBe(true);
+    expect(point.text).toContain('polygon: GeoJSON Point is not an area');
+
+    const latitude = await harness.callTool('neon_search_sites', { latitude: 42.5, radius: 50 });
+    expect(latitude.isError).toBe(true);
+    expect(latitude.text).toContain('**Validation Error**: latitude: requires longitude');
+
+    const longitude = await harness.callTool('neon_search_locations', { longitude: -72.2 });
+    expect(longitude.isError).toBe(true);
+    expect(longitude.text).toContain('**Validation Error**: longitude: requires latitude');
+
+    const nearest = await harness.callTool('neon_search_sites', { nearest: 3 });
+    expect(nearest.text).toContain('nearest: requires latitude and longitude');
+
+    const box = await harness.callTool('neon_search_sites', { bbox: [-80, 45, -70, 40] });
+    expect(box.text).toContain('bbox: south must not be greater than north');
+  });
+
+  it('searches sites by name', async () => {
+    const { text } = await harness.callTool('neon_search_sites', { name: 'santa rita' });
+
+    expect(text).toContain('(1 matches)');
+    expect(text).toContain('**SRER**');
+  });
+
+  it('groups site products by data level', async () => {
+    const { text } = await harness.callTool('neon_get_site_products', { siteCode: 'HARV' });
+
+    expect(text).toContain('# Data Products at Harvard Forest & Quabbin Watershed NEON (HARV)');
+    expect(text).toContain('## DP1 Products (2)');
+    expect(text).toContain('**Date Range**: 2024-01 to 2024-02');
+  });
+
+  it('rejects site codes that are not four capital letters', async () => {
+    const { text } = await harness.callTool('neon_get_site', { siteCode: 'harvard' });
+
+    expect(text).toContain('**Validation Error**');
+    expect(text).toContain('Site code must be 4 characters');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,210 @@
+import { mkdir, mkdtemp, readFile, realpath, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Harness, startHarness } from './helpers/harness.js';
+
+const birdQuery = {
+  productCode: 'DP1.10003.001',
+  siteCode: 'HARV',
+  startDateMonth: '2024-05',
+  endDateMonth: '2024-06'
+};
+
+const countFile = (month: string, timestamp: string) =>
+  `NEON.D01.HARV.DP1.10003.001.brd_countdata.${month}.basic.${timestamp}.csv`;
+const MAY = countFile('2024-05', '20240126T000000Z');
+const MAY_PROVISIONAL = countFile('2024-05', '20240701T000000Z');
+const JUNE = countFile('2024-06', '20240701T000000Z');
+const OLD_VARIABLES = 'NEON.D01.HARV.DP1.10003.001.variables.20240126T000000Z.csv';
+const NEW_VARIABLES = 'NEON.D01.HARV.DP1.10003.001.variables.20240701T000000Z.csv';
+const SOIL_TEMPERATURE = 'NEON.D01.HARV.DP1.00041.001.001.501.030.ST_30_minute.2024-05.basic.20240701T000000Z.csv';
+
+describe('neon_stack_data', () => {
+  let harness: Harness;
+  let root: string;
+
+  beforeEach(async () => {
+    root = await realpath(await mkdtemp(path.join(tmpdir(), 'neon-stack-')));
+    harness = await startHarness({ NEON_DOWNLOAD_ROOT: root });
+  });
+
+  afterEach(async () => {
+    await harness.close();
+    await rm(root, { recursive: true, force: true });
+  });
+
+  // Answer the data query with these files, each served by the mock API under /files/<name>
+  function serveQuery(months: { month: string; release: string; files: Record<string, string> }[]): void {
+    months.forEach(({ files }) => {
+      Object.entries(files).forEach(([name, content]) => harness.api.reply(`/files/${name}`, { body: content }));
+    });
+    harness.api.reply('/api/v0/data/query', {
+      body: {
+        data: {
+          siteCodes: [{
+            siteCode: 'HARV',
+            availableMonths: months.map(({ month, release, files }) => ({
+              month,
+              availableDataUrls: [{
+                release,
+                packages: [{
+                  package: 'basic',
+                  files: Object.keys(files).map(name => ({
+                    name,
+                    size: files[name].length,
+                    md5: '',
+                    crc32c: '',
+                    url: `${harness.api.baseUrl}/files/${name}`
+                  }))
+                }]
+              }]
+            }))
+          }]
+        }
+      }
+    });
+  }
+
+  it('unifies the header across files with different columns', async () => {
+    serveQuery([
+      { month: '2024-05', release: 'RELEASE-2024', files: { [MAY]: 'plotID,count\nHARV_001,3\n' } },
+      { month: '2024-06', release: 'PROVISIONAL', files: { [JUNE]: 'plotID,remarks,count\nHARV_002,windy,5\n' } }
+    ]);
+
+    const { text, structuredContent } = await harness.callTool('neon_stack_data', { ...birdQuery, outputDir: 'stacked' });
+
+    expect(text).toContain('- **brd_countdata**: 2 rows from 2 files');
+    expect(text).toContain(`  - ${path.join(root, 'stacked', 'brd_countdata.csv')}`);
+    expect(await readFile(path.join(root, 'stacked', 'brd_countdata.csv'), 'utf8')).toBe(
+      'siteCode,month,release,plotID,count,remarks\n' +
+      'HARV,2024-05,RELEASE-2024,HARV_001,3,\n' +
+      'HARV,2024-06,PROVISIONAL,HARV_002,5,windy\n'
+    );
+    expect((structuredContent!.tables as any[])[0]).toMatchObject({
+      table: 'brd_countdata',
+      columns: ['siteCode', 'month', 'release', 'plotID', 'count', 'remarks'],
+      rows: 2,
+      sourceFiles: 2
+    });
+  });
+
+  it('keeps rows published in several releases once, preferring the citable release', async () => {
+    serveQuery([
+      { month: '2024-05', release: 'PROVISIONAL', files: { [MAY_PROVISIONAL]: 'plotID,count\nHARV_001,3\nHARV_003,1\n' } },
+      { month: '2024-05', release: 'RELEASE-2024', files: { [MAY]: 'plotID,count\nHARV_001,3\n' } }
+    ]);
+
+    const { text, structuredContent } = await harness.callTool('neon_stack_data', { ...birdQuery, outputDir: 'stacked' });
+
+    expect(text).toContain('- **brd_countdata**: 2 rows from 2 files (1 duplicate rows dropped)');
+    expect(await readFile(path.join(root, 'stacked', 'brd_countdata.csv'), 'utf8')).toBe(
+      'siteCode,month,release,plotID,count\n' +
+      'HARV,2024-05,RELEASE-2024,HARV_001,3\n' +
+      'HARV,2024-05,PROVISIONAL,HARV_003,1\n'
+    );
+    expect((structuredContent!.tables as any[])[0].duplicatesDropped).toBe(1);
+  });
+
+  it('reads and writes quoted fields with commas, quotes and line breaks', async () => {
+    const remarks = 'Heard "chip" call, then\nflushed';
+    serveQuery([{
+      month: '2024-05',
+      release: 'RELEASE-2024',
+      // With a byte order mark and CRLF line endings, as some NEON files have
+      files: { [MAY]: '\uFEFFplotID,remarks\r\nHARV_001,"Heard ""chip"" call, then\nflushed"\r\n' }
+    }]);
+
+    await harness.callTool('neon_stack_data', { ...birdQuery, outputDir: 'stacked' });
+
+    expect(await readFile(path.join(root, 'stacked', 'brd_countdata.csv'), 'utf8')).toBe(
+      'siteCode,month,release,plotID,remarks\n' +
+      `HARV,2024-05,RELEASE-2024,HARV_001,"${remarks.replace(/"/g, '""')}"\n`
+    );
+  });
+
+  it('writes NDJSON with empty values as null', async () => {
+    serveQuery([
+      { month: '2024-05', release: 'RELEASE-2024', files: { [MAY]: 'plotID,count,remarks\nHARV_001,3,"a, b"\n' } },
+      { month: '2024-06', release: 'PROVISIONAL', files: { [JUNE]: 'plotID,count\nHARV_002,5\n' } }
+    ]);
+
+    const { text } = await harness.callTool('neon_stack_data', { ...birdQuery, outputDir: 'stacked', format: 'ndjson' });
+
+    expect(text).toContain('**Format**: ndjson');
+    const lines = (await readFile(path.join(root, 'stacked', 'brd_countdata.ndjson'), 'utf8')).trim().split('\n');
+    expect(lines.map(line => JSON.parse(line))).toEqual([
+      { siteCode: 'HARV', month: '2024-05', release: 'RELEASE-2024', plotID: 'HARV_001', count: '3', remarks: 'a, b' },
+      { siteCode: 'HARV', month: '2024-06', release: 'PROVISIONAL', plotID: 'HARV_002', count: '5', remarks: null }
+    ]);
+  });
+
+  it('adds sensor positions from the file name', async () => {
+    serveQuery([{
+      month: '2024-05',
+      release: 'PROVISIONAL',
+      files: { [SOIL_TEMPERATURE]: 'startDateTime,soilTempMean\n2024-05-01T00:00:00Z,8.1\n' }
+    }]);
+
+    await harness.callTool('neon_stack_data', { ...birdQuery, productCode: 'DP1.00041.001', outputDir: 'stacked' });
+
+    expect(await readFile(path.join(root, 'stacked', 'ST_30_minute.csv'), 'utf8')).toBe(
+      'siteCode,month,release,horizontalPosition,verticalPosition,startDateTime,soilTempMean\n' +
+      'HARV,2024-05,PROVISIONAL,001,501,2024-05-01T00:00:00Z,8.1\n'
+    );
+  });
+
+  it('copies only the newest variables file and stacks only the requested tables', async () => {
+    serveQuery([
+      { month: '2024-05', release: 'RELEASE-2024', files: { [MAY]: 'plotID\nHARV_001\n', [OLD_VARIABLES]: 'fieldName\nold\n' } },
+      { month: '2024-06', release: 'PROVISIONAL', files: { [JUNE]: 'plotID\nHARV_002\n', [NEW_VARIABLES]: 'fieldName\nnew\n' } }
+    ]);
+
+    const { structuredContent } = await harness.callTool('neon_stack_data', {
+      ...birdQuery,
+      outputDir: 'stacked',
+      tables: ['brd_perpoint']
+    });
+
+    expect(structuredContent!.tables).toEqual([]);
+    expect(structuredContent!.metadataFiles).toEqual([path.join(root, 'stacked', 'variables_DP1.10003.001.csv')]);
+    expect(await readFile(path.join(root, 'stacked', 'variables_DP1.10003.001.csv'), 'utf8')).toBe('fieldName\nnew\n');
+    expect(harness.api.requestsFor(`/files/${OLD_VARIABLES}`)).toHaveLength(0);
+  });
+
+  it('reads files from sourceDir instead of downloading them', async () => {
+    serveQuery([{ month: '2024-05', release: 'RELEASE-2024', files: { [MAY]: 'plotID,count\nHARV_001,3\n' } }]);
+    const local = path.join(root, 'downloads', 'RELEASE-2024', 'HARV', '2024-05');
+    await mkdir(local, { recursive: true });
+    await writeFile(path.join(local, MAY), 'plotID,count\nHARV_009,7\n');
+
+    await harness.callTool('neon_stack_data', { ...birdQuery, outputDir: 'stacked', sourceDir: 'downloads' });
+
+    expect(await readFile(path.join(root, 'stacked', 'brd_countdata.csv'), 'utf8')).toContain('HARV_009,7');
+    expect(harness.api.requestsFor(`/files/${MAY}`)).toHaveLength(0);
+  });
+
+  it('stacks the remaining files when one cannot be fetched', async () => {
+    harness.api.reply(`/files/${JUNE}`, { status: 403, body: 'Expired' });
+    serveQuery([
+      { month: '2024-05', release: 'RELEASE-2024', files: { [MAY]: 'plotID\nHARV_001\n' } },
+      { month: '2024-06', release: 'PROVISIONAL', files: { [JUNE]: 'plotID\nHARV_002\n' } }
+    ]);
+
+    const { text, structuredContent } = await harness.callTool('neon_stack_data', { ...birdQuery, outputDir: 'stacked' });
+
+    expect(text).toContain('- **brd_countdata**: 1 rows from 1 files');
+    expect(text).toContain('## Failed Files (1)');
+    expect(structuredContent!.failedFiles).toEqual([{ name: JUNE, error: `Failed to fetch ${JUNE} (Status: 403)` }]);
+  });
+
+  it('rejects directories outside the download root', async () => {
+    const output = await harness.callTool('neon_stack_data', { ...birdQuery, outputDir: '../stacked' });
+    expect(output.isError).toBe(true);
+    expect(output.text).toContain('**Validation Error**: outputDir: ../stacked is outside the download root');
+
+    const source = await harness.callTool('neon_stack_data', { ...birdQuery, outputDir: 'stacked', sourceDir: tmpdir() });
+    expect(source.isError).toBe(true);
+    expect(source.text).toContain(`**Validation Error**: sourceDir: ${tmpdir()} is outside the download root`);
+    expect(harness.api.requestsFor('/api/v0/data/query')).toHaveLength(0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,245 @@
+import { NeonApiClient } from '../src/api/client.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+import { Harness, startHarness } from './helpers/harness.js';
+import { MockNeonApi } from './helpers/mockNeonApi.js';
+
+const LISTING_PATH = '/api/v0/data/DP1.10003.001/HARV/2024-05';
+const COUNTS = 'NEON.D01.HARV.DP1.10003.001.brd_countdata.2024-05.basic.20240126T000000Z.csv';
+const PER_POINT = 'NEON.D01.HARV.DP1.10003.001.brd_perpoint.2024-05.basic.20240126T000000Z.csv';
+const OLD_VARIABLES = 'NEON.D01.HARV.DP1.10003.001.variables.20230101T000000Z.csv';
+const VARIABLES = 'NEON.D01.HARV.DP1.10003.001.variables.20240126T000000Z.csv';
+const soilFile = (position: string) =>
+  `NEON.D01.HARV.DP1.00041.001.${position}.030.ST_30_minute.2024-05.basic.20240701T000000Z.csv`;
+
+const VARIABLES_CSV = [
+  'table,fieldName,description,dataType,units,downloadPkg,pubFormat,primaryKey,categoricalCodeName',
+  'brd_countdata,plotID,"Plot identifier (NEON site code_XXX)",string,NA,basic,asIs,Y,',
+  'brd_countdata,clusterSize,Number of individuals in a cluster,unsigned integer,number,basic,integer,N,',
+  'brd_countdata,observerDistance,Radial distance between the observer and the individual(s) being observed,real,meter,basic,*.#(round),N,',
+  'brd_perpoint,startCloudCoverPercentage,Observed cloud cover at start of sampling,string,percent,basic,asIs,N,lov_cloud'
+].join('\n') + '\n';
+
+const COUNTS_CSV = [
+  'plotID,clusterSize,observerDistance',
+  'HARV_001,1,25.0',
+  'HARV_001,3,40.5',
+  'HARV_002,"2",12.0'
+].join('\n') + '\n';
+
+describe('table tools', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  // Answer the month's file listing with these files, each served by the mock API under /files/<name>
+  function serveMonth(files: Record<string, string>, listingPath: string = LISTING_PATH): void {
+    Object.entries(files).forEach(([name, content]) => harness.api.reply(`/files/${name}`, { body: content }));
+    const [, , , , productCode, siteCode, month] = listingPath.split('/');
+    harness.api.reply(listingPath, {
+      body: {
+        data: {
+          productCode,
+          siteCode,
+          month,
+          release: 'RELEASE-2024',
+          packages: [],
+          files: Object.keys(files).map(name => ({
+            name,
+            size: files[name].length,
+            md5: '',
+            crc32c: '',
+            url: `${harness.api.baseUrl}/files/${name}`
+          }))
+        }
+      }
+    });
+  }
+
+  const month = { productCode: 'DP1.10003.001', siteCode: 'HARV', month: '2024-05' };
+
+  describe('neon_get_variables', () => {
+    it('lists the fields of every table from the newest variables file', async () => {
+      serveMonth({ [COUNTS]: COUNTS_CSV, [OLD_VARIABLES]: 'table,fieldName\nold,old\n', [VARIABLES]: VARIABLES_CSV });
+
+      const { text, structuredContent } = await harness.callTool('neon_get_variables', month);
+
+      expect(text).toContain('# Variables for DP1.10003.001 at HARV (2024-05)\n\n**Release**: RELEASE-2024\n**Package**: basic');
+      expect(text).toContain('## brd_countdata (3 fields)');
+      expect(text).toContain('| **plotID** | string | - | basic | Plot identifier (NEON site code_XXX) |');
+      expect(text).toContain('| observerDistance | real | meter | basic |');
+      expect(text).toContain('## brd_perpoint (1 fields)');
+      expect(text).toContain('Primary key fields are shown in bold.');
+      expect(harness.api.requestsFor(`/files/${OLD_VARIABLES}`)).toHaveLength(0);
+      expect(harness.api.requestsFor(LISTING_PATH)[0].params).toEqual({ package: 'basic' });
+      expect((structuredContent!.variables as any[])[3]).toMatchObject({
+        table: 'brd_perpoint',
+        fieldName: 'startCloudCoverPercentage',
+        categoricalCodeName: 'lov_cloud'
+      });
+    });
+
+    it('filters the fields to one table', async () => {
+      serveMonth({ [COUNTS]: COUNTS_CSV, [PER_POINT]: 'plotID\n', [VARIABLES]: VARIABLES_CSV });
+
+      const { text, structuredContent } = await harness.callTool('neon_get_variables', { ...month, table: 'brd_perpoint' });
+      expect(text).not.toContain('## brd_countdata');
+      expect(structuredContent!.variables).toHaveLength(1);
+    });
+
+    it('names the tables in the package when the table has no fields', async () => {
+      serveMonth({ [COUNTS]: COUNTS_CSV, [PER_POINT]: 'plotID\n', [VARIABLES]: VARIABLES_CSV });
+
+      const { text } = await harness.callTool('neon_get_variables', { ...month, table: 'brd_missing' });
+      expect(text).toContain('No fields found for table "brd_missing". Tables in this package: brd_countdata, brd_perpoint');
+    });
+
+    it('reads older variables files without primary key columns', async () => {
+      serveMonth({
+        [VARIABLES]: 'table,fieldName,description,dataType,units,downloadPkg,pubFormat\nbrd_countdata,plotID,Plot identifier,string,NA,basic,asIs\n'
+      });
+
+      const { text, structuredContent } = await harness.callTool('neon_get_variables', month);
+      expect(text).toContain('| plotID | string | - | basic | Plot identifier |');
+      expect((structuredContent!.variables as any[])[0].primaryKey).toBeUndefined();
+    });
+
+    it('reports a month without a variables file', async () => {
+      serveMonth({ [COUNTS]: COUNTS_CSV });
+
+      const { text, isError } = await harness.callTool('neon_get_variables', month);
+      expect(isError).toBe(true);
+      expect(text).toContain('**Error**: No variables file published for DP1.10003.001 at HARV in 2024-05');
+    });
+
+    it('reports a month with no files', async () => {
+      serveMonth({});
+
+      const { text, isError } = await harness.callTool('neon_get_variables', { ...month, package: 'expanded' });
+      expect(isError).toBe(true);
+      expect(text).toContain('**Error**: No expanded files published for DP1.10003.001 at HARV in 2024-05');
+    });
+  });
+
+  describe('neon_preview_table', () => {
+    it('shows the first rows labelled with units and descriptions', async () => {
+      serveMonth({ [COUNTS]: COUNTS_CSV, [VARIABLES]: VARIABLES_CSV });
+
+      const { text, structuredContent } = await harness.callTool('neon_preview_table', { ...month, table: 'brd_countdata', rows: 2 });
+
+      expect(text).toContain(`**File**: ${COUNTS}`);
+      expect(text).toContain('- **plotID** (string): Plot identifier (NEON site code_XXX)');
+      expect(text).toContain('- **observerDistance** [meter] (real): Radial distance');
+      expect(text).toContain('## First 2 Rows\n\n| plotID | clusterSize [number] | observerDistance [meter] |\n|---|---|---|\n| HARV_001 | 1 | 25.0 |\n| HARV_001 | 3 | 40.5 |\n');
+      expect(text).not.toContain('HARV_002');
+      expect(structuredContent).toMatchObject({
+        table: 'brd_countdata',
+        position: null,
+        columns: ['plotID', 'clusterSize', 'observerDistance'],
+        rows: [
+          { plotID: 'HARV_001', clusterSize: '1', observerDistance: '25.0' },
+          { plotID: 'HARV_001', clusterSize: '3', observerDistance: '40.5' }
+        ]
+      });
+    });
+
+    it('previews a large file without keeping more than the requested rows', async () => {
+      const rows = Array.from({ length: 20000 }, (_, i) => `HARV_${String(i).padStart(5, '0')},1,10.0`);
+      serveMonth({ [COUNTS]: ['plotID,clusterSize,observerDistance', ...rows].join('\n') + '\n', [VARIABLES]: VARIABLES_CSV });
+
+      const { text, structuredContent } = await harness.callTool('neon_preview_table', { ...month, table: 'brd_countdata', rows: 3 });
+
+      expect(text).toContain('## First 3 Rows');
+      expect(structuredContent!.rows).toHaveLength(3);
+      expect(text).not.toContain('HARV_00003');
+    });
+
+    it('picks a sensor position', async () => {
+      const listing = '/api/v0/data/DP1.00041.001/HARV/2024-05';
+      serveMonth({
+        [soilFile('001.501')]: 'startDateTime,soilTempMean\n2024-05-01T00:00:00Z,8.1\n',
+        [soilFile('001.502')]: 'startDateTime,soilTempMean\n2024-05-01T00:00:00Z,7.4\n',
+        'NEON.D01.HARV.DP1.00041.001.variables.20240701T000000Z.csv': 'table,fieldName,description,dataType,units\nST_30_minute,soilTempMean,Arithmetic mean of soil temperature,real,celsius\n'
+      }, listing);
+      const soil = { ...month, productCode: 'DP1.00041.001', table: 'ST_30_minute' };
+
+      const { text, structuredContent } = await harness.callTool('neon_preview_table', { ...soil, position: '001.502' });
+      expect(text).toContain('**Position**: 001.502 (available: 001.501, 001.502)');
+      expect(text).toContain('| 2024-05-01T00:00:00Z | 7.4 |');
+      expect(structuredContent).toMatchObject({ position: '001.502', positions: ['001.501', '001.502'] });
+
+      const missing = await harness.callTool('neon_preview_table', { ...soil, position: '003.501' });
+      expect(missing.isError).toBe(true);
+      expect(missing.text).toContain('Position 003.501 not found for ST_30_minute. Available positions: 001.501, 001.502');
+    });
+
+    it('names the tables in the package when the table is missing', async () => {
+      serveMonth({ [COUNTS]: COUNTS_CSV, [VARIABLES]: VARIABLES_CSV });
+
+      const { text, isError } = await harness.callTool('neon_preview_table', { ...month, table: 'brd_perpoint' });
+      expect(isError).toBe(true);
+      expect(text).toContain('**Error**: Table "brd_perpoint" not found. Tables in this package: brd_countdata');
+    });
+
+    it('validates the row count and position', async () => {
+      const tooMany = await harness.callTool('neon_preview_table', { ...month, table: 'brd_countdata', rows: 101 });
+      expect(tooMany.text).toContain('**Validation Error**: rows:');
+
+      const badPosition = await harness.callTool('neon_preview_table', { ...month, table: 'brd_countdata', position: '1.501' });
+      expect(badPosition.text).toContain('position: Position must look like "001.501"');
+      expect(harness.api.requests).toHaveLength(0);
+    });
+  });
+});
+
+describe('NeonApiClient.readFileText', () => {
+  let api: MockNeonApi;
+  let client: NeonApiClient;
+
+  beforeEach(async () => {
+    api = new MockNeonApi();
+    const baseUrl = await api.start();
+    client = new NeonApiClient({
+      ...DEFAULT_CONFIG,
+      api: { ...DEFAULT_CONFIG.api, baseUrl, retryDelay: 1 },
+      cache: { ...DEFAULT_CONFIG.cache, persistent: false }
+    });
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  // Large enough to arrive in several chunks
+  const body = Array.from({ length: 50000 }, (_, i) => `line ${i}`).join('\n') + '\n';
+
+  it('stops at maxLines complete lines', async () => {
+    api.reply('/files/big.csv', { body });
+
+    const text = await client.readFileText(`${api.baseUrl}/files/big.csv`, 3);
+
+    expect(text.startsWith('line 0\nline 1\nline 2\n')).toBe(true);
+    expect(text.endsWith('\n')).toBe(true);
+    expect(text.length).toBeLessThan(body.length);
+  });
+
+  it('returns the whole file without maxLines, or when it is shorter', async () => {
+    api.reply('/files/big.csv', { body });
+    api.reply('/files/short.csv', { body: 'a,b\n1,2' });
+
+    expect(await client.readFileText(`${api.baseUrl}/files/big.csv`)).toBe(body);
+    // A last line without a newline is kept
+    expect(await client.readFileText(`${api.baseUrl}/files/short.csv`, 10)).toBe('a,b\n1,2');
+  });
+
+  it('reports a failed read', async () => {
+    api.reply('/files/gone.csv', { status: 403, body: 'Expired' });
+
+    await expect(client.readFileText(`${api.baseUrl}/files/gone.csv`, 3)).rejects.toThrow('Failed to read file (Status: 403)');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+import { Harness, startHarness } from './helpers/harness.js';
+
+describe('taxonomy tools', () => {
+  let harness: Harness;
+
+  beforeEach(async () => {
+    harness = await startHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('searches a taxon type and strips Darwin Core prefixes', async () => {
+    const { text, isError, structuredContent } = await harness.callTool('neon_search_taxonomy', {
+      taxonTypeCode: 'SMALL_MAMMAL',
+      limit: 2
+    });
+
+    expect(isError).toBe(false);
+    expect(text).toContain('# Taxonomy Results (2 of 4)');
+    expect(text).toContain('**Blarina brevicauda** (BLBR)');
+    expect(text).toContain('**Peromyscus leucopus** (PELE)');
+    expect(text).toContain('Northern Short-tailed Shrew');
+    expect(text).toContain('**Showing**: 1-2 of 4');
+    expect((structuredContent!.entries as any[])[1]).toMatchObject({
+      taxonID: 'PELE',
+      family: 'Cricetidae',
+      taxonTypeCode: 'SMALL_MAMMAL'
+    });
+    expect(harness.api.requestsFor('/api/v0/taxonomy')[0].params).toEqual({
+      taxonTypeCode: 'SMALL_MAMMAL',
+      limit: '2',
+      offset: '0'
+    });
+  });
+
+  it('pages through results with the returned cursor', async () => {
+    const first = await harness.callTool('neon_search_taxonomy', { taxonTypeCode: 'SMALL_MAMMAL', limit: 2 });
+    expect(first.structuredContent!.nextOffset).toBe(2);
+    const cursor = first.structuredContent!.nextCursor as string;
+    expect(first.text).toContain(`**Next Page**: call again with cursor="${cursor}" (or offset=2)`);
+
+    const second = await harness.callTool('neon_search_taxonomy', { taxonTypeCode: 'SMALL_MAMMAL', limit: 2, cursor });
+    expect(second.text).toContain('**Peromyscus maniculatus** (PEMA)');
+    expect(second.text).toContain('**Showing**: 3-4 of 4');
+    expect(second.text).not.toContain('**Next Page**');
+    expect(second.structuredContent!.nextCursor).toBeNull();
+
+    // A cursor from one query cannot be replayed against another
+    const other = await harness.callTool('neon_search_taxonomy', { taxonTypeCode: 'BIRD', limit: 2, cursor });
+    expect(other.isError).toBe(true);
+  });
+
+  it('summarizes entries at summary verbosity', async () => {
+    const { text } = await harness.callTool('neon_search_taxonomy', {
+      taxonTypeCode: 'SMALL_MAMMAL',
+      limit: 2,
+      verbosity: 'summary'
+    });
+
+    expect(text).toContain('- **Peromyscus leucopus** (PELE, species, White-footed Mouse)');
+    expect(text).not.toContain('**Taxonomy**');
+  });
+
+  it('rejects a taxon type combined with a rank filter', async () => {
+    const { text, isError } = await harness.callTool('neon_search_taxonomy', {
+      taxonTypeCode: 'SMALL_MAMMAL',
+      genus: 'Peromyscus'
+    });
+
+    expect(isError).toBe(true);
+    expect(text).toContain('**Validation Error**');
+    expect(text).toContain('taxonTypeCode cannot be combined with scientificName or a taxonomic rank filter');
+    expect(harness.api.requestsFor('/api/v0/taxonomy')).toHaveLength(0);
+  });
+
+  it('reports no taxa when the API answers 400', async () => {
+    harness.api.reply('/api/v0/taxonomy', { status: 400, body: { status: 400, detail: 'No taxonomy data found' } });
+
+    const { text, isError, structuredContent } = await harness.callTool('neon_search_taxonomy', { family: 'Nonexistidae' });
+
+    expect(isError).toBe(false);
+    expect(text).toContain('No taxa found matching your criteria.');
+    expect(structuredContent!.total).toBe(0);
+  });
+
+  it('resolves a name to its accepted taxon and synonyms', async () => {
+    const { text, structuredContent } = await harness.callTool('neon_resolve_taxon', { scientificName: 'Peromyscus leucopus' });
+
+    expect(text).toContain('## SMALL_MAMMAL: Peromyscus leucopus (PELE)');
+    expect(text).toContain('**Status**: Accepted name');
+    expect(text).toContain('**Common Name**: White-footed Mouse');
+    expect(text).toContain('**Synonyms** (1):\n- Peromyscus leucopus noveboracensis (PELEN)');
+    expect(text).not.toContain('PEMA');
+    expect((structuredContent!.matches as any[])[0]).toMatchObject({ acceptedTaxonID: 'PELE', isAccepted: true });
+    expect(harness.api.requestsFor('/api/v0/taxonomy').map(request => request.params.genus))
+      .toEqual([undefined, 'Peromyscus']);
+  });
+
+  it('says when a name cannot be resolved', async () => {
+    harness.api.reply('/api/v0/taxonomy', { status: 400, body: { status: 400, detail: 'No taxonomy data found' } });
+
+    const { text, structuredContent } = await harness.callTool('neon_resolve_taxon', { scientificName: 'Peromyscus nonexistens' });
+
+    expect(text).toContain('No taxon found with this scientific name.');
+    expect(structuredContent!.matches).toEqual([]);
+  });
+});
\ No newline at end of file